@@ -0,0 +1,974 @@
+// Admin page: booking browser, analytics, and station and price management
+const adminLogin = document.getElementById('adminLogin');
+const adminPanel = document.getElementById('adminPanel');
+const adminLoginForm = document.getElementById('adminLoginForm');
+const adminLoginError = document.getElementById('adminLoginError');
+const bookingFilters = document.getElementById('bookingFilters');
+const analyticsFilters = document.getElementById('analyticsFilters');
+const stationForm = document.getElementById('stationForm');
+const priceForm = document.getElementById('priceForm');
+const promoCodeForm = document.getElementById('promoCodeForm');
+const dateOfBirthForm = document.getElementById('dateOfBirthForm');
+
+const BOOKINGS_PER_PAGE = 20;
+
+// Concession categories a ticket type can require, as on the server
+const CONCESSION_CATEGORIES = {
+    student: 'Student',
+    senior: 'Senior'
+};
+
+let stations = [];
+let bookingPage = 1;
+// Set when the server turns the session away, e.g. after a role change
+let accessDenied = false;
+
+document.addEventListener('DOMContentLoaded', function() {
+    adminLoginForm.addEventListener('submit', handleAdminLogin);
+    document.getElementById('adminLogoutButton').addEventListener('click', logout);
+
+    bookingFilters.addEventListener('submit', e => {
+        e.preventDefault();
+        loadBookings(1);
+    });
+    document.getElementById('previousPage').addEventListener('click', () => loadBookings(bookingPage - 1));
+    document.getElementById('nextPage').addEventListener('click', () => loadBookings(bookingPage + 1));
+
+    setDefaultAnalyticsRange();
+    analyticsFilters.addEventListener('submit', e => {
+        e.preventDefault();
+        loadAnalytics();
+    });
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportReport(button.dataset.export));
+    });
+
+    stationForm.addEventListener('submit', addStation);
+    priceForm.addEventListener('submit', addPrice);
+    Object.entries(CONCESSION_CATEGORIES).forEach(([category, name]) => {
+        document.getElementById('priceConcession').add(new Option(name, category));
+    });
+
+    promoCodeForm.addEventListener('submit', addPromoCode);
+    dateOfBirthForm.addEventListener('submit', verifyDateOfBirth);
+
+    renderAdmin();
+});
+
+// Sessions are shared with the booking site
+let authState = loadAuthState();
+
+function loadAuthState() {
+    try {
+        return JSON.parse(localStorage.getItem('metroAuth'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveAuthState(state) {
+    authState = state;
+    if (state) {
+        localStorage.setItem('metroAuth', JSON.stringify(state));
+    } else {
+        localStorage.removeItem('metroAuth');
+    }
+}
+
+// fetch() that sends the access token and retries once after refreshing it
+async function apiFetch(url, options = {}) {
+    const send = () => {
+        const headers = { ...options.headers };
+        if (authState) {
+            headers.Authorization = `Bearer ${authState.accessToken}`;
+        }
+        return fetch(url, { ...options, headers });
+    };
+
+    let response = await send();
+    if (response.status === 401 && authState && await refreshAccessToken()) {
+        response = await send();
+    }
+    if ((response.status === 401 || response.status === 403) && !accessDenied) {
+        accessDenied = true;
+        renderAdmin();
+    }
+    return response;
+}
+
+async function refreshAccessToken() {
+    try {
+        const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken: authState.refreshToken })
+        });
+
+        if (!response.ok) {
+            saveAuthState(null);
+            return false;
+        }
+
+        saveAuthState(await response.json());
+        return true;
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        return false;
+    }
+}
+
+// Send a JSON body and return the parsed response, throwing the server's
+// error message when the request fails
+async function sendJson(url, method, body) {
+    const response = await apiFetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = response.status === 204 ? null : await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error((result && result.error) || 'Something went wrong. Please try again.');
+    }
+    return result;
+}
+
+function isAdmin() {
+    return Boolean(authState && authState.user.role === 'admin' && !accessDenied);
+}
+
+function renderAdmin() {
+    adminLogin.hidden = isAdmin();
+    adminPanel.hidden = !isAdmin();
+
+    if (!isAdmin()) {
+        if (authState) {
+            adminLoginError.textContent = 'This account is not an administrator. Log in with an admin account.';
+            adminLoginError.hidden = false;
+        }
+        return;
+    }
+
+    document.getElementById('adminUserEmail').textContent = authState.user.email;
+    loadStations().then(() => {
+        loadBookings(1);
+        loadAnalytics();
+        loadPromoCodes();
+    });
+    loadPrices();
+    loadConcessionDocuments();
+}
+
+async function handleAdminLogin(e) {
+    e.preventDefault();
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(Object.fromEntries(new FormData(adminLoginForm)))
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            adminLoginError.textContent = result.error || 'Something went wrong. Please try again.';
+            adminLoginError.hidden = false;
+            return;
+        }
+
+        saveAuthState(result);
+        accessDenied = false;
+        adminLoginForm.reset();
+        adminLoginError.hidden = true;
+        renderAdmin();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        adminLoginError.textContent = 'You appear to be offline. Please try again later.';
+        adminLoginError.hidden = false;
+    }
+}
+
+async function logout() {
+    const refreshToken = authState && authState.refreshToken;
+    saveAuthState(null);
+    adminLoginError.hidden = true;
+    renderAdmin();
+
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+}
+
+function stationName(code) {
+    const station = stations.find(item => item.code === code);
+    return station ? station.name : code;
+}
+
+function formatMoney(amount) {
+    return `$${Number(amount).toFixed(2)}`;
+}
+
+// Bookings
+
+async function loadBookings(page) {
+    const filters = Object.fromEntries(
+        [...new FormData(bookingFilters)].filter(([, value]) => value !== '')
+    );
+    const params = new URLSearchParams({ ...filters, page, limit: BOOKINGS_PER_PAGE });
+    const rows = document.getElementById('bookingRows');
+
+    try {
+        const response = await apiFetch(`/api/bookings?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load bookings');
+        }
+
+        const { bookings, pagination } = await response.json();
+        bookingPage = pagination.page;
+        rows.innerHTML = '';
+
+        if (bookings.length === 0) {
+            rows.innerHTML = '<tr><td colspan="7" class="trip-empty">No bookings match these filters.</td></tr>';
+        }
+
+        bookings.forEach(booking => {
+            const row = document.createElement('tr');
+            const cells = [
+                booking.id,
+                booking.user_email || booking.contact_email || 'Guest',
+                `${stationName(booking.from_station)} → ${stationName(booking.to_station)}`,
+                `${booking.travel_date} ${booking.travel_time}`,
+                `${booking.passengers} × ${booking.ticket_type}`,
+                formatMoney(booking.total_price)
+            ];
+
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const status = document.createElement('span');
+            status.className = 'trip-status';
+            status.textContent = booking.status.replace('_', ' ');
+            const statusCell = document.createElement('td');
+            statusCell.appendChild(status);
+            row.appendChild(statusCell);
+
+            rows.appendChild(row);
+        });
+
+        document.getElementById('pageInfo').textContent =
+            `Page ${pagination.page} of ${Math.max(pagination.pages, 1)} · ${pagination.total} bookings`;
+        document.getElementById('previousPage').disabled = pagination.page <= 1;
+        document.getElementById('nextPage').disabled = pagination.page >= pagination.pages;
+    } catch (error) {
+        console.error('Booking loading error:', error);
+        rows.innerHTML = '<tr><td colspan="7" class="trip-empty">Bookings could not be loaded right now.</td></tr>';
+    }
+}
+
+// Analytics
+
+const ANALYTICS_DAYS = 30;
+
+function setDefaultAnalyticsRange() {
+    const from = new Date();
+    from.setDate(from.getDate() - (ANALYTICS_DAYS - 1));
+
+    analyticsFilters.elements.dateFrom.value = from.toISOString().split('T')[0];
+    analyticsFilters.elements.dateTo.value = new Date().toISOString().split('T')[0];
+}
+
+function analyticsParams(extra = {}) {
+    return new URLSearchParams({ ...Object.fromEntries(new FormData(analyticsFilters)), ...extra });
+}
+
+async function loadAnalytics() {
+    const reports = ['revenue/daily', 'revenue/ticket-types', 'cancellations', 'od-matrix', 'stations/hourly'];
+
+    try {
+        const results = await Promise.all(reports.map(async report => {
+            const response = await apiFetch(`/api/analytics/${report}?${analyticsParams()}`);
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to load analytics');
+            }
+            return result;
+        }));
+
+        const [daily, ticketTypes, cancellations, odMatrix, stationHours] = results;
+
+        document.getElementById('revenueDailyTotal').textContent =
+            `${formatMoney(daily.totals.net)} net · ${formatMoney(daily.totals.refunds)} refunded · ` +
+            `${formatMoney(daily.totals.topUps)} card top-ups`;
+        renderBarChart(document.getElementById('revenueDailyChart'), daily.rows.map(row => ({
+            label: row.date,
+            value: row.net,
+            text: formatMoney(row.net)
+        })));
+
+        document.getElementById('revenueTypesTotal').textContent =
+            `${ticketTypes.totals.bookings} paid bookings`;
+        renderBarChart(document.getElementById('revenueTypesChart'), ticketTypes.rows.map(row => ({
+            label: row.ticketType,
+            value: row.net,
+            text: formatMoney(row.net)
+        })));
+
+        document.getElementById('cancellationTotal').textContent =
+            `${formatPercent(cancellations.totals.rate)} of ${cancellations.totals.bookings} paid bookings cancelled`;
+        renderBarChart(document.getElementById('cancellationChart'), cancellations.rows.map(row => ({
+            label: row.date,
+            value: row.rate,
+            text: `${formatPercent(row.rate)} (${row.cancelled}/${row.bookings})`
+        })), 1);
+
+        document.getElementById('odMatrixTotal').textContent =
+            `${odMatrix.totals.passengers} passengers on ${odMatrix.totals.bookings} paid bookings`;
+        renderOdMatrix(document.getElementById('odMatrixChart'), odMatrix.rows);
+        renderStationHours(document.getElementById('stationHoursChart'), stationHours.rows);
+    } catch (error) {
+        console.error('Analytics loading error:', error);
+        showNotification(error.message === 'Failed to fetch'
+            ? 'You appear to be offline. Please try again later.'
+            : error.message, 'error');
+    }
+}
+
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+// Horizontal bars scaled to the largest value, or to `max` when given
+function renderBarChart(container, items, max = null) {
+    container.innerHTML = '';
+
+    if (items.length === 0) {
+        container.innerHTML = '<p class="trip-empty">No data for these dates.</p>';
+        return;
+    }
+
+    const scale = max || Math.max(...items.map(item => item.value), 0) || 1;
+
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+
+        const label = document.createElement('span');
+        label.className = 'bar-label';
+        label.textContent = item.label;
+
+        const track = document.createElement('div');
+        track.className = 'bar-track';
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.width = `${Math.max(item.value, 0) / scale * 100}%`;
+        track.appendChild(bar);
+
+        const value = document.createElement('span');
+        value.className = 'bar-value';
+        value.textContent = item.text;
+
+        row.append(label, track, value);
+        container.appendChild(row);
+    });
+}
+
+// Table of values shaded by their share of the largest one
+function renderHeatmap(container, { rowLabels, columnLabels, valueAt, corner = '' }) {
+    container.innerHTML = '';
+
+    if (rowLabels.length === 0) {
+        container.innerHTML = '<p class="trip-empty">No data for these dates.</p>';
+        return;
+    }
+
+    const values = rowLabels.flatMap((rowLabel, rowIndex) =>
+        columnLabels.map((columnLabel, columnIndex) => valueAt(rowIndex, columnIndex)));
+    const max = Math.max(...values, 1);
+
+    const table = document.createElement('table');
+    table.className = 'admin-table heatmap';
+
+    const head = table.createTHead().insertRow();
+    [corner, ...columnLabels].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        head.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    rowLabels.forEach((rowLabel, rowIndex) => {
+        const row = body.insertRow();
+        const header = document.createElement('th');
+        header.textContent = rowLabel;
+        row.appendChild(header);
+
+        columnLabels.forEach((columnLabel, columnIndex) => {
+            const value = valueAt(rowIndex, columnIndex);
+            const cell = row.insertCell();
+            cell.textContent = value || '';
+            cell.style.backgroundColor = `rgba(102, 126, 234, ${value / max})`;
+            cell.classList.toggle('heatmap-strong', value / max > 0.5);
+        });
+    });
+
+    container.appendChild(table);
+}
+
+// Passengers from each origin (rows) to each destination (columns)
+function renderOdMatrix(container, rows) {
+    const origins = [...new Set(rows.map(row => row.from))];
+    const destinations = [...new Set(rows.map(row => row.to))];
+    const passengers = new Map(rows.map(row => [`${row.from}:${row.to}`, row.passengers]));
+
+    renderHeatmap(container, {
+        corner: 'From \\ To',
+        rowLabels: origins.map(stationName),
+        columnLabels: destinations.map(stationName),
+        valueAt: (rowIndex, columnIndex) =>
+            passengers.get(`${origins[rowIndex]}:${destinations[columnIndex]}`) || 0
+    });
+}
+
+// Passengers in and out of each station (rows, busiest first) per hour
+function renderStationHours(container, rows) {
+    const busiest = new Map();
+    rows.forEach(row => busiest.set(row.station, (busiest.get(row.station) || 0) + row.total));
+
+    const stationCodes = [...busiest.keys()].sort((a, b) => busiest.get(b) - busiest.get(a));
+    const hours = [...new Set(rows.map(row => row.hour))].sort((a, b) => a - b);
+    const totals = new Map(rows.map(row => [`${row.station}:${row.hour}`, row.total]));
+
+    renderHeatmap(container, {
+        corner: 'Station',
+        rowLabels: stationCodes.map(stationName),
+        columnLabels: hours.map(hour => `${String(hour).padStart(2, '0')}:00`),
+        valueAt: (rowIndex, columnIndex) => totals.get(`${stationCodes[rowIndex]}:${hours[columnIndex]}`) || 0
+    });
+}
+
+async function exportReport(report) {
+    try {
+        const response = await apiFetch(`/api/analytics/${report}?${analyticsParams({ format: 'csv' })}`);
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            showNotification(result.error || 'The report could not be exported.', 'error');
+            return;
+        }
+
+        const { dateFrom, dateTo } = Object.fromEntries(new FormData(analyticsFilters));
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = `${report.replace('/', '-')}-${dateFrom}-to-${dateTo}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+        console.error('Report export error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
+// Stations
+
+async function loadStations() {
+    try {
+        const response = await apiFetch('/api/admin/stations');
+        if (!response.ok) {
+            throw new Error('Failed to load stations');
+        }
+
+        stations = await response.json();
+        renderStations();
+    } catch (error) {
+        console.error('Station loading error:', error);
+        showNotification('Stations could not be loaded right now.', 'error');
+    }
+}
+
+function renderStations() {
+    const rows = document.getElementById('stationRows');
+    const filterStation = document.getElementById('filterStation');
+    const promoStation = document.getElementById('promoStation');
+    const selected = filterStation.value;
+    const selectedPromoStation = promoStation.value;
+
+    rows.innerHTML = '';
+    filterStation.length = 1;
+    promoStation.length = 1;
+
+    stations.forEach((station, index) => {
+        filterStation.add(new Option(station.name, station.code, false, station.code === selected));
+        promoStation.add(new Option(station.name, station.code, false, station.code === selectedPromoStation));
+
+        const row = document.createElement('tr');
+        row.classList.toggle('inactive', !station.active);
+
+        const order = document.createElement('td');
+        const up = createActionButton('↑', () => moveStation(index, index - 1));
+        const down = createActionButton('↓', () => moveStation(index, index + 1));
+        up.disabled = index === 0;
+        down.disabled = index === stations.length - 1;
+        up.setAttribute('aria-label', `Move ${station.name} up`);
+        down.setAttribute('aria-label', `Move ${station.name} down`);
+        order.append(up, down);
+
+        const code = document.createElement('td');
+        code.textContent = station.code;
+
+        const name = document.createElement('td');
+        const nameInput = document.createElement('input');
+        nameInput.value = station.name;
+        nameInput.setAttribute('aria-label', `Name of ${station.code}`);
+        nameInput.addEventListener('change', () => updateStation(station, { name: nameInput.value }));
+        name.appendChild(nameInput);
+
+        const lines = document.createElement('td');
+        lines.textContent = station.lines.length ? station.lines.join(', ') : 'None';
+
+        const zone = document.createElement('td');
+        const zoneInput = document.createElement('input');
+        zoneInput.type = 'number';
+        zoneInput.min = '1';
+        zoneInput.step = '1';
+        zoneInput.value = station.zone;
+        zoneInput.setAttribute('aria-label', `Zone of ${station.name}`);
+        zoneInput.addEventListener('change', () => updateStation(station, { zone: Number(zoneInput.value) }));
+        zone.appendChild(zoneInput);
+
+        const active = document.createElement('td');
+        const activeInput = document.createElement('input');
+        activeInput.type = 'checkbox';
+        activeInput.checked = Boolean(station.active);
+        activeInput.setAttribute('aria-label', `${station.name} active`);
+        activeInput.addEventListener('change', () => updateStation(station, { active: activeInput.checked }));
+        active.appendChild(activeInput);
+
+        const actions = document.createElement('td');
+        actions.appendChild(createActionButton('Delete', () => deleteStation(station)));
+
+        row.append(order, code, name, lines, zone, active, actions);
+        rows.appendChild(row);
+    });
+}
+
+function createActionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'trip-action';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function addStation(e) {
+    e.preventDefault();
+
+    try {
+        const station = await sendJson('/api/admin/stations', 'POST', Object.fromEntries(new FormData(stationForm)));
+        stationForm.reset();
+        showNotification(`${station.name} added. Riders are offered it once it is on a line.`, 'success');
+        loadStations();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function updateStation(station, changes) {
+    try {
+        await sendJson(`/api/admin/stations/${encodeURIComponent(station.code)}`, 'PUT', changes);
+        showNotification(`${station.name} updated.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadStations();
+}
+
+async function moveStation(from, to) {
+    const order = stations.map(station => station.code);
+    [order[from], order[to]] = [order[to], order[from]];
+
+    try {
+        await sendJson('/api/admin/stations/order', 'PUT', { order });
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadStations();
+}
+
+async function deleteStation(station) {
+    if (!confirm(`Delete ${station.name}? This cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await sendJson(`/api/admin/stations/${encodeURIComponent(station.code)}`, 'DELETE');
+        showNotification(`${station.name} deleted.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadStations();
+}
+
+// Prices
+
+async function loadPrices() {
+    const rows = document.getElementById('priceRows');
+
+    try {
+        const response = await apiFetch('/api/admin/prices');
+        if (!response.ok) {
+            throw new Error('Failed to load prices');
+        }
+
+        const prices = await response.json();
+        rows.innerHTML = '';
+
+        prices.forEach(price => {
+            const row = document.createElement('tr');
+            row.classList.toggle('inactive', !price.active);
+
+            const type = document.createElement('td');
+            type.textContent = price.ticket_type;
+
+            const fields = {
+                description: Object.assign(document.createElement('input'), { value: price.description || '' }),
+                price: Object.assign(document.createElement('input'), {
+                    type: 'number', min: '0', step: '0.01', value: price.price
+                }),
+                multiplier: Object.assign(document.createElement('input'), {
+                    type: 'number', min: '0.01', step: '0.01', value: price.multiplier ?? '', placeholder: 'Flat'
+                }),
+                returnMultiplier: Object.assign(document.createElement('input'), {
+                    type: 'number', min: '0.01', step: '0.01', value: price.return_multiplier ?? '', placeholder: 'None'
+                }),
+                concession: document.createElement('select'),
+                active: Object.assign(document.createElement('input'), { type: 'checkbox', checked: Boolean(price.active) })
+            };
+
+            fields.concession.add(new Option('None', ''));
+            Object.entries(CONCESSION_CATEGORIES).forEach(([category, name]) => {
+                fields.concession.add(new Option(name, category));
+            });
+            fields.concession.value = price.concession || '';
+
+            const cells = Object.entries(fields).map(([field, input]) => {
+                const cell = document.createElement('td');
+                input.setAttribute('aria-label', `${price.ticket_type} ${field}`);
+                cell.appendChild(input);
+                return cell;
+            });
+
+            const actions = document.createElement('td');
+            actions.append(
+                createActionButton('Save', () => updatePrice(price, {
+                    description: fields.description.value.trim() || null,
+                    price: parseFloat(fields.price.value),
+                    multiplier: fields.multiplier.value === '' ? null : parseFloat(fields.multiplier.value),
+                    returnMultiplier: fields.returnMultiplier.value === '' ? null : parseFloat(fields.returnMultiplier.value),
+                    concession: fields.concession.value || null,
+                    active: fields.active.checked
+                })),
+                createActionButton('Delete', () => deletePrice(price))
+            );
+
+            row.append(type, ...cells, actions);
+            rows.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Price loading error:', error);
+        rows.innerHTML = '<tr><td colspan="8" class="trip-empty">Prices could not be loaded right now.</td></tr>';
+    }
+}
+
+async function addPrice(e) {
+    e.preventDefault();
+
+    const data = Object.fromEntries(new FormData(priceForm));
+
+    try {
+        await sendJson('/api/admin/prices', 'POST', {
+            ticketType: data.ticketType,
+            description: data.description.trim() || null,
+            price: parseFloat(data.price),
+            multiplier: data.multiplier === '' ? null : parseFloat(data.multiplier),
+            returnMultiplier: data.returnMultiplier === '' ? null : parseFloat(data.returnMultiplier),
+            concession: data.concession || null
+        });
+        priceForm.reset();
+        showNotification(`Ticket type ${data.ticketType} added.`, 'success');
+        loadPrices();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function updatePrice(price, changes) {
+    try {
+        await sendJson(`/api/admin/prices/${encodeURIComponent(price.ticket_type)}`, 'PUT', changes);
+        showNotification(`Ticket type ${price.ticket_type} updated.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadPrices();
+}
+
+async function deletePrice(price) {
+    if (!confirm(`Delete the ${price.ticket_type} ticket type? This cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await sendJson(`/api/admin/prices/${encodeURIComponent(price.ticket_type)}`, 'DELETE');
+        showNotification(`Ticket type ${price.ticket_type} deleted.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadPrices();
+}
+
+// Promo codes
+
+function describePromoDiscount(promo) {
+    return promo.discountType === 'percent' ? `${promo.discountValue}% off` : `${formatMoney(promo.discountValue)} off`;
+}
+
+function describeDateRange(from, until) {
+    if (!from && !until) {
+        return 'Any';
+    }
+    return `${from || '…'} to ${until || '…'}`;
+}
+
+async function loadPromoCodes() {
+    const rows = document.getElementById('promoCodeRows');
+
+    try {
+        const response = await apiFetch('/api/admin/promo-codes');
+        if (!response.ok) {
+            throw new Error('Failed to load promo codes');
+        }
+
+        const promoCodes = await response.json();
+        rows.innerHTML = '';
+
+        if (promoCodes.length === 0) {
+            rows.innerHTML = '<tr><td colspan="7" class="trip-empty">No promo codes yet.</td></tr>';
+            return;
+        }
+
+        promoCodes.forEach(promo => {
+            const row = document.createElement('tr');
+            row.classList.toggle('inactive', !promo.active);
+
+            const code = document.createElement('td');
+            code.textContent = promo.code;
+            code.title = promo.description || '';
+
+            const discount = document.createElement('td');
+            discount.textContent = describePromoDiscount(promo);
+
+            const uses = document.createElement('td');
+            uses.textContent = `${promo.uses}${promo.maxUses ? ` of ${promo.maxUses}` : ''}` +
+                (promo.maxUsesPerUser ? ` · ${promo.maxUsesPerUser} per rider` : '');
+
+            const bookable = document.createElement('td');
+            bookable.textContent = describeDateRange(promo.validFrom, promo.validUntil);
+
+            const travel = document.createElement('td');
+            travel.textContent = describeDateRange(promo.travelDateFrom, promo.travelDateTo);
+
+            const station = document.createElement('td');
+            station.textContent = promo.station ? stationName(promo.station) : 'Any';
+
+            const active = document.createElement('td');
+            const activeInput = document.createElement('input');
+            activeInput.type = 'checkbox';
+            activeInput.checked = promo.active;
+            activeInput.setAttribute('aria-label', `${promo.code} active`);
+            activeInput.addEventListener('change', () => updatePromoCode(promo, { active: activeInput.checked }));
+            active.appendChild(activeInput);
+
+            row.append(code, discount, uses, bookable, travel, station, active);
+            rows.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Promo code loading error:', error);
+        rows.innerHTML = '<tr><td colspan="7" class="trip-empty">Promo codes could not be loaded right now.</td></tr>';
+    }
+}
+
+async function addPromoCode(e) {
+    e.preventDefault();
+
+    const data = Object.fromEntries(new FormData(promoCodeForm));
+    const optionalNumber = value => value === '' ? null : Number(value);
+
+    try {
+        const promo = await sendJson('/api/admin/promo-codes', 'POST', {
+            code: data.code,
+            description: data.description.trim() || null,
+            discountType: data.discountType,
+            discountValue: parseFloat(data.discountValue),
+            maxUses: optionalNumber(data.maxUses),
+            maxUsesPerUser: optionalNumber(data.maxUsesPerUser),
+            validFrom: data.validFrom || null,
+            validUntil: data.validUntil || null,
+            travelDateFrom: data.travelDateFrom || null,
+            travelDateTo: data.travelDateTo || null,
+            station: data.station || null
+        });
+        promoCodeForm.reset();
+        showNotification(`Promo code ${promo.code} added.`, 'success');
+        loadPromoCodes();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function updatePromoCode(promo, changes) {
+    try {
+        await sendJson(`/api/admin/promo-codes/${encodeURIComponent(promo.code)}`, 'PUT', changes);
+        showNotification(`Promo code ${promo.code} updated.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadPromoCodes();
+}
+
+// Concessions
+
+async function loadConcessionDocuments() {
+    const rows = document.getElementById('concessionRows');
+
+    try {
+        const response = await apiFetch('/api/admin/concessions');
+        if (!response.ok) {
+            throw new Error('Failed to load concession documents');
+        }
+
+        const documents = await response.json();
+        rows.innerHTML = '';
+
+        if (documents.length === 0) {
+            rows.innerHTML = '<tr><td colspan="6" class="trip-empty">No documents waiting for review.</td></tr>';
+            return;
+        }
+
+        documents.forEach(entry => {
+            const row = document.createElement('tr');
+
+            const rider = document.createElement('td');
+            rider.textContent = `${entry.user.name} (${entry.user.email}) #${entry.user.id}`;
+
+            const concession = document.createElement('td');
+            concession.textContent = CONCESSION_CATEGORIES[entry.category] || entry.category;
+
+            const documentCell = document.createElement('td');
+            documentCell.textContent = `${entry.documentType.replace(/_/g, ' ')} ${entry.documentReference}`;
+
+            const submitted = document.createElement('td');
+            submitted.textContent = entry.createdAt.slice(0, 10);
+
+            const validUntil = document.createElement('td');
+            const validUntilInput = document.createElement('input');
+            validUntilInput.type = 'date';
+            validUntilInput.setAttribute('aria-label', `Approval end date for document ${entry.id}`);
+            validUntil.appendChild(validUntilInput);
+
+            const actions = document.createElement('td');
+            actions.append(
+                createActionButton('Approve', () => reviewConcession(entry, {
+                    status: 'approved',
+                    validUntil: validUntilInput.value || undefined
+                })),
+                createActionButton('Reject', () => {
+                    const note = prompt('Reason for rejecting, shown to the rider (optional):');
+                    if (note !== null) {
+                        reviewConcession(entry, { status: 'rejected', note: note.trim() || null });
+                    }
+                })
+            );
+
+            row.append(rider, concession, documentCell, submitted, validUntil, actions);
+            rows.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Concession loading error:', error);
+        rows.innerHTML = '<tr><td colspan="6" class="trip-empty">Concession documents could not be loaded right now.</td></tr>';
+    }
+}
+
+async function reviewConcession(entry, review) {
+    try {
+        await sendJson(`/api/admin/concessions/${entry.id}`, 'PUT', review);
+        showNotification(`Document for ${entry.user.name} ${review.status}.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadConcessionDocuments();
+}
+
+async function verifyDateOfBirth(e) {
+    e.preventDefault();
+
+    const data = Object.fromEntries(new FormData(dateOfBirthForm));
+
+    try {
+        const user = await sendJson(`/api/admin/users/${encodeURIComponent(data.userId)}/date-of-birth`, 'PUT', {
+            dateOfBirth: data.dateOfBirth
+        });
+        dateOfBirthForm.reset();
+        showNotification(user.eligibility.senior
+            ? `${user.name} can now book senior fares.`
+            : `Date of birth verified for ${user.name}.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Show a dismissible message at the top of the page
+function showNotification(message, type = 'info') {
+    let container = document.querySelector('.notifications');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'notifications';
+        document.body.appendChild(container);
+    }
+
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'notification-close';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.innerHTML = '&times;';
+    dismiss.addEventListener('click', () => notification.remove());
+
+    notification.append(text, dismiss);
+    container.appendChild(notification);
+}
@@ -0,0 +1,53 @@
+const path = require('path');
+const sqlite = require('./sqlite');
+const postgres = require('./postgres');
+
+// Storage backends, keyed by the name used in DB_CLIENT. SQLite (a file at
+// DB_PATH, data/metro_booking.db unless set) is the default for local development; PostgreSQL connects to
+// DATABASE_URL.
+//
+// A backend's connect(config) returns the data access layer the rest of the
+// app uses:
+//   get(sql, params) -> Promise<first row or undefined>
+//   all(sql, params) -> Promise<rows>
+//   run(sql, params) -> Promise<{ lastID, changes }>
+//   hasColumn(table, column) -> Promise<boolean>
+//   isUniqueViolation(error, table) -> whether a statement failed on a unique
+//       key, optionally of the given table
+//   close() -> Promise
+//   dialect, and types: the column types migrations use for
+//       { id, timestamp, real, boolean }
+//
+// SQL is written once with ? placeholders, in the subset both backends
+// understand: no SQLite-only functions, timestamps passed in as parameters
+// (see toSqlTimestamp) and INSERT ... ON CONFLICT DO NOTHING for upserts.
+const backends = {
+    [sqlite.name]: sqlite,
+    [postgres.name]: postgres
+};
+
+function createDatabase({
+    client = process.env.DB_CLIENT || sqlite.name,
+    // Relative paths are taken from the project directory
+    filename = path.resolve(__dirname, '..', process.env.DB_PATH || 'data/metro_booking.db'),
+    connectionString = process.env.DATABASE_URL
+} = {}) {
+    const backend = backends[client];
+
+    if (!backend) {
+        throw new Error(`Unknown DB_CLIENT "${client}"`);
+    }
+
+    return backend.connect({ filename, connectionString });
+}
+
+// UTC timestamp in the 'YYYY-MM-DD HH:MM:SS' form CURRENT_TIMESTAMP uses,
+// for comparing with and storing in timestamp columns
+function toSqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+    createDatabase,
+    toSqlTimestamp
+};
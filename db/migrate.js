@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in db/migrations is named
+// NNN_description.js and exports up(db) and down(db), which get the data
+// access layer from db/index.js. Applied versions are recorded in
+// schema_migrations and each migration runs in its own transaction.
+// Version 1 adopts the tables of older databases and cannot be reverted.
+// The server applies pending migrations when it starts; from the command line:
+//
+//   npm run db:migrate                 apply every pending migration
+//   npm run db:migrate -- --to 3       migrate up or down to version 3
+//   npm run db:rollback                undo the latest migration
+//   npm run db:rollback -- --steps 2   undo the latest two
+//   npm run db:status                  list migrations and whether they ran
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_\w+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file.replace(/^\d+_|\.js$/g, ''),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function getAppliedVersions(db) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const rows = await db.all('SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => row.version));
+}
+
+async function runMigration(db, migration, direction) {
+    await db.run('BEGIN');
+
+    try {
+        await migration[direction](db);
+
+        if (direction === 'up') {
+            await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+
+        await db.run('COMMIT');
+    } catch (error) {
+        await db.run('ROLLBACK').catch(() => {});
+        error.message = `Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`;
+        throw error;
+    }
+
+    console.log(`${direction === 'up' ? 'Applied' : 'Reverted'} migration ${migration.version} (${migration.name})`);
+}
+
+// Apply pending migrations up to version `to` (the latest by default) and
+// revert applied ones above it
+async function migrate(db, { to } = {}) {
+    const migrations = loadMigrations();
+    const applied = await getAppliedVersions(db);
+    const target = to === undefined ? Math.max(0, ...migrations.map(migration => migration.version)) : to;
+
+    for (const migration of migrations) {
+        if (migration.version <= target && !applied.has(migration.version)) {
+            await runMigration(db, migration, 'up');
+        }
+    }
+
+    for (const migration of [...migrations].reverse()) {
+        if (migration.version > target && applied.has(migration.version)) {
+            await runMigration(db, migration, 'down');
+        }
+    }
+}
+
+// Revert the latest `steps` applied migrations
+async function rollback(db, { steps = 1 } = {}) {
+    const applied = await getAppliedVersions(db);
+    const latest = loadMigrations()
+        .filter(migration => applied.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+
+    for (const migration of latest) {
+        await runMigration(db, migration, 'down');
+    }
+}
+
+async function getMigrationStatus(db) {
+    const applied = await getAppliedVersions(db);
+
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version)
+    }));
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const { createDatabase } = require('./index');
+
+    const [command = 'up', ...args] = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? undefined : parseInt(args[index + 1], 10);
+    };
+
+    const commands = {
+        up: db => migrate(db, { to: option('to') }),
+        down: db => rollback(db, { steps: option('steps') }),
+        status: async db => {
+            (await getMigrationStatus(db)).forEach(migration => {
+                const version = String(migration.version).padStart(3, '0');
+                console.log(`${migration.applied ? 'applied' : 'pending'}  ${version} ${migration.name}`);
+            });
+        }
+    };
+
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}"; use up, down or status`);
+        process.exit(1);
+    }
+
+    const db = createDatabase();
+
+    commands[command](db)
+        .then(() => db.close())
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+            return db.close().catch(() => {});
+        });
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    getMigrationStatus
+};
@@ -0,0 +1,219 @@
+// The schema as it stood before migrations. Tables are created only if
+// missing so databases made by earlier versions of the server are adopted
+// as they are, after adding the columns those versions lacked.
+function tables({ id, timestamp, real, boolean }) {
+    return {
+        bookings: `
+            id TEXT PRIMARY KEY,
+            from_station TEXT NOT NULL,
+            to_station TEXT NOT NULL,
+            travel_date TEXT NOT NULL,
+            travel_time TEXT NOT NULL,
+            passengers INTEGER NOT NULL,
+            ticket_type TEXT NOT NULL,
+            total_price ${real} NOT NULL,
+            qr_code TEXT,
+            status TEXT DEFAULT 'pending_payment',
+            user_id INTEGER,
+            refund_amount ${real} NOT NULL DEFAULT 0,
+            contact_email TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        stations: `
+            id ${id},
+            code TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            active ${boolean} DEFAULT 1
+        `,
+        prices: `
+            id ${id},
+            ticket_type TEXT UNIQUE NOT NULL,
+            price ${real} NOT NULL,
+            description TEXT,
+            multiplier ${real},
+            active ${boolean} DEFAULT 1
+        `,
+        fare_bands: `
+            id ${id},
+            min_stops INTEGER UNIQUE NOT NULL,
+            max_stops INTEGER,
+            fare ${real} NOT NULL,
+            active ${boolean} DEFAULT 1
+        `,
+        lines: `
+            id ${id},
+            code TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            color TEXT NOT NULL,
+            active ${boolean} DEFAULT 1
+        `,
+        line_stations: `
+            id ${id},
+            line_code TEXT NOT NULL,
+            station_code TEXT NOT NULL,
+            sequence INTEGER NOT NULL,
+            minutes_from_previous INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (line_code, station_code),
+            UNIQUE (line_code, sequence)
+        `,
+        interchanges: `
+            id ${id},
+            station_code TEXT NOT NULL,
+            from_line TEXT NOT NULL,
+            to_line TEXT NOT NULL,
+            transfer_minutes INTEGER NOT NULL,
+            UNIQUE (station_code, from_line, to_line)
+        `,
+        services: `
+            id TEXT PRIMARY KEY,
+            line_code TEXT NOT NULL,
+            direction TEXT NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+            capacity INTEGER NOT NULL,
+            active ${boolean} DEFAULT 1
+        `,
+        service_stops: `
+            service_id TEXT NOT NULL,
+            station_code TEXT NOT NULL,
+            sequence INTEGER NOT NULL,
+            departure_time TEXT NOT NULL,
+            PRIMARY KEY (service_id, station_code)
+        `,
+        booking_legs: `
+            id ${id},
+            booking_id TEXT NOT NULL,
+            leg INTEGER NOT NULL,
+            service_id TEXT NOT NULL,
+            travel_date TEXT NOT NULL,
+            from_station TEXT NOT NULL,
+            to_station TEXT NOT NULL,
+            board_sequence INTEGER NOT NULL,
+            alight_sequence INTEGER NOT NULL,
+            departs TEXT NOT NULL,
+            arrives TEXT NOT NULL,
+            UNIQUE (booking_id, leg)
+        `,
+        jobs: `
+            id ${id},
+            type TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL,
+            run_at ${timestamp} NOT NULL,
+            last_error TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        booking_history: `
+            id ${id},
+            booking_id TEXT NOT NULL,
+            action TEXT NOT NULL,
+            changes TEXT,
+            fare_difference ${real} NOT NULL DEFAULT 0,
+            refund_amount ${real} NOT NULL DEFAULT 0,
+            actor_user_id INTEGER,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        payments: `
+            id TEXT PRIMARY KEY,
+            booking_id TEXT NOT NULL,
+            purpose TEXT NOT NULL,
+            type TEXT NOT NULL DEFAULT 'charge',
+            provider TEXT NOT NULL,
+            provider_reference TEXT UNIQUE,
+            amount ${real} NOT NULL,
+            currency TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            metadata TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        payment_events: `
+            provider TEXT NOT NULL,
+            event_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            received_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (provider, event_id)
+        `,
+        idempotency_keys: `
+            key TEXT PRIMARY KEY,
+            request_hash TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'processing',
+            response_status INTEGER,
+            response_body TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        users: `
+            id ${id},
+            email TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            name TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'rider',
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        refresh_tokens: `
+            id TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL,
+            expires_at ${timestamp} NOT NULL,
+            revoked_at ${timestamp},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `,
+        ticket_events: `
+            id ${id},
+            booking_id TEXT NOT NULL,
+            event_type TEXT NOT NULL CHECK (event_type IN ('entry', 'exit')),
+            station_code TEXT NOT NULL,
+            validated_by INTEGER,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        `
+    };
+}
+
+const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_ticket_events_booking ON ticket_events (booking_id)',
+    'CREATE INDEX IF NOT EXISTS idx_booking_history_booking ON booking_history (booking_id)',
+    'CREATE INDEX IF NOT EXISTS idx_payments_booking ON payments (booking_id)',
+    'CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs (status, run_at)',
+    'CREATE INDEX IF NOT EXISTS idx_booking_legs_service ON booking_legs (service_id, travel_date)'
+];
+
+// Columns added to existing tables before there were migrations
+const addedColumns = [
+    ['bookings', 'user_id', 'INTEGER'],
+    ['bookings', 'refund_amount', 'REAL NOT NULL DEFAULT 0'],
+    ['bookings', 'contact_email', 'TEXT'],
+    ['prices', 'multiplier', 'REAL']
+];
+
+async function up(db) {
+    for (const [table, columns] of Object.entries(tables(db.types))) {
+        await db.run(`CREATE TABLE IF NOT EXISTS ${table} (${columns})`);
+    }
+
+    for (const [table, column, definition] of addedColumns) {
+        if (!(await db.hasColumn(table, column))) {
+            await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    for (const index of indexes) {
+        await db.run(index);
+    }
+
+    // Bookings made before payments existed were free and immediately usable
+    await db.run("UPDATE bookings SET status = 'paid' WHERE status = 'active'");
+}
+
+// The tables may hold the data of a database made before migrations, so
+// this version is not reverted; restore a backup to go further back
+async function down() {
+    throw new Error('The initial schema cannot be reverted');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,109 @@
+// Stored-value Metro Cards: a balance per rider account, the journeys made
+// by tapping the card at the gates and a ledger of every balance change.
+// Payments can now top up a card instead of paying for a booking, so
+// payments.booking_id becomes optional and payments gain a card_id.
+function paymentsColumns({ timestamp, real }, { withCard }) {
+    return `
+        id TEXT PRIMARY KEY,
+        booking_id TEXT${withCard ? '' : ' NOT NULL'},
+        ${withCard ? 'card_id TEXT,' : ''}
+        purpose TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'charge',
+        provider TEXT NOT NULL,
+        provider_reference TEXT UNIQUE,
+        amount ${real} NOT NULL,
+        currency TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        metadata TEXT,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    `;
+}
+
+const PAYMENT_FIELDS = [
+    'id', 'booking_id', 'purpose', 'type', 'provider', 'provider_reference',
+    'amount', 'currency', 'status', 'metadata', 'created_at', 'updated_at'
+].join(', ');
+
+// SQLite cannot change a column's constraints in place, so the table is
+// copied into a new one with the wanted shape
+async function rebuildSqlitePayments(db, options) {
+    await db.run(`CREATE TABLE payments_rebuilt (${paymentsColumns(db.types, options)})`);
+    await db.run(`INSERT INTO payments_rebuilt (${PAYMENT_FIELDS}) SELECT ${PAYMENT_FIELDS} FROM payments`);
+    await db.run('DROP TABLE payments');
+    await db.run('ALTER TABLE payments_rebuilt RENAME TO payments');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_payments_booking ON payments (booking_id)');
+}
+
+async function up(db) {
+    const { id, timestamp, real } = db.types;
+
+    await db.run(`
+        CREATE TABLE cards (
+            id TEXT PRIMARY KEY,
+            user_id INTEGER UNIQUE NOT NULL,
+            balance ${real} NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'active',
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE card_journeys (
+            id ${id},
+            card_id TEXT NOT NULL,
+            travel_date TEXT NOT NULL,
+            entry_station TEXT NOT NULL,
+            entered_at ${timestamp} NOT NULL,
+            exit_station TEXT,
+            exited_at ${timestamp},
+            full_fare ${real},
+            fare ${real},
+            status TEXT NOT NULL DEFAULT 'in_progress'
+        )
+    `);
+    await db.run('CREATE INDEX idx_card_journeys_card ON card_journeys (card_id, travel_date)');
+
+    await db.run(`
+        CREATE TABLE card_transactions (
+            id ${id},
+            card_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            amount ${real} NOT NULL,
+            balance_after ${real} NOT NULL,
+            payment_id TEXT,
+            journey_id INTEGER,
+            description TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.run('CREATE INDEX idx_card_transactions_card ON card_transactions (card_id)');
+
+    if (db.dialect === 'sqlite') {
+        await rebuildSqlitePayments(db, { withCard: true });
+    } else {
+        await db.run('ALTER TABLE payments ALTER COLUMN booking_id DROP NOT NULL');
+        await db.run('ALTER TABLE payments ADD COLUMN card_id TEXT');
+    }
+}
+
+async function down(db) {
+    await db.run('DELETE FROM payments WHERE booking_id IS NULL');
+
+    if (db.dialect === 'sqlite') {
+        await rebuildSqlitePayments(db, { withCard: false });
+    } else {
+        await db.run('ALTER TABLE payments DROP COLUMN card_id');
+        await db.run('ALTER TABLE payments ALTER COLUMN booking_id SET NOT NULL');
+    }
+
+    await db.run('DROP TABLE IF EXISTS card_transactions');
+    await db.run('DROP TABLE IF EXISTS card_journeys');
+    await db.run('DROP TABLE IF EXISTS cards');
+}
+
+module.exports = {
+    up,
+    down
+};
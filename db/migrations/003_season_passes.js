@@ -0,0 +1,59 @@
+// Season passes: weekly, monthly and annual passes valid between two dates
+// within a range of fare zones. Stations get a zone, pass_types holds the
+// durations and prices on sale, and payments can pay for a pass. Gate taps
+// on a pass are recorded in ticket_events under the pass reference.
+async function up(db) {
+    const { id, timestamp, real, boolean } = db.types;
+
+    await db.run('ALTER TABLE stations ADD COLUMN zone INTEGER');
+
+    await db.run(`
+        CREATE TABLE pass_types (
+            id ${id},
+            code TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            duration INTEGER NOT NULL,
+            duration_unit TEXT NOT NULL CHECK (duration_unit IN ('day', 'month')),
+            price ${real} NOT NULL,
+            extra_zone_price ${real} NOT NULL DEFAULT 0,
+            active ${boolean} DEFAULT 1
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE passes (
+            id TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            pass_type TEXT NOT NULL,
+            holder_name TEXT NOT NULL,
+            holder_id TEXT,
+            zone_from INTEGER NOT NULL,
+            zone_to INTEGER NOT NULL,
+            valid_from TEXT NOT NULL,
+            valid_until TEXT NOT NULL,
+            price ${real} NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending_payment',
+            renewed_from TEXT,
+            qr_code TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.run('CREATE INDEX idx_passes_user ON passes (user_id)');
+
+    await db.run('ALTER TABLE payments ADD COLUMN pass_id TEXT');
+}
+
+async function down(db) {
+    await db.run('DELETE FROM payments WHERE pass_id IS NOT NULL');
+    await db.run('DELETE FROM ticket_events WHERE booking_id IN (SELECT id FROM passes)');
+    await db.run('ALTER TABLE payments DROP COLUMN pass_id');
+    await db.run('DROP TABLE IF EXISTS passes');
+    await db.run('DROP TABLE IF EXISTS pass_types');
+    await db.run('ALTER TABLE stations DROP COLUMN zone');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,71 @@
+// Concession eligibility and promo codes. A ticket type can require a
+// concession category (prices.concession) that the rider qualifies for
+// through a staff-verified date of birth or a staff-approved document.
+// Promo codes take a percentage or a fixed amount off a booking; the code
+// used and the amount taken off are kept on the booking.
+async function up(db) {
+    const { id, timestamp, real, boolean } = db.types;
+
+    await db.run('ALTER TABLE prices ADD COLUMN concession TEXT');
+
+    await db.run('ALTER TABLE users ADD COLUMN date_of_birth TEXT');
+    await db.run(`ALTER TABLE users ADD COLUMN date_of_birth_verified_at ${timestamp}`);
+    await db.run('ALTER TABLE users ADD COLUMN date_of_birth_verified_by INTEGER');
+
+    await db.run(`
+        CREATE TABLE concession_documents (
+            id ${id},
+            user_id INTEGER NOT NULL,
+            category TEXT NOT NULL,
+            document_type TEXT NOT NULL,
+            document_reference TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+            valid_until TEXT,
+            review_note TEXT,
+            reviewed_by INTEGER,
+            reviewed_at ${timestamp},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.run('CREATE INDEX idx_concession_documents_user ON concession_documents (user_id)');
+
+    await db.run(`
+        CREATE TABLE promo_codes (
+            id ${id},
+            code TEXT UNIQUE NOT NULL,
+            description TEXT,
+            discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+            discount_value ${real} NOT NULL,
+            valid_from TEXT,
+            valid_until TEXT,
+            max_uses INTEGER,
+            max_uses_per_user INTEGER,
+            station_code TEXT,
+            travel_date_from TEXT,
+            travel_date_to TEXT,
+            active ${boolean} DEFAULT 1,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.run('ALTER TABLE bookings ADD COLUMN promo_code TEXT');
+    await db.run(`ALTER TABLE bookings ADD COLUMN discount ${real} NOT NULL DEFAULT 0`);
+    await db.run('CREATE INDEX idx_bookings_promo_code ON bookings (promo_code)');
+}
+
+async function down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_bookings_promo_code');
+    await db.run('ALTER TABLE bookings DROP COLUMN discount');
+    await db.run('ALTER TABLE bookings DROP COLUMN promo_code');
+    await db.run('DROP TABLE IF EXISTS promo_codes');
+    await db.run('DROP TABLE IF EXISTS concession_documents');
+    await db.run('ALTER TABLE users DROP COLUMN date_of_birth_verified_by');
+    await db.run('ALTER TABLE users DROP COLUMN date_of_birth_verified_at');
+    await db.run('ALTER TABLE users DROP COLUMN date_of_birth');
+    await db.run('ALTER TABLE prices DROP COLUMN concession');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,47 @@
+// Group bookings: every passenger on a booking gets a row with their own
+// ticket type, optional name, fare and QR code (their sub-ticket). Gate
+// taps made with a sub-ticket record the passenger number. Bookings made
+// before this get one row per passenger on the booking's ticket type; their
+// sub-tickets are issued the next time the booking's QR code is.
+async function up(db) {
+    const { id, timestamp, real } = db.types;
+
+    await db.run(`
+        CREATE TABLE booking_passengers (
+            id ${id},
+            booking_id TEXT NOT NULL,
+            passenger INTEGER NOT NULL,
+            ticket_type TEXT NOT NULL,
+            name TEXT,
+            fare ${real} NOT NULL,
+            qr_code TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (booking_id, passenger)
+        )
+    `);
+
+    await db.run('ALTER TABLE ticket_events ADD COLUMN passenger INTEGER');
+
+    const bookings = await db.all('SELECT id, passengers, ticket_type, total_price FROM bookings');
+
+    for (const booking of bookings) {
+        const fare = Math.round(booking.total_price / booking.passengers * 100) / 100;
+
+        for (let passenger = 1; passenger <= booking.passengers; passenger++) {
+            await db.run(
+                'INSERT INTO booking_passengers (booking_id, passenger, ticket_type, fare) VALUES (?, ?, ?, ?)',
+                [booking.id, passenger, booking.ticket_type, fare]
+            );
+        }
+    }
+}
+
+async function down(db) {
+    await db.run('ALTER TABLE ticket_events DROP COLUMN passenger');
+    await db.run('DROP TABLE IF EXISTS booking_passengers');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,40 @@
+// Return tickets: a booking can cover an outbound journey and a return
+// journey, the same trip the other way on the same or a later day. The
+// return fare is the single fare times the ticket type's return_multiplier
+// (no return fare is sold when it is null). Train legs and gate taps record
+// the journey they belong to, each journey has its own QR codes, and one
+// journey of a return can be cancelled on its own (cancelled_journey).
+async function up(db) {
+    const { real } = db.types;
+
+    await db.run(`ALTER TABLE prices ADD COLUMN return_multiplier ${real}`);
+    await db.run("UPDATE prices SET return_multiplier = 1.8 WHERE multiplier IS NOT NULL");
+
+    await db.run("ALTER TABLE bookings ADD COLUMN trip_type TEXT NOT NULL DEFAULT 'single'");
+    await db.run('ALTER TABLE bookings ADD COLUMN return_date TEXT');
+    await db.run('ALTER TABLE bookings ADD COLUMN return_time TEXT');
+    await db.run('ALTER TABLE bookings ADD COLUMN return_qr_code TEXT');
+    await db.run('ALTER TABLE bookings ADD COLUMN cancelled_journey TEXT');
+
+    await db.run("ALTER TABLE booking_legs ADD COLUMN journey TEXT NOT NULL DEFAULT 'outbound'");
+    await db.run('ALTER TABLE booking_passengers ADD COLUMN return_qr_code TEXT');
+    await db.run("ALTER TABLE ticket_events ADD COLUMN journey TEXT NOT NULL DEFAULT 'outbound'");
+}
+
+async function down(db) {
+    await db.run('ALTER TABLE ticket_events DROP COLUMN journey');
+    await db.run('ALTER TABLE booking_passengers DROP COLUMN return_qr_code');
+    await db.run("DELETE FROM booking_legs WHERE journey = 'return'");
+    await db.run('ALTER TABLE booking_legs DROP COLUMN journey');
+    await db.run('ALTER TABLE bookings DROP COLUMN cancelled_journey');
+    await db.run('ALTER TABLE bookings DROP COLUMN return_qr_code');
+    await db.run('ALTER TABLE bookings DROP COLUMN return_time');
+    await db.run('ALTER TABLE bookings DROP COLUMN return_date');
+    await db.run('ALTER TABLE bookings DROP COLUMN trip_type');
+    await db.run('ALTER TABLE prices DROP COLUMN return_multiplier');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,32 @@
+// Idempotency keys belong to the caller that sent them: a signed-in user's
+// id, or 'anonymous' for guests. Two callers can use the same key without
+// seeing each other's responses. Stored keys only last a day, so the table
+// is recreated rather than converted.
+function idempotencyKeysTable({ timestamp }, { perCaller }) {
+    return `
+        CREATE TABLE idempotency_keys (
+            ${perCaller ? 'caller TEXT NOT NULL, ' : ''}key TEXT NOT NULL,
+            request_hash TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'processing',
+            response_status INTEGER,
+            response_body TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (${perCaller ? 'caller, key' : 'key'})
+        )
+    `;
+}
+
+async function up(db) {
+    await db.run('DROP TABLE idempotency_keys');
+    await db.run(idempotencyKeysTable(db.types, { perCaller: true }));
+}
+
+async function down(db) {
+    await db.run('DROP TABLE idempotency_keys');
+    await db.run(idempotencyKeysTable(db.types, { perCaller: false }));
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,20 @@
+// Unpaid bookings hold their seats until hold_expires_at; after that they
+// fail and their seats go back on sale. Bookings already waiting for
+// payment get no more time, so their seats free up on the next check.
+async function up(db) {
+    const { timestamp } = db.types;
+
+    await db.run(`ALTER TABLE bookings ADD COLUMN hold_expires_at ${timestamp}`);
+    await db.run("UPDATE bookings SET hold_expires_at = CURRENT_TIMESTAMP WHERE status = 'pending_payment'");
+    await db.run('CREATE INDEX idx_bookings_hold_expires_at ON bookings (status, hold_expires_at)');
+}
+
+async function down(db) {
+    await db.run('DROP INDEX idx_bookings_hold_expires_at');
+    await db.run('ALTER TABLE bookings DROP COLUMN hold_expires_at');
+}
+
+module.exports = {
+    up,
+    down
+};
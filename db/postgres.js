@@ -0,0 +1,117 @@
+// PostgreSQL backend, used with DB_CLIENT=postgres and DATABASE_URL.
+// Every query goes over one connection, as it does with SQLite. A
+// BEGIN ... COMMIT block therefore takes in any other query that runs on
+// the connection before it commits, on both backends: only use one where
+// nothing else can run at the same time, such as seeding on startup.
+const types = {
+    id: 'SERIAL PRIMARY KEY',
+    timestamp: 'TIMESTAMP(0)',
+    real: 'DOUBLE PRECISION',
+    // Stored as 0/1 so `active = 1` reads the same as in SQLite
+    boolean: 'INTEGER'
+};
+
+// Rewrite ? placeholders as $1, $2, ... leaving quoted text alone
+function toNumberedParams(query) {
+    let count = 0;
+    let quote = null;
+    let result = '';
+
+    for (const char of query) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === '?') {
+            result += `$${++count}`;
+            continue;
+        }
+        result += char;
+    }
+
+    return result;
+}
+
+function connect({ connectionString }) {
+    if (!connectionString) {
+        throw new Error('DATABASE_URL must be set when DB_CLIENT is postgres');
+    }
+
+    const pg = require('pg');
+    const { builtins } = pg.types;
+
+    // Results in the shapes SQLite gives: counts and sums as numbers, dates
+    // as 'YYYY-MM-DD'. Timestamps are kept in UTC and returned as ISO strings.
+    const parsers = {
+        [builtins.INT8]: value => parseInt(value, 10),
+        [builtins.NUMERIC]: value => parseFloat(value),
+        [builtins.DATE]: value => value,
+        [builtins.TIMESTAMP]: value => `${value.replace(' ', 'T')}Z`
+    };
+
+    const client = new pg.Client({
+        connectionString,
+        types: {
+            getTypeParser: (oid, format) => parsers[oid] || pg.types.getTypeParser(oid, format)
+        }
+    });
+
+    client.on('error', error => console.error('PostgreSQL connection error:', error));
+
+    const connected = client.connect()
+        .then(() => client.query("SET TIME ZONE 'UTC'"))
+        .then(() => console.log('Connected to PostgreSQL database.'));
+
+    // A failed connection is reported by the queries waiting on it
+    connected.catch(() => {});
+
+    const query = (sql, params) => connected.then(() => client.query(toNumberedParams(sql), params));
+
+    return {
+        dialect: 'postgres',
+        types,
+
+        async get(sql, params = []) {
+            const result = await query(sql, params);
+            return result.rows[0];
+        },
+
+        async all(sql, params = []) {
+            const result = await query(sql, params);
+            return result.rows;
+        },
+
+        // New rows are returned so their generated id can be reported as lastID
+        async run(sql, params = []) {
+            const returning = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+            const result = await query(returning ? `${sql} RETURNING *` : sql, params);
+
+            return {
+                lastID: returning && result.rows[0] ? result.rows[0].id : undefined,
+                changes: result.rowCount
+            };
+        },
+
+        async hasColumn(table, column) {
+            const result = await query(`
+                SELECT 1 FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?
+            `, [table, column]);
+            return result.rowCount > 0;
+        },
+
+        // 23505 is unique_violation
+        isUniqueViolation(error, table) {
+            return error.code === '23505' && (!table || error.table === table);
+        },
+
+        close() {
+            return client.end();
+        }
+    };
+}
+
+module.exports = {
+    name: 'postgres',
+    connect
+};
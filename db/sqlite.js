@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+
+// SQLite backend: a single database file, opened once
+const types = {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    timestamp: 'DATETIME',
+    real: 'REAL',
+    boolean: 'BOOLEAN'
+};
+
+function connect({ filename }) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+    let db;
+    const opened = new Promise((resolve, reject) => {
+        db = new sqlite3.Database(filename, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                console.log(`Connected to SQLite database at ${filename}.`);
+                resolve();
+            }
+        });
+    });
+
+    // Queries wait for the file to open; an open error fails every query
+    opened.catch(() => {});
+    const call = (method, query, params) => opened.then(() => new Promise((resolve, reject) => {
+        db[method](query, params, function(err, result) {
+            if (err) reject(err);
+            else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    }));
+
+    return {
+        dialect: 'sqlite',
+        types,
+
+        get(query, params = []) {
+            return call('get', query, params);
+        },
+
+        all(query, params = []) {
+            return call('all', query, params);
+        },
+
+        run(query, params = []) {
+            return call('run', query, params);
+        },
+
+        async hasColumn(table, column) {
+            const columns = await call('all', `PRAGMA table_info(${table})`, []);
+            return columns.some(existing => existing.name === column);
+        },
+
+        // SQLite names the failing key in the message, e.g.
+        // "UNIQUE constraint failed: bookings.id"
+        isUniqueViolation(error, table) {
+            return error.code === 'SQLITE_CONSTRAINT' &&
+                /UNIQUE constraint failed/.test(error.message) &&
+                (!table || error.message.includes(` ${table}.`));
+        },
+
+        close() {
+            return opened.then(() => new Promise((resolve, reject) => {
+                db.close(err => (err ? reject(err) : resolve()));
+            }));
+        }
+    };
+}
+
+module.exports = {
+    name: 'sqlite',
+    connect
+};
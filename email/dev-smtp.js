@@ -0,0 +1,118 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local SMTP stand-in for development and testing. It accepts every message
+// without authentication and saves it as an .eml file, so the email queue
+// can be exercised without a real mail server:
+//
+//   npm run mail:dev
+//   EMAIL_HOST=127.0.0.1 EMAIL_PORT=2525 npm start
+const PORT = parseInt(process.env.DEV_SMTP_PORT) || 2525;
+const OUTBOX = process.env.DEV_SMTP_OUTBOX || path.join(__dirname, 'outbox');
+
+function saveMessage({ from, to, lines }) {
+    const file = path.join(OUTBOX, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    const envelope = `X-Envelope-From: ${from}\r\nX-Envelope-To: ${to.join(', ')}\r\n`;
+
+    fs.writeFileSync(file, envelope + lines.join('\r\n') + '\r\n', 'latin1');
+    console.log(`Saved message for ${to.join(', ')} to ${file}`);
+}
+
+function handleConnection(socket) {
+    let buffer = '';
+    let message = null;
+    let readingData = false;
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    const handleCommand = line => {
+        const verb = line.split(' ', 1)[0].toUpperCase();
+        const argument = line.slice(verb.length).trim();
+        const address = () => (argument.match(/<([^>]*)>/) || [])[1] || '';
+
+        switch (verb) {
+            case 'EHLO':
+                socket.write('250-localhost\r\n250-8BITMIME\r\n250 SIZE 26214400\r\n');
+                break;
+            case 'HELO':
+                reply('250 localhost');
+                break;
+            case 'MAIL':
+                message = { from: address(), to: [], lines: [] };
+                reply('250 OK');
+                break;
+            case 'RCPT':
+                if (!message) {
+                    reply('503 MAIL FROM first');
+                    break;
+                }
+                message.to.push(address());
+                reply('250 OK');
+                break;
+            case 'DATA':
+                if (!message || message.to.length === 0) {
+                    reply('503 RCPT TO first');
+                    break;
+                }
+                readingData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+                break;
+            case 'RSET':
+                message = null;
+                reply('250 OK');
+                break;
+            case 'NOOP':
+                reply('250 OK');
+                break;
+            case 'QUIT':
+                reply('221 Bye');
+                socket.end();
+                break;
+            default:
+                reply('502 Command not implemented');
+        }
+    };
+
+    const handleDataLine = line => {
+        if (line !== '.') {
+            // Undo dot-stuffing
+            message.lines.push(line.startsWith('..') ? line.slice(1) : line);
+            return;
+        }
+
+        readingData = false;
+        try {
+            saveMessage(message);
+            reply('250 OK: message saved');
+        } catch (error) {
+            console.error('Failed to save message:', error);
+            reply('451 Could not save message');
+        }
+        message = null;
+    };
+
+    reply('220 localhost Metro Booking development SMTP');
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('latin1');
+
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            if (readingData) handleDataLine(line);
+            else handleCommand(line);
+        }
+    });
+
+    socket.on('error', error => console.error('SMTP connection error:', error.message));
+}
+
+fs.mkdirSync(OUTBOX, { recursive: true });
+
+net.createServer(handleConnection).listen(PORT, () => {
+    console.log(`Development SMTP server listening on port ${PORT}, saving mail to ${OUTBOX}`);
+});
@@ -0,0 +1,61 @@
+const nodemailer = require('nodemailer');
+const templates = require('./templates');
+
+// Outgoing email over SMTP. EMAIL_HOST and EMAIL_PORT name the server and
+// EMAIL_USER/EMAIL_PASS log in to it when set. For development, point them
+// at the local stand-in (npm run mail:dev) to catch mail in email/outbox.
+const EMAIL_FROM = process.env.EMAIL_FROM ||
+    `"${process.env.APP_NAME || 'Metro Ticket Booking'}" <${process.env.SUPPORT_EMAIL || 'no-reply@localhost'}>`;
+
+let transporter = null;
+
+function isEmailConfigured() {
+    return Boolean(process.env.EMAIL_HOST);
+}
+
+function getTransporter() {
+    if (!transporter) {
+        const port = parseInt(process.env.EMAIL_PORT) || 587;
+
+        transporter = nodemailer.createTransport({
+            host: process.env.EMAIL_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.EMAIL_USER
+                ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+                : undefined,
+            // Fail fast so a stuck server shows up as a retryable job failure
+            connectionTimeout: 10000,
+            greetingTimeout: 10000,
+            socketTimeout: 30000
+        });
+    }
+
+    return transporter;
+}
+
+// Render a template (see templates.js) and send it.
+// Rejects if the SMTP server does not accept the message.
+async function sendTemplatedEmail(to, templateName, data) {
+    const template = templates[templateName];
+
+    if (!template) {
+        throw new Error(`Unknown email template "${templateName}"`);
+    }
+
+    const { subject, text, html, attachments = [] } = template(data);
+
+    return getTransporter().sendMail({
+        from: EMAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+        attachments
+    });
+}
+
+module.exports = {
+    isEmailConfigured,
+    sendTemplatedEmail
+};
@@ -0,0 +1,191 @@
+// Email templates. Each takes the data the email job gathers:
+//   { recipientName, booking, currency, appUrl, ...extra }
+// where booking has id, from, to (station names), date, time, passengers,
+// ticketType, totalPrice and qrCode (a PNG data URL or null), plus for a
+// return returnDate, returnTime, returnQrCode and cancelledJourney, and
+// returns { subject, text, html, attachments }.
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function tripDetails(booking, currency) {
+    const returnJourney = booking.returnDate
+        ? [['Return', `${formatDate(booking.returnDate)} at ${booking.returnTime}`]]
+        : [];
+
+    return [
+        ['Booking ID', booking.id],
+        ['From', booking.from],
+        ['To', booking.to],
+        ['Date', formatDate(booking.date)],
+        ['Departure', booking.time],
+        ...returnJourney,
+        ['Passengers', booking.passengers],
+        ['Ticket type', booking.ticketType],
+        ['Total', formatMoney(booking.totalPrice, currency)]
+    ];
+}
+
+// Wrap paragraphs and a details table in the shared layout, as both the
+// HTML and the plain text part
+function render({ heading, greeting, paragraphs, details = [], qrCode = false, returnQrCode = false, closing = [] }) {
+    const text = [
+        greeting,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        ...details.map(([label, value]) => `${label}: ${value}`),
+        details.length ? '' : null,
+        ...closing.flatMap(paragraph => [paragraph, '']),
+        'Metro Ticket Booking'
+    ].filter(line => line !== null).join('\n');
+
+    const rows = details.map(([label, value]) => `
+            <tr>
+                <td style="padding: 4px 16px 4px 0; color: #718096;">${escapeHtml(label)}</td>
+                <td style="padding: 4px 0; font-weight: bold;">${escapeHtml(value)}</td>
+            </tr>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 24px; background: #f7fafc; font-family: Arial, sans-serif; color: #2d3748;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 24px;">
+        <h1 style="font-size: 20px; color: #667eea;">${escapeHtml(heading)}</h1>
+        <p>${escapeHtml(greeting)}</p>
+        ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${rows ? `<table style="border-collapse: collapse; margin: 16px 0;">${rows}
+        </table>` : ''}
+        ${qrCode ? '<p><img src="cid:ticket-qr" alt="Ticket QR code" width="200" height="200"></p>' : ''}
+        ${returnQrCode ? '<p>Return journey:</p><p><img src="cid:return-qr" alt="Return ticket QR code" width="200" height="200"></p>' : ''}
+        ${closing.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        <p style="color: #718096; font-size: 12px;">Metro Ticket Booking</p>
+    </div>
+</body>
+</html>`;
+
+    return { text, html };
+}
+
+// The QR codes of the journeys still to be used
+function qrAttachment(booking) {
+    const attachments = [];
+
+    if (booking.qrCode && booking.cancelledJourney !== 'outbound') {
+        attachments.push({ filename: `ticket-${booking.id}.png`, path: booking.qrCode, cid: 'ticket-qr' });
+    }
+    if (booking.returnQrCode && booking.cancelledJourney !== 'return') {
+        attachments.push({ filename: `ticket-${booking.id}-return.png`, path: booking.returnQrCode, cid: 'return-qr' });
+    }
+    return attachments;
+}
+
+// Sent when a booking is paid for, and again with `updated` after a change
+function bookingConfirmation({ recipientName, booking, currency, updated = false }) {
+    return {
+        subject: updated
+            ? `Your updated metro ticket ${booking.id}`
+            : `Your metro ticket ${booking.id}`,
+        ...render({
+            heading: updated ? 'Your ticket has been updated' : 'Your ticket is confirmed',
+            greeting: `Hello ${recipientName},`,
+            paragraphs: [
+                updated
+                    ? 'Your booking has been changed. Please use the new QR code below; the old one is no longer valid.'
+                    : 'Thank you for booking with us. Your ticket is attached to this email.',
+                booking.returnDate
+                    ? 'Show the QR code for each journey at the gate when you enter and leave the metro.'
+                    : 'Show the QR code at the gate when you enter and leave the metro.'
+            ],
+            details: tripDetails(booking, currency),
+            qrCode: Boolean(booking.qrCode) && booking.cancelledJourney !== 'outbound',
+            returnQrCode: Boolean(booking.returnQrCode) && booking.cancelledJourney !== 'return'
+        }),
+        attachments: qrAttachment(booking)
+    };
+}
+
+// Sent when a booking is cancelled, or with `journey` when one journey of
+// a return is
+function bookingCancelled({ recipientName, booking, currency, refundAmount, journey = null }) {
+    return {
+        subject: journey
+            ? `The ${journey} journey of metro booking ${booking.id} has been cancelled`
+            : `Metro booking ${booking.id} cancelled`,
+        ...render({
+            heading: journey ? `Your ${journey} journey has been cancelled` : 'Your booking has been cancelled',
+            greeting: `Hello ${recipientName},`,
+            paragraphs: [
+                refundAmount > 0
+                    ? `We have refunded ${formatMoney(refundAmount, currency)} to your original payment method.`
+                    : 'No refund is due for this booking.',
+                journey
+                    ? `The ticket for the ${journey} journey can no longer be used. The other journey is unchanged.`
+                    : 'Its ticket can no longer be used.'
+            ],
+            details: tripDetails(booking, currency),
+            qrCode: Boolean(journey) && Boolean(booking.qrCode) && booking.cancelledJourney !== 'outbound',
+            returnQrCode: Boolean(journey) && Boolean(booking.returnQrCode) && booking.cancelledJourney !== 'return'
+        }),
+        attachments: journey ? qrAttachment(booking) : []
+    };
+}
+
+function travelReminder({ recipientName, booking, currency, minutesBefore }) {
+    return {
+        subject: `Your train leaves at ${booking.time}`,
+        ...render({
+            heading: 'Your trip is coming up',
+            greeting: `Hello ${recipientName},`,
+            paragraphs: [
+                `Your train from ${booking.from} leaves in about ${minutesBefore} minutes, at ${booking.time}.`,
+                'Your ticket is attached in case you need it at the gate.'
+            ],
+            details: tripDetails(booking, currency),
+            qrCode: Boolean(booking.qrCode)
+        }),
+        // Only the ticket for the journey coming up
+        attachments: qrAttachment({ ...booking, returnQrCode: null })
+    };
+}
+
+// Sent when a waitlisted booking gets a seat and is waiting to be paid for
+function seatAvailable({ recipientName, booking, currency, appUrl }) {
+    return {
+        subject: `A seat is available for booking ${booking.id}`,
+        ...render({
+            heading: 'Good news: a seat has freed up',
+            greeting: `Hello ${recipientName},`,
+            paragraphs: [
+                'A seat is now held for you on the train you were waitlisted for.',
+                'Pay for your booking to receive your ticket. The seat is only yours once it is paid for.'
+            ],
+            details: tripDetails(booking, currency),
+            closing: [`Pay now: ${appUrl}/#account`]
+        })
+    };
+}
+
+module.exports = {
+    bookingConfirmation,
+    bookingCancelled,
+    travelReminder,
+    seatAvailable
+};
@@ -0,0 +1,27 @@
+const mockProvider = require('./mock');
+
+// Payment providers, keyed by the name used in PAYMENT_PROVIDER and in
+// the webhook URL (/api/payments/webhooks/:provider).
+//
+// A provider implements:
+//   createPayment({ paymentId, amount, currency, description })
+//       -> Promise<{ providerReference, status, checkoutUrl }>
+//   refund({ providerReference, amount, currency })
+//       -> Promise<{ providerReference, status }>
+//   verifyWebhook(rawBody, headers)
+//       -> { id, type, providerReference, amount } or null if the signature is invalid
+//
+// Webhook event types are 'payment.succeeded', 'payment.failed' and
+// 'refund.succeeded'; a 'payment.succeeded' event whose amount is not the
+// payment's is refused. Statuses are 'pending', 'succeeded' or 'failed'.
+const providers = {
+    [mockProvider.name]: mockProvider
+};
+
+function getPaymentProvider(name) {
+    return providers[name] || null;
+}
+
+module.exports = {
+    getPaymentProvider
+};
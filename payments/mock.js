@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Local stand-in for a card payment gateway, so the whole booking and
+// payment flow can run offline. Payments stay pending until the checkout is
+// completed through simulateCheckout(), which produces the same signed
+// webhook a real gateway would send.
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Payments created in this process, by provider reference
+const payments = new Map();
+
+function sign(timestamp, body) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function createPayment({ paymentId, amount, currency }) {
+    const providerReference = `mock_pay_${paymentId}`;
+    payments.set(providerReference, { amount, currency, status: 'pending' });
+
+    return {
+        providerReference,
+        status: 'pending',
+        // Checkout happens in the app's own test payment dialog
+        checkoutUrl: null
+    };
+}
+
+async function refund({ providerReference, amount }) {
+    const payment = payments.get(providerReference);
+    if (payment) {
+        payment.refunded = (payment.refunded || 0) + amount;
+    }
+
+    // Mock refunds settle immediately
+    return {
+        providerReference: `mock_ref_${crypto.randomUUID()}`,
+        status: 'succeeded'
+    };
+}
+
+// Build a signed webhook for a completed or declined checkout. `amount` is
+// charged for payments this process has not seen, such as ones created
+// before a restart.
+function simulateCheckout(providerReference, outcome, amount = null) {
+    const payment = payments.get(providerReference);
+    const succeeded = outcome !== 'failed';
+
+    if (payment) {
+        payment.status = succeeded ? 'succeeded' : 'failed';
+    }
+
+    const body = JSON.stringify({
+        id: `mock_evt_${crypto.randomUUID()}`,
+        type: succeeded ? 'payment.succeeded' : 'payment.failed',
+        data: {
+            reference: providerReference,
+            amount: payment ? payment.amount : amount
+        }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+        body: Buffer.from(body),
+        headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, body)}` }
+    };
+}
+
+function verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody.toString('utf8')));
+    const actual = Buffer.from(parts.v1);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+
+    return {
+        id: event.id,
+        type: event.type,
+        providerReference: event.data.reference,
+        amount: event.data.amount
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    createPayment,
+    refund,
+    verifyWebhook,
+    simulateCheckout
+};
@@ -2,139 +2,1740 @@
 const hamburger = document.querySelector('.hamburger');
 const navList = document.querySelector('.nav-list');
 const bookingForm = document.getElementById('bookingForm');
-const fromSelect = document.getElementById('from');
-const toSelect = document.getElementById('to');
+const fromInput = document.getElementById('from');
+const toInput = document.getElementById('to');
 const dateInput = document.getElementById('date');
-const timeInput = document.getElementById('time');
+const departureSelect = document.getElementById('time');
 const passengersSelect = document.getElementById('passengers');
-const ticketTypeSelect = document.getElementById('ticketType');
+const tripTypeSelect = document.getElementById('tripType');
+const returnDateInput = document.getElementById('returnDate');
+const returnDepartureSelect = document.getElementById('returnTime');
+const passengerListElement = document.getElementById('passengerList');
 const totalPriceElement = document.getElementById('totalPrice');
+const fareDetailsElement = document.getElementById('fareDetails');
 const modal = document.getElementById('confirmationModal');
 const closeModal = document.querySelector('.close');
+const paymentModal = document.getElementById('paymentModal');
+const paymentError = document.getElementById('paymentError');
+const authForm = document.getElementById('authForm');
+const authError = document.getElementById('authError');
+const accountPanel = document.getElementById('accountPanel');
+const authForms = document.getElementById('authForms');
 
-// Price configuration
-const ticketPrices = {
-    regular: 2.50,
-    student: 1.50,
-    senior: 1.75,
-    'day-pass': 8.00
-};
+// Price configuration, loaded from GET /api/prices
+let ticketPrices = {};
+let ticketTypes = [];
+
+// The metro network, loaded from GET /api/stations and GET /api/lines.
+// stationNames keeps the names of stations that have since closed, for
+// trips booked to them.
+const NETWORK_REFRESH_INTERVAL = 5 * 60 * 1000;
+let stationNames = {};
+let networkStations = [];
+let networkSignature = '';
+let fromPicker = null;
+let toPicker = null;
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', function() {
+    initializeApp();
+});
+
+function initializeApp() {
+    // Set minimum date to today
+    const today = new Date().toISOString().split('T')[0];
+    dateInput.min = today;
+    dateInput.value = today;
+
+    document.getElementById('passStart').min = today;
+    document.getElementById('passStart').value = today;
+    toggleReturnFields();
+
+    fromPicker = createStationPicker(document.getElementById('fromPicker'));
+    toPicker = createStationPicker(document.getElementById('toPicker'));
+
+    // Add event listeners
+    addEventListeners();
+    
+    // Load prices and calculate initial price
+    renderPassengerRows();
+    loadPrices().then(calculatePrice);
+    loadPassTypes();
+
+    // Build the station pickers and route map, and keep them current as
+    // stations open and close
+    loadNetwork();
+    setInterval(loadNetwork, NETWORK_REFRESH_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            loadNetwork();
+        }
+    });
+    window.addEventListener('online', loadNetwork);
+
+    // Show the signed-in rider's account, if any
+    renderAccount();
+
+    // Show the ticket wallet, then send bookings made while offline on a
+    // previous visit and refresh the tickets
+    renderWallet().then(() => {
+        if (navigator.onLine) {
+            syncWallet();
+        }
+    });
+}
+
+async function loadPrices() {
+    try {
+        const response = await fetch('/api/prices');
+        if (!response.ok) {
+            throw new Error('Failed to load prices');
+        }
+
+        const prices = await response.json();
+        ticketPrices = {};
+        prices.forEach(price => {
+            ticketPrices[price.ticket_type] = price.price;
+        });
+        ticketTypes = prices.map(price => price.ticket_type);
+
+        // Keep the fares offered to each passenger in line with the server prices
+        passengerListElement.querySelectorAll('select').forEach(fillTicketTypeOptions);
+    } catch (error) {
+        console.error('Price loading error:', error);
+    }
+}
+
+// "day-pass" -> "Day Pass"
+function ticketTypeLabel(ticketType) {
+    return ticketType.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function fillTicketTypeOptions(select) {
+    const selected = select.value || 'regular';
+    const types = ticketTypes.length > 0 ? ticketTypes : ['regular'];
+
+    select.innerHTML = '';
+    types.forEach(ticketType => {
+        const price = ticketPrices[ticketType];
+        const option = document.createElement('option');
+        option.value = ticketType;
+        option.textContent = price === undefined
+            ? ticketTypeLabel(ticketType)
+            : `${ticketTypeLabel(ticketType)} ($${price.toFixed(2)})`;
+        select.appendChild(option);
+    });
+    select.value = types.includes(selected) ? selected : types[0];
+}
+
+// One row per passenger with their fare and an optional name. Rows already
+// filled in are kept when the number of passengers changes.
+function renderPassengerRows() {
+    const count = parseInt(passengersSelect.value) || 1;
+    const rows = Array.from(passengerListElement.children);
+
+    rows.slice(count).forEach(row => row.remove());
+
+    for (let index = rows.length; index < count; index++) {
+        const row = document.createElement('div');
+        row.className = 'passenger-row';
+        row.innerHTML = `
+            <span>${index + 1}</span>
+            <select name="passengerType" aria-label="Passenger ${index + 1} fare"></select>
+            <input type="text" name="passengerName" aria-label="Passenger ${index + 1} name" placeholder="Name (optional)" maxlength="60">
+        `;
+        fillTicketTypeOptions(row.querySelector('select'));
+        row.querySelector('select').addEventListener('change', calculatePrice);
+        passengerListElement.appendChild(row);
+    }
+}
+
+// The passengers entered in the form, as { ticketType, name }
+function readPassengerRows() {
+    return Array.from(passengerListElement.children, row => ({
+        ticketType: row.querySelector('select').value,
+        name: row.querySelector('input').value.trim() || undefined
+    }));
+}
+
+// Load the stations and lines, and rebuild the pickers and route map when
+// they have changed since the last load
+async function loadNetwork() {
+    const routeMap = document.getElementById('routeMap');
+
+    try {
+        const [stationsResponse, linesResponse] = await Promise.all([
+            fetch('/api/stations'),
+            fetch('/api/lines')
+        ]);
+        if (!stationsResponse.ok || !linesResponse.ok) {
+            throw new Error('Failed to load the metro network');
+        }
+
+        const [stations, lines] = await Promise.all([stationsResponse.json(), linesResponse.json()]);
+        const signature = JSON.stringify([stations, lines]);
+        if (signature === networkSignature) {
+            return;
+        }
+
+        const firstLoad = !networkSignature;
+        networkSignature = signature;
+
+        stations.forEach(station => {
+            stationNames[station.code] = station.name;
+        });
+        networkStations = stations.map(station => ({
+            ...station,
+            lines: lines.filter(line => line.stations.some(stop => stop.code === station.code))
+        }));
+
+        renderRouteMap(routeMap, lines);
+        document.getElementById('networkStations').textContent = `${stations.length} Stations`;
+        document.getElementById('networkLines').textContent =
+            `${lines.length} ${lines.length === 1 ? 'line' : 'lines'} covering major city areas`;
+        renderWallet();
+
+        // A chosen station that has closed is cleared from the form
+        const closed = [fromPicker, toPicker].filter(picker => !picker.refresh());
+        if (!firstLoad && closed.length > 0) {
+            showNotification('A station you chose is no longer served. Please choose another.', 'error');
+        }
+    } catch (error) {
+        console.error('Network loading error:', error);
+        if (!networkSignature) {
+            routeMap.innerHTML = '<p class="route-plan-hint">The metro map could not be loaded. Please check your connection.</p>';
+        }
+    }
+}
+
+function renderRouteMap(container, lines) {
+    container.innerHTML = '';
+
+    lines.filter(line => line.stations.length > 0).forEach(line => {
+        const name = document.createElement('h3');
+        name.className = `route-line-name ${line.code}-line`;
+        name.style.setProperty('--line-color', line.color);
+        name.textContent = line.name;
+
+        const track = document.createElement('div');
+        track.className = `route-line ${line.code}-line`;
+        track.style.setProperty('--line-color', line.color);
+
+        line.stations.forEach(station => {
+            const stop = document.createElement('button');
+            stop.type = 'button';
+            stop.className = 'station';
+            stop.dataset.station = station.code;
+
+            const dot = document.createElement('span');
+            dot.className = 'station-dot';
+            const label = document.createElement('span');
+            label.className = 'station-name';
+            label.textContent = station.name;
+
+            stop.append(dot, label);
+            stop.addEventListener('click', () => highlightStationRoute(station.code));
+            track.appendChild(stop);
+        });
+
+        container.append(name, track);
+    });
+
+    // Mark the chosen journey on the new map
+    showRoutePlan();
+}
+
+// Searchable station picker: an ARIA combobox over the open stations that
+// keeps the chosen station's code in the hidden form field inside
+// `container` and fires `change` on that field when it changes.
+function createStationPicker(container) {
+    const search = container.querySelector('[role="combobox"]');
+    const listbox = container.querySelector('[role="listbox"]');
+    const field = container.querySelector('input[type="hidden"]');
+    let matches = [];
+    let activeIndex = -1;
+
+    const nameOf = code => stationNames[code] || '';
+
+    function select(code) {
+        const changed = field.value !== code;
+        field.value = code;
+        search.value = nameOf(code);
+        if (changed) {
+            field.dispatchEvent(new Event('change'));
+        }
+    }
+
+    function close() {
+        listbox.hidden = true;
+        search.setAttribute('aria-expanded', 'false');
+        search.removeAttribute('aria-activedescendant');
+        activeIndex = -1;
+    }
+
+    function setActive(index) {
+        activeIndex = index;
+        Array.from(listbox.children).forEach((option, optionIndex) => {
+            option.classList.toggle('active', optionIndex === index);
+        });
+
+        if (matches[index]) {
+            const option = listbox.children[index];
+            search.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        } else {
+            search.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function open(query) {
+        const term = query.trim().toLowerCase();
+        matches = networkStations.filter(station =>
+            station.name.toLowerCase().includes(term) || station.code.includes(term));
+
+        listbox.innerHTML = '';
+        if (matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'station-option-empty';
+            empty.textContent = 'No stations match';
+            listbox.appendChild(empty);
+        }
+
+        matches.forEach(station => {
+            const option = document.createElement('li');
+            option.id = `${listbox.id}-${station.code}`;
+            option.className = 'station-option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(station.code === field.value));
+
+            const name = document.createElement('span');
+            name.textContent = station.name;
+            option.appendChild(name);
+
+            station.lines.forEach(line => {
+                const badge = document.createElement('span');
+                badge.className = 'line-badge';
+                badge.style.background = line.color;
+                badge.textContent = line.name;
+                option.appendChild(badge);
+            });
+
+            // mousedown rather than click, so the search box keeps focus
+            option.addEventListener('mousedown', e => {
+                e.preventDefault();
+                select(station.code);
+                close();
+            });
+            listbox.appendChild(option);
+        });
+
+        listbox.hidden = false;
+        search.setAttribute('aria-expanded', 'true');
+        setActive(term ? 0 : matches.findIndex(station => station.code === field.value));
+    }
+
+    search.addEventListener('input', () => open(search.value));
+    search.addEventListener('click', () => {
+        if (listbox.hidden) {
+            open('');
+        }
+    });
+
+    search.addEventListener('keydown', e => {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (listbox.hidden) {
+                    open('');
+                } else {
+                    setActive(Math.min(activeIndex + 1, matches.length - 1));
+                }
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!listbox.hidden) {
+                    setActive(Math.max(activeIndex - 1, 0));
+                }
+                break;
+            case 'Enter':
+                if (!listbox.hidden) {
+                    e.preventDefault();
+                    if (matches[activeIndex]) {
+                        select(matches[activeIndex].code);
+                    }
+                    close();
+                }
+                break;
+            case 'Escape':
+                if (!listbox.hidden) {
+                    e.preventDefault();
+                    search.value = nameOf(field.value);
+                    close();
+                }
+                break;
+        }
+    });
+
+    // Leaving the box accepts a station typed out in full; anything else
+    // goes back to the current choice
+    search.addEventListener('blur', () => {
+        const typed = search.value.trim().toLowerCase();
+        const station = networkStations.find(candidate => candidate.name.toLowerCase() === typed);
+
+        if (!typed) {
+            select('');
+        } else if (station) {
+            select(station.code);
+        } else {
+            search.value = nameOf(field.value);
+        }
+        close();
+    });
+
+    return {
+        setValue: select,
+
+        // Redraw after the stations change. Returns false if the chosen
+        // station has closed, which clears it.
+        refresh() {
+            if (field.value && !networkStations.some(station => station.code === field.value)) {
+                select('');
+                return false;
+            }
+
+            search.value = nameOf(field.value);
+            if (!listbox.hidden) {
+                open(search.value);
+            }
+            return true;
+        }
+    };
+}
+
+function addEventListeners() {
+    // Mobile menu toggle
+    hamburger.addEventListener('click', toggleMobileMenu);
+    
+    // Form event listeners
+    passengersSelect.addEventListener('change', renderPassengerRows);
+    passengersSelect.addEventListener('change', calculatePrice);
+    fromInput.addEventListener('change', validateStations);
+    toInput.addEventListener('change', validateStations);
+    fromInput.addEventListener('change', calculatePrice);
+    toInput.addEventListener('change', calculatePrice);
+    fromInput.addEventListener('change', showRoutePlan);
+    toInput.addEventListener('change', showRoutePlan);
+    fromInput.addEventListener('change', loadDepartures);
+    toInput.addEventListener('change', loadDepartures);
+    dateInput.addEventListener('change', loadDepartures);
+    passengersSelect.addEventListener('change', loadDepartures);
+    dateInput.addEventListener('change', calculatePrice);
+    document.getElementById('promoCode').addEventListener('change', calculatePrice);
+    tripTypeSelect.addEventListener('change', toggleReturnFields);
+    tripTypeSelect.addEventListener('change', calculatePrice);
+    dateInput.addEventListener('change', toggleReturnFields);
+    departureSelect.addEventListener('change', loadReturnDepartures);
+    returnDateInput.addEventListener('change', loadReturnDepartures);
+    
+    // Season pass mode of the form
+    document.querySelectorAll('[data-booking-mode]').forEach(tab => {
+        tab.addEventListener('click', () => setBookingMode(tab.dataset.bookingMode));
+    });
+    ['passType', 'passZones', 'passStart'].forEach(id => {
+        document.getElementById(id).addEventListener('change', quotePassPrice);
+    });
+
+    // Form submission
+    bookingForm.addEventListener('submit', handleBookingSubmission);
+
+    // Account event listeners
+    authForm.addEventListener('submit', handleAuthSubmission);
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+        tab.addEventListener('click', () => setAuthMode(tab.dataset.authMode));
+    });
+    document.getElementById('logoutButton').addEventListener('click', logout);
+    document.getElementById('openCardButton').addEventListener('click', openCard);
+    document.querySelectorAll('[data-top-up]').forEach(button => {
+        button.addEventListener('click', () => topUpCard(Number(button.dataset.topUp)));
+    });
+    document.getElementById('concessionCategory').addEventListener('change', updateConcessionDocumentTypes);
+    document.getElementById('concessionForm').addEventListener('submit', submitConcessionDocument);
+    
+    // Modal event listeners
+    closeModal.addEventListener('click', closeConfirmationModal);
+    window.addEventListener('click', function(event) {
+        if (event.target === modal) {
+            closeConfirmationModal();
+        }
+        if (event.target === paymentModal) {
+            closePaymentModal();
+        }
+    });
+
+    // Ticket download listeners
+    document.getElementById('downloadPdfButton').addEventListener('click', () => {
+        downloadTicketFile(confirmedBookingId, 'ticket.pdf');
+    });
+    document.getElementById('downloadPassButton').addEventListener('click', () => {
+        downloadTicketFile(confirmedBookingId, 'pass.json');
+    });
+    document.getElementById('downloadReturnPassButton').addEventListener('click', () => {
+        downloadTicketFile(confirmedBookingId, 'pass.json?journey=return');
+    });
+
+    // Payment event listeners
+    document.getElementById('closePayment').addEventListener('click', closePaymentModal);
+    document.getElementById('payButton').addEventListener('click', () => completePayment('succeeded'));
+    document.getElementById('declineButton').addEventListener('click', () => completePayment('failed'));
+    
+    // Smooth scrolling for navigation links
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        anchor.addEventListener('click', function (e) {
+            e.preventDefault();
+            const target = document.querySelector(this.getAttribute('href'));
+            if (target) {
+                target.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'start'
+                });
+                // Close mobile menu if open
+                navList.classList.remove('active');
+            }
+        });
+    });
+}
+
+// Authentication state, persisted between visits
+let authState = loadAuthState();
+let authMode = 'login';
+
+function loadAuthState() {
+    try {
+        return JSON.parse(localStorage.getItem('metroAuth'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveAuthState(state) {
+    authState = state;
+    if (state) {
+        localStorage.setItem('metroAuth', JSON.stringify(state));
+    } else {
+        localStorage.removeItem('metroAuth');
+    }
+}
+
+// fetch() that sends the access token and retries once after refreshing it
+async function apiFetch(url, options = {}) {
+    const send = () => {
+        const headers = { ...options.headers };
+        if (authState) {
+            headers.Authorization = `Bearer ${authState.accessToken}`;
+        }
+        return fetch(url, { ...options, headers });
+    };
+
+    let response = await send();
+    if (response.status === 401 && authState && await refreshAccessToken()) {
+        response = await send();
+    }
+    return response;
+}
+
+async function refreshAccessToken() {
+    try {
+        const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken: authState.refreshToken })
+        });
+
+        if (!response.ok) {
+            // The session is over; fall back to booking as a guest
+            saveAuthState(null);
+            renderAccount();
+            return false;
+        }
+
+        saveAuthState(await response.json());
+        return true;
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        return false;
+    }
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.authMode === mode);
+    });
+    authForm.querySelector('.register-only').hidden = mode !== 'register';
+    document.getElementById('authName').required = mode === 'register';
+    document.getElementById('authPassword').autocomplete =
+        mode === 'register' ? 'new-password' : 'current-password';
+    document.getElementById('authSubmit').lastChild.textContent =
+        mode === 'register' ? ' Create Account' : ' Log In';
+    authError.hidden = true;
+}
+
+async function handleAuthSubmission(e) {
+    e.preventDefault();
+
+    const credentials = Object.fromEntries(new FormData(authForm));
+    if (authMode === 'login') {
+        delete credentials.name;
+    }
+
+    try {
+        const response = await fetch(`/api/auth/${authMode}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(credentials)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            authError.textContent = result.error || 'Something went wrong. Please try again.';
+            authError.hidden = false;
+            return;
+        }
+
+        saveAuthState(result);
+        authForm.reset();
+        authError.hidden = true;
+        renderAccount();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        authError.textContent = 'You appear to be offline. Please try again later.';
+        authError.hidden = false;
+    }
+}
+
+async function logout() {
+    const refreshToken = authState && authState.refreshToken;
+    saveAuthState(null);
+    renderAccount();
+
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+}
+
+function renderAccount() {
+    authForms.hidden = Boolean(authState);
+    accountPanel.hidden = !authState;
+
+    // Signed-in riders get their ticket at their account's address
+    document.getElementById('guestEmailGroup').hidden = Boolean(authState);
+
+    if (!authState) {
+        concessionEligibility = null;
+        return;
+    }
+
+    document.getElementById('accountName').textContent = authState.user.name;
+    document.getElementById('accountEmail').textContent = authState.user.email;
+    document.getElementById('adminLink').hidden = authState.user.role !== 'admin';
+    const passHolder = document.getElementById('passHolder');
+    if (!passHolder.value) {
+        passHolder.value = authState.user.name;
+    }
+    loadCard();
+    loadPasses();
+    loadConcessions();
+    loadMyTrips();
+}
+
+async function loadMyTrips() {
+    const tripList = document.getElementById('myTrips');
+
+    try {
+        const response = await apiFetch('/api/me/bookings');
+        if (!response.ok) {
+            throw new Error('Failed to load trips');
+        }
+
+        const bookings = await response.json();
+        tripList.innerHTML = '';
+        updateWalletTickets(bookings);
+
+        if (bookings.length === 0) {
+            tripList.innerHTML = '<li class="trip-empty">No trips booked yet.</li>';
+            return;
+        }
+
+        bookings.forEach(booking => {
+            const item = document.createElement('li');
+            const details = document.createElement('div');
+
+            const route = document.createElement('div');
+            route.className = 'trip-route';
+            route.textContent = `${stationNames[booking.from_station] || booking.from_station} → ` +
+                `${stationNames[booking.to_station] || booking.to_station}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'trip-meta';
+            const journeyCancelled = journey => booking.cancelled_journey === journey ? ' (cancelled)' : '';
+            meta.textContent = `${formatDate(booking.travel_date)} at ${booking.travel_time}${journeyCancelled('outbound')} · ` +
+                (booking.trip_type === 'return'
+                    ? `back ${formatDate(booking.return_date)} at ${booking.return_time}${journeyCancelled('return')} · `
+                    : '') +
+                `${booking.passengers} ${booking.passengers === 1 ? 'passenger' : 'passengers'} · ` +
+                `$${booking.total_price.toFixed(2)}${booking.promo_code ? ` with ${booking.promo_code}` : ''} · ${booking.id}`;
+
+            const status = document.createElement('span');
+            status.className = 'trip-status';
+            status.textContent = booking.status.replace('_', ' ');
+
+            const side = document.createElement('div');
+            side.className = 'trip-side';
+            side.appendChild(status);
+
+            if (booking.status === 'pending_payment' || booking.status === 'failed') {
+                const payButton = document.createElement('button');
+                payButton.type = 'button';
+                payButton.className = 'trip-action';
+                payButton.textContent = 'Pay';
+                payButton.addEventListener('click', () => resumePayment(fromBookingRow(booking)));
+                side.appendChild(payButton);
+            }
+
+            if (booking.status === 'pending_payment' || booking.status === 'waitlisted') {
+                const cancelButton = document.createElement('button');
+                cancelButton.type = 'button';
+                cancelButton.className = 'trip-action';
+                cancelButton.textContent = 'Cancel';
+                cancelButton.addEventListener('click', () => cancelTrip(booking));
+                side.appendChild(cancelButton);
+            }
+
+            if (booking.status === 'paid') {
+                const ticketButton = document.createElement('button');
+                ticketButton.type = 'button';
+                ticketButton.className = 'trip-action';
+                ticketButton.textContent = 'Ticket';
+                ticketButton.addEventListener('click', () => showBookingConfirmation(fromBookingRow(booking)));
+                side.appendChild(ticketButton);
+
+                // A return with a cancelled journey can only be cancelled outright
+                if (!booking.cancelled_journey) {
+                    const changeButton = document.createElement('button');
+                    changeButton.type = 'button';
+                    changeButton.className = 'trip-action';
+                    changeButton.textContent = 'Change';
+                    changeButton.addEventListener('click', () => toggleTripChangeForm(item, booking));
+                    side.appendChild(changeButton);
+                }
+
+                const cancelButton = document.createElement('button');
+                cancelButton.type = 'button';
+                cancelButton.className = 'trip-action';
+                cancelButton.textContent = 'Cancel';
+                cancelButton.addEventListener('click', () => cancelTrip(booking));
+                side.appendChild(cancelButton);
+
+                // Either journey of a return can be cancelled on its own
+                if (booking.trip_type === 'return' && !booking.cancelled_journey) {
+                    ['outbound', 'return'].forEach(journey => {
+                        const journeyButton = document.createElement('button');
+                        journeyButton.type = 'button';
+                        journeyButton.className = 'trip-action';
+                        journeyButton.textContent = journey === 'outbound' ? 'Cancel Outbound' : 'Cancel Return';
+                        journeyButton.addEventListener('click', () => cancelTrip(booking, journey));
+                        side.appendChild(journeyButton);
+                    });
+                }
+            }
+
+            details.append(route, meta);
+            item.append(details, side);
+            tripList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Trip loading error:', error);
+        tripList.innerHTML = '<li class="trip-empty">Your trips could not be loaded right now.</li>';
+    }
+}
+
+function toggleTripChangeForm(item, booking) {
+    const existingForm = item.querySelector('.trip-change-form');
+    if (existingForm) {
+        existingForm.remove();
+        return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'trip-change-form';
+    const isReturn = booking.trip_type === 'return';
+    form.innerHTML = `
+        <input type="date" name="date" aria-label="Travel date" required>
+        <select name="time" aria-label="Departure" required></select>
+        ${isReturn ? `
+        <input type="date" name="returnDate" aria-label="Return date" required>
+        <select name="returnTime" aria-label="Return departure" required></select>
+        ` : ''}
+        <select name="passengers" aria-label="Passengers"></select>
+        <button type="submit" class="trip-action">Save</button>
+    `;
+    form.elements.date.min = new Date().toISOString().split('T')[0];
+    form.elements.date.value = booking.travel_date;
+    if (isReturn) {
+        form.elements.returnDate.min = form.elements.date.min;
+        form.elements.returnDate.value = booking.return_date;
+    }
+    Array.from(passengersSelect.options).forEach(option => {
+        form.elements.passengers.appendChild(option.cloneNode(true));
+    });
+    form.elements.passengers.value = String(booking.passengers);
+
+    // Only real departures can be picked; the current one stays on offer
+    const loadDeparturesInto = async (select, from, to, date, booked) => {
+        const current = select.value || booked;
+        const params = new URLSearchParams({ from, to, date, limit: 200 });
+
+        try {
+            const response = await fetch(`/api/availability?${params}`);
+            if (!response.ok) {
+                throw new Error('Failed to load departures');
+            }
+
+            const { departures } = await response.json();
+            select.innerHTML = '';
+            departures.forEach(departure => {
+                const label = describeDeparture(departure) + (departure.full ? ' · Full' : '');
+                select.appendChild(new Option(label, departure.departs));
+            });
+            if (departures.some(departure => departure.departs === current)) {
+                select.value = current;
+            }
+        } catch (error) {
+            console.error('Departure loading error:', error);
+            select.innerHTML = '';
+            select.appendChild(new Option(current, current));
+        }
+    };
+    const loadTripDepartures = () => loadDeparturesInto(
+        form.elements.time, booking.from_station, booking.to_station, form.elements.date.value, booking.travel_time
+    );
+    form.elements.date.addEventListener('change', loadTripDepartures);
+    loadTripDepartures();
+
+    if (isReturn) {
+        const loadReturnTripDepartures = () => loadDeparturesInto(
+            form.elements.returnTime, booking.to_station, booking.from_station,
+            form.elements.returnDate.value, booking.return_time
+        );
+        form.elements.returnDate.addEventListener('change', loadReturnTripDepartures);
+        loadReturnTripDepartures();
+    }
+
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+        await changeTrip(booking, {
+            date: form.elements.date.value,
+            time: form.elements.time.value,
+            ...(isReturn ? {
+                returnDate: form.elements.returnDate.value,
+                returnTime: form.elements.returnTime.value
+            } : {}),
+            passengers: parseInt(form.elements.passengers.value)
+        });
+    });
+
+    item.appendChild(form);
+}
+
+async function changeTrip(booking, changes) {
+    try {
+        const response = await apiFetch(`/api/bookings/${booking.id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Your booking could not be changed.', 'error');
+            return;
+        }
+
+        if (result.pendingPayment) {
+            // The change takes effect once the extra fare is paid
+            showPaymentStep(result.booking, result.payment);
+            return;
+        }
+
+        let message = `Booking ${booking.id} updated. New total: $${result.fare.total.toFixed(2)}.`;
+        if (result.refund.amount > 0) {
+            message += ` Refund: $${result.refund.amount.toFixed(2)}.`;
+        }
+        showNotification(message, 'success');
+        loadMyTrips();
+    } catch (error) {
+        console.error('Booking change error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
+// Cancel a booking, or with a journey only that journey of a return
+async function cancelTrip(booking, journey = null) {
+    try {
+        const quoteResponse = await apiFetch(
+            `/api/bookings/${booking.id}/refund${journey ? `?journey=${journey}` : ''}`
+        );
+        const quote = await quoteResponse.json().catch(() => ({}));
+
+        if (!quoteResponse.ok) {
+            showNotification(quote.error || 'This booking cannot be cancelled.', 'error');
+            return;
+        }
+
+        const refundText = quote.refund.amount > 0
+            ? `You will be refunded $${quote.refund.amount.toFixed(2)} (${quote.refund.percent}%).`
+            : 'This booking is not eligible for a refund.';
+        const question = journey
+            ? `Cancel the ${journey} journey of booking ${booking.id}?`
+            : `Cancel booking ${booking.id}?`;
+        if (!confirm(`${question} ${refundText}`)) {
+            return;
+        }
+
+        const response = await apiFetch(`/api/bookings/${booking.id}/cancel`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(journey ? { journey } : {})
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Your booking could not be cancelled.', 'error');
+            return;
+        }
+
+        showNotification(
+            `${journey ? `The ${journey} journey of booking` : 'Booking'} ${booking.id} cancelled. ` +
+            `Refund: $${result.refund.amount.toFixed(2)}.`,
+            'success'
+        );
+        loadMyTrips();
+    } catch (error) {
+        console.error('Booking cancellation error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
+// Metro Card: balance, fare caps and the latest ledger entries
+async function loadCard() {
+    const cardEmpty = document.getElementById('cardEmpty');
+    const cardDetails = document.getElementById('cardDetails');
+
+    try {
+        const response = await apiFetch('/api/me/card');
+
+        if (response.status === 404) {
+            cardEmpty.hidden = false;
+            cardDetails.hidden = true;
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load card');
+        }
+
+        const card = await response.json();
+        const transactionsResponse = await apiFetch('/api/me/card/transactions?limit=10');
+        const { transactions } = transactionsResponse.ok ? await transactionsResponse.json() : { transactions: [] };
+
+        document.getElementById('cardNumber').textContent = card.id;
+        document.getElementById('cardBalance').textContent = `$${card.balance.toFixed(2)}`;
+        document.getElementById('cardCaps').textContent = card.caps.daily
+            ? `Today $${card.caps.daily.spent.toFixed(2)} of $${card.caps.daily.cap.toFixed(2)} · ` +
+                `This week $${card.caps.weekly.spent.toFixed(2)} of $${card.caps.weekly.cap.toFixed(2)}`
+            : '';
+
+        if (card.journey) {
+            document.getElementById('cardCaps').textContent +=
+                ` · Tapped in at ${stationNames[card.journey.entryStation] || card.journey.entryStation}`;
+        }
+
+        const ledger = document.getElementById('cardTransactions');
+        ledger.innerHTML = '';
+
+        if (transactions.length === 0) {
+            ledger.innerHTML = '<li class="trip-empty">No card activity yet.</li>';
+        }
+
+        transactions.forEach(transaction => {
+            const item = document.createElement('li');
+            const details = document.createElement('div');
+
+            const description = document.createElement('div');
+            description.className = 'trip-route';
+            description.textContent = transaction.type === 'fare'
+                ? transaction.description.replace(/^(\S+) to (\S+)/, (match, from, to) =>
+                    `${stationNames[from] || from} → ${stationNames[to] || to}`)
+                : transaction.description;
+
+            const meta = document.createElement('div');
+            meta.className = 'trip-meta';
+            // Timestamps are UTC, with or without the trailing Z
+            const createdAt = new Date(transaction.createdAt.replace(' ', 'T').replace(/Z?$/, 'Z'));
+            meta.textContent = `${createdAt.toLocaleString()} · ` +
+                `Balance $${transaction.balanceAfter.toFixed(2)}`;
+
+            const amount = document.createElement('span');
+            amount.className = transaction.amount > 0 ? 'trip-route credit' : 'trip-route';
+            amount.textContent = `${transaction.amount > 0 ? '+' : '−'}$${Math.abs(transaction.amount).toFixed(2)}`;
+
+            details.append(description, meta);
+            item.append(details, amount);
+            ledger.appendChild(item);
+        });
+
+        cardEmpty.hidden = true;
+        cardDetails.hidden = false;
+    } catch (error) {
+        console.error('Card loading error:', error);
+        cardEmpty.hidden = true;
+        cardDetails.hidden = true;
+    }
+}
+
+async function openCard() {
+    try {
+        const response = await apiFetch('/api/me/card', { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok && response.status !== 409) {
+            showNotification(result.error || 'Your Metro Card could not be opened.', 'error');
+            return;
+        }
+
+        loadCard();
+    } catch (error) {
+        console.error('Card error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
+function postTopUp(amount) {
+    return apiFetch('/api/me/card/top-ups', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ amount })
+    });
+}
+
+// Top-ups are paid for in the payment modal like bookings
+async function topUpCard(amount) {
+    try {
+        const response = await postTopUp(amount);
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Your top-up could not be started.', 'error');
+            return;
+        }
+
+        showPaymentStep({ id: result.payment.cardId }, result.payment);
+    } catch (error) {
+        console.error('Top-up error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
+// Season passes: bought in the booking form's pass mode, listed in the account
+let bookingMode = 'journey';
+let passTypeNames = {};
+let passQuoteRequest = 0;
+
+function setBookingMode(mode) {
+    const journeyFields = document.getElementById('journeyFields');
+    const passFields = document.getElementById('passFields');
+    bookingMode = mode;
+
+    document.querySelectorAll('[data-booking-mode]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.bookingMode === mode);
+    });
+
+    // Disabled fields are left out of validation and the form data
+    journeyFields.hidden = mode === 'pass';
+    journeyFields.disabled = mode === 'pass';
+    passFields.hidden = mode !== 'pass';
+    passFields.disabled = mode !== 'pass';
+    document.getElementById('bookButtonLabel').textContent = mode === 'pass' ? 'Buy Pass' : 'Book Ticket';
+
+    if (mode === 'pass') {
+        quotePassPrice();
+    } else {
+        calculatePrice();
+    }
+}
+
+function describeZones(zones) {
+    return zones.from === zones.to ? `Zone ${zones.from}` : `Zones ${zones.from}–${zones.to}`;
+}
+
+function formatShortDate(dateString) {
+    return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+async function loadPassTypes() {
+    const passTypeSelect = document.getElementById('passType');
+    const zoneSelect = document.getElementById('passZones');
+
+    try {
+        const response = await fetch('/api/pass-types');
+        if (!response.ok) {
+            throw new Error('Failed to load passes');
+        }
+
+        const { passTypes, zones } = await response.json();
+
+        passTypeSelect.innerHTML = '';
+        passTypes.forEach(passType => {
+            passTypeNames[passType.code] = passType.name;
+            passTypeSelect.appendChild(new Option(`${passType.name} (from $${passType.price.toFixed(2)})`, passType.code));
+        });
+
+        // Every contiguous range of zones, e.g. "Zones 1–2"
+        zoneSelect.innerHTML = '';
+        for (let from = 1; from <= zones; from++) {
+            for (let to = from; to <= zones; to++) {
+                zoneSelect.appendChild(new Option(describeZones({ from, to }), `${from}-${to}`));
+            }
+        }
+    } catch (error) {
+        console.error('Pass loading error:', error);
+    }
+}
+
+async function quotePassPrice() {
+    const requestNumber = ++passQuoteRequest;
+    const type = document.getElementById('passType').value;
+    const [zoneFrom, zoneTo] = document.getElementById('passZones').value.split('-');
+
+    totalPriceElement.textContent = '0.00';
+    fareDetailsElement.textContent = '';
+
+    if (!type || !zoneFrom) {
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({
+            type,
+            zoneFrom,
+            zoneTo,
+            startDate: document.getElementById('passStart').value
+        });
+        const response = await fetch(`/api/passes/quote?${params}`);
+        const quote = await response.json().catch(() => ({}));
+
+        if (requestNumber !== passQuoteRequest) {
+            return;
+        }
+        if (!response.ok) {
+            fareDetailsElement.textContent = quote.error || '';
+            return;
+        }
+
+        totalPriceElement.textContent = quote.price.toFixed(2);
+        fareDetailsElement.textContent = `${describeZones(quote.zones)} · ` +
+            `${formatShortDate(quote.validFrom)} to ${formatShortDate(quote.validUntil)}`;
+    } catch (error) {
+        console.error('Pass quote error:', error);
+    }
+}
+
+// Passes belong to an account so they can be renewed
+async function handlePassSubmission() {
+    if (!authState) {
+        showNotification('Please log in or create an account to buy a season pass.', 'info');
+        document.getElementById('account').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        return;
+    }
+
+    const data = Object.fromEntries(new FormData(bookingForm));
+    const [zoneFrom, zoneTo] = data.zones.split('-').map(Number);
+
+    const submitButton = bookingForm.querySelector('.book-button');
+    const originalText = submitButton.innerHTML;
+    submitButton.innerHTML = '<div class="loading"></div> Processing...';
+    submitButton.disabled = true;
+
+    try {
+        const response = await apiFetch('/api/passes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: data.passType,
+                zoneFrom,
+                zoneTo,
+                startDate: data.startDate,
+                holderName: data.holderName,
+                holderId: data.holderId
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Your pass could not be created.', 'error');
+            return;
+        }
+
+        loadPasses();
+        showPaymentStep({ id: result.pass.id }, result.payment);
+    } catch (error) {
+        console.error('Pass error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    } finally {
+        submitButton.innerHTML = originalText;
+        submitButton.disabled = false;
+    }
+}
+
+async function loadPasses() {
+    const passList = document.getElementById('myPasses');
+
+    try {
+        const response = await apiFetch('/api/me/passes');
+        if (!response.ok) {
+            throw new Error('Failed to load passes');
+        }
+
+        const passes = await response.json();
+        passList.innerHTML = '';
+
+        if (passes.length === 0) {
+            passList.innerHTML = '<li class="trip-empty">No season passes yet.</li>';
+            return;
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        const renewed = new Set(passes.map(pass => pass.renewedFrom).filter(Boolean));
+
+        passes.forEach(pass => {
+            const item = document.createElement('li');
+            const details = document.createElement('div');
+
+            const title = document.createElement('div');
+            title.className = 'trip-route';
+            title.textContent = `${passTypeNames[pass.type] || pass.type} · ${describeZones(pass.zones)}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'trip-meta';
+            meta.textContent = `${pass.holderName} · ${formatShortDate(pass.validFrom)} to ` +
+                `${formatShortDate(pass.validUntil)} · $${pass.price.toFixed(2)} · ${pass.id}`;
+
+            const status = document.createElement('span');
+            status.className = 'trip-status';
+            status.textContent = pass.status === 'paid' && pass.validUntil < today
+                ? 'expired'
+                : pass.status.replace('_', ' ');
+
+            const side = document.createElement('div');
+            side.className = 'trip-side';
+            side.appendChild(status);
+
+            if (pass.status === 'pending_payment' || pass.status === 'failed') {
+                const payButton = document.createElement('button');
+                payButton.type = 'button';
+                payButton.className = 'trip-action';
+                payButton.textContent = 'Pay';
+                payButton.addEventListener('click', () => resumePassPayment(pass));
+                side.appendChild(payButton);
+            }
+
+            if (pass.status === 'paid' && pass.qrCode && pass.validUntil >= today) {
+                const showButton = document.createElement('button');
+                showButton.type = 'button';
+                showButton.className = 'trip-action';
+                showButton.textContent = 'Show';
+                showButton.addEventListener('click', () => {
+                    const existing = item.querySelector('.wallet-qr');
+                    if (existing) {
+                        existing.remove();
+                        return;
+                    }
+                    const qr = document.createElement('img');
+                    qr.className = 'wallet-qr';
+                    qr.src = pass.qrCode;
+                    qr.alt = `QR code for pass ${pass.id}`;
+                    item.appendChild(qr);
+                });
+                side.appendChild(showButton);
+            }
+
+            if (pass.status === 'paid' && !renewed.has(pass.id)) {
+                const renewButton = document.createElement('button');
+                renewButton.type = 'button';
+                renewButton.className = 'trip-action';
+                renewButton.textContent = 'Renew';
+                renewButton.addEventListener('click', () => renewPass(pass));
+                side.appendChild(renewButton);
+            }
+
+            details.append(title, meta);
+            item.append(details, side);
+            passList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Pass loading error:', error);
+        passList.innerHTML = '<li class="trip-empty">Your passes could not be loaded right now.</li>';
+    }
+}
+
+async function resumePassPayment(pass) {
+    try {
+        const response = await apiFetch(`/api/passes/${pass.id}/pay`, { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Payment could not be started.', 'error');
+            return;
+        }
+
+        showPaymentStep({ id: pass.id }, result.payment);
+    } catch (error) {
+        console.error('Payment error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
 
-// Station names mapping
-const stationNames = {
-    central: 'Central Station',
-    downtown: 'Downtown',
-    airport: 'Airport',
-    university: 'University',
-    mall: 'Shopping Mall',
-    hospital: 'City Hospital',
-    stadium: 'Sports Stadium',
-    park: 'City Park'
-};
+async function renewPass(pass) {
+    try {
+        const response = await apiFetch(`/api/passes/${pass.id}/renew`, { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
-    initializeApp();
-});
+        if (!response.ok) {
+            showNotification(result.error || 'Your pass could not be renewed.', 'error');
+            return;
+        }
 
-function initializeApp() {
-    // Set minimum date to today
-    const today = new Date().toISOString().split('T')[0];
-    dateInput.min = today;
-    dateInput.value = today;
+        showNotification(`Renewal ${result.pass.id} runs from ${formatShortDate(result.pass.validFrom)} ` +
+            `to ${formatShortDate(result.pass.validUntil)}.`, 'info');
+        loadPasses();
+        showPaymentStep({ id: result.pass.id }, result.payment);
+    } catch (error) {
+        console.error('Pass renewal error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
 
-    // Set default time
-    const now = new Date();
-    const currentTime = now.getHours().toString().padStart(2, '0') + ':' + 
-                       now.getMinutes().toString().padStart(2, '0');
-    timeInput.value = currentTime;
+// Concessions the signed-in rider qualifies for today, keyed by category
+let concessionEligibility = null;
+let concessionTypes = [];
 
-    // Add event listeners
-    addEventListeners();
-    
-    // Calculate initial price
-    calculatePrice();
-}
+const CONCESSION_DOCUMENT_NAMES = {
+    student_id: 'Student ID',
+    enrolment_letter: 'Enrolment letter',
+    senior_card: 'Senior card',
+    national_id: 'National ID',
+    passport: 'Passport'
+};
 
-function addEventListeners() {
-    // Mobile menu toggle
-    hamburger.addEventListener('click', toggleMobileMenu);
-    
-    // Form event listeners
-    passengersSelect.addEventListener('change', calculatePrice);
-    ticketTypeSelect.addEventListener('change', calculatePrice);
-    fromSelect.addEventListener('change', validateStations);
-    toSelect.addEventListener('change', validateStations);
-    
-    // Form submission
-    bookingForm.addEventListener('submit', handleBookingSubmission);
-    
-    // Modal event listeners
-    closeModal.addEventListener('click', closeConfirmationModal);
-    window.addEventListener('click', function(event) {
-        if (event.target === modal) {
-            closeConfirmationModal();
+async function loadConcessions() {
+    const statusText = document.getElementById('concessionStatus');
+    const documentList = document.getElementById('concessionDocuments');
+
+    try {
+        const response = await apiFetch('/api/me/concessions');
+        if (!response.ok) {
+            throw new Error('Failed to load concessions');
         }
-    });
-    
-    // Smooth scrolling for navigation links
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
-            if (target) {
-                target.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-                // Close mobile menu if open
-                navList.classList.remove('active');
-            }
+
+        const result = await response.json();
+        concessionEligibility = result.eligibility;
+        concessionTypes = result.concessions;
+
+        const eligible = concessionTypes
+            .filter(concession => result.eligibility[concession.category])
+            .map(concession => {
+                const { validUntil } = result.eligibility[concession.category];
+                return validUntil ? `${concession.name} until ${formatShortDate(validUntil)}` : concession.name;
+            });
+        statusText.textContent = eligible.length > 0
+            ? `You can book ${eligible.join(' and ')} fares.`
+            : 'Student and senior fares need a concession checked by our staff. ' +
+                'Submit your document here and show it at any ticket office.';
+
+        documentList.innerHTML = '';
+        result.documents.forEach(entry => {
+            const item = document.createElement('li');
+            const details = document.createElement('div');
+
+            const title = document.createElement('div');
+            title.className = 'trip-route';
+            const concession = concessionTypes.find(type => type.category === entry.category);
+            title.textContent = `${concession ? concession.name : entry.category} · ` +
+                `${CONCESSION_DOCUMENT_NAMES[entry.documentType] || entry.documentType} ${entry.documentReference}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'trip-meta';
+            meta.textContent = entry.status === 'approved'
+                ? `Valid until ${formatShortDate(entry.validUntil)}`
+                : entry.reviewNote || `Submitted ${formatShortDate(entry.createdAt.slice(0, 10))}`;
+
+            const status = document.createElement('span');
+            status.className = 'trip-status';
+            status.textContent = entry.status;
+
+            const side = document.createElement('div');
+            side.className = 'trip-side';
+            side.appendChild(status);
+
+            details.append(title, meta);
+            item.append(details, side);
+            documentList.appendChild(item);
         });
-    });
 
-    // Station hover effects
-    document.querySelectorAll('.station').forEach(station => {
-        station.addEventListener('click', function() {
-            const stationValue = this.dataset.station;
-            highlightStationRoute(stationValue);
+        const categorySelect = document.getElementById('concessionCategory');
+        const selected = categorySelect.value;
+        categorySelect.innerHTML = '';
+        concessionTypes.forEach(concession => {
+            categorySelect.appendChild(new Option(concession.name, concession.category));
         });
+        if (selected) {
+            categorySelect.value = selected;
+        }
+        updateConcessionDocumentTypes();
+
+        // The fare shown may need a concession the rider now has, or no longer has
+        calculatePrice();
+    } catch (error) {
+        console.error('Concession loading error:', error);
+        statusText.textContent = 'Your concessions could not be loaded right now.';
+    }
+}
+
+function updateConcessionDocumentTypes() {
+    const category = document.getElementById('concessionCategory').value;
+    const concession = concessionTypes.find(type => type.category === category);
+    const documentSelect = document.getElementById('concessionDocumentType');
+
+    documentSelect.innerHTML = '';
+    (concession ? concession.documentTypes : []).forEach(type => {
+        documentSelect.appendChild(new Option(CONCESSION_DOCUMENT_NAMES[type] || type, type));
     });
 }
 
+async function submitConcessionDocument(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    try {
+        const response = await apiFetch('/api/me/concessions', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                category: form.elements.category.value,
+                documentType: form.elements.documentType.value,
+                documentReference: form.elements.documentReference.value
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Your document could not be submitted.', 'error');
+            return;
+        }
+
+        form.elements.documentReference.value = '';
+        showNotification('Document submitted. Show it at any ticket office to have it checked.', 'success');
+        loadConcessions();
+    } catch (error) {
+        console.error('Concession submission error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
 function toggleMobileMenu() {
     navList.classList.toggle('active');
     hamburger.classList.toggle('active');
 }
 
-function calculatePrice() {
-    const passengers = parseInt(passengersSelect.value) || 1;
-    const ticketType = ticketTypeSelect.value;
-    const basePrice = ticketPrices[ticketType] || 0;
+// Incremented on every price calculation so a slow quote can't overwrite a newer one
+let fareQuoteRequest = 0;
+
+async function calculatePrice() {
+    const travellers = readPassengerRows();
+    const requestNumber = ++fareQuoteRequest;
     
-    let totalPrice;
-    if (ticketType === 'day-pass') {
-        // Day pass price doesn't multiply by passenger count
-        totalPrice = basePrice;
-    } else {
-        totalPrice = basePrice * passengers;
-    }
+    // Until both stations are chosen show the shortest-trip price. A day
+    // pass is one price for everyone travelling on it.
+    let totalPrice = 0;
+    travellers.forEach((traveller, index) => {
+        const firstDayPass = travellers.findIndex(other => other.ticketType === 'day-pass') === index;
+        if (traveller.ticketType !== 'day-pass' || firstDayPass) {
+            totalPrice += ticketPrices[traveller.ticketType] || 0;
+        }
+    });
     
     totalPriceElement.textContent = totalPrice.toFixed(2);
+    fareDetailsElement.textContent = '';
+
+    if (!fromInput.value || !toInput.value || fromInput.value === toInput.value) {
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({
+            from: fromInput.value,
+            to: toInput.value,
+            types: travellers.map(traveller => traveller.ticketType).join(',')
+        });
+        if (tripTypeSelect.value === 'return') {
+            params.set('tripType', 'return');
+        }
+        const promoCode = document.getElementById('promoCode').value.trim();
+        if (promoCode) {
+            params.set('promoCode', promoCode);
+            params.set('date', dateInput.value);
+        }
+        // Signed in, so promo codes limited per rider are checked for this rider
+        const response = await apiFetch(`/api/fares/quote?${params}`);
+        if (response.status === 400) {
+            // e.g. a ticket type that is not sold as a return
+            const { error } = await response.json().catch(() => ({}));
+            if (requestNumber === fareQuoteRequest) {
+                fareDetailsElement.textContent = error || '';
+            }
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to get fare quote');
+        }
+
+        const { fare, promoError } = await response.json();
+        if (requestNumber !== fareQuoteRequest) {
+            return;
+        }
+
+        totalPriceElement.textContent = fare.total.toFixed(2);
+        fareDetailsElement.textContent = describeFare(fare) + (promoError ? ` · ${promoError}` : '');
+    } catch (error) {
+        console.error('Fare quote error:', error);
+    }
+}
+
+function describeFare(fare) {
+    const parts = [`${fare.stops} ${fare.stops === 1 ? 'stop' : 'stops'}`];
+
+    if (fare.tripType === 'return') {
+        parts.unshift('Return');
+    }
+
+    fare.lines.forEach(line => {
+        const label = ticketTypeLabel(line.ticketType);
+        parts.push(line.quantity === 1
+            ? `${label} $${line.unitPrice.toFixed(2)}`
+            : `${label} $${line.unitPrice.toFixed(2)} × ${line.quantity}`);
+    });
+
+    if (fare.groupDiscount) {
+        parts.push(`Group ${fare.groupDiscount.percent}% −$${fare.groupDiscount.amount.toFixed(2)}`);
+    }
+    if (fare.discount) {
+        parts.push(`${fare.discount.code} −$${fare.discount.amount.toFixed(2)}`);
+    }
+    fare.lines.forEach(line => {
+        if (line.concession && !(concessionEligibility && concessionEligibility[line.concession])) {
+            parts.push(`Needs a verified ${line.concession} concession`);
+        }
+    });
+    return parts.join(' · ');
+}
+
+let departuresRequest = 0;
+
+// Offer the departures for the chosen trip, from GET /api/availability
+async function loadDepartures() {
+    const from = fromInput.value;
+    const to = toInput.value;
+    const date = dateInput.value;
+    const trip = `${from}|${to}|${date}`;
+    const requestNumber = ++departuresRequest;
+
+    if (!from || !to || from === to || !date) {
+        setDeparturePlaceholder('Select stations and date first');
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ from, to, date, passengers: passengersSelect.value, limit: 200 });
+        const response = await fetch(`/api/availability?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load departures');
+        }
+
+        const availability = await response.json();
+        if (requestNumber !== departuresRequest) {
+            return;
+        }
+
+        renderDepartures(availability.departures, trip);
+        loadReturnDepartures();
+    } catch (error) {
+        console.error('Departure loading error:', error);
+
+        // Departures already listed for this trip stay bookable offline
+        if (requestNumber === departuresRequest && departureSelect.dataset.trip !== trip) {
+            setDeparturePlaceholder('Departures could not be loaded');
+        }
+    }
+}
+
+// Show the return date and departure for a return trip, which cannot be
+// before the outbound date
+function toggleReturnFields() {
+    const isReturn = tripTypeSelect.value === 'return';
+
+    document.querySelectorAll('.return-field').forEach(field => {
+        field.hidden = !isReturn;
+    });
+    returnDateInput.required = isReturn;
+    returnDepartureSelect.required = isReturn;
+    returnDateInput.min = dateInput.value;
+
+    if (isReturn && (!returnDateInput.value || returnDateInput.value < dateInput.value)) {
+        returnDateInput.value = dateInput.value;
+    }
+    loadReturnDepartures();
+}
+
+let returnDeparturesRequest = 0;
+
+// Offer the departures back for a return trip. On the outbound date they
+// have to leave after the outbound train arrives.
+async function loadReturnDepartures() {
+    if (tripTypeSelect.value !== 'return') {
+        return;
+    }
+
+    const from = toInput.value;
+    const to = fromInput.value;
+    const date = returnDateInput.value;
+    const outbound = departureSelect.selectedOptions[0];
+    const after = date === dateInput.value && outbound && outbound.dataset.arrives;
+    const trip = `${from}|${to}|${date}|${after || ''}`;
+    const requestNumber = ++returnDeparturesRequest;
+
+    if (!from || !to || from === to || !date) {
+        setDeparturePlaceholder('Select a return date first', returnDepartureSelect);
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ from, to, date, passengers: passengersSelect.value, limit: 200 });
+        if (after) {
+            params.set('after', after);
+        }
+        const response = await fetch(`/api/availability?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load return departures');
+        }
+
+        const availability = await response.json();
+        if (requestNumber !== returnDeparturesRequest) {
+            return;
+        }
+
+        renderDepartures(availability.departures, trip, returnDepartureSelect);
+    } catch (error) {
+        console.error('Departure loading error:', error);
+
+        if (requestNumber === returnDeparturesRequest && returnDepartureSelect.dataset.trip !== trip) {
+            setDeparturePlaceholder('Departures could not be loaded', returnDepartureSelect);
+        }
+    }
+}
+
+function describeDeparture(departure) {
+    const changes = departure.legs.length - 1;
+    let label = `${departure.departs} → ${departure.arrives}`;
+    if (changes > 0) {
+        label += ` · ${changes} ${changes === 1 ? 'change' : 'changes'}`;
+    }
+    if (!departure.full && departure.seatsAvailable < 20) {
+        label += ` · ${departure.seatsAvailable} seats left`;
+    }
+    return label;
+}
+
+function setDeparturePlaceholder(text, select = departureSelect) {
+    select.innerHTML = '';
+    select.appendChild(new Option(text, ''));
+    delete select.dataset.trip;
+}
+
+function renderDepartures(departures, trip, select = departureSelect) {
+    const selected = select.dataset.trip === trip ? select.value : '';
+
+    if (departures.length === 0) {
+        setDeparturePlaceholder('No more departures on this date', select);
+        return;
+    }
+
+    select.innerHTML = '';
+    departures.forEach(departure => {
+        const label = describeDeparture(departure) + (departure.full ? ' · Full, join waitlist' : '');
+        const option = new Option(label, departure.departs);
+        option.dataset.full = String(departure.full);
+        option.dataset.arrives = departure.arrives;
+        select.appendChild(option);
+    });
+
+    select.dataset.trip = trip;
+    if (selected && departures.some(departure => departure.departs === selected)) {
+        select.value = selected;
+    }
 }
 
 function validateStations() {
-    const fromValue = fromSelect.value;
-    const toValue = toSelect.value;
+    const fromValue = fromInput.value;
+    const toValue = toInput.value;
     
     if (fromValue && toValue && fromValue === toValue) {
         alert('Please select different stations for departure and destination.');
-        toSelect.value = '';
+        toPicker.setValue('');
     }
 }
 
-function handleBookingSubmission(e) {
+async function handleBookingSubmission(e) {
     e.preventDefault();
+
+    if (bookingMode === 'pass') {
+        await handlePassSubmission();
+        return;
+    }
     
     // Get form data
     const formData = new FormData(bookingForm);
@@ -144,24 +1745,34 @@ function handleBookingSubmission(e) {
     if (!validateBookingForm(bookingData)) {
         return;
     }
+
+    // A full train can only be booked onto its waitlist
+    const departure = departureSelect.selectedOptions[0];
+    const returnDeparture = bookingData.tripType === 'return' ? returnDepartureSelect.selectedOptions[0] : null;
+    if ([departure, returnDeparture].some(option => option && option.dataset.full === 'true')) {
+        if (!confirm('This train is full. Join the waitlist? You will be asked to pay if a seat frees up.')) {
+            return;
+        }
+        bookingData.waitlist = true;
+    }
     
     // Show loading state
-    const submitButton = document.querySelector('.book-button');
+    const submitButton = bookingForm.querySelector('.book-button');
     const originalText = submitButton.innerHTML;
     submitButton.innerHTML = '<div class="loading"></div> Processing...';
     submitButton.disabled = true;
     
-    // Simulate API call
-    setTimeout(() => {
-        processBooking(bookingData);
+    try {
+        await processBooking(bookingData);
+    } finally {
         submitButton.innerHTML = originalText;
         submitButton.disabled = false;
-    }, 2000);
+    }
 }
 
 function validateBookingForm(data) {
     // Check if all required fields are filled
-    const requiredFields = ['from', 'to', 'date', 'time', 'passengers', 'ticketType'];
+    const requiredFields = ['from', 'to', 'date', 'time', 'passengers'];
     
     for (let field of requiredFields) {
         if (!data[field]) {
@@ -185,136 +1796,483 @@ function validateBookingForm(data) {
         alert('Please select a date that is today or in the future.');
         return false;
     }
-    
-    return true;
+
+    if (data.tripType === 'return') {
+        if (!data.returnDate || !data.returnTime) {
+            alert('Please choose when you are coming back.');
+            return false;
+        }
+        if (data.returnDate < data.date) {
+            alert('The return date cannot be before the travel date.');
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+// The fields POSTed for a booking, in a fixed order so a retried request
+// matches the original under its Idempotency-Key. Bookings queued offline
+// before passenger lists only have a count and one ticket type.
+function toBookingRequest(booking) {
+    return {
+        from: booking.from,
+        to: booking.to,
+        date: booking.date,
+        time: booking.time,
+        tripType: booking.tripType,
+        returnDate: booking.returnDate,
+        returnTime: booking.returnTime,
+        passengers: booking.travellers || booking.passengers,
+        ticketType: booking.ticketType,
+        totalPrice: booking.totalPrice,
+        promoCode: booking.promoCode,
+        waitlist: booking.waitlist,
+        email: booking.email
+    };
+}
+
+function generateIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function postBooking(booking, idempotencyKey) {
+    return apiFetch('/api/bookings', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+        },
+        body: JSON.stringify(toBookingRequest(booking))
+    });
+}
+
+async function processBooking(bookingData) {
+    const travellers = readPassengerRows();
+    const fareTypes = new Set(travellers.map(traveller => traveller.ticketType));
+    const isReturn = bookingData.tripType === 'return';
+    const booking = {
+        from: bookingData.from,
+        to: bookingData.to,
+        date: bookingData.date,
+        time: bookingData.time,
+        tripType: bookingData.tripType,
+        returnDate: isReturn ? bookingData.returnDate : undefined,
+        returnTime: isReturn ? bookingData.returnTime : undefined,
+        passengers: travellers.length,
+        ticketType: fareTypes.size === 1 ? travellers[0].ticketType : 'mixed',
+        travellers,
+        // Sent so the server can flag a price that changed since the page loaded
+        totalPrice: parseFloat(totalPriceElement.textContent),
+        promoCode: bookingData.promoCode.trim() || undefined,
+        waitlist: Boolean(bookingData.waitlist),
+        email: authState ? undefined : bookingData.email || undefined
+    };
+
+    // Reused if this booking has to be synced later, so a request that did
+    // reach the server before the connection dropped is not booked twice
+    const idempotencyKey = generateIdempotencyKey();
+
+    let response;
+    try {
+        // Send to backend
+        response = await postBooking(booking, idempotencyKey);
+    } catch (error) {
+        console.error('Booking error:', error);
+        saveBookingOffline(booking, idempotencyKey);
+        return;
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    // Offline, the service worker queues the booking for Background Sync
+    if (response.status === 202 && result.queued) {
+        saveBookingOffline(booking, idempotencyKey);
+        return;
+    }
+
+    if (response.status === 409 && result.fare) {
+        // Prices changed on the server: refresh them and let the rider confirm again
+        await loadPrices();
+        calculatePrice();
+        alert(`${result.error}. New total: $${result.fare.total.toFixed(2)}`);
+        return;
+    }
+
+    if (!response.ok) {
+        alert(result.error || 'Booking failed. Please try again.');
+
+        // The train filled up or left while the form was open
+        if (['service_full', 'no_departure', 'no_return_departure', 'invalid_return', 'departed'].includes(result.code)) {
+            loadDepartures();
+        }
+        // The code ran out or no longer applies: show the fare without it
+        if (result.code === 'promo_code_invalid') {
+            calculatePrice();
+        }
+        return;
+    }
+
+    resetBookingForm();
+    saveWalletTicket({
+        ...result.booking,
+        idempotencyKey,
+        timestamp: new Date().toISOString(),
+        synced: true
+    }).then(renderWallet);
+
+    if (result.booking.status === 'waitlisted') {
+        showNotification(
+            `You are on the waitlist for the ${result.booking.time} train (booking ${result.booking.id}). ` +
+            'You will be asked to pay if a seat frees up.',
+            'info'
+        );
+        if (authState) {
+            loadMyTrips();
+        }
+        return;
+    }
+
+    // The ticket is issued once the payment goes through
+    showPaymentStep(result.booking, result.payment);
+}
+
+// Payment currently shown in the payment modal: { booking, payment }.
+// For top-ups and passes `booking` only holds the card or pass reference.
+let activePayment = null;
+
+const PAYMENT_REFERENCE_LABELS = {
+    card_top_up: 'Metro Card:',
+    pass: 'Pass:'
+};
+
+function showPaymentStep(booking, payment) {
+    activePayment = { booking, payment };
+
+    document.getElementById('paymentReferenceLabel').textContent =
+        PAYMENT_REFERENCE_LABELS[payment.purpose] || 'Booking ID:';
+    document.getElementById('paymentBookingId').textContent = booking.id;
+    document.getElementById('paymentAmount').textContent = `$${payment.amount.toFixed(2)}`;
+    document.getElementById('paymentTestNote').hidden = payment.provider !== 'mock';
+    document.getElementById('declineButton').hidden = payment.provider !== 'mock';
+    paymentError.hidden = true;
+
+    paymentModal.style.display = 'block';
+}
+
+function closePaymentModal() {
+    paymentModal.style.display = 'none';
+
+    if (activePayment && activePayment.payment.purpose === 'booking' && activePayment.payment.status !== 'succeeded') {
+        showNotification(`Booking ${activePayment.booking.id} is reserved but not paid yet.`, 'info', {
+            label: 'Pay now',
+            onClick: () => resumePayment(activePayment.booking)
+        });
+    }
+
+    if (activePayment && activePayment.payment.purpose === 'pass' && activePayment.payment.status !== 'succeeded') {
+        const pass = activePayment.booking;
+        showNotification(`Pass ${pass.id} is not paid yet.`, 'info', {
+            label: 'Pay now',
+            onClick: () => resumePassPayment(pass)
+        });
+    }
+}
+
+// Start a fresh payment for an unpaid booking
+async function resumePayment(booking) {
+    try {
+        const response = await apiFetch(`/api/bookings/${booking.id}/pay`, { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            showNotification(result.error || 'Payment could not be started.', 'error');
+            return;
+        }
+
+        showPaymentStep(booking, result.payment);
+    } catch (error) {
+        console.error('Payment error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
 }
 
-async function processBooking(bookingData) {
+async function completePayment(outcome) {
+    const { booking } = activePayment;
+    let { payment } = activePayment;
+    const payButton = document.getElementById('payButton');
+    payButton.disabled = true;
+    paymentError.hidden = true;
+
     try {
-        // Generate booking ID
-        const bookingId = generateBookingId();
-        
-        // Calculate total price
-        const passengers = parseInt(bookingData.passengers);
-        const ticketType = bookingData.ticketType;
-        const basePrice = ticketPrices[ticketType];
-        
-        let totalPrice;
-        if (ticketType === 'day-pass') {
-            totalPrice = basePrice;
-        } else {
-            totalPrice = basePrice * passengers;
+        // A declined booking, pass or top-up payment is retried as a new payment
+        const startRetry = {
+            booking: () => apiFetch(`/api/bookings/${booking.id}/pay`, { method: 'POST' }),
+            pass: () => apiFetch(`/api/passes/${booking.id}/pay`, { method: 'POST' }),
+            card_top_up: () => postTopUp(payment.amount)
+        }[payment.purpose];
+
+        if (payment.status === 'failed' && startRetry) {
+            const retry = await startRetry();
+            if (!retry.ok) {
+                throw new Error('Failed to restart payment');
+            }
+            payment = (await retry.json()).payment;
         }
-        
-        // Prepare booking object
-        const booking = {
-            id: bookingId,
-            from: bookingData.from,
-            to: bookingData.to,
-            date: bookingData.date,
-            time: bookingData.time,
-            passengers: passengers,
-            ticketType: ticketType,
-            totalPrice: totalPrice,
-            timestamp: new Date().toISOString()
-        };
-        
-        // Send to backend
-        const response = await fetch('/api/bookings', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(booking)
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            showBookingConfirmation(booking);
-            
-            // Store booking in localStorage as backup
-            storeBookingLocally(booking);
-            
-            // Reset form
-            bookingForm.reset();
-            const today = new Date().toISOString().split('T')[0];
-            dateInput.value = today;
-            calculatePrice();
-        } else {
-            throw new Error('Booking failed');
+
+        if (payment.provider === 'mock') {
+            // Stand-in for the gateway's hosted checkout
+            const response = await fetch(`/api/payments/mock/${payment.id}/complete`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ outcome })
+            });
+            if (!response.ok) {
+                throw new Error('Mock checkout failed');
+            }
+        } else if (payment.checkoutUrl) {
+            window.open(payment.checkoutUrl, '_blank', 'noopener');
         }
-    } catch (error) {
-        console.error('Booking error:', error);
-        
-        // Fallback: store locally and show confirmation
-        const bookingId = generateBookingId();
-        const passengers = parseInt(bookingData.passengers);
-        const ticketType = bookingData.ticketType;
-        const basePrice = ticketPrices[ticketType];
-        
-        let totalPrice;
-        if (ticketType === 'day-pass') {
-            totalPrice = basePrice;
-        } else {
-            totalPrice = basePrice * passengers;
+
+        payment = await waitForPayment(payment);
+        activePayment.payment = payment;
+
+        if (payment.status === 'failed' && payment.purpose === 'booking_change') {
+            activePayment = null;
+            paymentModal.style.display = 'none';
+            showNotification(`Your payment was declined, so booking ${booking.id} has not been changed.`, 'error');
+            return;
         }
-        
-        const booking = {
-            id: bookingId,
-            from: bookingData.from,
-            to: bookingData.to,
-            date: bookingData.date,
-            time: bookingData.time,
-            passengers: passengers,
-            ticketType: ticketType,
-            totalPrice: totalPrice,
-            timestamp: new Date().toISOString()
-        };
-        
-        storeBookingLocally(booking);
-        showBookingConfirmation(booking);
-        
-        // Reset form
-        bookingForm.reset();
-        const today = new Date().toISOString().split('T')[0];
-        dateInput.value = today;
-        calculatePrice();
-        
-        // Show offline message
-        alert('Booking processed offline. Your ticket is saved locally.');
+
+        if (payment.status !== 'succeeded') {
+            paymentError.textContent = payment.status === 'failed'
+                ? 'Your payment was declined. Please try again.'
+                : 'Your payment has not gone through yet. Please try again in a moment.';
+            paymentError.hidden = false;
+            return;
+        }
+
+        await finishPayment(booking, payment);
+    } catch (error) {
+        console.error('Payment error:', error);
+        paymentError.textContent = 'Payment could not be completed. Please check your connection and try again.';
+        paymentError.hidden = false;
+    } finally {
+        payButton.disabled = false;
     }
 }
 
-function generateBookingId() {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000);
-    return `MB${timestamp}${random}`.slice(-10);
+// Poll a payment until the provider has settled it
+async function waitForPayment(payment, attempts = 30) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const response = await apiFetch(`/api/payments/${payment.id}`);
+        if (response.ok) {
+            payment = await response.json();
+            if (payment.status !== 'pending') {
+                return payment;
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return payment;
 }
 
-function storeBookingLocally(booking) {
-    try {
-        const existingBookings = JSON.parse(localStorage.getItem('metroBookings') || '[]');
-        existingBookings.push(booking);
-        localStorage.setItem('metroBookings', JSON.stringify(existingBookings));
-    } catch (error) {
-        console.error('Failed to store booking locally:', error);
+async function finishPayment(booking, payment) {
+    paymentModal.style.display = 'none';
+
+    if (payment.purpose === 'card_top_up') {
+        showNotification(`$${payment.amount.toFixed(2)} has been added to your Metro Card.`, 'success');
+        loadCard();
+        return;
+    }
+
+    if (payment.purpose === 'pass') {
+        showNotification(`Your season pass ${booking.id} is ready. Show its QR code at the gates.`, 'success');
+        loadPasses();
+        return;
+    }
+
+    const response = await apiFetch(`/api/bookings/${booking.id}`);
+    const paidBooking = response.ok ? fromBookingRow(await response.json()) : booking;
+
+    if (payment.purpose === 'booking_change') {
+        showNotification(`Booking ${booking.id} has been updated.`, 'success');
+    } else {
+        showBookingConfirmation(paidBooking);
+    }
+
+    // Keep the issued ticket in the wallet for offline use
+    await saveWalletTicket({ ...paidBooking, synced: true });
+    renderWallet();
+
+    if (authState) {
+        loadMyTrips();
     }
 }
 
+// Convert a booking row from the API into the shape the client uses
+function fromBookingRow(row) {
+    return {
+        id: row.id,
+        from: row.from_station,
+        to: row.to_station,
+        date: row.travel_date,
+        time: row.travel_time,
+        tripType: row.trip_type,
+        returnDate: row.return_date,
+        returnTime: row.return_time,
+        cancelledJourney: row.cancelled_journey,
+        passengers: row.passengers,
+        ticketType: row.ticket_type,
+        totalPrice: row.total_price,
+        promoCode: row.promo_code,
+        discount: row.discount,
+        qrCode: row.qr_code,
+        returnQrCode: row.return_qr_code,
+        status: row.status,
+        tickets: row.tickets || []
+    };
+}
+
+// Fallback: store locally and show confirmation. The booking reference is
+// only issued by the server once the booking syncs.
+function saveBookingOffline(booking, idempotencyKey) {
+    const localBooking = {
+        ...booking,
+        id: null,
+        idempotencyKey,
+        timestamp: new Date().toISOString()
+    };
+
+    saveWalletTicket(localBooking).then(renderWallet);
+    showBookingConfirmation(localBooking);
+    resetBookingForm();
+
+    // Show offline message
+    alert('Booking saved offline. You will be asked to pay once you are back online.');
+}
+
+function resetBookingForm() {
+    bookingForm.reset();
+    renderPassengerRows();
+    fromPicker.setValue('');
+    toPicker.setValue('');
+    const today = new Date().toISOString().split('T')[0];
+    dateInput.value = today;
+    toggleReturnFields();
+    calculatePrice();
+    loadDepartures();
+}
+
 function showBookingConfirmation(booking) {
     // Populate modal with booking details
-    document.getElementById('bookingId').textContent = booking.id;
+    document.getElementById('bookingId').textContent = booking.id || 'Pending (issued when back online)';
     document.getElementById('ticketFrom').textContent = stationNames[booking.from];
     document.getElementById('ticketTo').textContent = stationNames[booking.to];
     document.getElementById('ticketDate').textContent = formatDate(booking.date);
-    document.getElementById('ticketTime').textContent = booking.time;
+    document.getElementById('ticketTime').textContent = booking.cancelledJourney === 'outbound'
+        ? `${booking.time} (cancelled)`
+        : booking.time;
     document.getElementById('ticketPassengers').textContent = booking.passengers;
-    document.getElementById('ticketTotal').textContent = `$${booking.totalPrice.toFixed(2)}`;
+
+    const isReturn = booking.tripType === 'return';
+    const outboundValid = booking.cancelledJourney !== 'outbound';
+    const returnValid = isReturn && booking.cancelledJourney !== 'return';
+    document.getElementById('ticketReturnRow').hidden = !isReturn;
+    document.getElementById('ticketReturn').textContent = isReturn
+        ? `${formatDate(booking.returnDate)} at ${booking.returnTime}${returnValid ? '' : ' (cancelled)'}`
+        : '';
+    document.getElementById('ticketTotal').textContent = booking.discount > 0
+        ? `$${booking.totalPrice.toFixed(2)} (${booking.promoCode} −$${booking.discount.toFixed(2)})`
+        : `$${booking.totalPrice.toFixed(2)}`;
+
+    // The signed QR code and downloads only exist once the ticket is issued
+    const issued = Boolean(booking.id && booking.qrCode);
+    const qrImage = document.getElementById('ticketQr');
+    qrImage.hidden = !issued || !outboundValid;
+    qrImage.src = issued && outboundValid ? booking.qrCode : '';
+    document.getElementById('ticketQrPlaceholder').hidden = issued && outboundValid;
+    document.getElementById('ticketDownloads').hidden = !issued;
+    document.getElementById('downloadPassButton').hidden = !outboundValid;
+    document.getElementById('downloadReturnPassButton').hidden = !returnValid;
+    confirmedBookingId = issued ? booking.id : null;
+
+    // The way back of a return has QR codes of its own, and a party also
+    // gets a sub-ticket each, so they can pass the gates separately
+    const codes = [];
+    if (issued && returnValid && booking.returnQrCode) {
+        codes.push({ src: booking.returnQrCode, alt: 'Return ticket QR code', caption: 'Return ticket' });
+    }
+    if (issued && booking.passengers > 1) {
+        (booking.tickets || []).forEach(ticket => {
+            const label = `${ticket.passenger}. ${ticket.name || ticketTypeLabel(ticket.ticketType)}`;
+            if (ticket.qrCode && outboundValid) {
+                codes.push({
+                    src: ticket.qrCode,
+                    alt: `Passenger ${ticket.passenger} QR code`,
+                    caption: isReturn ? `Out · ${label}` : label
+                });
+            }
+            if (ticket.returnQrCode && returnValid) {
+                codes.push({
+                    src: ticket.returnQrCode,
+                    alt: `Passenger ${ticket.passenger} return QR code`,
+                    caption: `Return · ${label}`
+                });
+            }
+        });
+    }
+
+    const passengerTickets = document.getElementById('passengerTickets');
+    passengerTickets.innerHTML = '';
+    passengerTickets.hidden = codes.length === 0;
+    codes.forEach(code => {
+        const item = document.createElement('figure');
+        item.className = 'passenger-ticket';
+        item.innerHTML = '<img alt=""><figcaption></figcaption>';
+        item.querySelector('img').src = code.src;
+        item.querySelector('img').alt = code.alt;
+        item.querySelector('figcaption').textContent = code.caption;
+        passengerTickets.appendChild(item);
+    });
     
     // Show modal
     modal.style.display = 'block';
 }
 
+// Booking shown in the confirmation modal, for its download buttons
+let confirmedBookingId = null;
+
+// Download a ticket file (ticket.pdf or pass.json) for a paid booking
+async function downloadTicketFile(bookingId, file) {
+    try {
+        const response = await apiFetch(`/api/bookings/${bookingId}/${file}`);
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            showNotification(result.error || 'Your ticket could not be downloaded.', 'error');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = `metro-ticket-${bookingId}${file.endsWith('journey=return') ? '-return' : ''}.` +
+            (file === 'ticket.pdf' ? 'pdf' : 'pass.json');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+        console.error('Ticket download error:', error);
+        showNotification('You appear to be offline. Please try again later.', 'error');
+    }
+}
+
 function closeConfirmationModal() {
     modal.style.display = 'none';
 }
@@ -335,60 +2293,481 @@ function highlightStationRoute(stationValue) {
         station.classList.remove('highlighted');
     });
     
-    // Add highlight to clicked station
-    const clickedStation = document.querySelector(`[data-station="${stationValue}"]`);
-    if (clickedStation) {
-        clickedStation.classList.add('highlighted');
+    // Add highlight to clicked station (it appears once per line it serves)
+    const clickedStations = document.querySelectorAll(`.station[data-station="${stationValue}"]`);
+    if (clickedStations.length > 0) {
+        clickedStations.forEach(station => station.classList.add('highlighted'));
         
         // Auto-fill form if possible
-        if (!fromSelect.value) {
-            fromSelect.value = stationValue;
-        } else if (!toSelect.value && fromSelect.value !== stationValue) {
-            toSelect.value = stationValue;
-            calculatePrice();
+        if (!fromInput.value) {
+            fromPicker.setValue(stationValue);
+        } else if (!toInput.value && fromInput.value !== stationValue) {
+            toPicker.setValue(stationValue);
+        }
+    }
+}
+
+// Incremented on every plan request so a slow response can't overwrite a newer one
+let routePlanRequest = 0;
+
+async function showRoutePlan() {
+    const routePlan = document.getElementById('routePlan');
+    const from = fromInput.value;
+    const to = toInput.value;
+    const requestNumber = ++routePlanRequest;
+
+    document.querySelectorAll('.station').forEach(station => {
+        station.classList.remove('on-route');
+    });
+
+    if (!from || !to || from === to) {
+        routePlan.innerHTML = '<p class="route-plan-hint">Select two stations to plan your journey.</p>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/routes/plan?${new URLSearchParams({ from, to })}`);
+        const journey = await response.json();
+        if (requestNumber !== routePlanRequest) {
+            return;
+        }
+
+        if (!response.ok) {
+            routePlan.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'route-plan-hint';
+            message.textContent = journey.error || 'No route found.';
+            routePlan.appendChild(message);
+            return;
+        }
+
+        renderRoutePlan(routePlan, journey);
+    } catch (error) {
+        console.error('Route planning error:', error);
+    }
+}
+
+function renderRoutePlan(container, journey) {
+    container.innerHTML = '';
+
+    const changes = journey.transfers.length;
+    const summary = document.createElement('p');
+    summary.className = 'route-plan-summary';
+    summary.textContent = `${stationNames[journey.from]} to ${stationNames[journey.to]}: ` +
+        `${journey.totalMinutes} min · ${journey.stops} stops · ` +
+        `${changes === 0 ? 'direct' : `${changes} ${changes === 1 ? 'change' : 'changes'}`}`;
+    container.appendChild(summary);
+
+    const steps = document.createElement('ol');
+    steps.className = 'route-plan-steps';
+
+    journey.legs.forEach((leg, index) => {
+        if (index > 0) {
+            const transfer = journey.transfers[index - 1];
+            const transferStep = document.createElement('li');
+            transferStep.className = 'transfer-step';
+            transferStep.textContent = `Change at ${stationNames[transfer.station]} (${transfer.minutes} min walk)`;
+            steps.appendChild(transferStep);
         }
+
+        const legStep = document.createElement('li');
+        const badge = document.createElement('span');
+        badge.className = 'line-badge';
+        badge.style.background = leg.line.color;
+        badge.textContent = leg.line.name;
+        legStep.appendChild(badge);
+        legStep.appendChild(document.createTextNode(
+            `${stationNames[leg.from]} → ${stationNames[leg.to]} ` +
+            `(${leg.stops} ${leg.stops === 1 ? 'stop' : 'stops'}, ${leg.minutes} min)`
+        ));
+        steps.appendChild(legStep);
+
+        // Mark the stations passed on this leg on the map
+        const lineClass = `${leg.line.code}-line`;
+        leg.stations.forEach(stationCode => {
+            document.querySelectorAll(`.route-line.${lineClass} .station[data-station="${stationCode}"]`)
+                .forEach(station => station.classList.add('on-route'));
+        });
+    });
+
+    container.appendChild(steps);
+}
+
+// Ticket wallet. Bookings made on this device are kept in IndexedDB,
+// QR code included, so tickets can be shown at the gate without a
+// connection. A ticket is the client booking (see fromBookingRow) plus
+// idempotencyKey, timestamp, synced and syncError, stored under its booking
+// reference or, until the server issues one, its idempotency key.
+const WALLET_DB = 'metro-wallet';
+const WALLET_STORE = 'tickets';
+let walletConnection = null;
+
+function openWallet() {
+    if (!walletConnection) {
+        walletConnection = new Promise((resolve, reject) => {
+            const open = indexedDB.open(WALLET_DB, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(WALLET_STORE, { keyPath: 'key' });
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+        }).then(migrateLocalBookings);
     }
+    return walletConnection;
+}
+
+function walletTransaction(mode, action) {
+    return openWallet().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(WALLET_STORE, mode);
+        const result = action(transaction.objectStore(WALLET_STORE));
+        transaction.oncomplete = () => resolve(result && result.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
 }
 
-// Utility function to get all local bookings
-function getLocalBookings() {
+// Move bookings saved by earlier versions, which kept them all in one
+// localStorage array, into the wallet
+function migrateLocalBookings(db) {
+    let bookings;
     try {
-        return JSON.parse(localStorage.getItem('metroBookings') || '[]');
+        bookings = JSON.parse(localStorage.getItem('metroBookings') || '[]');
     } catch (error) {
-        console.error('Failed to retrieve local bookings:', error);
-        return [];
+        bookings = [];
+    }
+
+    if (bookings.length === 0) {
+        localStorage.removeItem('metroBookings');
+        return db;
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(WALLET_STORE, 'readwrite');
+        const store = transaction.objectStore(WALLET_STORE);
+
+        // Later entries are newer copies of the same booking
+        bookings.forEach(booking => {
+            booking.idempotencyKey = booking.idempotencyKey || generateIdempotencyKey();
+            store.put({ ...booking, key: booking.id || booking.idempotencyKey });
+        });
+
+        transaction.oncomplete = () => {
+            localStorage.removeItem('metroBookings');
+            resolve(db);
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function getWalletTickets() {
+    return walletTransaction('readonly', store => store.getAll())
+        .catch(error => {
+            console.error('Failed to read the ticket wallet:', error);
+            return [];
+        });
+}
+
+// Add a ticket or update the stored copy. An offline booking that has been
+// synced moves from its idempotency key to its booking reference.
+function saveWalletTicket(ticket) {
+    const key = ticket.id || ticket.idempotencyKey;
+
+    return walletTransaction('readwrite', store => {
+        if (ticket.id && ticket.idempotencyKey) {
+            store.delete(ticket.idempotencyKey);
+        }
+        const existing = store.get(key);
+        existing.onsuccess = () => store.put({ ...existing.result, ...ticket, key });
+    }).catch(error => {
+        console.error('Failed to store ticket:', error);
+    });
+}
+
+function removeWalletTicket(key) {
+    return walletTransaction('readwrite', store => store.delete(key))
+        .then(renderWallet)
+        .catch(error => {
+            console.error('Failed to remove ticket:', error);
+        });
+}
+
+// Bring the wallet up to date with booking rows from the API, for tickets
+// it holds
+async function updateWalletTickets(rows) {
+    const tickets = await getWalletTickets();
+    const held = new Set(tickets.map(ticket => ticket.id).filter(Boolean));
+    const updates = rows.filter(row => held.has(row.id));
+
+    for (const row of updates) {
+        await saveWalletTicket(fromBookingRow(row));
+    }
+
+    if (updates.length > 0) {
+        renderWallet();
+    }
+}
+
+// Fetch the current status and QR code of tickets still to be travelled on.
+// Cancelled and past tickets no longer change.
+async function refreshWalletTickets() {
+    const today = new Date().toISOString().split('T')[0];
+    const tickets = (await getWalletTickets())
+        .filter(ticket => ticket.id && ticket.status !== 'cancelled' && (ticket.returnDate || ticket.date) >= today);
+    const rows = [];
+
+    for (const ticket of tickets) {
+        try {
+            const response = await apiFetch(`/api/bookings/${ticket.id}`);
+            if (response.ok) {
+                rows.push(await response.json());
+            }
+        } catch (error) {
+            // Offline again; keep what the wallet has
+            break;
+        }
     }
+
+    await updateWalletTickets(rows);
 }
 
-// Function to sync local bookings with server when online
+// Send offline bookings, then refresh every ticket from the server
+async function syncWallet() {
+    await syncLocalBookings();
+    await refreshWalletTickets();
+    renderWallet();
+}
+
+// Function to sync local bookings with server when online.
+// Synced bookings take on the server's reference, QR code and status.
+// Bookings the server refuses (past date, removed station, changed price,
+// or a session that has ended) are kept with a syncError and reported
+// instead of being retried forever. apiFetch sends the current token.
 async function syncLocalBookings() {
-    const localBookings = getLocalBookings();
-    const unsyncedBookings = localBookings.filter(booking => !booking.synced);
+    const tickets = await getWalletTickets();
+    const unsyncedBookings = tickets.filter(booking => !booking.synced && !booking.syncError);
     
     for (const booking of unsyncedBookings) {
         try {
-            const response = await fetch('/api/bookings', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(booking)
-            });
-            
-            if (response.ok) {
-                booking.synced = true;
-            }
+            const response = await postBooking(booking, booking.idempotencyKey);
+            const result = await response.json().catch(() => ({}));
+            settleLocalBooking(booking, response.status, result);
+            await saveWalletTicket(booking);
         } catch (error) {
             console.error('Failed to sync booking:', error);
         }
     }
-    
-    // Update localStorage with synced status
-    localStorage.setItem('metroBookings', JSON.stringify(localBookings));
+
+    if (authState && unsyncedBookings.some(booking => booking.synced)) {
+        loadMyTrips();
+    }
+}
+
+// Record the server's answer to a synced offline booking and tell the
+// rider. Server errors and requests still in progress leave it to be
+// retried. A 401 means the token could not be refreshed, so the session
+// is over and retrying would not help.
+function settleLocalBooking(booking, status, result) {
+    if (status >= 200 && status < 300) {
+        Object.assign(booking, result.booking, { synced: true });
+        const serverBooking = { ...result.booking };
+        const payment = result.payment;
+        showNotification(
+            `Your offline booking from ${stationNames[booking.from]} to ${stationNames[booking.to]} ` +
+            (booking.status === 'waitlisted'
+                ? `is on the waitlist as ${booking.id}.`
+                : `is reserved as ${booking.id}. Pay to receive your ticket.`),
+            'success',
+            payment && payment.status === 'pending'
+                ? { label: 'Pay now', onClick: () => showPaymentStep(serverBooking, payment) }
+                : null
+        );
+    } else if (status === 401) {
+        booking.syncError = { code: 'session_expired', message: 'your session ended, so please log in and book again' };
+        showNotification(
+            `Your offline booking from ${stationNames[booking.from]} to ${stationNames[booking.to]} ` +
+            `on ${formatDate(booking.date)} was not sent because your session ended. Please log in and book again.`,
+            'error'
+        );
+    } else if (status < 500 && result.code !== 'request_in_progress') {
+        booking.syncError = { code: result.code, message: result.error };
+        showNotification(
+            `Your offline booking from ${stationNames[booking.from]} to ${stationNames[booking.to]} ` +
+            `on ${formatDate(booking.date)} could not be confirmed: ${result.error || 'booking refused'}.`,
+            'error'
+        );
+    }
+}
+
+// A booking the service worker sent through Background Sync
+async function handleBookingSynced({ idempotencyKey, status, result }) {
+    const tickets = await getWalletTickets();
+    const booking = tickets.find(candidate =>
+        candidate.idempotencyKey === idempotencyKey && !candidate.synced && !candidate.syncError);
+
+    if (!booking) {
+        return;
+    }
+
+    settleLocalBooking(booking, status, result);
+    await saveWalletTicket(booking);
+    renderWallet();
+
+    if (authState && booking.synced) {
+        loadMyTrips();
+    }
+}
+
+// My Tickets: upcoming tickets soonest first, then past ones most recent
+// first. Everything shown comes from the wallet, so it works offline.
+async function renderWallet() {
+    const list = document.getElementById('walletTickets');
+    const today = new Date().toISOString().split('T')[0];
+    const departure = ticket => `${ticket.date} ${ticket.time}`;
+
+    // A return is upcoming until its way back has been travelled
+    const lastDate = ticket => ticket.returnDate || ticket.date;
+
+    const tickets = await getWalletTickets();
+    const upcoming = tickets.filter(ticket => lastDate(ticket) >= today)
+        .sort((a, b) => departure(a).localeCompare(departure(b)));
+    const past = tickets.filter(ticket => lastDate(ticket) < today)
+        .sort((a, b) => departure(b).localeCompare(departure(a)));
+
+    list.innerHTML = '';
+
+    if (tickets.length === 0) {
+        list.innerHTML = '<li class="trip-empty">Tickets you book on this device will appear here.</li>';
+        return;
+    }
+
+    [...upcoming, ...past].forEach(ticket => {
+        const issued = Boolean(ticket.id && ticket.qrCode && ticket.status === 'paid');
+        const item = document.createElement('li');
+        item.className = 'wallet-ticket';
+        item.classList.toggle('past', lastDate(ticket) < today);
+
+        if (issued) {
+            // Once the outbound journey is over or cancelled, the return's code is the one to show
+            const showReturn = ticket.returnQrCode && (ticket.cancelledJourney === 'outbound' || ticket.date < today);
+            const qr = document.createElement('img');
+            qr.className = 'wallet-qr';
+            qr.src = showReturn ? ticket.returnQrCode : ticket.qrCode;
+            qr.alt = `Ticket QR code for booking ${ticket.id}`;
+            item.appendChild(qr);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'wallet-details';
+
+        const route = document.createElement('div');
+        route.className = 'trip-route';
+        route.textContent = `${stationNames[ticket.from] || ticket.from} → ${stationNames[ticket.to] || ticket.to}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'trip-meta';
+        meta.textContent = `${formatDate(ticket.date)} at ${ticket.time} · ` +
+            (ticket.tripType === 'return' ? `back ${formatDate(ticket.returnDate)} at ${ticket.returnTime} · ` : '') +
+            `${ticket.passengers} ${ticket.passengers === 1 ? 'passenger' : 'passengers'} · ` +
+            (ticket.id || 'Reference issued when back online');
+
+        details.appendChild(route);
+        details.appendChild(meta);
+
+        if (ticket.syncError) {
+            const error = document.createElement('div');
+            error.className = 'form-error';
+            error.textContent = `Not confirmed: ${ticket.syncError.message || 'booking refused'}`;
+            details.appendChild(error);
+        }
+
+        const status = document.createElement('span');
+        status.className = 'trip-status';
+        if (ticket.syncError) {
+            status.textContent = 'not confirmed';
+        } else if (!ticket.synced) {
+            status.textContent = 'waiting to sync';
+        } else {
+            status.textContent = ticket.status.replace('_', ' ');
+        }
+
+        const side = document.createElement('div');
+        side.className = 'trip-side';
+        side.appendChild(status);
+
+        if (issued) {
+            const showButton = document.createElement('button');
+            showButton.type = 'button';
+            showButton.className = 'trip-action';
+            showButton.textContent = 'Show';
+            showButton.addEventListener('click', () => showBookingConfirmation(ticket));
+            side.appendChild(showButton);
+        }
+
+        if (ticket.id && (ticket.status === 'pending_payment' || ticket.status === 'failed')) {
+            const payButton = document.createElement('button');
+            payButton.type = 'button';
+            payButton.className = 'trip-action';
+            payButton.textContent = 'Pay';
+            payButton.addEventListener('click', () => resumePayment(ticket));
+            side.appendChild(payButton);
+        }
+
+        if (lastDate(ticket) < today || ticket.status === 'cancelled' || ticket.syncError) {
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'trip-action';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => removeWalletTicket(ticket.key));
+            side.appendChild(removeButton);
+        }
+
+        item.appendChild(details);
+        item.appendChild(side);
+        list.appendChild(item);
+    });
+}
+
+// Show a dismissible message at the top of the page, optionally with an
+// action button ({ label, onClick }) that also dismisses it
+function showNotification(message, type = 'info', action = null) {
+    let container = document.querySelector('.notifications');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'notifications';
+        document.body.appendChild(container);
+    }
+
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'notification-close';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.innerHTML = '&times;';
+    dismiss.addEventListener('click', () => notification.remove());
+
+    notification.appendChild(text);
+
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'trip-action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            notification.remove();
+            action.onClick();
+        });
+        notification.appendChild(actionButton);
+    }
+
+    notification.appendChild(dismiss);
+    container.appendChild(notification);
 }
 
 // Check network status and sync when online
-window.addEventListener('online', syncLocalBookings);
+window.addEventListener('online', syncWallet);
 
 // Add CSS for highlighted stations
 const style = document.createElement('style');
@@ -404,10 +2783,14 @@ style.textContent = `
         50% { transform: scale(1.2); }
     }
     
-    .station.highlighted span {
+    .station.highlighted .station-name {
         color: #ffd700;
         font-weight: 700;
     }
+    
+    .station.on-route .station-dot {
+        background: #667eea;
+    }
 `;
 document.head.appendChild(style);
 
@@ -438,14 +2821,76 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // PWA functionality
+// Set when the rider accepts an update, so the page reloads into it
+let updateAccepted = false;
+
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('SW registered: ', registration);
+                watchForUpdates(registration);
             })
             .catch(registrationError => {
                 console.log('SW registration failed: ', registrationError);
             });
     });
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'booking-synced') {
+            handleBookingSynced(event.data);
+        } else if (event.data && event.data.type === 'access-token' && event.ports[0]) {
+            sendAccessToken(event.ports[0]);
+        }
+    });
+
+    // Reload once the accepted update has taken over. The first install
+    // also takes control of the page, which needs no reload.
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) {
+            updateAccepted = false;
+            window.location.reload();
+        }
+    });
+}
+
+// Answer the service worker's request for a token to replay queued
+// bookings with: a freshly refreshed one, or null when signed out
+async function sendAccessToken(port) {
+    const refreshed = Boolean(authState) && await refreshAccessToken();
+    port.postMessage({ accessToken: refreshed ? authState.accessToken : null });
+}
+
+// Offer to switch to a new version of the app once its service worker has
+// installed. The first install has nothing to replace, so it is not offered.
+function watchForUpdates(registration) {
+    const offerUpdate = worker => {
+        showNotification('A new version of MetroBook is available.', 'info', {
+            label: 'Update',
+            onClick: () => {
+                updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+    };
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                offerUpdate(worker);
+            }
+        });
+    });
+
+    // Look for a new version whenever the rider comes back to the app
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch(() => {});
+        }
+    });
 }
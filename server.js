@@ -1,479 +1,6171 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 require('dotenv').config();
+const { getPaymentProvider } = require('./payments');
+const { isEmailConfigured, sendTemplatedEmail } = require('./email');
+const { renderTicketPdf } = require('./tickets/pdf');
+const { buildWalletPass } = require('./tickets/wallet');
+const { createDatabase, toSqlTimestamp } = require('./db');
+const { migrate } = require('./db/migrate');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Authentication configuration
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Ticket signing keys as "id:secret" pairs; the active key signs new tickets
+// and the others stay accepted so keys can be rotated without voiding tickets
+const TICKET_SIGNING_KEYS = parseSigningKeys(process.env.TICKET_SIGNING_KEYS);
+const TICKET_SIGNING_KEY_ID = process.env.TICKET_SIGNING_KEY_ID || Object.keys(TICKET_SIGNING_KEYS)[0];
+
+function parseSigningKeys(value) {
+    const keys = {};
+
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+        }
+    });
+
+    if (Object.keys(keys).length === 0) {
+        console.warn('TICKET_SIGNING_KEYS is not set; using a random key, issued tickets will not survive a restart.');
+        keys.dev = crypto.randomBytes(32).toString('hex');
+    }
+
+    return keys;
+}
+
+if (!TICKET_SIGNING_KEYS[TICKET_SIGNING_KEY_ID]) {
+    throw new Error(`TICKET_SIGNING_KEY_ID "${TICKET_SIGNING_KEY_ID}" is not in TICKET_SIGNING_KEYS`);
+}
+
+// Refund policy: a full refund until the cutoff before travel, a partial
+// refund after it, and nothing once the ticket has been used at a gate
+const REFUND_POLICY = {
+    fullRefundCutoffMinutes: parseInt(process.env.REFUND_FULL_CUTOFF_MINUTES) || 60,
+    lateRefundPercent: process.env.REFUND_LATE_PERCENT !== undefined
+        ? Number(process.env.REFUND_LATE_PERCENT)
+        : 50
+};
+
+// Payment provider used for new payments (see payments/index.js)
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+if (!getPaymentProvider(PAYMENT_PROVIDER)) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}"`);
+}
+
+// Booking lifecycle: pending_payment -> paid, or failed if the payment is
+// declined; bookings for a full train wait as waitlisted until seats free up
+// and move to pending_payment. Paid, pending and waitlisted bookings can be
+// cancelled.
+const BOOKING_STATUS = {
+    WAITLISTED: 'waitlisted',
+    PENDING_PAYMENT: 'pending_payment',
+    PAID: 'paid',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Bookings holding seats on their trains; waitlisted, failed and cancelled
+// bookings do not. An unpaid booking only holds them for
+// PAYMENT_HOLD_MINUTES (until its hold_expires_at).
+const SEAT_HOLDING_STATUSES = [BOOKING_STATUS.PENDING_PAYMENT, BOOKING_STATUS.PAID];
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES) || 15;
+
+// Email and the background job queue that sends it
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const TRAVEL_REMINDER_MINUTES = parseInt(process.env.TRAVEL_REMINDER_MINUTES) || 60;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+
+if (!isEmailConfigured()) {
+    console.warn('EMAIL_HOST is not set; booking emails will not be sent.');
+}
+
+// Seats per train for the seeded timetable
+const TRAIN_CAPACITY = parseInt(process.env.TRAIN_CAPACITY) || 200;
+
+// Metro Cards: the amounts one top-up can add, and the weekly fare cap as a
+// number of day passes (the daily cap is one day pass)
+const CARD_TOP_UP_LIMITS = { min: 5, max: 200 };
+const FARE_CAP_WEEKLY_DAYS = parseInt(process.env.FARE_CAP_WEEKLY_DAYS) || 5;
+
+// Concession fares: riders count as seniors from this age on a date of birth
+// staff have verified, and an approved concession document lasts this many
+// days unless the reviewer gives an end date
+const SENIOR_MIN_AGE = parseInt(process.env.SENIOR_MIN_AGE) || 65;
+const CONCESSION_DOCUMENT_VALIDITY_DAYS = parseInt(process.env.CONCESSION_DOCUMENT_VALIDITY_DAYS) || 365;
+
+// Group bookings of at least this many passengers get this percentage off
+const GROUP_DISCOUNT_MIN_PASSENGERS = parseInt(process.env.GROUP_DISCOUNT_MIN_PASSENGERS) || 5;
+const GROUP_DISCOUNT_PERCENT = parseFloat(process.env.GROUP_DISCOUNT_PERCENT) || 10;
+
+// User roles; staff work the gates, admins manage the system
+const ROLES = {
+    RIDER: 'rider',
+    STAFF: 'staff',
+    ADMIN: 'admin'
+};
+
+if (!process.env.JWT_SECRET) {
+    console.warn('JWT_SECRET is not set; using a random secret, sessions will not survive a restart.');
+}
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
 
-// Rate limiting
+// Rate limiting. Gate devices scan far more often than riders browse, so
+// the gate endpoints skip the per-IP limit and use gateLimiter instead.
+const GATE_PATHS = ['/tickets/validate', '/cards/tap'];
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests from this IP, please try again later.',
+    skip: req => GATE_PATHS.includes(req.path)
 });
 app.use('/api/', limiter);
 
+// Gate scans and card taps, per signed-in staff account and device. Mounted after
+// requireRole, so only staff reach it.
+const gateLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.GATE_RATE_LIMIT_PER_MINUTE) || 300,
+    keyGenerator: req => `${req.user.id}:${req.ip}`,
+    message: { error: 'Too many scans from this gate, please try again shortly' }
+});
+
 // CORS configuration
 const corsOptions = {
     origin: process.env.NODE_ENV === 'production' 
         ? ['https://your-domain.com'] 
         : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 };
 app.use(cors(corsOptions));
 
-// Body parser middleware
-app.use(bodyParser.json());
+// Body parser middleware; the raw body is kept for webhook signature checks
+app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// Serve the front end. Only these files are public: the rest of the project
+// directory (server code, .env, the database) must never be downloadable.
+const PUBLIC_FILES = ['index.html', 'admin.html', 'styles.css', 'script.js', 'admin.js', 'sw.js', 'manifest.webmanifest'];
 
-// Database setup
-const dbPath = path.join(__dirname, 'metro_booking.db');
-const db = new sqlite3.Database(dbPath, (err) => {
-    if (err) {
-        console.error('Error opening database:', err.message);
-    } else {
-        console.log('Connected to SQLite database.');
-        initializeDatabase();
-    }
-});
-
-// Initialize database tables
-function initializeDatabase() {
-    const createBookingsTable = `
-        CREATE TABLE IF NOT EXISTS bookings (
-            id TEXT PRIMARY KEY,
-            from_station TEXT NOT NULL,
-            to_station TEXT NOT NULL,
-            travel_date TEXT NOT NULL,
-            travel_time TEXT NOT NULL,
-            passengers INTEGER NOT NULL,
-            ticket_type TEXT NOT NULL,
-            total_price REAL NOT NULL,
-            qr_code TEXT,
-            status TEXT DEFAULT 'active',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `;
-
-    const createStationsTable = `
-        CREATE TABLE IF NOT EXISTS stations (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            code TEXT UNIQUE NOT NULL,
-            name TEXT NOT NULL,
-            position INTEGER NOT NULL,
-            active BOOLEAN DEFAULT 1
-        )
-    `;
-
-    const createPricesTable = `
-        CREATE TABLE IF NOT EXISTS prices (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            ticket_type TEXT UNIQUE NOT NULL,
-            price REAL NOT NULL,
-            description TEXT,
-            active BOOLEAN DEFAULT 1
-        )
-    `;
-
-    db.run(createBookingsTable, (err) => {
-        if (err) console.error('Error creating bookings table:', err);
-    });
+for (const file of PUBLIC_FILES) {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+app.use('/icons', express.static(path.join(__dirname, 'icons')));
 
-    db.run(createStationsTable, (err) => {
-        if (err) console.error('Error creating stations table:', err);
-        else insertInitialStations();
-    });
+// Database setup. DB_CLIENT picks the backend (see db/index.js) and the
+// migrations in db/migrations bring the schema up to date before the
+// server starts listening.
+const db = createDatabase();
 
-    db.run(createPricesTable, (err) => {
-        if (err) console.error('Error creating prices table:', err);
-        else insertInitialPrices();
-    });
+// The placeholder admin password earlier versions of .env.example shipped
+const EXAMPLE_ADMIN_PASSWORD = 'change-this-admin-password';
+
+// Create or promote the bootstrap admin named by ADMIN_EMAIL/ADMIN_PASSWORD.
+// Nothing is seeded without a password of at least 8 characters, and never
+// with the example one, so a copied config has no known admin login.
+async function ensureAdminAccount() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email) {
+        return;
+    }
+
+    if (!password || password.length < 8 || password === EXAMPLE_ADMIN_PASSWORD) {
+        console.warn('ADMIN_PASSWORD is not set, too short or the example one; the admin account was not seeded.');
+        return;
+    }
+
+    try {
+        const normalizedEmail = email.trim().toLowerCase();
+        const existing = await dbGet('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+
+        if (existing) {
+            await dbRun('UPDATE users SET role = ? WHERE id = ?', [ROLES.ADMIN, existing.id]);
+        } else {
+            const passwordHash = await bcrypt.hash(password, 10);
+            await dbRun(
+                'INSERT INTO users (email, password_hash, name, role) VALUES (?, ?, ?, ?)',
+                [normalizedEmail, passwordHash, 'Administrator', ROLES.ADMIN]
+            );
+        }
+    } catch (error) {
+        console.error('Error creating admin account:', error);
+    }
 }
 
 // Insert initial station data
-function insertInitialStations() {
+async function insertInitialStations() {
+    // Zones run outwards from the city centre; season passes cover a range of them
     const stations = [
-        { code: 'central', name: 'Central Station', position: 1 },
-        { code: 'downtown', name: 'Downtown', position: 2 },
-        { code: 'university', name: 'University', position: 3 },
-        { code: 'mall', name: 'Shopping Mall', position: 4 },
-        { code: 'hospital', name: 'City Hospital', position: 5 },
-        { code: 'airport', name: 'Airport', position: 6 },
-        { code: 'stadium', name: 'Sports Stadium', position: 7 },
-        { code: 'park', name: 'City Park', position: 8 }
+        { code: 'central', name: 'Central Station', position: 1, zone: 1 },
+        { code: 'downtown', name: 'Downtown', position: 2, zone: 1 },
+        { code: 'university', name: 'University', position: 3, zone: 1 },
+        { code: 'mall', name: 'Shopping Mall', position: 4, zone: 2 },
+        { code: 'hospital', name: 'City Hospital', position: 5, zone: 2 },
+        { code: 'airport', name: 'Airport', position: 6, zone: 3 },
+        { code: 'stadium', name: 'Sports Stadium', position: 7, zone: 3 },
+        { code: 'park', name: 'City Park', position: 8, zone: 3 },
+        { code: 'harbor', name: 'Harbor Front', position: 9, zone: 1 },
+        { code: 'museum', name: 'City Museum', position: 10, zone: 1 },
+        { code: 'techpark', name: 'Tech Park', position: 11, zone: 2 }
     ];
 
-    const insertStation = db.prepare(`
-        INSERT OR IGNORE INTO stations (code, name, position) 
-        VALUES (?, ?, ?)
-    `);
+    for (const station of stations) {
+        await dbRun(`
+            INSERT INTO stations (code, name, position, zone) 
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `, [station.code, station.name, station.position, station.zone]);
 
-    stations.forEach(station => {
-        insertStation.run(station.code, station.name, station.position);
-    });
+        // Backfill rows created before stations had a zone
+        await dbRun('UPDATE stations SET zone = ? WHERE code = ? AND zone IS NULL', [station.zone, station.code]);
+    }
 
-    insertStation.finalize();
+    // Stations added by an admin before then start in the central zone
+    await dbRun('UPDATE stations SET zone = 1 WHERE zone IS NULL');
 }
 
 // Insert initial pricing data
-function insertInitialPrices() {
+async function insertInitialPrices() {
+    // price is the shortest-trip fare; multiplier scales the distance fare band
+    // (a null multiplier means the type is a flat fare of `price`). Concession
+    // types can only be booked by riders eligible for that concession. A
+    // return costs the single fare times return_multiplier; types without
+    // one are not sold as returns.
     const prices = [
-        { ticket_type: 'regular', price: 2.50, description: 'Standard fare' },
-        { ticket_type: 'student', price: 1.50, description: 'Student discount fare' },
-        { ticket_type: 'senior', price: 1.75, description: 'Senior citizen fare' },
-        { ticket_type: 'day-pass', price: 8.00, description: 'Unlimited rides for one day' }
+        { ticket_type: 'regular', price: 2.50, description: 'Standard fare', multiplier: 1, concession: null, return_multiplier: 1.8 },
+        { ticket_type: 'student', price: 1.50, description: 'Student discount fare', multiplier: 0.6, concession: 'student', return_multiplier: 1.8 },
+        { ticket_type: 'senior', price: 1.75, description: 'Senior citizen fare', multiplier: 0.7, concession: 'senior', return_multiplier: 1.8 },
+        { ticket_type: 'child', price: 1.25, description: 'Child fare (5-15 years)', multiplier: 0.5, concession: null, return_multiplier: 1.8 },
+        { ticket_type: 'day-pass', price: 8.00, description: 'Unlimited rides for one day', multiplier: null, concession: null, return_multiplier: null }
     ];
 
-    const insertPrice = db.prepare(`
-        INSERT OR IGNORE INTO prices (ticket_type, price, description) 
-        VALUES (?, ?, ?)
-    `);
+    for (const price of prices) {
+        await dbRun(`
+            INSERT INTO prices (ticket_type, price, description, multiplier, concession, return_multiplier) 
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `, [price.ticket_type, price.price, price.description, price.multiplier, price.concession, price.return_multiplier]);
 
-    prices.forEach(price => {
-        insertPrice.run(price.ticket_type, price.price, price.description);
-    });
+        // Backfill rows created before prices had a multiplier
+        if (price.multiplier !== null) {
+            await dbRun(
+                'UPDATE prices SET multiplier = ? WHERE ticket_type = ? AND multiplier IS NULL',
+                [price.multiplier, price.ticket_type]
+            );
+        }
 
-    insertPrice.finalize();
+        // Concession types were open to anyone before eligibility checks
+        if (price.concession !== null) {
+            await dbRun(
+                'UPDATE prices SET concession = ? WHERE ticket_type = ? AND concession IS NULL',
+                [price.concession, price.ticket_type]
+            );
+        }
+    }
 }
 
-// Utility function to generate QR code
-async function generateQRCode(bookingData) {
-    const qrData = {
-        bookingId: bookingData.id,
-        from: bookingData.from,
-        to: bookingData.to,
-        date: bookingData.date,
-        time: bookingData.time,
-        passengers: bookingData.passengers,
-        type: bookingData.ticketType
-    };
+// Insert the season passes on sale. A pass lasts `duration` days or months
+// and costs `price` for one zone plus `extra_zone_price` for each further zone.
+async function insertInitialPassTypes() {
+    const passTypes = [
+        { code: 'weekly', name: 'Weekly Pass', duration: 7, duration_unit: 'day', price: 25, extra_zone_price: 7.5 },
+        { code: 'monthly', name: 'Monthly Pass', duration: 1, duration_unit: 'month', price: 90, extra_zone_price: 25 },
+        { code: 'annual', name: 'Annual Pass', duration: 12, duration_unit: 'month', price: 900, extra_zone_price: 250 }
+    ];
 
-    try {
-        const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData));
-        return qrCodeDataURL;
-    } catch (error) {
-        console.error('Error generating QR code:', error);
-        return null;
+    for (const passType of passTypes) {
+        await dbRun(`
+            INSERT INTO pass_types (code, name, duration, duration_unit, price, extra_zone_price)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `, [passType.code, passType.name, passType.duration, passType.duration_unit, passType.price, passType.extra_zone_price]);
     }
 }
 
-// API Routes
+// Insert initial metro lines
+async function insertInitialLines() {
+    const lines = [
+        { code: 'red', name: 'Red Line', color: '#e53e3e' },
+        { code: 'blue', name: 'Blue Line', color: '#3182ce' }
+    ];
 
-// Get all stations
-app.get('/api/stations', (req, res) => {
-    const query = 'SELECT * FROM stations WHERE active = 1 ORDER BY position';
-    
-    db.all(query, [], (err, rows) => {
-        if (err) {
-            console.error('Database error:', err);
-            res.status(500).json({ error: 'Internal server error' });
-            return;
+    for (const line of lines) {
+        await dbRun(`
+            INSERT INTO lines (code, name, color) 
+            VALUES (?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `, [line.code, line.name, line.color]);
+    }
+}
+
+// Insert initial line membership, in running order with the travel
+// time in minutes from the previous station on the line
+async function insertInitialLineStations() {
+    const lineStations = {
+        red: [
+            ['central', 0], ['downtown', 3], ['university', 2], ['mall', 3],
+            ['hospital', 2], ['airport', 4], ['stadium', 3], ['park', 2]
+        ],
+        blue: [
+            ['harbor', 0], ['downtown', 3], ['museum', 2], ['hospital', 3], ['techpark', 4]
+        ]
+    };
+
+    for (const [lineCode, stations] of Object.entries(lineStations)) {
+        for (const [index, [stationCode, minutes]] of stations.entries()) {
+            await dbRun(`
+                INSERT INTO line_stations (line_code, station_code, sequence, minutes_from_previous) 
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT DO NOTHING
+            `, [lineCode, stationCode, index + 1, minutes]);
         }
-        res.json(rows);
-    });
-});
+    }
+}
 
-// Get ticket prices
-app.get('/api/prices', (req, res) => {
-    const query = 'SELECT * FROM prices WHERE active = 1';
-    
-    db.all(query, [], (err, rows) => {
-        if (err) {
-            console.error('Database error:', err);
-            res.status(500).json({ error: 'Internal server error' });
+// Insert initial interchanges between lines
+async function insertInitialInterchanges() {
+    const interchanges = [
+        { station_code: 'downtown', from_line: 'red', to_line: 'blue', transfer_minutes: 4 },
+        { station_code: 'downtown', from_line: 'blue', to_line: 'red', transfer_minutes: 4 },
+        { station_code: 'hospital', from_line: 'red', to_line: 'blue', transfer_minutes: 5 },
+        { station_code: 'hospital', from_line: 'blue', to_line: 'red', transfer_minutes: 5 }
+    ];
+
+    for (const interchange of interchanges) {
+        await dbRun(`
+            INSERT INTO interchanges (station_code, from_line, to_line, transfer_minutes) 
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `, [
+            interchange.station_code,
+            interchange.from_line,
+            interchange.to_line,
+            interchange.transfer_minutes
+        ]);
+    }
+}
+
+// Headways of the seeded timetable: trains leave each terminus every
+// `every` minutes from `from` until before `until`
+const TIMETABLE_HEADWAYS = [
+    { from: '05:00', until: '07:00', every: 15 },
+    { from: '07:00', until: '10:00', every: 6 },
+    { from: '10:00', until: '16:00', every: 10 },
+    { from: '16:00', until: '19:00', every: 6 },
+    { from: '19:00', until: '23:30', every: 15 }
+];
+
+// Seed a timetable for each line in both directions from the line's
+// running times, unless one already exists. Every day runs the same timetable.
+async function insertInitialTimetable() {
+    try {
+        const existing = await dbGet('SELECT COUNT(*) AS count FROM services');
+        if (existing.count > 0) {
             return;
         }
-        res.json(rows);
-    });
-});
 
-// Create a new booking
-app.post('/api/bookings', async (req, res) => {
-    try {
-        const {
-            from,
-            to,
-            date,
-            time,
-            passengers,
-            ticketType,
-            totalPrice
-        } = req.body;
+        const lineStations = await dbAll(
+            'SELECT line_code, station_code, minutes_from_previous FROM line_stations ORDER BY line_code, sequence'
+        );
 
-        // Validate required fields
-        if (!from || !to || !date || !time || !passengers || !ticketType || !totalPrice) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        if (lineStations.length === 0) {
+            return;
         }
 
-        // Validate stations are different
-        if (from === to) {
-            return res.status(400).json({ error: 'From and to stations must be different' });
-        }
+        const routes = {};
+        lineStations.forEach(row => {
+            if (!routes[row.line_code]) routes[row.line_code] = [];
+            routes[row.line_code].push(row);
+        });
 
-        // Validate date is not in the past
-        const bookingDate = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (bookingDate < today) {
-            return res.status(400).json({ error: 'Booking date cannot be in the past' });
-        }
+        await dbRun('BEGIN');
 
-        // Generate booking ID
-        const bookingId = `MB${Date.now()}${Math.floor(Math.random() * 1000)}`.slice(-10);
+        for (const [lineCode, stations] of Object.entries(routes)) {
+            // Running time into each station from the outbound terminus
+            let elapsed = 0;
+            const offsets = stations.map(station => (elapsed += station.minutes_from_previous));
+            const runningTime = offsets[offsets.length - 1];
 
-        // Generate QR code
-        const qrCode = await generateQRCode({
-            id: bookingId,
-            from,
-            to,
-            date,
-            time,
-            passengers,
-            ticketType
-        });
+            const directions = {
+                outbound: stations.map((station, index) => [station.station_code, offsets[index]]),
+                inbound: stations.map((station, index) => [station.station_code, runningTime - offsets[index]]).reverse()
+            };
 
-        // Insert booking into database
-        const insertQuery = `
-            INSERT INTO bookings (
-                id, from_station, to_station, travel_date, travel_time,
-                passengers, ticket_type, total_price, qr_code
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
+            for (const { from, until, every } of TIMETABLE_HEADWAYS) {
+                for (let departure = toMinutes(from); departure < toMinutes(until); departure += every) {
+                    for (const [direction, stops] of Object.entries(directions)) {
+                        const serviceId = `${lineCode}-${direction === 'outbound' ? 'o' : 'i'}-${fromMinutes(departure).replace(':', '')}`;
 
-        db.run(insertQuery, [
-            bookingId, from, to, date, time, passengers, ticketType, totalPrice, qrCode
-        ], function(err) {
-            if (err) {
-                console.error('Database error:', err);
-                res.status(500).json({ error: 'Failed to create booking' });
-                return;
-            }
+                        await dbRun(
+                            'INSERT INTO services (id, line_code, direction, capacity) VALUES (?, ?, ?, ?)',
+                            [serviceId, lineCode, direction, TRAIN_CAPACITY]
+                        );
 
-            res.status(201).json({
-                success: true,
-                booking: {
-                    id: bookingId,
-                    from,
-                    to,
-                    date,
-                    time,
-                    passengers,
-                    ticketType,
-                    totalPrice,
-                    qrCode,
-                    status: 'active'
+                        for (const [index, [stationCode, offset]] of stops.entries()) {
+                            await dbRun(
+                                'INSERT INTO service_stops (service_id, station_code, sequence, departure_time) VALUES (?, ?, ?, ?)',
+                                [serviceId, stationCode, index + 1, fromMinutes(departure + offset)]
+                            );
+                        }
+                    }
                 }
-            });
-        });
+            }
+        }
 
+        await dbRun('COMMIT');
     } catch (error) {
-        console.error('Booking creation error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Error creating timetable:', error);
+        await dbRun('ROLLBACK').catch(() => {});
     }
-});
+}
 
-// Get booking by ID
-app.get('/api/bookings/:id', (req, res) => {
-    const bookingId = req.params.id;
-    const query = 'SELECT * FROM bookings WHERE id = ?';
+// Insert initial distance fare bands
+async function insertInitialFareBands() {
+    const fareBands = [
+        { min_stops: 1, max_stops: 2, fare: 2.50 },
+        { min_stops: 3, max_stops: 4, fare: 3.00 },
+        { min_stops: 5, max_stops: null, fare: 3.50 }
+    ];
 
-    db.get(query, [bookingId], (err, row) => {
-        if (err) {
-            console.error('Database error:', err);
-            res.status(500).json({ error: 'Internal server error' });
-            return;
-        }
+    for (const band of fareBands) {
+        await dbRun(`
+            INSERT INTO fare_bands (min_stops, max_stops, fare) 
+            VALUES (?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `, [band.min_stops, band.max_stops, band.fare]);
+    }
+}
 
-        if (!row) {
-            res.status(404).json({ error: 'Booking not found' });
-            return;
+// Seed the reference data a new database starts with. Rows that already
+// exist are left alone; the timetable is worked out from the line running
+// times, so it comes last.
+async function seedDatabase() {
+    await insertInitialStations();
+    await insertInitialPrices();
+    await insertInitialFareBands();
+    await insertInitialPassTypes();
+    await insertInitialLines();
+    await insertInitialLineStations();
+    await insertInitialInterchanges();
+    await insertInitialTimetable();
+}
+
+// Shorthands for the data access layer (db/index.js)
+function dbGet(query, params = []) {
+    return db.get(query, params);
+}
+
+function dbAll(query, params = []) {
+    return db.all(query, params);
+}
+
+function dbRun(query, params = []) {
+    return db.run(query, params);
+}
+
+// Round a currency amount to whole cents
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Convert between "HH:MM" times of day and minutes after midnight
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+const MAX_PASSENGERS_PER_BOOKING = 10;
+const PASSENGER_NAME_MAX_LENGTH = 60;
+
+// Bookings whose passengers travel on different ticket types are stored
+// under this ticket type; booking_passengers holds each passenger's type
+const MIXED_TICKET_TYPE = 'mixed';
+
+// A return booking covers two journeys: the outbound one at travel_date and
+// travel_time, and the same trip the other way at return_date and return_time
+const TRIP_TYPES = ['single', 'return'];
+const JOURNEY = {
+    OUTBOUND: 'outbound',
+    RETURN: 'return'
+};
+
+// Look up an active station by its code
+function getActiveStation(code) {
+    return dbGet('SELECT * FROM stations WHERE code = ? AND active = 1', [code]);
+}
+
+// Load the active network as a graph for the journey planner.
+// Nodes are "line:station" pairs; riding between neighbouring stations and
+// changing lines at an interchange are both weighted edges in minutes.
+async function loadNetworkGraph() {
+    const [lineStations, interchanges] = await Promise.all([
+        dbAll(`
+            SELECT ls.line_code, ls.station_code, ls.sequence, ls.minutes_from_previous,
+                   l.name AS line_name, l.color AS line_color
+            FROM line_stations ls
+            JOIN lines l ON l.code = ls.line_code AND l.active = 1
+            JOIN stations s ON s.code = ls.station_code AND s.active = 1
+            ORDER BY ls.line_code, ls.sequence
+        `),
+        dbAll('SELECT station_code, from_line, to_line, transfer_minutes FROM interchanges')
+    ]);
+
+    const lines = {};
+    const edges = new Map();
+    const addEdge = (from, edge) => {
+        if (!edges.has(from)) edges.set(from, []);
+        edges.get(from).push(edge);
+    };
+
+    let previous = null;
+    lineStations.forEach(row => {
+        lines[row.line_code] = { code: row.line_code, name: row.line_name, color: row.line_color };
+        const node = `${row.line_code}:${row.station_code}`;
+        if (!edges.has(node)) edges.set(node, []);
+
+        // Inactive stations are skipped, so trains run straight through them
+        if (previous && previous.line_code === row.line_code) {
+            const previousNode = `${previous.line_code}:${previous.station_code}`;
+            addEdge(previousNode, { to: node, minutes: row.minutes_from_previous, type: 'ride' });
+            addEdge(node, { to: previousNode, minutes: row.minutes_from_previous, type: 'ride' });
         }
+        previous = row;
+    });
 
-        res.json(row);
+    interchanges.forEach(row => {
+        const from = `${row.from_line}:${row.station_code}`;
+        const to = `${row.to_line}:${row.station_code}`;
+        if (edges.has(from) && edges.has(to)) {
+            addEdge(from, { to, minutes: row.transfer_minutes, type: 'transfer' });
+        }
     });
-});
 
-// Get all bookings (for admin purposes)
-app.get('/api/bookings', (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
+    return { lines, edges };
+}
 
-    const query = `
-        SELECT * FROM bookings 
-        ORDER BY created_at DESC 
-        LIMIT ? OFFSET ?
-    `;
+// Plan the fastest journey between two station codes.
+// Resolves to null when no route connects them.
+async function planJourney(fromCode, toCode) {
+    const { lines, edges } = await loadNetworkGraph();
+    const stationOf = node => node.slice(node.indexOf(':') + 1);
+    const lineOf = node => node.slice(0, node.indexOf(':'));
 
-    const countQuery = 'SELECT COUNT(*) as total FROM bookings';
+    // Dijkstra's algorithm; the network is small enough for a linear scan queue
+    const distances = new Map();
+    const previous = new Map();
+    const queue = [];
 
-    db.get(countQuery, [], (err, countResult) => {
-        if (err) {
-            console.error('Database error:', err);
-            res.status(500).json({ error: 'Internal server error' });
-            return;
+    edges.forEach((_, node) => {
+        if (stationOf(node) === fromCode) {
+            distances.set(node, 0);
+            queue.push(node);
         }
+    });
 
-        db.all(query, [limit, offset], (err, rows) => {
-            if (err) {
-                console.error('Database error:', err);
-                res.status(500).json({ error: 'Internal server error' });
-                return;
-            }
+    let target = null;
+    while (queue.length > 0) {
+        queue.sort((a, b) => distances.get(a) - distances.get(b));
+        const node = queue.shift();
 
-            res.json({
-                bookings: rows,
-                pagination: {
-                    page,
-                    limit,
-                    total: countResult.total,
-                    pages: Math.ceil(countResult.total / limit)
-                }
-            });
+        if (stationOf(node) === toCode) {
+            target = node;
+            break;
+        }
+
+        edges.get(node).forEach(edge => {
+            const distance = distances.get(node) + edge.minutes;
+            if (!distances.has(edge.to) || distance < distances.get(edge.to)) {
+                if (!distances.has(edge.to)) queue.push(edge.to);
+                distances.set(edge.to, distance);
+                previous.set(edge.to, { node, edge });
+            }
         });
-    });
-});
+    }
+
+    if (!target) {
+        return null;
+    }
 
-// Cancel booking
-app.put('/api/bookings/:id/cancel', (req, res) => {
-    const bookingId = req.params.id;
-    const updateQuery = `
-        UPDATE bookings 
-        SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ? AND status = 'active'
-    `;
+    // Walk back from the destination, then group consecutive rides into legs
+    const steps = [];
+    for (let node = target; previous.has(node); node = previous.get(node).node) {
+        steps.unshift({ from: previous.get(node).node, to: node, edge: previous.get(node).edge });
+    }
 
-    db.run(updateQuery, [bookingId], function(err) {
-        if (err) {
-            console.error('Database error:', err);
-            res.status(500).json({ error: 'Failed to cancel booking' });
+    const legs = [];
+    const transfers = [];
+    let leg = null;
+
+    steps.forEach(step => {
+        if (step.edge.type === 'transfer') {
+            transfers.push({
+                station: stationOf(step.from),
+                fromLine: lineOf(step.from),
+                toLine: lineOf(step.to),
+                minutes: step.edge.minutes
+            });
+            leg = null;
             return;
         }
 
-        if (this.changes === 0) {
-            res.status(404).json({ error: 'Booking not found or already cancelled' });
-            return;
+        if (!leg) {
+            leg = {
+                line: lines[lineOf(step.from)],
+                from: stationOf(step.from),
+                to: stationOf(step.from),
+                stations: [stationOf(step.from)],
+                stops: 0,
+                minutes: 0
+            };
+            legs.push(leg);
         }
 
-        res.json({ 
-            success: true, 
-            message: 'Booking cancelled successfully' 
-        });
+        leg.to = stationOf(step.to);
+        leg.stations.push(leg.to);
+        leg.stops += 1;
+        leg.minutes += step.edge.minutes;
     });
-});
 
-// Validate ticket (for QR code scanning)
-app.post('/api/tickets/validate', (req, res) => {
-    const { bookingId } = req.body;
+    return {
+        from: fromCode,
+        to: toCode,
+        legs,
+        transfers,
+        stops: legs.reduce((total, current) => total + current.stops, 0),
+        totalMinutes: distances.get(target)
+    };
+}
+
+// Calculate the fare for a planned journey.
+// The per-passenger fare is the fare band for the number of stops travelled,
+// scaled by the ticket type multiplier. Flat types (no multiplier) charge
+// their price once for the whole party.
+// A return costs the single fare times the type's return multiplier.
+// `concession` is the concession category riders need to book the type.
+// Resolves to null when the ticket type is unknown or inactive, or for a
+// return when the type is not sold as one.
+async function calculateFare({ journey, ticketType, passengers, tripType = 'single' }) {
+    const priceRow = await dbGet(`
+        SELECT ticket_type, price, description, multiplier, concession, return_multiplier
+        FROM prices WHERE ticket_type = ? AND active = 1
+    `, [ticketType]);
+
+    const isReturn = tripType === 'return';
+
+    if (!priceRow || (isReturn && priceRow.return_multiplier === null)) {
+        return null;
+    }
 
-    if (!bookingId) {
-        return res.status(400).json({ error: 'Booking ID is required' });
+    const stops = journey.stops;
+    const returnMultiplier = isReturn ? priceRow.return_multiplier : null;
+    const tripFare = fare => roundCurrency(isReturn ? fare * returnMultiplier : fare);
+
+    if (priceRow.multiplier === null) {
+        return {
+            ticketType: priceRow.ticket_type,
+            description: priceRow.description,
+            stops,
+            fareBand: null,
+            multiplier: null,
+            returnMultiplier,
+            unitPrice: tripFare(priceRow.price),
+            passengers,
+            quantity: 1,
+            total: tripFare(priceRow.price),
+            concession: priceRow.concession
+        };
     }
 
-    const query = `
-        SELECT * FROM bookings 
-        WHERE id = ? AND status = 'active'
-    `;
+    const band = await dbGet(`
+        SELECT * FROM fare_bands
+        WHERE active = 1 AND min_stops <= ? AND (max_stops IS NULL OR max_stops >= ?)
+        ORDER BY min_stops DESC
+        LIMIT 1
+    `, [stops, stops]);
 
-    db.get(query, [bookingId], (err, row) => {
-        if (err) {
-            console.error('Database error:', err);
-            res.status(500).json({ error: 'Internal server error' });
-            return;
+    // Fall back to the plain ticket price if the bands leave a gap
+    const baseFare = band ? band.fare : priceRow.price;
+    const unitPrice = tripFare(roundCurrency(baseFare * priceRow.multiplier));
+
+    return {
+        ticketType: priceRow.ticket_type,
+        description: priceRow.description,
+        stops,
+        fareBand: band ? { minStops: band.min_stops, maxStops: band.max_stops, fare: band.fare } : null,
+        multiplier: priceRow.multiplier,
+        returnMultiplier,
+        unitPrice,
+        passengers,
+        quantity: passengers,
+        total: roundCurrency(unitPrice * passengers),
+        concession: priceRow.concession
+    };
+}
+
+// Calculate the fare for a group travelling on a planned journey.
+// Each ticket type is priced for the passengers on it as calculateFare
+// does, one line per type, and groups of at least
+// GROUP_DISCOUNT_MIN_PASSENGERS get GROUP_DISCOUNT_PERCENT off the lot.
+// `passengerFares` is each passenger's share of their line before any
+// discount. Resolves to null when calculateFare does for a ticket type.
+async function calculateGroupFare({ journey, passengers, tripType = 'single' }) {
+    const lines = [];
+
+    for (const ticketType of new Set(passengers.map(passenger => passenger.ticketType))) {
+        const count = passengers.filter(passenger => passenger.ticketType === ticketType).length;
+        const line = await calculateFare({ journey, ticketType, passengers: count, tripType });
+
+        if (!line) {
+            return null;
         }
+        lines.push(line);
+    }
 
-        if (!row) {
-            res.status(404).json({ 
-                valid: false, 
-                error: 'Invalid or expired ticket' 
-            });
-            return;
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.total, 0));
+    const groupDiscount = passengers.length >= GROUP_DISCOUNT_MIN_PASSENGERS
+        ? {
+            minPassengers: GROUP_DISCOUNT_MIN_PASSENGERS,
+            percent: GROUP_DISCOUNT_PERCENT,
+            amount: roundCurrency(subtotal * GROUP_DISCOUNT_PERCENT / 100)
         }
+        : null;
 
-        // Check if ticket is for today or future
-        const travelDate = new Date(row.travel_date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+    return {
+        tripType,
+        stops: journey.stops,
+        passengers: passengers.length,
+        lines,
+        passengerFares: passengers.map(passenger => {
+            const line = lines.find(candidate => candidate.ticketType === passenger.ticketType);
+            return roundCurrency(line.total / line.passengers);
+        }),
+        subtotal,
+        groupDiscount,
+        total: roundCurrency(subtotal - (groupDiscount ? groupDiscount.amount : 0))
+    };
+}
 
-        if (travelDate < today) {
-            res.status(400).json({ 
-                valid: false, 
-                error: 'Ticket has expired' 
-            });
-            return;
+// Read the passengers of a booking request: a list of { ticketType, name },
+// or from older clients a count of passengers who all travel on
+// `ticketType`. Returns { error } or { passengers }.
+function readPassengers(passengers, ticketType) {
+    if (!Array.isArray(passengers)) {
+        const count = Number(passengers);
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_PASSENGERS_PER_BOOKING) {
+            return { error: `Passengers must be a whole number between 1 and ${MAX_PASSENGERS_PER_BOOKING}` };
         }
+        passengers = Array.from({ length: count }, () => ({ ticketType }));
+    }
 
-        res.json({
-            valid: true,
-            booking: {
-                id: row.id,
-                from: row.from_station,
-                to: row.to_station,
-                date: row.travel_date,
-                time: row.travel_time,
-                passengers: row.passengers,
-                ticketType: row.ticket_type
-            }
-        });
-    });
-});
+    if (passengers.length < 1 || passengers.length > MAX_PASSENGERS_PER_BOOKING) {
+        return { error: `A booking holds between 1 and ${MAX_PASSENGERS_PER_BOOKING} passengers` };
+    }
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
-});
+    const list = [];
 
-// Serve the main HTML file for all non-API routes
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+    for (const [index, passenger] of passengers.entries()) {
+        const type = passenger && passenger.ticketType;
+        const name = passenger && passenger.name ? String(passenger.name).trim() : '';
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+        if (typeof type !== 'string' || !TICKET_TYPE_PATTERN.test(type)) {
+            return { error: `Passenger ${index + 1} needs a ticket type` };
+        }
+        if (name.length > PASSENGER_NAME_MAX_LENGTH) {
+            return { error: `Passenger ${index + 1}'s name must be at most ${PASSENGER_NAME_MAX_LENGTH} characters` };
+        }
+        list.push({ ticketType: type, name: name || null });
+    }
+
+    return { passengers: list };
+}
+
+// The ticket type a booking is stored under: its passengers' type, or
+// MIXED_TICKET_TYPE when they differ
+function getBookingTicketType(passengers) {
+    const types = new Set(passengers.map(passenger => passenger.ticketType));
+    return types.size === 1 ? passengers[0].ticketType : MIXED_TICKET_TYPE;
+}
+
+// Read the trip type of a new booking and, for a return, when the return
+// journey leaves: on the outbound date or later. Returns { error } when
+// they are invalid.
+function readReturnTrip({ tripType = 'single', returnDate, returnTime }, date) {
+    if (!TRIP_TYPES.includes(tripType)) {
+        return { error: `Trip type must be one of: ${TRIP_TYPES.join(', ')}` };
+    }
+
+    if (tripType !== 'return') {
+        return { tripType, returnDate: null, returnTime: null };
+    }
+
+    if (!isValidDate(returnDate) || !/^\d{2}:\d{2}$/.test(returnTime || '')) {
+        return { error: 'A return needs a return date (YYYY-MM-DD) and time (HH:MM)' };
+    }
+
+    if (returnDate < date) {
+        return { error: 'The return journey cannot be before the outbound one' };
+    }
+
+    return { tripType, returnDate, returnTime };
+}
+
+// Check every passenger's ticket type is on sale, as a return for a
+// return trip, and that concession fares are only for the signed-in rider:
+// one passenger per concession, who has to qualify for it on the travel
+// date. Resolves to a { status, error, code } refusal or null.
+async function getPassengerRefusal(user, passengers, date, tripType = 'single') {
+    const prices = await dbAll('SELECT ticket_type, concession, return_multiplier FROM prices WHERE active = 1');
+    const priceRows = new Map(prices.map(price => [price.ticket_type, price]));
+    const claimed = new Set();
+
+    for (const [index, passenger] of passengers.entries()) {
+        const price = priceRows.get(passenger.ticketType);
+
+        if (!price) {
+            return {
+                status: 400,
+                error: `Passenger ${index + 1}: unknown ticket type`,
+                code: 'ticket_type_unavailable'
+            };
+        }
+
+        if (tripType === 'return' && price.return_multiplier === null) {
+            return {
+                status: 400,
+                error: `Passenger ${index + 1}: this ticket type is not sold as a return`,
+                code: 'return_unavailable'
+            };
+        }
+
+        const concession = price.concession;
+
+        if (!concession) {
+            continue;
+        }
+
+        if (claimed.has(concession)) {
+            return {
+                status: 400,
+                error: `Only one passenger per booking can travel on a ${concession} fare: the account holder`,
+                code: 'concession_limit',
+                concession
+            };
+        }
+        claimed.add(concession);
+
+        const refusal = await getConcessionRefusal(user, concession, date);
+        if (refusal) {
+            return refusal;
+        }
+    }
+
+    return null;
+}
+
+// Store a booking's passengers with their fares, replacing any it had
+async function saveBookingPassengers(bookingId, passengers, passengerFares) {
+    await dbRun('DELETE FROM booking_passengers WHERE booking_id = ?', [bookingId]);
+
+    for (const [index, passenger] of passengers.entries()) {
+        await dbRun(
+            'INSERT INTO booking_passengers (booking_id, passenger, ticket_type, name, fare) VALUES (?, ?, ?, ?, ?)',
+            [bookingId, index + 1, passenger.ticketType, passenger.name, passengerFares[index]]
+        );
+    }
+}
+
+function getBookingPassengers(bookingId) {
+    return dbAll('SELECT * FROM booking_passengers WHERE booking_id = ? ORDER BY passenger', [bookingId]);
+}
+
+function serializeBookingPassenger(passenger) {
+    return {
+        passenger: passenger.passenger,
+        name: passenger.name,
+        ticketType: passenger.ticket_type,
+        fare: passenger.fare,
+        qrCode: passenger.qr_code,
+        returnQrCode: passenger.return_qr_code
+    };
+}
+
+// Describe a booking's fares for tickets and emails: the fare's
+// description when everyone travels on the same one, otherwise a count of
+// each, e.g. "1 × Regular fare, 2 × Child fare"
+function describeTicketTypes(passengers, descriptions) {
+    const counts = new Map();
+    passengers.forEach(passenger => counts.set(passenger.ticket_type, (counts.get(passenger.ticket_type) || 0) + 1));
+
+    if (counts.size === 1) {
+        const [ticketType] = counts.keys();
+        return descriptions.get(ticketType) || ticketType;
+    }
+
+    return Array.from(counts, ([ticketType, count]) => `${count} × ${descriptions.get(ticketType) || ticketType}`)
+        .join(', ');
+}
+
+// Map each ticket type to its description
+async function getTicketTypeDescriptions() {
+    const prices = await dbAll('SELECT ticket_type, description FROM prices');
+    return new Map(prices.map(price => [price.ticket_type, price.description]));
+}
+
+// Seats free on a train between two of its stops: its capacity less the
+// busiest stretch in between, since riders on other parts of the line
+// leave their seat free for the rest of it
+function seatsFree(capacity, occupancy, board, alight) {
+    let busiest = 0;
+
+    for (let stop = board; stop < alight; stop++) {
+        const onBoard = occupancy
+            .filter(leg => leg.board_sequence <= stop && leg.alight_sequence > stop)
+            .reduce((total, leg) => total + leg.passengers, 0);
+        busiest = Math.max(busiest, onBoard);
+    }
+
+    return Math.max(capacity - busiest, 0);
+}
+
+// Load the legs holding seats on some trains on a date, grouped by train
+async function loadServiceOccupancy(serviceIds, date, excludeBookingId = null) {
+    const occupancy = new Map(serviceIds.map(serviceId => [serviceId, []]));
+
+    if (serviceIds.length === 0) {
+        return occupancy;
+    }
+
+    const rows = await dbAll(`
+        SELECT bl.service_id, bl.board_sequence, bl.alight_sequence, b.passengers
+        FROM booking_legs bl
+        JOIN bookings b ON b.id = bl.booking_id
+        WHERE bl.travel_date = ? AND bl.service_id IN (${serviceIds.map(() => '?').join(', ')})
+          AND (b.status = ? OR (b.status = ? AND b.hold_expires_at > ?)) AND b.id IS DISTINCT FROM ?
+    `, [
+        date, ...serviceIds,
+        BOOKING_STATUS.PAID, BOOKING_STATUS.PENDING_PAYMENT, toSqlTimestamp(new Date()),
+        excludeBookingId
+    ]);
+
+    rows.forEach(row => occupancy.get(row.service_id).push(row));
+    return occupancy;
+}
+
+// Find the trains for a planned journey on a date: each departure from the
+// origin at or after `after`, with the first connecting train on every later
+// leg once the transfer time has passed. An itinerary has as many seats as
+// its fullest leg.
+async function findDepartures(journey, date, { after = '00:00', limit = 20, excludeBookingId = null } = {}) {
+    const candidates = await Promise.all(journey.legs.map(leg => dbAll(`
+        SELECT s.id AS service_id, s.capacity,
+               board.sequence AS board_sequence, alight.sequence AS alight_sequence,
+               board.departure_time AS departs, alight.departure_time AS arrives
+        FROM services s
+        JOIN service_stops board ON board.service_id = s.id AND board.station_code = ?
+        JOIN service_stops alight ON alight.service_id = s.id AND alight.station_code = ?
+        WHERE s.line_code = ? AND s.active = 1 AND board.sequence < alight.sequence
+        ORDER BY board.departure_time
+    `, [leg.from, leg.to, leg.line.code])));
+
+    const itineraries = [];
+
+    for (const first of candidates[0]) {
+        if (itineraries.length >= limit) break;
+        if (first.departs < after) continue;
+
+        const trains = [first];
+        for (let index = 1; index < journey.legs.length; index++) {
+            const ready = fromMinutes(toMinutes(trains[index - 1].arrives) + journey.transfers[index - 1].minutes);
+            const connection = candidates[index].find(train => train.departs >= ready);
+            if (!connection) break;
+            trains.push(connection);
+        }
+
+        // Later departures will not make the connection either
+        if (trains.length < journey.legs.length) break;
+
+        itineraries.push(trains);
+    }
+
+    const serviceIds = [...new Set(itineraries.flat().map(train => train.service_id))];
+    const occupancy = await loadServiceOccupancy(serviceIds, date, excludeBookingId);
+
+    return itineraries.map(trains => {
+        const legs = trains.map((train, index) => ({
+            serviceId: train.service_id,
+            line: journey.legs[index].line,
+            from: journey.legs[index].from,
+            to: journey.legs[index].to,
+            departs: train.departs,
+            arrives: train.arrives,
+            boardSequence: train.board_sequence,
+            alightSequence: train.alight_sequence,
+            seatsAvailable: seatsFree(
+                train.capacity,
+                occupancy.get(train.service_id),
+                train.board_sequence,
+                train.alight_sequence
+            )
+        }));
+        const departs = legs[0].departs;
+        const arrives = legs[legs.length - 1].arrives;
+
+        return {
+            departs,
+            arrives,
+            minutes: toMinutes(arrives) - toMinutes(departs),
+            seatsAvailable: Math.min(...legs.map(leg => leg.seatsAvailable)),
+            legs
+        };
+    });
+}
+
+// Find the itinerary leaving the origin at exactly `time`, or null if no
+// train does
+async function findDeparture(journey, date, time, { excludeBookingId = null } = {}) {
+    const [itinerary] = await findDepartures(journey, date, { after: time, limit: 1, excludeBookingId });
+    return itinerary && itinerary.departs === time ? itinerary : null;
+}
+
+// Whether a booking's stored legs still have room for its party. The legs
+// of a return can be on two dates.
+async function bookingLegsHaveSeats(legs, passengers, excludeBookingId) {
+    for (const date of new Set(legs.map(leg => leg.travel_date))) {
+        const dayLegs = legs.filter(leg => leg.travel_date === date);
+        const serviceIds = dayLegs.map(leg => leg.service_id);
+        const [occupancy, services] = await Promise.all([
+            loadServiceOccupancy(serviceIds, date, excludeBookingId),
+            dbAll(`SELECT id, capacity FROM services WHERE id IN (${serviceIds.map(() => '?').join(', ')})`, serviceIds)
+        ]);
+        const capacities = new Map(services.map(service => [service.id, service.capacity]));
+
+        const hasSeats = dayLegs.every(leg => seatsFree(
+            capacities.get(leg.service_id) || 0,
+            occupancy.get(leg.service_id),
+            leg.board_sequence,
+            leg.alight_sequence
+        ) >= passengers);
+
+        if (!hasSeats) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Replace the trains a booking is on. `returnTrip` is the { date, itinerary }
+// of a return journey, whose legs are numbered on from the outbound ones.
+async function saveBookingLegs(bookingId, date, itinerary, returnTrip = null) {
+    await dbRun('DELETE FROM booking_legs WHERE booking_id = ?', [bookingId]);
+
+    const trips = [{ journey: JOURNEY.OUTBOUND, date, itinerary }];
+    if (returnTrip) {
+        trips.push({ journey: JOURNEY.RETURN, ...returnTrip });
+    }
+
+    let number = 0;
+
+    for (const trip of trips) {
+        for (const leg of trip.itinerary.legs) {
+            await dbRun(`
+                INSERT INTO booking_legs (
+                    booking_id, leg, journey, service_id, travel_date, from_station, to_station,
+                    board_sequence, alight_sequence, departs, arrives
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                bookingId, ++number, trip.journey, leg.serviceId, trip.date, leg.from, leg.to,
+                leg.boardSequence, leg.alightSequence, leg.departs, leg.arrives
+            ]);
+        }
+    }
+}
+
+function getBookingLegs(bookingId) {
+    return dbAll('SELECT * FROM booking_legs WHERE booking_id = ? ORDER BY leg', [bookingId]);
+}
+
+// Run tasks one at a time. The server is a single process, so a promise
+// queue is all the locking it needs.
+function createLock() {
+    let queue = Promise.resolve();
+
+    return task => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+}
+
+// Seat checks and the writes they allow, so two requests cannot both take
+// the last seats on a train
+const withSeatLock = createLock();
+
+// When a booking moving to pending_payment stops holding its seats
+function paymentHoldExpiry() {
+    return toSqlTimestamp(new Date(Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000));
+}
+
+// Whether a booking holds its seats: paid for, or unpaid with time left on
+// its hold
+async function bookingHoldsSeats(bookingId) {
+    const row = await dbGet(`
+        SELECT id FROM bookings
+        WHERE id = ? AND (status = ? OR (status = ? AND hold_expires_at > ?))
+    `, [bookingId, BOOKING_STATUS.PAID, BOOKING_STATUS.PENDING_PAYMENT, toSqlTimestamp(new Date())]);
+
+    return Boolean(row);
+}
+
+// Offer seats freed on some trains to the bookings waitlisted for them,
+// oldest first. A promoted booking moves to pending_payment and is paid for
+// like a new one.
+async function promoteWaitlistedBookings(freedLegs) {
+    if (freedLegs.length === 0) {
+        return [];
+    }
+
+    return withSeatLock(async () => {
+        const waiting = await dbAll(`
+            SELECT * FROM bookings
+            WHERE status = ? AND id IN (
+                SELECT booking_id FROM booking_legs
+                WHERE ${freedLegs.map(() => '(service_id = ? AND travel_date = ?)').join(' OR ')}
+            )
+            ORDER BY created_at, id
+        `, [BOOKING_STATUS.WAITLISTED, ...freedLegs.flatMap(leg => [leg.service_id, leg.travel_date])]);
+
+        const promoted = [];
+
+        for (const booking of waiting) {
+            const legs = await getBookingLegs(booking.id);
+
+            if (!await bookingLegsHaveSeats(legs, booking.passengers, booking.id)) {
+                continue;
+            }
+
+            const result = await dbRun(`
+                UPDATE bookings SET status = ?, hold_expires_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = ?
+            `, [BOOKING_STATUS.PENDING_PAYMENT, paymentHoldExpiry(), booking.id, BOOKING_STATUS.WAITLISTED]);
+
+            if (result.changes > 0) {
+                await recordBookingHistory(booking.id, 'promoted');
+                await enqueueBookingEmail('seatAvailable', booking.id);
+                promoted.push(booking.id);
+            }
+        }
+
+        return promoted;
+    });
+}
+
+// Fail the unpaid bookings whose hold has run out, as if their payment was
+// declined, and offer their seats to the waitlist. A payment that still
+// comes through for one is kept if the seats are free (see
+// processPaymentEvent).
+async function expirePaymentHolds() {
+    const now = toSqlTimestamp(new Date());
+    const expired = await dbAll(
+        'SELECT id FROM bookings WHERE status = ? AND hold_expires_at <= ?',
+        [BOOKING_STATUS.PENDING_PAYMENT, now]
+    );
+    const freedLegs = [];
+
+    for (const booking of expired) {
+        // The rider may have started a new payment in the meantime
+        const result = await dbRun(`
+            UPDATE bookings SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ? AND hold_expires_at <= ?
+        `, [BOOKING_STATUS.FAILED, booking.id, BOOKING_STATUS.PENDING_PAYMENT, now]);
+
+        if (result.changes > 0) {
+            await recordBookingHistory(booking.id, 'hold_expired');
+            freedLegs.push(...await getBookingLegs(booking.id));
+        }
+    }
+
+    return promoteWaitlistedBookings(freedLegs);
+}
+
+// Booking references are "MB", eight random Crockford base32 characters and
+// a Luhn mod 32 check character, e.g. MB7K3QH2RZX. The alphabet leaves out
+// I, L, O and U so references read back over the phone without confusion.
+const BOOKING_REFERENCE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BOOKING_REFERENCE_PATTERN = /^MB[0-9A-HJKMNP-TV-Z]{9}$/;
+const BOOKING_REFERENCE_ATTEMPTS = 5;
+
+function bookingReferenceCheckCharacter(body) {
+    const base = BOOKING_REFERENCE_ALPHABET.length;
+    let sum = 0;
+
+    // Luhn mod N, walking from the rightmost character and doubling every other one
+    for (let i = body.length - 1, double = true; i >= 0; i--, double = !double) {
+        let value = BOOKING_REFERENCE_ALPHABET.indexOf(body[i]);
+        if (double) {
+            value *= 2;
+            value = Math.floor(value / base) + (value % base);
+        }
+        sum += value;
+    }
+
+    return BOOKING_REFERENCE_ALPHABET[(base - (sum % base)) % base];
+}
+
+function generateReference(prefix) {
+    const bytes = crypto.randomBytes(8);
+    let body = '';
+
+    for (const byte of bytes) {
+        body += BOOKING_REFERENCE_ALPHABET[byte % BOOKING_REFERENCE_ALPHABET.length];
+    }
+
+    return `${prefix}${body}${bookingReferenceCheckCharacter(body)}`;
+}
+
+function generateBookingReference() {
+    return generateReference('MB');
+}
+
+// Uppercase a reference and undo the usual misreadings of it
+function normalizeBookingReference(reference) {
+    return String(reference)
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1')
+        .replace(/^M8/, 'MB');
+}
+
+// References issued before checksums were introduced were all digits
+function isValidBookingReference(reference) {
+    if (/^\d+$/.test(reference)) {
+        return true;
+    }
+
+    return BOOKING_REFERENCE_PATTERN.test(reference) &&
+        bookingReferenceCheckCharacter(reference.slice(2, -1)) === reference.slice(-1);
+}
+
+// Metro Card numbers follow the same scheme with an "MC" prefix
+const CARD_NUMBER_PATTERN = /^MC[0-9A-HJKMNP-TV-Z]{9}$/;
+
+function generateCardNumber() {
+    return generateReference('MC');
+}
+
+function isValidCardNumber(number) {
+    return CARD_NUMBER_PATTERN.test(number) &&
+        bookingReferenceCheckCharacter(number.slice(2, -1)) === number.slice(-1);
+}
+
+function isDuplicateBookingId(err) {
+    return db.isUniqueViolation(err, 'bookings');
+}
+
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// Make a POST safe to retry with an Idempotency-Key header.
+// The first request with a key runs normally and a successful response is
+// stored; repeats with the same key and body replay it instead of running
+// again. Failed responses release the key so the request can be retried.
+// Keys are per caller (the signed-in user, or 'anonymous' for guests), so
+// a response is only ever replayed to whoever made the request.
+function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 255) {
+        return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const caller = req.user ? String(req.user.id) : 'anonymous';
+
+    // The same key with another body is a different request
+    const requestHash = crypto.createHash('sha256')
+        .update(JSON.stringify({ path: req.path, body: req.body }))
+        .digest('hex');
+
+    const claimKey = async () => {
+        await dbRun(
+            'DELETE FROM idempotency_keys WHERE created_at < ?',
+            [toSqlTimestamp(new Date(Date.now() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000))]
+        );
+
+        try {
+            await dbRun(
+                'INSERT INTO idempotency_keys (caller, key, request_hash) VALUES (?, ?, ?)',
+                [caller, key, requestHash]
+            );
+            return null;
+        } catch (err) {
+            if (!db.isUniqueViolation(err)) throw err;
+            return dbGet('SELECT * FROM idempotency_keys WHERE caller = ? AND key = ?', [caller, key]);
+        }
+    };
+
+    claimKey().then(existing => {
+        if (existing && existing.request_hash !== requestHash) {
+            return res.status(422).json({
+                error: 'Idempotency-Key has already been used for a different request',
+                code: 'idempotency_key_reused'
+            });
+        }
+
+        if (existing && existing.status === 'processing') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+                error: 'A request with this Idempotency-Key is still being processed',
+                code: 'request_in_progress'
+            });
+        }
+
+        if (existing) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+        }
+
+        const sendJson = res.json.bind(res);
+        res.json = body => {
+            const settle = res.statusCode < 300
+                ? dbRun(
+                    `UPDATE idempotency_keys
+                     SET status = 'completed', response_status = ?, response_body = ?
+                     WHERE caller = ? AND key = ?`,
+                    [res.statusCode, JSON.stringify(body), caller, key]
+                )
+                : dbRun('DELETE FROM idempotency_keys WHERE caller = ? AND key = ?', [caller, key]);
+
+            settle
+                .catch(err => console.error('Error saving idempotent response:', err))
+                .then(() => sendJson(body));
+            return res;
+        };
+
+        next();
+    }).catch(err => {
+        console.error('Idempotency error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    });
+}
+
+// Hash a refresh token secret for storage
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Public fields of a user row
+function serializeUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+    };
+}
+
+// Issue an access token and a new refresh token for a user.
+// Refresh tokens are "<id>.<secret>"; only a hash of the secret is stored.
+async function issueTokens(user) {
+    const accessToken = jwt.sign(
+        { sub: user.id, email: user.email, role: user.role },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+
+    const tokenId = uuidv4();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await dbRun(
+        'INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [tokenId, user.id, hashToken(secret), expiresAt.toISOString()]
+    );
+
+    return {
+        accessToken,
+        refreshToken: `${tokenId}.${secret}`,
+        expiresIn: JWT_EXPIRES_IN
+    };
+}
+
+// Authentication middleware.
+// Sets req.user from a valid bearer token; requests without a token pass
+// through anonymously, requests with a bad token are rejected. The role
+// is read from the users table rather than the token, so a role change
+// applies to tokens that were already issued.
+function authenticate(req, res, next) {
+    const header = req.headers.authorization;
+
+    if (!header) {
+        return next();
+    }
+
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Invalid authorization header' });
+    }
+
+    jwt.verify(token, JWT_SECRET, async (err, payload) => {
+        if (err) {
+            res.status(401).json({ error: 'Invalid or expired token' });
+            return;
+        }
+
+        try {
+            const user = await dbGet('SELECT id, email, role FROM users WHERE id = ?', [payload.sub]);
+
+            if (!user) {
+                res.status(401).json({ error: 'Invalid or expired token' });
+                return;
+            }
+
+            req.user = { id: user.id, email: user.email, role: user.role };
+            next();
+        } catch (error) {
+            console.error('Database error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+}
+
+// Reject anonymous requests
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+}
+
+// Only let users with one of the given roles through
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        next();
+    };
+}
+
+function isStaff(user) {
+    return Boolean(user) && (user.role === ROLES.STAFF || user.role === ROLES.ADMIN);
+}
+
+// Guest bookings are open to whoever holds the reference; account
+// bookings only to their owner and staff
+function canAccessBooking(user, booking) {
+    return !booking.user_id || Boolean(user && canManageBooking(user, booking));
+}
+
+// Riders manage their own bookings, staff can manage anyone's
+function canManageBooking(user, booking) {
+    return booking.user_id === user.id || isStaff(user);
+}
+
+// Validity window of a ticket: the whole of its travel date, server local time
+function getTravelDayWindow(date) {
+    const start = new Date(`${date}T00:00:00`);
+    const end = new Date(`${date}T23:59:59.999`);
+    return { start, end };
+}
+
+function signTicketPayload(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+// Create the signed token a ticket's QR code carries: "<payload>.<signature>",
+// both base64url encoded, signed with HMAC-SHA256 under the active key
+function signTicket(claims) {
+    const payload = { v: 1, kid: TICKET_SIGNING_KEY_ID, ...claims };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = signTicketPayload(encodedPayload, TICKET_SIGNING_KEYS[TICKET_SIGNING_KEY_ID]);
+
+    return `${encodedPayload}.${signature}`;
+}
+
+// A booking's ticket covers its whole party. A passenger's sub-ticket
+// carries their passenger number as "psg" and covers them alone. Tickets
+// for the return journey of a return booking carry "jny": "return" and are
+// valid on the return date.
+function createTicketToken(bookingData, passenger = null, journey = JOURNEY.OUTBOUND) {
+    const isReturn = journey === JOURNEY.RETURN;
+    const { start, end } = getTravelDayWindow(isReturn ? bookingData.returnDate : bookingData.date);
+
+    return signTicket({
+        bid: bookingData.id,
+        ...(passenger ? { psg: passenger } : {}),
+        ...(isReturn ? { jny: JOURNEY.RETURN } : {}),
+        pax: passenger ? 1 : bookingData.passengers,
+        nbf: Math.floor(start.getTime() / 1000),
+        exp: Math.floor(end.getTime() / 1000)
+    });
+}
+
+// Season pass tokens carry the pass reference as "pid" and are valid from
+// the start of the pass's first day to the end of its last
+function createPassToken(pass) {
+    return signTicket({
+        pid: pass.id,
+        pax: 1,
+        nbf: Math.floor(getTravelDayWindow(pass.valid_from).start.getTime() / 1000),
+        exp: Math.floor(getTravelDayWindow(pass.valid_until).end.getTime() / 1000)
+    });
+}
+
+// Verify a ticket token's signature.
+// Returns the payload, or null when the token is malformed, signed with an
+// unknown key or has been tampered with.
+function verifyTicketToken(token) {
+    const [encodedPayload, signature, extra] = String(token).split('.');
+
+    if (!encodedPayload || !signature || extra !== undefined) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    const secret = payload && TICKET_SIGNING_KEYS[payload.kid];
+
+    if (!secret) {
+        return null;
+    }
+
+    const expected = Buffer.from(signTicketPayload(encodedPayload, secret));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    return payload;
+}
+
+// Work out how much of `amount` the refund policy returns for a booking,
+// or with `journey` for one journey of a return
+async function calculateRefund(booking, amount, { journey = null, now = new Date() } = {}) {
+    const taps = journey
+        ? await dbGet('SELECT COUNT(*) AS count FROM ticket_events WHERE booking_id = ? AND journey = ?', [booking.id, journey])
+        : await dbGet('SELECT COUNT(*) AS count FROM ticket_events WHERE booking_id = ?', [booking.id]);
+    const departure = journey === JOURNEY.RETURN
+        ? new Date(`${booking.return_date}T${booking.return_time}`)
+        : new Date(`${booking.travel_date}T${booking.travel_time}`);
+    const cutoff = new Date(departure.getTime() - REFUND_POLICY.fullRefundCutoffMinutes * 60 * 1000);
+
+    let percent;
+    let rule;
+    if (taps.count > 0) {
+        percent = 0;
+        rule = 'used';
+    } else if (now < cutoff) {
+        percent = 100;
+        rule = 'full';
+    } else {
+        percent = REFUND_POLICY.lateRefundPercent;
+        rule = 'late';
+    }
+
+    return { amount: roundCurrency(amount * percent / 100), percent, rule };
+}
+
+// A journey's share of a return booking's fare: half each, with any odd
+// cent on the way back
+function getJourneyFare(booking, journey) {
+    const outbound = roundCurrency(booking.total_price / 2);
+    return journey === JOURNEY.RETURN ? roundCurrency(booking.total_price - outbound) : outbound;
+}
+
+// Work out the refund for cancelling a paid booking: the whole fare of a
+// single, or on a return the share of each journey being cancelled (by
+// default those not cancelled yet), each under the policy for its own
+// departure and taps. Return refunds list their journeys.
+async function calculateCancellationRefund(booking, journey = null) {
+    if (booking.trip_type !== 'return') {
+        return calculateRefund(booking, booking.total_price);
+    }
+
+    const journeys = journey
+        ? [journey]
+        : [JOURNEY.OUTBOUND, JOURNEY.RETURN].filter(candidate => candidate !== booking.cancelled_journey);
+    const refunds = [];
+
+    for (const candidate of journeys) {
+        const fare = getJourneyFare(booking, candidate);
+        refunds.push({ journey: candidate, fare, ...await calculateRefund(booking, fare, { journey: candidate }) });
+    }
+
+    const fare = roundCurrency(refunds.reduce((sum, refund) => sum + refund.fare, 0));
+    const amount = roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+    const rules = new Set(refunds.map(refund => refund.rule));
+
+    return {
+        amount,
+        percent: fare > 0 ? Math.round(amount / fare * 100) : 0,
+        rule: rules.size === 1 ? refunds[0].rule : 'per_journey',
+        journeys: refunds.map(({ journey: refunded, amount: refundAmount, percent, rule }) => ({
+            journey: refunded,
+            amount: refundAmount,
+            percent,
+            rule
+        }))
+    };
+}
+
+// Append an entry to a booking's audit trail
+function recordBookingHistory(bookingId, action, { changes = null, fareDifference = 0, refundAmount = 0, actor = null } = {}) {
+    return dbRun(`
+        INSERT INTO booking_history (booking_id, action, changes, fare_difference, refund_amount, actor_user_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [bookingId, action, changes && JSON.stringify(changes), fareDifference, refundAmount, actor ? actor.id : null]);
+}
+
+// A payment is visible to whoever can see what it pays for: its booking
+// (see canAccessBooking), or the rider's own card or pass. Staff see all.
+async function canAccessPayment(user, payment) {
+    if (isStaff(user)) {
+        return true;
+    }
+
+    if (payment.booking_id) {
+        const booking = await dbGet('SELECT user_id FROM bookings WHERE id = ?', [payment.booking_id]);
+        return Boolean(booking) && canAccessBooking(user, booking);
+    }
+
+    const owner = payment.card_id
+        ? await dbGet('SELECT user_id FROM cards WHERE id = ?', [payment.card_id])
+        : await dbGet('SELECT user_id FROM passes WHERE id = ?', [payment.pass_id]);
+
+    return Boolean(user && owner) && owner.user_id === user.id;
+}
+
+// Public fields of a payment row
+function serializePayment(payment) {
+    return {
+        id: payment.id,
+        bookingId: payment.booking_id,
+        cardId: payment.card_id || null,
+        passId: payment.pass_id || null,
+        purpose: payment.purpose,
+        provider: payment.provider,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        checkoutUrl: payment.checkoutUrl || null
+    };
+}
+
+// Start a charge through the configured provider for a booking, a Metro
+// Card or a season pass. purpose is 'booking' for the fare itself,
+// 'booking_change' for the extra fare of a change, which is kept in
+// metadata until it is paid for, 'card_top_up' for money added to a card
+// or 'pass' for a season pass.
+async function createPayment({ bookingId = null, cardId = null, passId = null }, { purpose, amount, description, metadata = null }) {
+    const provider = getPaymentProvider(PAYMENT_PROVIDER);
+    const paymentId = uuidv4();
+
+    await dbRun(`
+        INSERT INTO payments (id, booking_id, card_id, pass_id, purpose, provider, amount, currency, metadata)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        paymentId, bookingId, cardId, passId, purpose, provider.name,
+        amount, PAYMENT_CURRENCY, metadata && JSON.stringify(metadata)
+    ]);
+
+    const checkout = await provider.createPayment({
+        paymentId,
+        amount,
+        currency: PAYMENT_CURRENCY,
+        description
+    });
+
+    await dbRun(
+        'UPDATE payments SET provider_reference = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [checkout.providerReference, checkout.status, paymentId]
+    );
+
+    const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [paymentId]);
+    return serializePayment({ ...payment, checkoutUrl: checkout.checkoutUrl });
+}
+
+function createBookingPayment(bookingId, options) {
+    return createPayment({ bookingId }, options);
+}
+
+// Refund an amount against a booking's successful charges, newest first
+async function refundBookingPayments(bookingId, amount) {
+    const charges = await dbAll(`
+        SELECT * FROM payments
+        WHERE booking_id = ? AND type = 'charge' AND status = 'succeeded'
+        ORDER BY created_at DESC
+    `, [bookingId]);
+
+    let remaining = roundCurrency(amount);
+
+    for (const charge of charges) {
+        if (remaining <= 0) break;
+
+        const refunded = await dbGet(`
+            SELECT COALESCE(SUM(amount), 0) AS total FROM payments
+            WHERE type = 'refund' AND status != 'failed' AND metadata = ?
+        `, [JSON.stringify({ chargeId: charge.id })]);
+        const refundable = roundCurrency(charge.amount - refunded.total);
+        const refundAmount = Math.min(remaining, refundable);
+
+        if (refundAmount <= 0) continue;
+
+        const provider = getPaymentProvider(charge.provider);
+        const result = await provider.refund({
+            providerReference: charge.provider_reference,
+            amount: refundAmount,
+            currency: charge.currency
+        });
+
+        await dbRun(`
+            INSERT INTO payments (id, booking_id, purpose, type, provider, provider_reference, amount, currency, status, metadata)
+            VALUES (?, ?, ?, 'refund', ?, ?, ?, ?, ?, ?)
+        `, [
+            uuidv4(), bookingId, charge.purpose, charge.provider, result.providerReference,
+            refundAmount, charge.currency, result.status, JSON.stringify({ chargeId: charge.id })
+        ]);
+
+        remaining = roundCurrency(remaining - refundAmount);
+    }
+}
+
+// Apply a change to a booking's date, time, return journey or passengers
+// and reissue its QR codes, either straight away or once the extra fare has
+// been paid. Resolves to null if the booking changed in the meantime or the
+// new trains no longer have room.
+async function applyBookingChange(booking, {
+    date, time, returnDate = booking.return_date, returnTime = booking.return_time,
+    passengers, passengerList = null, passengerFares = null, total, discount = booking.discount,
+    changes, fareDifference, refundAmount
+}, actor) {
+    const previousLegs = await getBookingLegs(booking.id);
+    const journey = await planJourney(booking.from_station, booking.to_station);
+    const returnJourney = booking.trip_type === 'return'
+        ? await planJourney(booking.to_station, booking.from_station)
+        : null;
+    const ticketType = passengerList ? getBookingTicketType(passengerList) : booking.ticket_type;
+
+    const qrCode = journey && (booking.trip_type !== 'return' || returnJourney) && await withSeatLock(async () => {
+        const itinerary = await findDeparture(journey, date, time, { excludeBookingId: booking.id });
+
+        if (!itinerary || itinerary.seatsAvailable < passengers) {
+            return null;
+        }
+
+        const returnItinerary = returnJourney
+            ? await findDeparture(returnJourney, returnDate, returnTime, { excludeBookingId: booking.id })
+            : null;
+
+        if (returnJourney && (!returnItinerary || returnItinerary.seatsAvailable < passengers)) {
+            return null;
+        }
+
+        const bookingData = {
+            id: booking.id,
+            from: booking.from_station,
+            to: booking.to_station,
+            date,
+            time,
+            returnDate: returnItinerary ? returnDate : null,
+            passengers,
+            ticketType
+        };
+        const reissued = await generateQRCode(bookingData);
+        const returnQrCode = returnItinerary ? await generateQRCode(bookingData, null, JOURNEY.RETURN) : null;
+
+        const result = await dbRun(`
+            UPDATE bookings
+            SET travel_date = ?, travel_time = ?, return_date = ?, return_time = ?, passengers = ?, ticket_type = ?,
+                total_price = ?, discount = ?, refund_amount = refund_amount + ?, qr_code = ?, return_qr_code = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ? AND updated_at = ?
+        `, [
+            date, time, bookingData.returnDate, returnItinerary ? returnTime : null, passengers, ticketType,
+            total, discount, refundAmount, reissued, returnQrCode,
+            booking.id, BOOKING_STATUS.PAID, booking.updated_at
+        ]);
+
+        if (result.changes === 0) {
+            return null;
+        }
+
+        await saveBookingLegs(
+            booking.id,
+            date,
+            itinerary,
+            returnItinerary ? { date: returnDate, itinerary: returnItinerary } : null
+        );
+        if (passengerList) {
+            await saveBookingPassengers(booking.id, passengerList, passengerFares);
+        }
+        await issuePassengerTickets(bookingData);
+        return reissued;
+    });
+
+    if (!qrCode) {
+        return null;
+    }
+
+    await recordBookingHistory(booking.id, 'modified', { changes, fareDifference, refundAmount, actor });
+
+    if (refundAmount > 0) {
+        await refundBookingPayments(booking.id, refundAmount);
+    }
+
+    await enqueueBookingEmail('bookingConfirmation', booking.id, { updated: true });
+    await scheduleTravelReminder(booking.id, date, time);
+    if (returnJourney) {
+        await scheduleTravelReminder(booking.id, returnDate, returnTime, JOURNEY.RETURN);
+    }
+
+    // Whatever the booking no longer uses can go to the waitlist
+    await promoteWaitlistedBookings(previousLegs);
+
+    return qrCode;
+}
+
+// Act on a verified payment provider webhook event.
+// Events are recorded by id so a redelivered event is only handled once;
+// the record is dropped again if handling fails so a retry can succeed.
+// Resolves to false, leaving the payment alone, for a success event whose
+// amount is not the one the payment asked for.
+async function handlePaymentEvent(providerName, event) {
+    if (event.type === 'payment.succeeded') {
+        const payment = await dbGet(
+            'SELECT amount FROM payments WHERE provider = ? AND provider_reference = ?',
+            [providerName, event.providerReference]
+        );
+
+        if (payment && roundCurrency(Number(event.amount)) !== roundCurrency(payment.amount)) {
+            console.warn(`Payment webhook for ${event.providerReference} has amount ${event.amount}, expected ${payment.amount}`);
+            return false;
+        }
+    }
+
+    try {
+        await dbRun(
+            'INSERT INTO payment_events (provider, event_id, type) VALUES (?, ?, ?)',
+            [providerName, event.id, event.type]
+        );
+    } catch (err) {
+        if (db.isUniqueViolation(err)) return true;
+        throw err;
+    }
+
+    try {
+        await processPaymentEvent(providerName, event);
+    } catch (err) {
+        await dbRun('DELETE FROM payment_events WHERE provider = ? AND event_id = ?', [providerName, event.id]);
+        throw err;
+    }
+
+    return true;
+}
+
+async function processPaymentEvent(providerName, event) {
+    const payment = await dbGet(
+        'SELECT * FROM payments WHERE provider = ? AND provider_reference = ?',
+        [providerName, event.providerReference]
+    );
+
+    if (!payment) {
+        console.warn(`Payment webhook for unknown reference ${event.providerReference}`);
+        return;
+    }
+
+    if (event.type === 'refund.succeeded') {
+        await dbRun(
+            "UPDATE payments SET status = 'succeeded', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [payment.id]
+        );
+        return;
+    }
+
+    const succeeded = event.type === 'payment.succeeded';
+    const updated = await dbRun(`
+        UPDATE payments SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+    `, [succeeded ? 'succeeded' : 'failed', payment.id]);
+
+    if (updated.changes === 0) {
+        return;
+    }
+
+    if (payment.purpose === 'pass') {
+        await settlePassPayment(payment, succeeded);
+        return;
+    }
+
+    if (payment.purpose === 'card_top_up') {
+        if (succeeded) {
+            await withCardLock(() => postCardTransaction(payment.card_id, {
+                type: 'top_up',
+                amount: payment.amount,
+                paymentId: payment.id,
+                description: 'Top-up'
+            }));
+        }
+        return;
+    }
+
+    const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [payment.booking_id]);
+
+    if (payment.purpose === 'booking_change') {
+        if (!succeeded) return;
+
+        // Changes quoted against an older version of the booking are not applied
+        const change = JSON.parse(payment.metadata);
+        const applied = booking.status === BOOKING_STATUS.PAID &&
+            booking.updated_at === change.basedOn &&
+            await applyBookingChange(booking, change, null);
+
+        if (!applied) {
+            await refundBookingPayments(booking.id, payment.amount);
+        }
+        return;
+    }
+
+    if (!succeeded) {
+        await dbRun(`
+            UPDATE bookings SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `, [BOOKING_STATUS.FAILED, booking.id, BOOKING_STATUS.PENDING_PAYMENT]);
+        await recordBookingHistory(booking.id, 'payment_failed');
+        await promoteWaitlistedBookings(await getBookingLegs(booking.id));
+        return;
+    }
+
+    // The QR codes are only issued once the booking is paid for
+    const bookingData = {
+        id: booking.id,
+        from: booking.from_station,
+        to: booking.to_station,
+        date: booking.travel_date,
+        time: booking.travel_time,
+        returnDate: booking.return_date,
+        passengers: booking.passengers,
+        ticketType: booking.ticket_type
+    };
+    const qrCode = await generateQRCode(bookingData);
+    const returnQrCode = booking.return_date ? await generateQRCode(bookingData, null, JOURNEY.RETURN) : null;
+
+    // A booking whose hold ran out only gets its seats back if they are free
+    const paid = await withSeatLock(async () => {
+        if (!await bookingHoldsSeats(booking.id) &&
+            !await bookingLegsHaveSeats(await getBookingLegs(booking.id), booking.passengers, booking.id)) {
+            return { changes: 0 };
+        }
+
+        return dbRun(`
+            UPDATE bookings SET status = ?, qr_code = ?, return_qr_code = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status IN (?, ?)
+        `, [BOOKING_STATUS.PAID, qrCode, returnQrCode, booking.id, BOOKING_STATUS.PENDING_PAYMENT, BOOKING_STATUS.FAILED]);
+    });
+
+    if (paid.changes === 0) {
+        // Paid after the booking was cancelled or its seats were sold: give
+        // the money back
+        await refundBookingPayments(booking.id, payment.amount);
+        return;
+    }
+
+    await issuePassengerTickets(bookingData);
+    await recordBookingHistory(booking.id, 'paid');
+    await enqueueBookingEmail('bookingConfirmation', booking.id);
+    await scheduleTravelReminder(booking.id, booking.travel_date, booking.travel_time);
+    if (booking.return_date) {
+        await scheduleTravelReminder(booking.id, booking.return_date, booking.return_time, JOURNEY.RETURN);
+    }
+}
+
+// Metro Cards hold a balance that is topped up through the payment flow and
+// charged the regular fare when the rider taps out at the gates. Every
+// balance change is written to the card_transactions ledger, and the
+// fares of a travel day are capped at the day pass price and those of a
+// week (Monday to Sunday) at FARE_CAP_WEEKLY_DAYS day passes.
+
+// Balance changes and the checks they depend on run one at a time
+const withCardLock = createLock();
+
+// A date as YYYY-MM-DD in server local time
+function toLocalDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// First and last day of the Monday to Sunday week holding a date
+function getFareWeek(date) {
+    const day = new Date(`${date}T00:00:00`);
+    day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+    const start = toLocalDate(day);
+    day.setDate(day.getDate() + 6);
+    return { start, end: toLocalDate(day) };
+}
+
+function getCardByUser(userId) {
+    return dbGet('SELECT * FROM cards WHERE user_id = ?', [userId]);
+}
+
+// Add a signed amount to a card's balance and record it in the ledger.
+// Callers hold the card lock. Resolves to the new balance.
+async function postCardTransaction(cardId, { type, amount, paymentId = null, journeyId = null, description }) {
+    const card = await dbGet('SELECT balance FROM cards WHERE id = ?', [cardId]);
+    const balance = roundCurrency(card.balance + amount);
+
+    await dbRun(
+        'UPDATE cards SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [balance, cardId]
+    );
+    await dbRun(`
+        INSERT INTO card_transactions (card_id, type, amount, balance_after, payment_id, journey_id, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [cardId, type, roundCurrency(amount), balance, paymentId, journeyId, description]);
+
+    return balance;
+}
+
+// The regular single fare between two stations, or the highest fare on the
+// network when the journey cannot be worked out (e.g. a missing tap-out)
+async function getCardFare(fromCode, toCode) {
+    const journey = fromCode && toCode && await planJourney(fromCode, toCode);
+    const fare = journey && await calculateFare({ journey, ticketType: 'regular', passengers: 1 });
+
+    if (fare) {
+        return fare.total;
+    }
+
+    const highest = await dbGet(`
+        SELECT MAX(fare_bands.fare * prices.multiplier) AS fare
+        FROM fare_bands, prices
+        WHERE fare_bands.active = 1 AND prices.ticket_type = 'regular' AND prices.active = 1
+    `);
+
+    return roundCurrency(highest.fare || 0);
+}
+
+// The lowest fare a journey can cost, which a card needs to tap in
+async function getMinimumCardFare() {
+    const lowest = await dbGet(`
+        SELECT MIN(fare_bands.fare * prices.multiplier) AS fare
+        FROM fare_bands, prices
+        WHERE fare_bands.active = 1 AND prices.ticket_type = 'regular' AND prices.active = 1
+    `);
+
+    return roundCurrency(lowest.fare || 0);
+}
+
+// What a card has been charged on a travel day and in its week, against
+// the caps. Caps are null when no day pass is on sale.
+async function getFareCaps(cardId, date) {
+    const week = getFareWeek(date);
+    const [dayPass, spent] = await Promise.all([
+        dbGet("SELECT price FROM prices WHERE ticket_type = 'day-pass' AND active = 1"),
+        dbGet(`
+            SELECT
+                COALESCE(SUM(CASE WHEN travel_date = ? THEN fare ELSE 0 END), 0) AS daily,
+                COALESCE(SUM(fare), 0) AS weekly
+            FROM card_journeys
+            WHERE card_id = ? AND travel_date >= ? AND travel_date <= ? AND fare IS NOT NULL
+        `, [date, cardId, week.start, week.end])
+    ]);
+
+    const cap = (limit, charged) => limit === null ? null : {
+        cap: roundCurrency(limit),
+        spent: roundCurrency(charged),
+        remaining: roundCurrency(Math.max(limit - charged, 0))
+    };
+
+    return {
+        date,
+        week,
+        daily: cap(dayPass ? dayPass.price : null, spent.daily),
+        weekly: cap(dayPass ? dayPass.price * FARE_CAP_WEEKLY_DAYS : null, spent.weekly)
+    };
+}
+
+// The part of a fare still payable under a card's caps
+function applyFareCaps(fare, caps) {
+    return [caps.daily, caps.weekly]
+        .filter(Boolean)
+        .reduce((payable, cap) => Math.min(payable, cap.remaining), fare);
+}
+
+// Close a journey at the given exit, or as incomplete at the highest fare,
+// and charge the card the capped fare. Callers hold the card lock.
+async function chargeCardJourney(journey, exitStation) {
+    const fullFare = await getCardFare(journey.entry_station, exitStation);
+    const fare = roundCurrency(applyFareCaps(fullFare, await getFareCaps(journey.card_id, journey.travel_date)));
+    const status = exitStation ? 'completed' : 'incomplete';
+    const exitedAt = exitStation ? toSqlTimestamp(new Date()) : null;
+
+    await dbRun(`
+        UPDATE card_journeys
+        SET exit_station = ?, exited_at = ?, full_fare = ?, fare = ?, status = ?
+        WHERE id = ?
+    `, [exitStation, exitedAt, fullFare, fare, status, journey.id]);
+
+    const description = exitStation
+        ? `${journey.entry_station} to ${exitStation}${fare < fullFare ? ' (capped)' : ''}`
+        : `Incomplete journey from ${journey.entry_station}`;
+
+    await postCardTransaction(journey.card_id, {
+        type: 'fare',
+        amount: -fare,
+        journeyId: journey.id,
+        description
+    });
+
+    return { ...journey, exit_station: exitStation, exited_at: exitedAt, full_fare: fullFare, fare, status };
+}
+
+function serializeCardJourney(journey) {
+    return journey && {
+        id: journey.id,
+        travelDate: journey.travel_date,
+        entryStation: journey.entry_station,
+        enteredAt: journey.entered_at,
+        exitStation: journey.exit_station,
+        exitedAt: journey.exited_at,
+        fullFare: journey.full_fare,
+        fare: journey.fare,
+        status: journey.status
+    };
+}
+
+async function serializeCard(card) {
+    const [caps, journey] = await Promise.all([
+        getFareCaps(card.id, toLocalDate(new Date())),
+        dbGet("SELECT * FROM card_journeys WHERE card_id = ? AND status = 'in_progress' ORDER BY id DESC LIMIT 1", [card.id])
+    ]);
+
+    return {
+        id: card.id,
+        balance: roundCurrency(card.balance),
+        currency: PAYMENT_CURRENCY,
+        status: card.status,
+        createdAt: card.created_at,
+        caps,
+        journey: serializeCardJourney(journey) || null
+    };
+}
+
+// Season passes are bought by signed-in riders for a named holder, paid
+// for like bookings and valid at every station in their zones from
+// valid_from to valid_until. They use the booking statuses pending_payment,
+// paid and failed. A renewal is a new pass that starts the day after the
+// one it renews ends.
+
+// Season pass references: "MP" and the same body and check character
+const PASS_REFERENCE_PATTERN = /^MP[0-9A-HJKMNP-TV-Z]{9}$/;
+const PASS_HOLDER_ID_MAX_LENGTH = 32;
+
+function generatePassReference() {
+    return generateReference('MP');
+}
+
+function isValidPassReference(reference) {
+    return PASS_REFERENCE_PATTERN.test(reference) &&
+        bookingReferenceCheckCharacter(reference.slice(2, -1)) === reference.slice(-1);
+}
+
+// Last day of a pass: the day before the same date `duration` days or
+// months after it starts, or the end of the month when that month is too
+// short to have the date (a month from 31 January runs to 28 February)
+function getPassEndDate(passType, validFrom) {
+    const end = new Date(`${validFrom}T00:00:00`);
+
+    if (passType.duration_unit === 'month') {
+        const day = end.getDate();
+        end.setMonth(end.getMonth() + passType.duration);
+        end.setDate(end.getDate() === day ? day - 1 : 0);
+    } else {
+        end.setDate(end.getDate() + passType.duration - 1);
+    }
+
+    return toLocalDate(end);
+}
+
+function getPassZoneCount() {
+    return dbGet('SELECT MAX(zone) AS zones FROM stations WHERE active = 1').then(row => row.zones || 1);
+}
+
+// Work out a pass's dates and price at current prices.
+// Resolves to { error } when the request is not a pass on sale.
+async function quotePass({ type, zoneFrom, zoneTo, startDate }) {
+    const passType = await dbGet('SELECT * FROM pass_types WHERE code = ? AND active = 1', [type]);
+
+    if (!passType) {
+        return { error: 'Unknown pass type' };
+    }
+
+    const zones = await getPassZoneCount();
+    const from = Number(zoneFrom);
+    const to = zoneTo === undefined || zoneTo === '' ? from : Number(zoneTo);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > zones) {
+        return { error: `Zones must be a range between 1 and ${zones}` };
+    }
+
+    const today = toLocalDate(new Date());
+    const validFrom = startDate || today;
+
+    if (!isValidDate(validFrom)) {
+        return { error: 'Start date must be YYYY-MM-DD' };
+    }
+
+    if (validFrom < today) {
+        return { error: 'Passes cannot start in the past' };
+    }
+
+    return {
+        passType,
+        zoneFrom: from,
+        zoneTo: to,
+        validFrom,
+        validUntil: getPassEndDate(passType, validFrom),
+        price: roundCurrency(passType.price + (to - from) * passType.extra_zone_price)
+    };
+}
+
+function serializePassType(passType) {
+    return {
+        code: passType.code,
+        name: passType.name,
+        duration: passType.duration,
+        durationUnit: passType.duration_unit,
+        price: passType.price,
+        extraZonePrice: passType.extra_zone_price
+    };
+}
+
+function serializePass(pass) {
+    return {
+        id: pass.id,
+        type: pass.pass_type,
+        holderName: pass.holder_name,
+        holderId: pass.holder_id,
+        zones: { from: pass.zone_from, to: pass.zone_to },
+        validFrom: pass.valid_from,
+        validUntil: pass.valid_until,
+        price: pass.price,
+        status: pass.status,
+        renewedFrom: pass.renewed_from,
+        qrCode: pass.qr_code,
+        createdAt: pass.created_at
+    };
+}
+
+// Save a quoted pass as awaiting payment and start its payment
+async function createPass(user, quote, { holderName, holderId, renewedFrom = null }) {
+    let passId = null;
+
+    for (let attempt = 0; attempt < BOOKING_REFERENCE_ATTEMPTS && !passId; attempt++) {
+        const candidate = generatePassReference();
+
+        try {
+            await dbRun(`
+                INSERT INTO passes (id, user_id, pass_type, holder_name, holder_id, zone_from, zone_to,
+                                    valid_from, valid_until, price, status, renewed_from)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                candidate, user.id, quote.passType.code, holderName, holderId, quote.zoneFrom, quote.zoneTo,
+                quote.validFrom, quote.validUntil, quote.price, BOOKING_STATUS.PENDING_PAYMENT, renewedFrom
+            ]);
+            passId = candidate;
+        } catch (err) {
+            if (!db.isUniqueViolation(err, 'passes')) throw err;
+        }
+    }
+
+    if (!passId) {
+        throw new Error('Could not generate a unique pass reference');
+    }
+
+    const payment = await createPassPayment(await dbGet('SELECT * FROM passes WHERE id = ?', [passId]));
+    const pass = await dbGet('SELECT * FROM passes WHERE id = ?', [passId]);
+
+    return { pass: serializePass(pass), payment };
+}
+
+function createPassPayment(pass) {
+    return createPayment({ passId: pass.id }, {
+        purpose: 'pass',
+        amount: pass.price,
+        description: `Metro season pass ${pass.id}`
+    });
+}
+
+// Issue a pass once its payment succeeds, or mark it failed
+async function settlePassPayment(payment, succeeded) {
+    if (!succeeded) {
+        await dbRun(`
+            UPDATE passes SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `, [BOOKING_STATUS.FAILED, payment.pass_id, BOOKING_STATUS.PENDING_PAYMENT]);
+        return;
+    }
+
+    const pass = await dbGet('SELECT * FROM passes WHERE id = ?', [payment.pass_id]);
+    const qrCode = await generatePassQRCode(pass);
+
+    await dbRun(`
+        UPDATE passes SET status = ?, qr_code = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN (?, ?)
+    `, [BOOKING_STATUS.PAID, qrCode, pass.id, BOOKING_STATUS.PENDING_PAYMENT, BOOKING_STATUS.FAILED]);
+}
+
+// Concession fares are only sold to riders who qualify for the ticket
+// type's concession (prices.concession) on the travel date: through an
+// approved document that has not run out, or for seniors a date of birth
+// verified by staff. Staff review documents and verify dates of birth.
+const CONCESSIONS = {
+    student: { name: 'Student', documentTypes: ['student_id', 'enrolment_letter'] },
+    senior: { name: 'Senior', documentTypes: ['senior_card', 'national_id', 'passport'], minAge: SENIOR_MIN_AGE }
+};
+const CONCESSION_REFERENCE_MAX_LENGTH = 64;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar date as YYYY-MM-DD (so not 2024-02-31, which Date rolls over)
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+
+    const parsed = new Date(`${value}T00:00:00`);
+    return !Number.isNaN(parsed.getTime()) && toLocalDate(parsed) === value;
+}
+
+// Age in whole years on a date, both given as YYYY-MM-DD
+function getAgeOn(dateOfBirth, date) {
+    const [birthYear, birthMonth, birthDay] = dateOfBirth.split('-').map(Number);
+    const [year, month, day] = date.split('-').map(Number);
+    const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+
+    return year - birthYear - (hadBirthday ? 0 : 1);
+}
+
+// The concessions a rider qualifies for on a date, keyed by category.
+// Each is { basis: 'date_of_birth' | 'document', validUntil } or null.
+async function getConcessionEligibility(userId, date) {
+    const [user, documents] = await Promise.all([
+        dbGet('SELECT date_of_birth, date_of_birth_verified_at FROM users WHERE id = ?', [userId]),
+        dbAll(`
+            SELECT category, valid_until FROM concession_documents
+            WHERE user_id = ? AND status = 'approved' AND valid_until >= ?
+            ORDER BY valid_until DESC
+        `, [userId, date])
+    ]);
+    const verifiedBirthDate = user && user.date_of_birth_verified_at ? user.date_of_birth : null;
+    const eligibility = {};
+
+    for (const [category, concession] of Object.entries(CONCESSIONS)) {
+        const document = documents.find(row => row.category === category);
+
+        if (concession.minAge && verifiedBirthDate && getAgeOn(verifiedBirthDate, date) >= concession.minAge) {
+            eligibility[category] = { basis: 'date_of_birth', validUntil: null };
+        } else if (document) {
+            eligibility[category] = { basis: 'document', validUntil: document.valid_until };
+        } else {
+            eligibility[category] = null;
+        }
+    }
+
+    return eligibility;
+}
+
+// Refuse a concession the rider does not qualify for on the travel date.
+// Resolves to { status, error, code, concession } or null.
+async function getConcessionRefusal(user, concession, date) {
+    const name = CONCESSIONS[concession] ? CONCESSIONS[concession].name : concession;
+
+    if (!user) {
+        return {
+            status: 401,
+            error: `Sign in to book ${name.toLowerCase()} fares`,
+            code: 'concession_not_verified',
+            concession
+        };
+    }
+
+    const eligibility = await getConcessionEligibility(user.id, date);
+
+    if (!eligibility[concession]) {
+        return {
+            status: 403,
+            error: `${name} fares need a verified ${name.toLowerCase()} concession on your account`,
+            code: 'concession_not_verified',
+            concession
+        };
+    }
+
+    return null;
+}
+
+function serializeConcessionDocument(document) {
+    return {
+        id: document.id,
+        category: document.category,
+        documentType: document.document_type,
+        documentReference: document.document_reference,
+        status: document.status,
+        validUntil: document.valid_until,
+        reviewNote: document.review_note,
+        reviewedAt: document.reviewed_at,
+        createdAt: document.created_at
+    };
+}
+
+// Promo codes take a percentage or a fixed amount off a booking's fare.
+// A code can be limited to a window of booking dates, a window of travel
+// dates, trips to or from one station, and a number of uses overall and
+// per rider. Only paid bookings, and unpaid ones still holding their
+// seats, count as uses.
+const PROMO_CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+const PROMO_CODE_DESCRIPTION_MAX_LENGTH = 100;
+
+// Request fields of a promo code and the columns they are stored in
+const PROMO_CODE_COLUMNS = {
+    description: 'description',
+    discountType: 'discount_type',
+    discountValue: 'discount_value',
+    validFrom: 'valid_from',
+    validUntil: 'valid_until',
+    maxUses: 'max_uses',
+    maxUsesPerUser: 'max_uses_per_user',
+    station: 'station_code',
+    travelDateFrom: 'travel_date_from',
+    travelDateTo: 'travel_date_to',
+    active: 'active'
+};
+
+// SQL for a booking (under the given table alias) that counts as a use of
+// its promo code
+function promoUseFilter(alias) {
+    return {
+        sql: `(${alias}.status = ? OR (${alias}.status = ? AND ${alias}.hold_expires_at > ?))`,
+        params: [BOOKING_STATUS.PAID, BOOKING_STATUS.PENDING_PAYMENT, toSqlTimestamp(new Date())]
+    };
+}
+
+function normalizePromoCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+function getPromoCode(code) {
+    return dbGet('SELECT * FROM promo_codes WHERE code = ?', [normalizePromoCode(code)]);
+}
+
+// Why a promo code cannot be used for a trip, or null if it can
+async function getPromoRefusal(promo, { from, to, date, user }) {
+    const today = toLocalDate(new Date());
+
+    if (!promo || !promo.active) {
+        return 'This promo code is not valid';
+    }
+
+    if ((promo.valid_from && today < promo.valid_from) || (promo.valid_until && today > promo.valid_until)) {
+        return 'This promo code has expired or is not valid yet';
+    }
+
+    if (promo.station_code && promo.station_code !== from && promo.station_code !== to) {
+        const station = await dbGet('SELECT name FROM stations WHERE code = ?', [promo.station_code]);
+        return `This promo code is only valid for trips to or from ${station ? station.name : promo.station_code}`;
+    }
+
+    if ((promo.travel_date_from && date < promo.travel_date_from) || (promo.travel_date_to && date > promo.travel_date_to)) {
+        return 'This promo code is not valid for this travel date';
+    }
+
+    if (promo.max_uses_per_user !== null && !user) {
+        return 'Sign in to use this promo code';
+    }
+
+    if (promo.max_uses === null && promo.max_uses_per_user === null) {
+        return null;
+    }
+
+    const used = promoUseFilter('b');
+    const uses = await dbGet(`
+        SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN b.user_id = ? THEN 1 ELSE 0 END), 0) AS "byUser"
+        FROM bookings b
+        WHERE b.promo_code = ? AND ${used.sql}
+    `, [user ? user.id : null, promo.code, ...used.params]);
+
+    if (promo.max_uses !== null && Number(uses.total) >= promo.max_uses) {
+        return 'This promo code has been used up';
+    }
+
+    if (promo.max_uses_per_user !== null && Number(uses.byUser) >= promo.max_uses_per_user) {
+        return 'You have already used this promo code';
+    }
+
+    return null;
+}
+
+// The fare with a promo code's discount taken off what is left after any
+// group discount; the discount is never more than the fare
+function applyPromoDiscount(fare, promo) {
+    const amount = promo.discount_type === 'percent'
+        ? roundCurrency(fare.total * promo.discount_value / 100)
+        : Math.min(roundCurrency(promo.discount_value), fare.total);
+
+    return {
+        ...fare,
+        subtotal: fare.subtotal !== undefined ? fare.subtotal : fare.total,
+        discount: {
+            code: promo.code,
+            description: promo.description,
+            type: promo.discount_type,
+            value: promo.discount_value,
+            amount
+        },
+        total: roundCurrency(fare.total - amount)
+    };
+}
+
+// Check the promo code fields of a request body, merged over the current
+// row when updating. Resolves to { error } or { values } keyed by column.
+async function readPromoCodeFields(body, current = {}) {
+    const values = { ...current };
+
+    for (const [field, column] of Object.entries(PROMO_CODE_COLUMNS)) {
+        if (body[field] !== undefined) {
+            values[column] = body[field] === '' ? null : body[field];
+        }
+    }
+
+    if (!['percent', 'fixed'].includes(values.discount_type)) {
+        return { error: 'Discount type must be percent or fixed' };
+    }
+
+    const value = values.discount_value;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 ||
+        (values.discount_type === 'percent' && value > 100)) {
+        return { error: 'Discount must be a positive amount, and at most 100 for a percentage' };
+    }
+
+    if (values.description !== null && values.description !== undefined &&
+        (typeof values.description !== 'string' || values.description.length > PROMO_CODE_DESCRIPTION_MAX_LENGTH)) {
+        return { error: `Description must be at most ${PROMO_CODE_DESCRIPTION_MAX_LENGTH} characters` };
+    }
+
+    for (const [from, until] of [['valid_from', 'valid_until'], ['travel_date_from', 'travel_date_to']]) {
+        for (const column of [from, until]) {
+            if (values[column] !== null && values[column] !== undefined && !isValidDate(values[column])) {
+                return { error: 'Dates must be YYYY-MM-DD' };
+            }
+        }
+        if (values[from] && values[until] && values[from] > values[until]) {
+            return { error: 'Date ranges must not end before they start' };
+        }
+    }
+
+    for (const column of ['max_uses', 'max_uses_per_user']) {
+        if (values[column] !== null && values[column] !== undefined &&
+            (!Number.isInteger(values[column]) || values[column] < 1)) {
+            return { error: 'Usage limits must be whole numbers of at least 1, or empty for no limit' };
+        }
+    }
+
+    if (values.station_code) {
+        const station = await dbGet('SELECT code FROM stations WHERE code = ?', [values.station_code]);
+        if (!station) {
+            return { error: 'Unknown station' };
+        }
+    }
+
+    if (values.active !== undefined && typeof values.active !== 'boolean' && values.active !== 0 && values.active !== 1) {
+        return { error: 'Active must be true or false' };
+    }
+
+    return { values };
+}
+
+function serializePromoCode(promo) {
+    return {
+        code: promo.code,
+        description: promo.description,
+        discountType: promo.discount_type,
+        discountValue: promo.discount_value,
+        validFrom: promo.valid_from,
+        validUntil: promo.valid_until,
+        maxUses: promo.max_uses,
+        maxUsesPerUser: promo.max_uses_per_user,
+        station: promo.station_code,
+        travelDateFrom: promo.travel_date_from,
+        travelDateTo: promo.travel_date_to,
+        active: Boolean(promo.active),
+        uses: Number(promo.uses || 0),
+        createdAt: promo.created_at
+    };
+}
+
+// Background jobs are kept in the jobs table and run by a poller, so they
+// survive restarts. A failing job is retried with exponential backoff
+// until it runs out of attempts and is marked failed.
+const jobHandlers = {
+    email: sendBookingEmail
+};
+
+function enqueueJob(type, payload, { runAt = new Date(), maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+    return dbRun(
+        'INSERT INTO jobs (type, payload, max_attempts, run_at) VALUES (?, ?, ?, ?)',
+        [type, JSON.stringify(payload), maxAttempts, toSqlTimestamp(runAt)]
+    );
+}
+
+let jobsRunning = false;
+
+async function runDueJobs() {
+    if (jobsRunning) {
+        return;
+    }
+    jobsRunning = true;
+
+    try {
+        // Holds are checked on the same tick as the jobs
+        await expirePaymentHolds();
+
+        const due = await dbAll(`
+            SELECT * FROM jobs
+            WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+            ORDER BY run_at, id
+            LIMIT 20
+        `);
+
+        for (const job of due) {
+            const claimed = await dbRun(`
+                UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending'
+            `, [job.id]);
+
+            if (claimed.changes === 0) {
+                continue;
+            }
+
+            const attempts = job.attempts + 1;
+
+            try {
+                const handler = jobHandlers[job.type];
+                if (!handler) {
+                    throw new Error(`Unknown job type "${job.type}"`);
+                }
+
+                await handler(JSON.parse(job.payload));
+                await dbRun(`
+                    UPDATE jobs SET status = 'done', last_error = NULL, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [job.id]);
+            } catch (error) {
+                // Wait 1, 2, 4, 8... minutes between attempts
+                const retry = attempts < job.max_attempts;
+                const delaySeconds = 60 * 2 ** (attempts - 1);
+
+                console.error(`Job ${job.id} (${job.type}) failed on attempt ${attempts}:`, error.message);
+                await dbRun(`
+                    UPDATE jobs SET status = ?, run_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [
+                    retry ? 'pending' : 'failed',
+                    toSqlTimestamp(new Date(Date.now() + delaySeconds * 1000)),
+                    error.message,
+                    job.id
+                ]);
+            }
+        }
+    } catch (error) {
+        console.error('Job runner error:', error);
+    } finally {
+        jobsRunning = false;
+    }
+}
+
+function startJobRunner() {
+    // Jobs that were running when the server stopped are picked up again
+    dbRun("UPDATE jobs SET status = 'pending' WHERE status = 'running'")
+        .catch(error => console.error('Error resetting interrupted jobs:', error))
+        .then(() => {
+            setInterval(runDueJobs, JOB_POLL_INTERVAL_MS).unref();
+            runDueJobs();
+        });
+}
+
+// Queue an email about a booking; it is rendered from the booking as it
+// is when the email goes out. Does nothing when email is not configured.
+async function enqueueBookingEmail(template, bookingId, extra = {}, options = {}) {
+    if (!isEmailConfigured()) {
+        return;
+    }
+
+    await enqueueJob('email', { template, bookingId, ...extra }, options);
+}
+
+// Queue the reminder for a trip, or for the way back of a return, unless
+// it is already too close to send
+function scheduleTravelReminder(bookingId, date, time, journey = JOURNEY.OUTBOUND) {
+    const runAt = new Date(new Date(`${date}T${time}:00`).getTime() - TRAVEL_REMINDER_MINUTES * 60 * 1000);
+
+    if (runAt < new Date()) {
+        return Promise.resolve();
+    }
+
+    const extra = journey === JOURNEY.RETURN ? { date, time, journey } : { date, time };
+    return enqueueBookingEmail('travelReminder', bookingId, extra, { runAt });
+}
+
+// Job handler for booking emails
+async function sendBookingEmail({ template, bookingId, ...extra }) {
+    const booking = await dbGet(`
+        SELECT b.*, u.email AS user_email, u.name AS user_name,
+               f.name AS from_name, t.name AS to_name
+        FROM bookings b
+        LEFT JOIN users u ON u.id = b.user_id
+        LEFT JOIN stations f ON f.code = b.from_station
+        LEFT JOIN stations t ON t.code = b.to_station
+        WHERE b.id = ?
+    `, [bookingId]);
+
+    const recipient = booking && (booking.contact_email || booking.user_email);
+
+    if (!recipient) {
+        return;
+    }
+
+    const [passengers, descriptions] = await Promise.all([
+        getBookingPassengers(booking.id),
+        getTicketTypeDescriptions()
+    ]);
+
+    const isReturnReminder = template === 'travelReminder' && extra.journey === JOURNEY.RETURN;
+    const reminded = isReturnReminder
+        ? { date: booking.return_date, time: booking.return_time }
+        : { date: booking.travel_date, time: booking.travel_time };
+
+    // Reminders are dropped if the trip was cancelled or moved since
+    if (template === 'travelReminder' && (
+        booking.status !== BOOKING_STATUS.PAID ||
+        booking.cancelled_journey === (extra.journey || JOURNEY.OUTBOUND) ||
+        reminded.date !== extra.date ||
+        reminded.time !== extra.time
+    )) {
+        return;
+    }
+
+    const from = booking.from_name || booking.from_station;
+    const to = booking.to_name || booking.to_station;
+
+    await sendTemplatedEmail(recipient, template, {
+        ...extra,
+        recipientName: booking.user_name || 'traveller',
+        currency: PAYMENT_CURRENCY,
+        appUrl: APP_URL,
+        minutesBefore: TRAVEL_REMINDER_MINUTES,
+        // A reminder for the way back shows that journey as the trip
+        booking: {
+            id: booking.id,
+            from: isReturnReminder ? to : from,
+            to: isReturnReminder ? from : to,
+            date: reminded.date,
+            time: reminded.time,
+            returnDate: isReturnReminder ? null : booking.return_date,
+            returnTime: isReturnReminder ? null : booking.return_time,
+            cancelledJourney: isReturnReminder ? null : booking.cancelled_journey,
+            passengers: booking.passengers,
+            ticketType: passengers.length > 0
+                ? describeTicketTypes(passengers, descriptions)
+                : descriptions.get(booking.ticket_type) || booking.ticket_type,
+            totalPrice: booking.total_price,
+            qrCode: isReturnReminder ? booking.return_qr_code : booking.qr_code,
+            returnQrCode: isReturnReminder ? null : booking.return_qr_code
+        }
+    });
+}
+
+// Decide whether a gate tap is allowed under the ticket's usage rules.
+// Single journeys allow one entry per passenger at the origin and exits at
+// the destination; a day pass allows entries anywhere for as long as the
+// party is not already all inside. Returns null or a { reason, error } refusal.
+function getTapRefusal(booking, { direction, station, entries, exits }) {
+    const isDayPass = booking.ticket_type === 'day-pass';
+    const inside = entries - exits;
+
+    if (direction === 'entry') {
+        if (!isDayPass && station !== booking.from_station) {
+            return { reason: 'wrong_station', error: `Ticket is only valid for entry at ${booking.from_station}` };
+        }
+        if (!isDayPass && entries >= booking.passengers) {
+            return { reason: 'entries_exhausted', error: 'All entries on this ticket have been used' };
+        }
+        if (isDayPass && inside >= booking.passengers) {
+            return { reason: 'already_inside', error: 'Every passenger on this ticket is already inside' };
+        }
+        return null;
+    }
+
+    if (inside <= 0) {
+        return { reason: 'no_entry', error: 'Ticket has no matching entry tap' };
+    }
+    if (!isDayPass && station !== booking.to_station) {
+        return { reason: 'wrong_station', error: `Ticket is only valid for exit at ${booking.to_station}` };
+    }
+    return null;
+}
+
+// Check a season pass at a gate or an inspection. A paid pass is valid at
+// any station in its zones on every day it covers, and its holder has to
+// tap out before tapping in again that day. Resolves to the { status, body }
+// of the response, using the same refusal reasons as tickets plus
+// "outside_zones" for a station the pass does not cover.
+async function checkPassScan(payload, { station, direction, user }) {
+    const row = await dbGet('SELECT * FROM passes WHERE id = ?', [payload.pid]);
+    const refuse = (status, reason, error, extra = {}) => ({ status, body: { valid: false, reason, error, ...extra } });
+
+    if (!row) {
+        return refuse(404, 'unknown', 'Ticket does not match any pass');
+    }
+
+    if (row.status === BOOKING_STATUS.CANCELLED) {
+        return refuse(400, 'cancelled', 'Pass has been cancelled');
+    }
+
+    if (row.status !== BOOKING_STATUS.PAID) {
+        return refuse(400, 'unpaid', 'Pass has not been paid for');
+    }
+
+    const { start } = getTravelDayWindow(row.valid_from);
+    const { end } = getTravelDayWindow(row.valid_until);
+
+    if (payload.nbf !== Math.floor(start.getTime() / 1000) || payload.exp !== Math.floor(end.getTime() / 1000)) {
+        return refuse(400, 'superseded', 'Pass has been replaced by a newer one');
+    }
+
+    const now = Date.now() / 1000;
+
+    if (now < payload.nbf) {
+        return refuse(400, 'not_yet_valid', 'Pass is not valid yet');
+    }
+
+    // Taps since the start of today
+    const today = getTravelDayWindow(toLocalDate(new Date()));
+    const usage = await dbGet(`
+        SELECT
+            COALESCE(SUM(CASE WHEN event_type = 'entry' THEN 1 ELSE 0 END), 0) AS entries,
+            COALESCE(SUM(CASE WHEN event_type = 'exit' THEN 1 ELSE 0 END), 0) AS exits
+        FROM ticket_events
+        WHERE booking_id = ? AND created_at >= ?
+    `, [row.id, toSqlTimestamp(today.start)]);
+
+    const canFinishJourney = direction === 'exit' && usage.entries > usage.exits;
+
+    if (now > payload.exp && !canFinishJourney) {
+        return refuse(400, 'expired', 'Pass has expired');
+    }
+
+    const pass = {
+        id: row.id,
+        type: row.pass_type,
+        holderName: row.holder_name,
+        holderId: row.holder_id,
+        zones: { from: row.zone_from, to: row.zone_to },
+        validFrom: row.valid_from,
+        validUntil: row.valid_until
+    };
+    const validUntil = new Date(payload.exp * 1000).toISOString();
+
+    if (!direction) {
+        return { status: 200, body: { valid: true, pass, usage, validUntil } };
+    }
+
+    const { zone } = await getActiveStation(station);
+
+    if (zone < row.zone_from || zone > row.zone_to) {
+        return refuse(400, 'outside_zones', `Pass is only valid in zones ${row.zone_from}-${row.zone_to}`, { pass, usage });
+    }
+    if (direction === 'entry' && usage.entries > usage.exits) {
+        return refuse(400, 'already_inside', 'Pass holder is already inside', { pass, usage });
+    }
+    if (direction === 'exit' && usage.entries <= usage.exits) {
+        return refuse(400, 'no_entry', 'Pass has no matching entry tap', { pass, usage });
+    }
+
+    const result = await dbRun(`
+        INSERT INTO ticket_events (booking_id, event_type, station_code, validated_by)
+        SELECT ?, ?, ?, CAST(? AS INTEGER)
+        WHERE (SELECT COUNT(*) FROM ticket_events WHERE booking_id = ? AND created_at >= ?) = ?
+    `, [row.id, direction, station, user.id, row.id, toSqlTimestamp(today.start), usage.entries + usage.exits]);
+
+    if (result.changes === 0) {
+        return refuse(409, 'concurrent_tap', 'Pass was tapped at another gate at the same time, please scan again');
+    }
+
+    return {
+        status: 200,
+        body: {
+            valid: true,
+            pass,
+            tap: { direction, station },
+            usage: {
+                entries: usage.entries + (direction === 'entry' ? 1 : 0),
+                exits: usage.exits + (direction === 'exit' ? 1 : 0)
+            },
+            validUntil
+        }
+    };
+}
+
+// Gather what a printed or wallet ticket shows for a paid booking. The
+// ticket describes the outbound journey; a return's way back is in
+// returnJourney, null once it has been cancelled.
+async function buildTicket(booking) {
+    const [stations, descriptions, passengers, bookingLegs] = await Promise.all([
+        dbAll('SELECT code, name FROM stations'),
+        getTicketTypeDescriptions(),
+        getBookingPassengers(booking.id),
+        dbAll(`
+            SELECT bl.*, l.name AS line_name, l.color AS line_color
+            FROM booking_legs bl
+            JOIN services s ON s.id = bl.service_id
+            JOIN lines l ON l.code = s.line_code
+            WHERE bl.booking_id = ?
+            ORDER BY bl.leg
+        `, [booking.id])
+    ]);
+    const names = new Map(stations.map(station => [station.code, station.name]));
+    const stationName = code => names.get(code) || code;
+
+    const journeyLegs = journey => bookingLegs.filter(leg => leg.journey === journey).map(leg => ({
+        line: { name: leg.line_name, color: leg.line_color },
+        from: stationName(leg.from_station),
+        to: stationName(leg.to_station),
+        departs: leg.departs,
+        arrives: leg.arrives
+    }));
+
+    let legs = journeyLegs(JOURNEY.OUTBOUND);
+
+    // Bookings made before the timetable only know their route
+    if (legs.length === 0 && booking.cancelled_journey !== JOURNEY.OUTBOUND) {
+        const journey = await planJourney(booking.from_station, booking.to_station);
+
+        legs = journey ? journey.legs.map(leg => ({
+            line: { name: leg.line.name, color: leg.line.color },
+            from: stationName(leg.from),
+            to: stationName(leg.to),
+            departs: null,
+            arrives: null
+        })) : [];
+    }
+
+    const { start, end } = getTravelDayWindow(booking.travel_date);
+    const hasReturn = booking.trip_type === 'return' && booking.cancelled_journey !== JOURNEY.RETURN;
+    const returnWindow = hasReturn ? getTravelDayWindow(booking.return_date) : null;
+
+    return {
+        id: booking.id,
+        from: stationName(booking.from_station),
+        to: stationName(booking.to_station),
+        date: booking.travel_date,
+        time: booking.travel_time,
+        tripType: booking.trip_type,
+        cancelledJourney: booking.cancelled_journey,
+        passengers: booking.passengers,
+        ticketType: passengers.length > 0
+            ? describeTicketTypes(passengers, descriptions)
+            : descriptions.get(booking.ticket_type) || booking.ticket_type,
+        totalPrice: booking.total_price,
+        refundAmount: booking.refund_amount,
+        currency: PAYMENT_CURRENCY,
+        legs,
+        qrCode: booking.qr_code,
+        tickets: passengers.map(passenger => ({
+            passenger: passenger.passenger,
+            name: passenger.name,
+            ticketType: descriptions.get(passenger.ticket_type) || passenger.ticket_type,
+            qrCode: passenger.qr_code
+        })),
+        validFrom: start.toISOString(),
+        validUntil: end.toISOString(),
+        returnJourney: hasReturn ? {
+            from: stationName(booking.to_station),
+            to: stationName(booking.from_station),
+            date: booking.return_date,
+            time: booking.return_time,
+            legs: journeyLegs(JOURNEY.RETURN),
+            qrCode: booking.return_qr_code,
+            tickets: passengers.map(passenger => ({
+                passenger: passenger.passenger,
+                name: passenger.name,
+                ticketType: descriptions.get(passenger.ticket_type) || passenger.ticket_type,
+                qrCode: passenger.return_qr_code
+            })),
+            validFrom: returnWindow.start.toISOString(),
+            validUntil: returnWindow.end.toISOString()
+        } : null
+    };
+}
+
+// Look up a booking for a ticket download, sending the error response and
+// resolving to null if it cannot be downloaded
+async function getTicketBooking(req, res) {
+    const bookingId = normalizeBookingReference(req.params.id);
+
+    if (!isValidBookingReference(bookingId)) {
+        res.status(400).json({ error: 'Invalid booking reference' });
+        return null;
+    }
+
+    const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+
+    if (!booking || !canAccessBooking(req.user, booking)) {
+        res.status(404).json({ error: 'Booking not found' });
+        return null;
+    }
+
+    if (booking.status !== BOOKING_STATUS.PAID || !booking.qr_code) {
+        res.status(409).json({ error: 'The ticket is issued once the booking is paid for', code: 'ticket_not_issued' });
+        return null;
+    }
+
+    return booking;
+}
+
+// Utility function to generate QR code
+async function generateQRCode(bookingData, passenger = null, journey = JOURNEY.OUTBOUND) {
+    try {
+        const qrCodeDataURL = await QRCode.toDataURL(createTicketToken(bookingData, passenger, journey));
+        return qrCodeDataURL;
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        return null;
+    }
+}
+
+// Issue every passenger on a booking their sub-ticket for its current
+// date, alongside the QR code for the whole party, and one for the way
+// back on a return
+async function issuePassengerTickets(bookingData) {
+    const passengers = await getBookingPassengers(bookingData.id);
+
+    for (const { passenger } of passengers) {
+        const returnQrCode = bookingData.returnDate
+            ? await generateQRCode(bookingData, passenger, JOURNEY.RETURN)
+            : null;
+
+        await dbRun(
+            'UPDATE booking_passengers SET qr_code = ?, return_qr_code = ? WHERE booking_id = ? AND passenger = ?',
+            [await generateQRCode(bookingData, passenger), returnQrCode, bookingData.id, passenger]
+        );
+    }
+}
+
+async function generatePassQRCode(pass) {
+    try {
+        return await QRCode.toDataURL(createPassToken(pass));
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        return null;
+    }
+}
+
+// API Routes
+
+app.use('/api/', authenticate);
+
+// Register a new rider account
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+
+        if (!email || !password || !name) {
+            return res.status(400).json({ error: 'Email, password and name are required' });
+        }
+
+        if (typeof email !== 'string' || typeof password !== 'string' || typeof name !== 'string') {
+            return res.status(400).json({ error: 'Email, password and name must be text' });
+        }
+
+        if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const existing = await dbGet('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+
+        if (existing) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const result = await dbRun(
+            'INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)',
+            [normalizedEmail, passwordHash, name.trim()]
+        );
+
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [result.lastID]);
+        const tokens = await issueTokens(user);
+
+        res.status(201).json({ user: serializeUser(user), ...tokens });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Email and password must be text' });
+        }
+
+        const user = await dbGet('SELECT * FROM users WHERE email = ?', [email.trim().toLowerCase()]);
+
+        if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const tokens = await issueTokens(user);
+
+        res.json({ user: serializeUser(user), ...tokens });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Exchange a refresh token for a new token pair.
+// The presented refresh token is revoked, so each one can only be used once.
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        const [tokenId, secret] = (typeof refreshToken === 'string' ? refreshToken : '').split('.');
+
+        if (!tokenId || !secret) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const stored = await dbGet('SELECT * FROM refresh_tokens WHERE id = ?', [tokenId]);
+
+        if (!stored || stored.revoked_at || new Date(stored.expires_at) < new Date() ||
+            stored.token_hash !== hashToken(secret)) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const revoked = await dbRun(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+            [tokenId]
+        );
+
+        // Lost a race with a concurrent refresh using the same token
+        if (revoked.changes === 0) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [stored.user_id]);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const tokens = await issueTokens(user);
+
+        res.json({ user: serializeUser(user), ...tokens });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke a refresh token
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        const [tokenId] = (typeof refreshToken === 'string' ? refreshToken : '').split('.');
+
+        if (tokenId) {
+            await dbRun(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+                [tokenId]
+            );
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the current user
+app.get('/api/me', requireAuth, async (req, res) => {
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.user.id]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(serializeUser(user));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change a user's role (admin only)
+app.put('/api/admin/users/:id/role', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!Object.values(ROLES).includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${Object.values(ROLES).join(', ')}` });
+        }
+
+        const result = await dbRun('UPDATE users SET role = ? WHERE id = ?', [role, req.params.id]);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+
+        // The new role applies from the user's next request
+        res.json(serializeUser(user));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Record a rider's date of birth as verified, once staff have seen an
+// identity document showing it (staff and admins, never for themselves)
+app.put('/api/admin/users/:id/date-of-birth', requireRole(ROLES.STAFF, ROLES.ADMIN), async (req, res) => {
+    try {
+        const { dateOfBirth } = req.body;
+
+        if (String(req.params.id) === String(req.user.id)) {
+            return res.status(403).json({ error: 'You cannot verify your own date of birth' });
+        }
+
+        if (!isValidDate(dateOfBirth) || dateOfBirth > toLocalDate(new Date())) {
+            return res.status(400).json({ error: 'Date of birth must be a past date as YYYY-MM-DD' });
+        }
+
+        const result = await dbRun(`
+            UPDATE users SET date_of_birth = ?, date_of_birth_verified_at = CURRENT_TIMESTAMP, date_of_birth_verified_by = ?
+            WHERE id = ?
+        `, [dateOfBirth, req.user.id, req.params.id]);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+
+        res.json({
+            ...serializeUser(user),
+            dateOfBirth: user.date_of_birth,
+            eligibility: await getConcessionEligibility(user.id, toLocalDate(new Date()))
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+const STATION_CODE_PATTERN = /^[a-z0-9-]{2,32}$/;
+const TICKET_TYPE_PATTERN = /^[a-z0-9-]{2,32}$/;
+
+// Adding, reordering and moving stations read the current positions and
+// write new ones, so they run one at a time
+const withStationLock = createLock();
+
+// Renumber stations 1..n in the given order of codes. It is a single
+// statement, as other requests' queries can run on the shared connection
+// between the statements of a BEGIN ... COMMIT block.
+async function saveStationOrder(codes) {
+    if (codes.length === 0) {
+        return;
+    }
+
+    const positions = codes.map(() => 'WHEN ? THEN CAST(? AS INTEGER)').join(' ');
+    const placeholders = codes.map(() => '?').join(', ');
+
+    await dbRun(
+        `UPDATE stations SET position = CASE code ${positions} END WHERE code IN (${placeholders})`,
+        [...codes.flatMap((code, index) => [code, index + 1]), ...codes]
+    );
+}
+
+// Check an optional price, multiplier, return multiplier and concession;
+// returns an error message or null
+function validatePriceFields({ price, multiplier, returnMultiplier, concession }) {
+    if (price !== undefined && (typeof price !== 'number' || !Number.isFinite(price) || price < 0)) {
+        return 'Price must be a number of zero or more';
+    }
+    if (multiplier !== undefined && multiplier !== null &&
+        (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier <= 0)) {
+        return 'Multiplier must be a positive number, or null for a flat fare';
+    }
+    if (returnMultiplier !== undefined && returnMultiplier !== null &&
+        (typeof returnMultiplier !== 'number' || !Number.isFinite(returnMultiplier) || returnMultiplier <= 0)) {
+        return 'Return multiplier must be a positive number, or null if no return fare is sold';
+    }
+    if (concession !== undefined && concession !== null && !CONCESSIONS[concession]) {
+        return `Concession must be null or one of: ${Object.keys(CONCESSIONS).join(', ')}`;
+    }
+    return null;
+}
+
+// List every station, including inactive ones (admin only)
+app.get('/api/admin/stations', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const [stations, lineStations] = await Promise.all([
+            dbAll('SELECT * FROM stations ORDER BY position'),
+            dbAll('SELECT line_code, station_code FROM line_stations ORDER BY line_code')
+        ]);
+
+        res.json(stations.map(station => ({
+            ...station,
+            lines: lineStations.filter(row => row.station_code === station.code).map(row => row.line_code)
+        })));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a station (admin only). It is not served by any line until it is
+// added to one, so journeys cannot start or end there yet and riders are
+// not offered it (see GET /api/stations).
+app.post('/api/admin/stations', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { code, name, active = true } = req.body;
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        const zone = req.body.zone === undefined || req.body.zone === '' ? 1 : Number(req.body.zone);
+
+        if (typeof code !== 'string' || !STATION_CODE_PATTERN.test(code)) {
+            return res.status(400).json({ error: 'Code must be 2-32 lowercase letters, digits or dashes' });
+        }
+        if (!trimmedName) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        if (!Number.isInteger(zone) || zone < 1) {
+            return res.status(400).json({ error: 'Zone must be a whole number of 1 or more' });
+        }
+
+        const existing = await dbGet('SELECT id FROM stations WHERE code = ?', [code]);
+        if (existing) {
+            return res.status(409).json({ error: 'A station with this code already exists' });
+        }
+
+        await withStationLock(async () => {
+            const { lastPosition } = await dbGet('SELECT MAX(position) AS "lastPosition" FROM stations');
+            await dbRun(
+                'INSERT INTO stations (code, name, position, active, zone) VALUES (?, ?, ?, ?, ?)',
+                [code, trimmedName, (lastPosition || 0) + 1, active ? 1 : 0, zone]
+            );
+        });
+
+        const station = await dbGet('SELECT * FROM stations WHERE code = ?', [code]);
+        res.status(201).json(station);
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reorder stations (admin only). Takes every station code in the new order.
+app.put('/api/admin/stations/order', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { order } = req.body;
+        const saved = await withStationLock(async () => {
+            const stations = await dbAll('SELECT code FROM stations');
+            const known = new Set(stations.map(station => station.code));
+
+            if (!Array.isArray(order) || order.length !== known.size ||
+                new Set(order).size !== order.length || !order.every(code => known.has(code))) {
+                return false;
+            }
+
+            await saveStationOrder(order);
+            return true;
+        });
+
+        if (!saved) {
+            return res.status(400).json({ error: 'Order must list every station code exactly once' });
+        }
+
+        res.json(await dbAll('SELECT * FROM stations ORDER BY position'));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Rename, activate or deactivate, rezone or move a station (admin only).
+// Moving a station to a position shifts the stations after it down by one.
+app.put('/api/admin/stations/:code', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { name, active, position, zone } = req.body;
+        const station = await dbGet('SELECT * FROM stations WHERE code = ?', [req.params.code]);
+
+        if (!station) {
+            return res.status(404).json({ error: 'Station not found' });
+        }
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ error: 'Name cannot be empty' });
+        }
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'Active must be true or false' });
+        }
+        if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+            return res.status(400).json({ error: 'Position must be a whole number of 1 or more' });
+        }
+        if (zone !== undefined && (!Number.isInteger(zone) || zone < 1)) {
+            return res.status(400).json({ error: 'Zone must be a whole number of 1 or more' });
+        }
+
+        await dbRun(
+            'UPDATE stations SET name = ?, active = ?, zone = ? WHERE code = ?',
+            [
+                name !== undefined ? name.trim() : station.name,
+                active !== undefined ? (active ? 1 : 0) : station.active,
+                zone !== undefined ? zone : station.zone,
+                station.code
+            ]
+        );
+
+        if (position !== undefined) {
+            await withStationLock(async () => {
+                const codes = (await dbAll('SELECT code FROM stations ORDER BY position'))
+                    .map(row => row.code)
+                    .filter(code => code !== station.code);
+
+                codes.splice(Math.min(position, codes.length + 1) - 1, 0, station.code);
+                await saveStationOrder(codes);
+            });
+        }
+
+        res.json(await dbGet('SELECT * FROM stations WHERE code = ?', [station.code]));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a station (admin only). Stations on a line or in a booking are
+// kept for the record; deactivate them instead.
+app.delete('/api/admin/stations/:code', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const code = req.params.code;
+        const station = await dbGet('SELECT * FROM stations WHERE code = ?', [code]);
+
+        if (!station) {
+            return res.status(404).json({ error: 'Station not found' });
+        }
+
+        const [onLine, booked] = await Promise.all([
+            dbGet('SELECT 1 FROM line_stations WHERE station_code = ? LIMIT 1', [code]),
+            dbGet('SELECT 1 FROM bookings WHERE from_station = ? OR to_station = ? LIMIT 1', [code, code])
+        ]);
+
+        if (onLine || booked) {
+            return res.status(409).json({
+                error: 'This station is on a line or has bookings. Deactivate it instead.',
+                code: 'station_in_use'
+            });
+        }
+
+        await dbRun('DELETE FROM stations WHERE code = ?', [code]);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List every ticket price, including inactive ones (admin only)
+app.get('/api/admin/prices', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        res.json(await dbAll('SELECT * FROM prices ORDER BY ticket_type'));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a ticket type (admin only). A null multiplier makes it a flat fare
+// and a null return multiplier means it is not sold as a return.
+app.post('/api/admin/prices', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const {
+            ticketType, price, description = null, multiplier = null, returnMultiplier = null,
+            concession = null, active = true
+        } = req.body;
+
+        if (typeof ticketType !== 'string' || !TICKET_TYPE_PATTERN.test(ticketType)) {
+            return res.status(400).json({ error: 'Ticket type must be 2-32 lowercase letters, digits or dashes' });
+        }
+        if (ticketType === MIXED_TICKET_TYPE) {
+            return res.status(400).json({ error: `"${MIXED_TICKET_TYPE}" is reserved for bookings with several fares` });
+        }
+        if (price === undefined) {
+            return res.status(400).json({ error: 'Price is required' });
+        }
+
+        const invalid = validatePriceFields({ price, multiplier, returnMultiplier, concession });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const existing = await dbGet('SELECT id FROM prices WHERE ticket_type = ?', [ticketType]);
+        if (existing) {
+            return res.status(409).json({ error: 'This ticket type already exists' });
+        }
+
+        await dbRun(
+            `INSERT INTO prices (ticket_type, price, description, multiplier, return_multiplier, concession, active)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [ticketType, roundCurrency(price), description, multiplier, returnMultiplier, concession, active ? 1 : 0]
+        );
+
+        res.status(201).json(await dbGet('SELECT * FROM prices WHERE ticket_type = ?', [ticketType]));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a ticket price (admin only). Existing bookings keep the fare they
+// were charged; changes apply to new quotes and bookings.
+app.put('/api/admin/prices/:type', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { price, description, multiplier, returnMultiplier, concession, active } = req.body;
+        const current = await dbGet('SELECT * FROM prices WHERE ticket_type = ?', [req.params.type]);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Ticket type not found' });
+        }
+
+        const invalid = validatePriceFields({ price, multiplier, returnMultiplier, concession });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'Active must be true or false' });
+        }
+
+        await dbRun(
+            `UPDATE prices SET price = ?, description = ?, multiplier = ?, return_multiplier = ?, concession = ?, active = ?
+             WHERE ticket_type = ?`,
+            [
+                price !== undefined ? roundCurrency(price) : current.price,
+                description !== undefined ? description : current.description,
+                multiplier !== undefined ? multiplier : current.multiplier,
+                returnMultiplier !== undefined ? returnMultiplier : current.return_multiplier,
+                concession !== undefined ? concession : current.concession,
+                active !== undefined ? (active ? 1 : 0) : current.active,
+                current.ticket_type
+            ]
+        );
+
+        res.json(await dbGet('SELECT * FROM prices WHERE ticket_type = ?', [current.ticket_type]));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a ticket type (admin only). Types that have been booked are kept
+// for the record; deactivate them instead.
+app.delete('/api/admin/prices/:type', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const type = req.params.type;
+        const current = await dbGet('SELECT * FROM prices WHERE ticket_type = ?', [type]);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Ticket type not found' });
+        }
+
+        const booked = await dbGet(`
+            SELECT 1 FROM bookings WHERE ticket_type = ?
+            UNION ALL
+            SELECT 1 FROM booking_passengers WHERE ticket_type = ?
+            LIMIT 1
+        `, [type, type]);
+        if (booked) {
+            return res.status(409).json({
+                error: 'This ticket type has bookings. Deactivate it instead.',
+                code: 'price_in_use'
+            });
+        }
+
+        await dbRun('DELETE FROM prices WHERE ticket_type = ?', [type]);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List concession documents with the riders who submitted them, pending
+// ones by default (staff and admins)
+app.get('/api/admin/concessions', requireRole(ROLES.STAFF, ROLES.ADMIN), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const statuses = ['pending', 'approved', 'rejected'];
+
+        if (status !== 'all' && !statuses.includes(status)) {
+            return res.status(400).json({ error: `Status must be all or one of: ${statuses.join(', ')}` });
+        }
+
+        const documents = await dbAll(`
+            SELECT d.*, u.name AS user_name, u.email AS user_email
+            FROM concession_documents d
+            JOIN users u ON u.id = d.user_id
+            ${status === 'all' ? '' : 'WHERE d.status = ?'}
+            ORDER BY d.created_at, d.id
+        `, status === 'all' ? [] : [status]);
+
+        res.json(documents.map(document => ({
+            ...serializeConcessionDocument(document),
+            user: { id: document.user_id, name: document.user_name, email: document.user_email }
+        })));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Approve or reject a concession document (staff and admins). Approval
+// lasts CONCESSION_DOCUMENT_VALIDITY_DAYS unless validUntil is given;
+// rejecting an approved document withdraws the concession. Nobody can
+// review their own documents.
+app.put('/api/admin/concessions/:id', requireRole(ROLES.STAFF, ROLES.ADMIN), async (req, res) => {
+    try {
+        const { status, note = null } = req.body;
+        const document = await dbGet('SELECT * FROM concession_documents WHERE id = ?', [req.params.id]);
+
+        if (!document) {
+            return res.status(404).json({ error: 'Concession document not found' });
+        }
+
+        if (document.user_id === req.user.id) {
+            return res.status(403).json({ error: 'You cannot review your own concession documents' });
+        }
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be approved or rejected' });
+        }
+
+        if (note !== null && typeof note !== 'string') {
+            return res.status(400).json({ error: 'Note must be text' });
+        }
+
+        let validUntil = null;
+
+        if (status === 'approved') {
+            const defaultEnd = new Date();
+            defaultEnd.setDate(defaultEnd.getDate() + CONCESSION_DOCUMENT_VALIDITY_DAYS);
+            validUntil = req.body.validUntil || toLocalDate(defaultEnd);
+
+            if (!isValidDate(validUntil) || validUntil < toLocalDate(new Date())) {
+                return res.status(400).json({ error: 'Valid until must be today or later as YYYY-MM-DD' });
+            }
+        }
+
+        await dbRun(`
+            UPDATE concession_documents
+            SET status = ?, valid_until = ?, review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, validUntil, note, req.user.id, document.id]);
+
+        res.json(serializeConcessionDocument(
+            await dbGet('SELECT * FROM concession_documents WHERE id = ?', [document.id])
+        ));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List every promo code with how often it has been used (admin only)
+app.get('/api/admin/promo-codes', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const used = promoUseFilter('b');
+        const promoCodes = await dbAll(`
+            SELECT p.*, (
+                SELECT COUNT(*) FROM bookings b WHERE b.promo_code = p.code AND ${used.sql}
+            ) AS uses
+            FROM promo_codes p
+            ORDER BY p.created_at DESC, p.id DESC
+        `, used.params);
+
+        res.json(promoCodes.map(serializePromoCode));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a promo code (admin only)
+app.post('/api/admin/promo-codes', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const code = req.body.code ? normalizePromoCode(req.body.code) : '';
+
+        if (!PROMO_CODE_PATTERN.test(code)) {
+            return res.status(400).json({ error: 'Code must be 3-32 letters, digits or dashes' });
+        }
+
+        const { error, values } = await readPromoCodeFields(req.body, {
+            description: null,
+            valid_from: null,
+            valid_until: null,
+            max_uses: null,
+            max_uses_per_user: null,
+            station_code: null,
+            travel_date_from: null,
+            travel_date_to: null,
+            active: true
+        });
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const columns = Object.values(PROMO_CODE_COLUMNS);
+
+        try {
+            await dbRun(
+                `INSERT INTO promo_codes (code, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+                [code, ...columns.map(column => column === 'active' ? (values.active ? 1 : 0) : values[column])]
+            );
+        } catch (err) {
+            if (db.isUniqueViolation(err, 'promo_codes')) {
+                return res.status(409).json({ error: 'This promo code already exists' });
+            }
+            throw err;
+        }
+
+        res.status(201).json(serializePromoCode(await getPromoCode(code)));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a promo code (admin only). Bookings already made keep their
+// discount; deactivate a code to stop further use.
+app.put('/api/admin/promo-codes/:code', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const current = await getPromoCode(req.params.code);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+
+        const { error, values } = await readPromoCodeFields(req.body, current);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const columns = Object.values(PROMO_CODE_COLUMNS);
+
+        await dbRun(
+            `UPDATE promo_codes SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => column === 'active' ? (values.active ? 1 : 0) : values[column]), current.id]
+        );
+
+        const used = promoUseFilter('b');
+        const promo = await dbGet(`
+            SELECT p.*, (
+                SELECT COUNT(*) FROM bookings b WHERE b.promo_code = p.code AND ${used.sql}
+            ) AS uses
+            FROM promo_codes p
+            WHERE p.id = ?
+        `, [...used.params, current.id]);
+
+        res.json(serializePromoCode(promo));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the current user's bookings
+app.get('/api/me/bookings', requireAuth, async (req, res) => {
+    try {
+        const bookings = await dbAll(
+            'SELECT * FROM bookings WHERE user_id = ? ORDER BY travel_date DESC, travel_time DESC',
+            [req.user.id]
+        );
+        const passengers = await dbAll(`
+            SELECT bp.*
+            FROM booking_passengers bp
+            JOIN bookings b ON b.id = bp.booking_id
+            WHERE b.user_id = ?
+            ORDER BY bp.passenger
+        `, [req.user.id]);
+
+        res.json(bookings.map(booking => ({
+            ...booking,
+            tickets: passengers
+                .filter(passenger => passenger.booking_id === booking.id)
+                .map(serializeBookingPassenger)
+        })));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the current user's concession eligibility and documents, with the
+// concessions on offer and the documents accepted for each
+app.get('/api/me/concessions', requireAuth, async (req, res) => {
+    try {
+        const [user, documents, eligibility] = await Promise.all([
+            dbGet('SELECT date_of_birth, date_of_birth_verified_at FROM users WHERE id = ?', [req.user.id]),
+            dbAll('SELECT * FROM concession_documents WHERE user_id = ? ORDER BY created_at DESC, id DESC', [req.user.id]),
+            getConcessionEligibility(req.user.id, toLocalDate(new Date()))
+        ]);
+
+        res.json({
+            concessions: Object.entries(CONCESSIONS).map(([category, concession]) => ({
+                category,
+                name: concession.name,
+                documentTypes: concession.documentTypes,
+                minAge: concession.minAge || null
+            })),
+            dateOfBirth: user ? user.date_of_birth : null,
+            dateOfBirthVerified: Boolean(user && user.date_of_birth_verified_at),
+            eligibility,
+            documents: documents.map(serializeConcessionDocument)
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Submit a concession document for staff to check. The rider shows the
+// document itself at a ticket office; only its type and number are kept.
+app.post('/api/me/concessions', requireAuth, async (req, res) => {
+    try {
+        const { category, documentType } = req.body;
+        const documentReference = typeof req.body.documentReference === 'string'
+            ? req.body.documentReference.trim()
+            : '';
+        const concession = CONCESSIONS[category];
+
+        if (!concession) {
+            return res.status(400).json({ error: `Category must be one of: ${Object.keys(CONCESSIONS).join(', ')}` });
+        }
+
+        if (!concession.documentTypes.includes(documentType)) {
+            return res.status(400).json({
+                error: `Document type must be one of: ${concession.documentTypes.join(', ')}`
+            });
+        }
+
+        if (!documentReference || documentReference.length > CONCESSION_REFERENCE_MAX_LENGTH) {
+            return res.status(400).json({
+                error: `Document number is required and at most ${CONCESSION_REFERENCE_MAX_LENGTH} characters`
+            });
+        }
+
+        const pending = await dbGet(
+            'SELECT id FROM concession_documents WHERE user_id = ? AND category = ? AND status = ?',
+            [req.user.id, category, 'pending']
+        );
+
+        if (pending) {
+            return res.status(409).json({ error: 'A document for this concession is already waiting for review' });
+        }
+
+        const result = await dbRun(`
+            INSERT INTO concession_documents (user_id, category, document_type, document_reference)
+            VALUES (?, ?, ?, ?)
+        `, [req.user.id, category, documentType, documentReference]);
+
+        const document = await dbGet('SELECT * FROM concession_documents WHERE id = ?', [result.lastID]);
+
+        res.status(201).json(serializeConcessionDocument(document));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the current user's Metro Card with its balance, fare caps and any
+// journey in progress
+app.get('/api/me/card', requireAuth, async (req, res) => {
+    try {
+        const card = await getCardByUser(req.user.id);
+
+        if (!card) {
+            return res.status(404).json({ error: 'No Metro Card yet' });
+        }
+
+        res.json(await serializeCard(card));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Open a Metro Card for the current user; each account has one
+app.post('/api/me/card', requireAuth, async (req, res) => {
+    try {
+        let cardId = null;
+
+        for (let attempt = 0; attempt < BOOKING_REFERENCE_ATTEMPTS && !cardId; attempt++) {
+            try {
+                const candidate = generateCardNumber();
+                await dbRun('INSERT INTO cards (id, user_id) VALUES (?, ?)', [candidate, req.user.id]);
+                cardId = candidate;
+            } catch (err) {
+                if (!db.isUniqueViolation(err, 'cards')) throw err;
+
+                if (await getCardByUser(req.user.id)) {
+                    return res.status(409).json({ error: 'You already have a Metro Card' });
+                }
+            }
+        }
+
+        if (!cardId) {
+            throw new Error('Could not generate a unique card number');
+        }
+
+        const card = await dbGet('SELECT * FROM cards WHERE id = ?', [cardId]);
+        res.status(201).json(await serializeCard(card));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start a payment that adds money to the current user's Metro Card; the
+// balance goes up once the payment succeeds
+app.post('/api/me/card/top-ups', requireAuth, async (req, res) => {
+    try {
+        const amount = Number(req.body.amount);
+
+        if (!Number.isFinite(amount) || roundCurrency(amount) !== amount ||
+            amount < CARD_TOP_UP_LIMITS.min || amount > CARD_TOP_UP_LIMITS.max) {
+            return res.status(400).json({
+                error: `Top-ups must be between ${CARD_TOP_UP_LIMITS.min} and ${CARD_TOP_UP_LIMITS.max}`
+            });
+        }
+
+        const card = await getCardByUser(req.user.id);
+
+        if (!card) {
+            return res.status(404).json({ error: 'No Metro Card yet' });
+        }
+
+        const payment = await createPayment({ cardId: card.id }, {
+            purpose: 'card_top_up',
+            amount,
+            description: `Metro Card top-up ${card.id}`
+        });
+
+        res.status(201).json({ payment });
+    } catch (error) {
+        console.error('Payment creation error:', error);
+        res.status(500).json({ error: 'Failed to start payment' });
+    }
+});
+
+// Get the current user's Metro Card ledger, newest first
+app.get('/api/me/card/transactions', requireAuth, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const card = await getCardByUser(req.user.id);
+
+        if (!card) {
+            return res.status(404).json({ error: 'No Metro Card yet' });
+        }
+
+        const [countResult, rows] = await Promise.all([
+            dbGet('SELECT COUNT(*) AS total FROM card_transactions WHERE card_id = ?', [card.id]),
+            dbAll(`
+                SELECT * FROM card_transactions
+                WHERE card_id = ?
+                ORDER BY id DESC
+                LIMIT ? OFFSET ?
+            `, [card.id, limit, (page - 1) * limit])
+        ]);
+
+        res.json({
+            transactions: rows.map(row => ({
+                id: row.id,
+                type: row.type,
+                amount: row.amount,
+                balanceAfter: row.balance_after,
+                description: row.description,
+                paymentId: row.payment_id,
+                journeyId: row.journey_id,
+                createdAt: row.created_at
+            })),
+            pagination: {
+                page,
+                limit,
+                total: countResult.total,
+                pages: Math.ceil(countResult.total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the season passes on sale and the number of fare zones
+app.get('/api/pass-types', async (req, res) => {
+    try {
+        const [passTypes, zones] = await Promise.all([
+            dbAll('SELECT * FROM pass_types WHERE active = 1 ORDER BY id'),
+            getPassZoneCount()
+        ]);
+
+        res.json({ passTypes: passTypes.map(serializePassType), zones });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Quote a season pass: ?type=monthly&zoneFrom=1&zoneTo=2&startDate=YYYY-MM-DD
+app.get('/api/passes/quote', async (req, res) => {
+    try {
+        const quote = await quotePass({
+            type: req.query.type,
+            zoneFrom: req.query.zoneFrom,
+            zoneTo: req.query.zoneTo,
+            startDate: req.query.startDate
+        });
+
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error });
+        }
+
+        res.json({
+            passType: serializePassType(quote.passType),
+            zones: { from: quote.zoneFrom, to: quote.zoneTo },
+            validFrom: quote.validFrom,
+            validUntil: quote.validUntil,
+            price: quote.price
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Buy a season pass for a named holder (signed-in riders). The pass is
+// issued once its payment succeeds.
+app.post('/api/passes', requireAuth, async (req, res) => {
+    try {
+        const { type, zoneFrom, zoneTo, startDate } = req.body;
+        // Passes are in the account holder's name unless another is given
+        const holderName = typeof req.body.holderName === 'string' && req.body.holderName.trim()
+            ? req.body.holderName.trim()
+            : (await dbGet('SELECT name FROM users WHERE id = ?', [req.user.id])).name;
+        const holderId = typeof req.body.holderId === 'string' && req.body.holderId.trim()
+            ? req.body.holderId.trim()
+            : null;
+
+        if (holderId && holderId.length > PASS_HOLDER_ID_MAX_LENGTH) {
+            return res.status(400).json({ error: `Holder ID must be at most ${PASS_HOLDER_ID_MAX_LENGTH} characters` });
+        }
+
+        const quote = await quotePass({ type, zoneFrom, zoneTo, startDate });
+
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error });
+        }
+
+        res.status(201).json(await createPass(req.user, quote, { holderName, holderId }));
+    } catch (error) {
+        console.error('Pass creation error:', error);
+        res.status(500).json({ error: 'Failed to create pass' });
+    }
+});
+
+// Get the current user's season passes, newest first
+app.get('/api/me/passes', requireAuth, async (req, res) => {
+    try {
+        const passes = await dbAll(
+            'SELECT * FROM passes WHERE user_id = ? ORDER BY valid_from DESC, created_at DESC',
+            [req.user.id]
+        );
+
+        res.json(passes.map(serializePass));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Look up a season pass the current user bought, or any pass for staff
+async function getOwnPass(req, res) {
+    const passId = normalizeBookingReference(req.params.id);
+
+    if (!isValidPassReference(passId)) {
+        res.status(400).json({ error: 'Invalid pass reference' });
+        return null;
+    }
+
+    const pass = await dbGet('SELECT * FROM passes WHERE id = ?', [passId]);
+
+    if (!pass || (pass.user_id !== req.user.id && !isStaff(req.user))) {
+        res.status(404).json({ error: 'Pass not found' });
+        return null;
+    }
+
+    return pass;
+}
+
+// Get a season pass
+app.get('/api/passes/:id', requireAuth, async (req, res) => {
+    try {
+        const pass = await getOwnPass(req, res);
+
+        if (pass) {
+            res.json(serializePass(pass));
+        }
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start a new payment for an unpaid season pass
+app.post('/api/passes/:id/pay', requireAuth, async (req, res) => {
+    try {
+        const pass = await getOwnPass(req, res);
+
+        if (!pass) {
+            return;
+        }
+
+        if (pass.status !== BOOKING_STATUS.PENDING_PAYMENT && pass.status !== BOOKING_STATUS.FAILED) {
+            return res.status(400).json({ error: 'Pass does not need payment' });
+        }
+
+        await dbRun(
+            'UPDATE passes SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [BOOKING_STATUS.PENDING_PAYMENT, pass.id]
+        );
+
+        res.status(201).json({ payment: await createPassPayment(pass) });
+    } catch (error) {
+        console.error('Payment creation error:', error);
+        res.status(500).json({ error: 'Failed to start payment' });
+    }
+});
+
+// Renew a season pass: the same pass type, zones and holder at current
+// prices, starting the day after it ends or today if it has already ended.
+// A pass is renewed once; a renewal whose payment failed can be paid again.
+app.post('/api/passes/:id/renew', requireAuth, async (req, res) => {
+    try {
+        const pass = await getOwnPass(req, res);
+
+        if (!pass) {
+            return;
+        }
+
+        if (pass.status !== BOOKING_STATUS.PAID) {
+            return res.status(400).json({ error: 'Only paid passes can be renewed' });
+        }
+
+        const renewal = await dbGet(
+            'SELECT id FROM passes WHERE renewed_from = ? AND status IN (?, ?, ?)',
+            [pass.id, BOOKING_STATUS.PENDING_PAYMENT, BOOKING_STATUS.PAID, BOOKING_STATUS.FAILED]
+        );
+
+        if (renewal) {
+            return res.status(409).json({ error: 'This pass has already been renewed', renewal: renewal.id });
+        }
+
+        const nextDay = new Date(`${pass.valid_until}T00:00:00`);
+        nextDay.setDate(nextDay.getDate() + 1);
+        const today = toLocalDate(new Date());
+
+        const quote = await quotePass({
+            type: pass.pass_type,
+            zoneFrom: pass.zone_from,
+            zoneTo: pass.zone_to,
+            startDate: toLocalDate(nextDay) > today ? toLocalDate(nextDay) : today
+        });
+
+        if (quote.error) {
+            return res.status(400).json({ error: `This pass cannot be renewed: ${quote.error}` });
+        }
+
+        res.status(201).json(await createPass({ id: pass.user_id }, quote, {
+            holderName: pass.holder_name,
+            holderId: pass.holder_id,
+            renewedFrom: pass.id
+        }));
+    } catch (error) {
+        console.error('Pass renewal error:', error);
+        res.status(500).json({ error: 'Failed to renew pass' });
+    }
+});
+
+// Get the stations riders can travel to and from: active ones on an
+// active line
+app.get('/api/stations', async (req, res) => {
+    try {
+        res.json(await dbAll(`
+            SELECT * FROM stations s
+            WHERE s.active = 1 AND EXISTS (
+                SELECT 1 FROM line_stations ls
+                JOIN lines l ON l.code = ls.line_code AND l.active = 1
+                WHERE ls.station_code = s.code
+            )
+            ORDER BY s.position
+        `));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get ticket prices
+app.get('/api/prices', async (req, res) => {
+    try {
+        res.json(await dbAll('SELECT * FROM prices WHERE active = 1'));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get all lines with their stations in running order
+app.get('/api/lines', async (req, res) => {
+    try {
+        const [lines, lineStations] = await Promise.all([
+            dbAll('SELECT code, name, color FROM lines WHERE active = 1 ORDER BY id'),
+            dbAll(`
+                SELECT ls.line_code, s.code, s.name
+                FROM line_stations ls
+                JOIN stations s ON s.code = ls.station_code AND s.active = 1
+                ORDER BY ls.line_code, ls.sequence
+            `)
+        ]);
+
+        res.json(lines.map(line => ({
+            ...line,
+            stations: lineStations
+                .filter(row => row.line_code === line.code)
+                .map(row => ({ code: row.code, name: row.name }))
+        })));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Plan a journey across lines
+app.get('/api/routes/plan', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to are required' });
+        }
+
+        if (from === to) {
+            return res.status(400).json({ error: 'From and to stations must be different' });
+        }
+
+        const [fromStation, toStation] = await Promise.all([
+            getActiveStation(from),
+            getActiveStation(to)
+        ]);
+
+        if (!fromStation || !toStation) {
+            return res.status(400).json({ error: 'Unknown or inactive station' });
+        }
+
+        const journey = await planJourney(from, to);
+
+        if (!journey) {
+            return res.status(404).json({ error: 'No route between these stations' });
+        }
+
+        res.json(journey);
+    } catch (error) {
+        console.error('Journey planning error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Quote the fare for a trip. `types` lists each passenger's ticket type,
+// comma separated; `type` with a count of `passengers` also works.
+// `tripType=return` quotes the return fare.
+app.get('/api/fares/quote', async (req, res) => {
+    try {
+        const { from, to, type, types, tripType = 'single' } = req.query;
+
+        if (!from || !to || !(type || types)) {
+            return res.status(400).json({ error: 'from, to and types are required' });
+        }
+
+        if (!TRIP_TYPES.includes(tripType)) {
+            return res.status(400).json({ error: `Trip type must be one of: ${TRIP_TYPES.join(', ')}` });
+        }
+
+        if (from === to) {
+            return res.status(400).json({ error: 'From and to stations must be different' });
+        }
+
+        const { error, passengers } = types
+            ? readPassengers(String(types).split(',').map(ticketType => ({ ticketType })))
+            : readPassengers(req.query.passengers === undefined ? 1 : req.query.passengers, type);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const [fromStation, toStation] = await Promise.all([
+            getActiveStation(from),
+            getActiveStation(to)
+        ]);
+
+        if (!fromStation || !toStation) {
+            return res.status(400).json({ error: 'Unknown or inactive station' });
+        }
+
+        const journey = await planJourney(from, to);
+
+        if (!journey) {
+            return res.status(400).json({ error: 'No route between these stations' });
+        }
+
+        const fare = await calculateGroupFare({ journey, passengers, tripType });
+
+        if (!fare) {
+            return res.status(400).json({
+                error: tripType === 'return' ? 'Unknown ticket type, or one not sold as a return' : 'Unknown ticket type'
+            });
+        }
+
+        // A code that cannot be used leaves the fare as it is, with the reason
+        if (req.query.promoCode) {
+            const promo = await getPromoCode(req.query.promoCode);
+            const promoError = await getPromoRefusal(promo, {
+                from,
+                to,
+                date: req.query.date || toLocalDate(new Date()),
+                user: req.user
+            });
+
+            if (promoError) {
+                return res.json({ from, to, fare, promoError });
+            }
+
+            return res.json({ from, to, fare: applyPromoDiscount(fare, promo) });
+        }
+
+        res.json({ from, to, fare });
+    } catch (error) {
+        console.error('Fare quote error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List the departures for a trip on a date with the seats left on each.
+// `after` defaults to now for today's departures; `passengers` marks which
+// departures have room for the whole party.
+app.get('/api/availability', async (req, res) => {
+    try {
+        const { from, to, date } = req.query;
+        const passengers = req.query.passengers === undefined ? 1 : Number(req.query.passengers);
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+        if (!from || !to || !date) {
+            return res.status(400).json({ error: 'from, to and date are required' });
+        }
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+        }
+
+        if (req.query.after !== undefined && !/^\d{2}:\d{2}$/.test(req.query.after)) {
+            return res.status(400).json({ error: 'after must be HH:MM' });
+        }
+
+        if (from === to) {
+            return res.status(400).json({ error: 'From and to stations must be different' });
+        }
+
+        if (!Number.isInteger(passengers) || passengers < 1 || passengers > MAX_PASSENGERS_PER_BOOKING) {
+            return res.status(400).json({
+                error: `Passengers must be a whole number between 1 and ${MAX_PASSENGERS_PER_BOOKING}`
+            });
+        }
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'limit must be a whole number between 1 and 200' });
+        }
+
+        const [fromStation, toStation] = await Promise.all([
+            getActiveStation(from),
+            getActiveStation(to)
+        ]);
+
+        if (!fromStation || !toStation) {
+            return res.status(400).json({ error: 'Unknown or inactive station' });
+        }
+
+        const journey = await planJourney(from, to);
+
+        if (!journey) {
+            return res.status(404).json({ error: 'No route between these stations' });
+        }
+
+        // Trains that have already left are not offered
+        const now = new Date();
+        const { start, end } = getTravelDayWindow(date);
+        let after = req.query.after || '00:00';
+
+        if (start <= now) {
+            const current = fromMinutes(now.getHours() * 60 + now.getMinutes());
+            if (current > after) after = current;
+        }
+
+        const departures = end < now ? [] : await findDepartures(journey, date, { after, limit });
+
+        res.json({
+            from,
+            to,
+            date,
+            passengers,
+            departures: departures.map(departure => ({
+                ...departure,
+                full: departure.seatsAvailable < passengers
+            }))
+        });
+    } catch (error) {
+        console.error('Availability error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create a new booking
+app.post('/api/bookings', idempotent, async (req, res) => {
+    try {
+        const {
+            from,
+            to,
+            date,
+            time,
+            ticketType,
+            totalPrice,
+            promoCode
+        } = req.body;
+        const waitlist = req.body.waitlist === true;
+        // Where guests get their ticket; signed-in riders get it at their account's address
+        const contactEmail = req.body.email ? String(req.body.email).trim().toLowerCase() : null;
+
+        // Validate required fields. `passengers` lists each passenger's
+        // { ticketType, name }; older clients send a count and one ticketType.
+        if (!from || !to || !date || !time || !req.body.passengers ||
+            (!Array.isArray(req.body.passengers) && !ticketType)) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Validate each passenger
+        const read = readPassengers(req.body.passengers, ticketType);
+
+        if (read.error) {
+            return res.status(400).json({ error: read.error, code: 'invalid_passengers' });
+        }
+
+        const passengerList = read.passengers;
+        const passengers = passengerList.length;
+        const bookingTicketType = getBookingTicketType(passengerList);
+
+        // Validate stations are different
+        if (from === to) {
+            return res.status(400).json({ error: 'From and to stations must be different' });
+        }
+
+        if (!isValidDate(date) || !/^\d{2}:\d{2}$/.test(time)) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD and time HH:MM', code: 'invalid_date' });
+        }
+
+        const trip = readReturnTrip(req.body, date);
+
+        if (trip.error) {
+            return res.status(400).json({ error: trip.error, code: 'invalid_return' });
+        }
+
+        const { tripType, returnDate, returnTime } = trip;
+
+        if (contactEmail && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(contactEmail)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+
+        // Validate date is not in the past
+        const bookingDate = new Date(date);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        if (bookingDate < today) {
+            return res.status(400).json({ error: 'Booking date cannot be in the past', code: 'date_in_past' });
+        }
+
+        const [fromStation, toStation] = await Promise.all([
+            getActiveStation(from),
+            getActiveStation(to)
+        ]);
+
+        if (!fromStation || !toStation) {
+            return res.status(400).json({ error: 'Unknown or inactive station', code: 'station_unavailable' });
+        }
+
+        const journey = await planJourney(from, to);
+        const returnJourney = tripType === 'return' ? await planJourney(to, from) : null;
+
+        if (!journey || (tripType === 'return' && !returnJourney)) {
+            return res.status(400).json({ error: 'No route between these stations', code: 'no_route' });
+        }
+
+        const passengerRefusal = await getPassengerRefusal(req.user, passengerList, date, tripType);
+
+        if (passengerRefusal) {
+            const { status, ...body } = passengerRefusal;
+            return res.status(status).json(body);
+        }
+
+        // The server is the source of truth for the fare
+        let fare = await calculateGroupFare({ journey, passengers: passengerList, tripType });
+
+        if (!fare) {
+            return res.status(400).json({ error: 'Unknown ticket type', code: 'ticket_type_unavailable' });
+        }
+
+        const promo = promoCode ? await getPromoCode(promoCode) : null;
+
+        if (promoCode) {
+            const promoError = await getPromoRefusal(promo, { from, to, date, user: req.user });
+
+            if (promoError) {
+                return res.status(400).json({ error: promoError, code: 'promo_code_invalid' });
+            }
+
+            fare = applyPromoDiscount(fare, promo);
+        }
+
+        // Reject totals the client computed from stale or tampered prices
+        if (totalPrice !== undefined && roundCurrency(Number(totalPrice)) !== fare.total) {
+            return res.status(409).json({
+                error: 'Price has changed, please review the updated fare',
+                code: 'price_changed',
+                fare
+            });
+        }
+
+        if (new Date(`${date}T${time}:00`) < new Date()) {
+            return res.status(400).json({ error: 'This train has already departed', code: 'departed' });
+        }
+
+        // Seats whose hold has run out go to the waitlist before new bookings
+        await expirePaymentHolds();
+
+        // Book seats on the trains of the chosen departure (and return
+        // departure), or join the waitlist for them if the rider asked to
+        // when they are full
+        const booked = await withSeatLock(async () => {
+            const itinerary = await findDeparture(journey, date, time);
+
+            if (!itinerary) {
+                return { error: 'No train leaves at this time', code: 'no_departure', status: 400 };
+            }
+
+            const returnItinerary = returnJourney
+                ? await findDeparture(returnJourney, returnDate, returnTime)
+                : null;
+
+            if (returnJourney && !returnItinerary) {
+                return { error: 'No return train leaves at this time', code: 'no_return_departure', status: 400 };
+            }
+
+            // A same-day return has to leave after the outbound train arrives
+            if (returnItinerary && returnDate === date && returnItinerary.departs < itinerary.arrives) {
+                return {
+                    error: `The return train has to leave after the outbound one arrives at ${itinerary.arrives}`,
+                    code: 'invalid_return',
+                    status: 400
+                };
+            }
+
+            const seatsAvailable = Math.min(
+                itinerary.seatsAvailable,
+                returnItinerary ? returnItinerary.seatsAvailable : Infinity
+            );
+            const full = seatsAvailable < passengers;
+
+            if (full && !waitlist) {
+                return {
+                    error: returnItinerary ? 'The outbound or return train is full' : 'This train is full',
+                    code: 'service_full',
+                    status: 409,
+                    seatsAvailable
+                };
+            }
+
+            // Another booking may have taken the promo code's last use
+            if (promo) {
+                const promoError = await getPromoRefusal(promo, { from, to, date, user: req.user });
+
+                if (promoError) {
+                    return { error: promoError, code: 'promo_code_invalid', status: 409 };
+                }
+            }
+
+            // Insert booking into database, drawing a fresh reference on the
+            // (unlikely) chance the random one is already taken. It has no QR
+            // code until it is paid for.
+            const insertQuery = `
+                INSERT INTO bookings (
+                    id, from_station, to_station, travel_date, travel_time, passengers, ticket_type,
+                    total_price, status, user_id, contact_email, promo_code, discount,
+                    trip_type, return_date, return_time, hold_expires_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const status = full ? BOOKING_STATUS.WAITLISTED : BOOKING_STATUS.PENDING_PAYMENT;
+            const holdExpiresAt = full ? null : paymentHoldExpiry();
+
+            for (let attempt = 1; ; attempt++) {
+                const bookingId = generateBookingReference();
+
+                try {
+                    await dbRun(insertQuery, [
+                        bookingId, from, to, date, time, passengers, bookingTicketType, fare.total,
+                        status, req.user ? req.user.id : null, contactEmail,
+                        promo ? promo.code : null, fare.discount ? fare.discount.amount : 0,
+                        tripType, returnDate, returnTime, holdExpiresAt
+                    ]);
+                    await saveBookingLegs(
+                        bookingId,
+                        date,
+                        itinerary,
+                        returnItinerary ? { date: returnDate, itinerary: returnItinerary } : null
+                    );
+                    await saveBookingPassengers(bookingId, passengerList, fare.passengerFares);
+                    return { bookingId, status, holdExpiresAt, itinerary, returnItinerary };
+                } catch (err) {
+                    if (!isDuplicateBookingId(err) || attempt >= BOOKING_REFERENCE_ATTEMPTS) {
+                        throw err;
+                    }
+                }
+            }
+        });
+
+        if (booked.error) {
+            const { status, ...body } = booked;
+            return res.status(status).json(body);
+        }
+
+        const { bookingId, itinerary, returnItinerary } = booked;
+
+        await recordBookingHistory(bookingId, booked.status === BOOKING_STATUS.WAITLISTED ? 'waitlisted' : 'created', {
+            actor: req.user
+        });
+
+        // Waitlisted bookings are paid for once they get a seat
+        const payment = booked.status === BOOKING_STATUS.WAITLISTED
+            ? null
+            : await createBookingPayment(bookingId, {
+                purpose: 'booking',
+                amount: fare.total,
+                description: `Metro ticket ${bookingId}`
+            });
+
+        res.status(201).json({
+            success: true,
+            booking: {
+                id: bookingId,
+                from,
+                to,
+                date,
+                time,
+                passengers,
+                tripType,
+                returnDate,
+                returnTime,
+                ticketType: bookingTicketType,
+                tickets: passengerList.map((passenger, index) => ({
+                    passenger: index + 1,
+                    name: passenger.name,
+                    ticketType: passenger.ticketType,
+                    fare: fare.passengerFares[index],
+                    qrCode: null,
+                    returnQrCode: null
+                })),
+                totalPrice: fare.total,
+                promoCode: promo ? promo.code : null,
+                discount: fare.discount ? fare.discount.amount : 0,
+                qrCode: null,
+                returnQrCode: null,
+                status: booked.status,
+                holdExpiresAt: booked.holdExpiresAt
+            },
+            fare,
+            itinerary,
+            returnItinerary,
+            payment
+        });
+    } catch (error) {
+        console.error('Booking creation error:', error);
+        res.status(500).json({ error: 'Failed to create booking' });
+    }
+});
+
+// Start a new payment for an unpaid booking, e.g. after a declined card
+app.post('/api/bookings/:id/pay', async (req, res) => {
+    try {
+        const bookingId = normalizeBookingReference(req.params.id);
+
+        if (!isValidBookingReference(bookingId)) {
+            return res.status(400).json({ error: 'Invalid booking reference' });
+        }
+
+        const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+
+        if (!booking || !canAccessBooking(req.user, booking)) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        if (booking.status === BOOKING_STATUS.WAITLISTED) {
+            return res.status(400).json({ error: 'Waitlisted bookings can be paid for once a seat frees up' });
+        }
+
+        if (booking.status !== BOOKING_STATUS.PENDING_PAYMENT && booking.status !== BOOKING_STATUS.FAILED) {
+            return res.status(400).json({ error: 'Booking does not need payment' });
+        }
+
+        // A failed booking, or one whose hold ran out, gave up its seats, so
+        // it needs them back first. Either way the new payment gets a fresh hold.
+        const reserved = await withSeatLock(async () => {
+            if (!await bookingHoldsSeats(bookingId) &&
+                !await bookingLegsHaveSeats(await getBookingLegs(bookingId), booking.passengers, bookingId)) {
+                return false;
+            }
+
+            await dbRun(`
+                UPDATE bookings SET status = ?, hold_expires_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [BOOKING_STATUS.PENDING_PAYMENT, paymentHoldExpiry(), bookingId]);
+            return true;
+        });
+
+        if (!reserved) {
+            return res.status(409).json({ error: 'This train is now full', code: 'service_full' });
+        }
+
+        const payment = await createBookingPayment(bookingId, {
+            purpose: 'booking',
+            amount: booking.total_price,
+            description: `Metro ticket ${bookingId}`
+        });
+
+        res.status(201).json({ payment });
+    } catch (error) {
+        console.error('Payment creation error:', error);
+        res.status(500).json({ error: 'Failed to start payment' });
+    }
+});
+
+// Get a payment's status
+app.get('/api/payments/:id', async (req, res) => {
+    try {
+        const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [req.params.id]);
+
+        if (!payment || !(await canAccessPayment(req.user, payment))) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        res.json(serializePayment(payment));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Receive payment provider webhooks; only correctly signed events are accepted
+app.post('/api/payments/webhooks/:provider', async (req, res) => {
+    try {
+        const provider = getPaymentProvider(req.params.provider);
+
+        if (!provider) {
+            return res.status(404).json({ error: 'Unknown payment provider' });
+        }
+
+        const event = req.rawBody && provider.verifyWebhook(req.rawBody, req.headers);
+
+        if (!event) {
+            return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+
+        if (!(await handlePaymentEvent(provider.name, event))) {
+            return res.status(400).json({
+                error: 'Payment amount does not match the payment',
+                code: 'amount_mismatch'
+            });
+        }
+
+        res.json({ received: true });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Complete or decline a mock gateway checkout (local development only).
+// Goes through the same signature check and event handling as a real webhook.
+app.post('/api/payments/mock/:id/complete', async (req, res) => {
+    try {
+        const provider = getPaymentProvider('mock');
+
+        if (process.env.NODE_ENV === 'production' || PAYMENT_PROVIDER !== provider.name) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const payment = await dbGet('SELECT * FROM payments WHERE id = ? AND provider = ?', [req.params.id, provider.name]);
+
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const webhook = provider.simulateCheckout(payment.provider_reference, req.body.outcome, payment.amount);
+        await handlePaymentEvent(provider.name, provider.verifyWebhook(webhook.body, webhook.headers));
+
+        const updated = await dbGet('SELECT * FROM payments WHERE id = ?', [payment.id]);
+        res.json(serializePayment(updated));
+    } catch (error) {
+        console.error('Mock checkout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get booking by ID (guest bookings by reference, account bookings by
+// their owner or staff)
+app.get('/api/bookings/:id', async (req, res) => {
+    const bookingId = normalizeBookingReference(req.params.id);
+
+    if (!isValidBookingReference(bookingId)) {
+        return res.status(400).json({ error: 'Invalid booking reference' });
+    }
+
+    try {
+        const row = await dbGet('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+
+        if (!row || !canAccessBooking(req.user, row)) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const passengers = await getBookingPassengers(bookingId);
+
+        res.json({ ...row, tickets: passengers.map(serializeBookingPassenger) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Download a printable PDF ticket (guest bookings by reference, account
+// bookings by their owner or staff)
+app.get('/api/bookings/:id/ticket.pdf', async (req, res) => {
+    try {
+        const booking = await getTicketBooking(req, res);
+
+        if (!booking) {
+            return;
+        }
+
+        const pdf = await renderTicketPdf(await buildTicket(booking));
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="metro-ticket-${booking.id}.pdf"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Ticket PDF error:', error);
+        res.status(500).json({ error: 'Failed to create ticket' });
+    }
+});
+
+// Download the ticket as a wallet pass (pass.json, see tickets/wallet.js);
+// ?journey=return gives the pass for the way back of a return
+app.get('/api/bookings/:id/pass.json', async (req, res) => {
+    try {
+        const booking = await getTicketBooking(req, res);
+
+        if (!booking) {
+            return;
+        }
+
+        const journey = req.query.journey === JOURNEY.RETURN ? JOURNEY.RETURN : JOURNEY.OUTBOUND;
+        const ticket = await buildTicket(booking);
+
+        if (journey === JOURNEY.RETURN ? !ticket.returnJourney : booking.cancelled_journey === JOURNEY.OUTBOUND) {
+            return res.status(400).json({ error: `This booking has no ${journey} journey to travel on` });
+        }
+
+        const token = createTicketToken({
+            id: booking.id,
+            date: booking.travel_date,
+            returnDate: booking.return_date,
+            passengers: booking.passengers
+        }, null, journey);
+        const pass = buildWalletPass(
+            journey === JOURNEY.RETURN ? { ...ticket, ...ticket.returnJourney, journey } : { ...ticket, journey },
+            token
+        );
+
+        res.set({
+            'Content-Disposition': `attachment; filename="metro-ticket-${booking.id}.pass.json"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.json(pass);
+    } catch (error) {
+        console.error('Wallet pass error:', error);
+        res.status(500).json({ error: 'Failed to create wallet pass' });
+    }
+});
+
+// Get all bookings (for admin purposes)
+app.get('/api/bookings', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+        const offset = (page - 1) * limit;
+        const { dateFrom, dateTo, station, status, q } = req.query;
+
+        // Filters: travel date range, either end of the trip, status, and a
+        // search over the reference and the rider's or guest's email
+        const conditions = [];
+        const params = [];
+
+        if (dateFrom) {
+            conditions.push('b.travel_date >= ?');
+            params.push(dateFrom);
+        }
+        if (dateTo) {
+            conditions.push('b.travel_date <= ?');
+            params.push(dateTo);
+        }
+        if (station) {
+            conditions.push('(b.from_station = ? OR b.to_station = ?)');
+            params.push(station, station);
+        }
+        if (status) {
+            conditions.push('b.status = ?');
+            params.push(status);
+        }
+        if (q) {
+            conditions.push('(b.id LIKE ? OR u.email LIKE ? OR b.contact_email LIKE ?)');
+            params.push(`${normalizeBookingReference(q)}%`, `%${q.trim().toLowerCase()}%`, `%${q.trim().toLowerCase()}%`);
+        }
+
+        const from = `
+            FROM bookings b
+            LEFT JOIN users u ON u.id = b.user_id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `;
+
+        const [countResult, rows] = await Promise.all([
+            dbGet(`SELECT COUNT(*) AS total ${from}`, params),
+            dbAll(`
+                SELECT b.*, u.email AS user_email, u.name AS user_name
+                ${from}
+                ORDER BY b.created_at DESC, b.id DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset])
+        ]);
+
+        res.json({
+            bookings: rows,
+            pagination: {
+                page,
+                limit,
+                total: countResult.total,
+                pages: Math.ceil(countResult.total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change the date, time or passengers of a booking (owner or staff only).
+// `passengers` is a new list of { ticketType, name }, or a count: the
+// first passengers are kept and any added travel on the booking's ticket
+// type, or the regular fare when that is mixed or a concession.
+// The fare is recalculated at current prices; an increase has to be paid
+// before the change takes effect and a decrease is refunded under the
+// refund policy.
+app.patch('/api/bookings/:id', requireAuth, async (req, res) => {
+    try {
+        const bookingId = normalizeBookingReference(req.params.id);
+
+        if (!isValidBookingReference(bookingId)) {
+            return res.status(400).json({ error: 'Invalid booking reference' });
+        }
+
+        const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        if (!canManageBooking(req.user, booking)) {
+            return res.status(403).json({ error: 'You can only change your own bookings' });
+        }
+
+        if (booking.status !== BOOKING_STATUS.PAID) {
+            return res.status(400).json({ error: 'Only paid bookings can be changed' });
+        }
+
+        if (booking.cancelled_journey) {
+            return res.status(400).json({ error: 'A return with a cancelled journey cannot be changed' });
+        }
+
+        const taps = await dbGet('SELECT COUNT(*) AS count FROM ticket_events WHERE booking_id = ?', [bookingId]);
+
+        if (taps.count > 0) {
+            return res.status(400).json({ error: 'Tickets that have been used cannot be changed' });
+        }
+
+        const isReturn = booking.trip_type === 'return';
+
+        if (!isReturn && (req.body.returnDate !== undefined || req.body.returnTime !== undefined)) {
+            return res.status(400).json({ error: 'Only return bookings have a return journey' });
+        }
+
+        const date = req.body.date !== undefined ? req.body.date : booking.travel_date;
+        const time = req.body.time !== undefined ? req.body.time : booking.travel_time;
+        const returnDate = req.body.returnDate !== undefined ? req.body.returnDate : booking.return_date;
+        const returnTime = req.body.returnTime !== undefined ? req.body.returnTime : booking.return_time;
+
+        if (!isValidDate(date) || !/^\d{2}:\d{2}$/.test(time)) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD and time HH:MM' });
+        }
+
+        if (isReturn) {
+            const trip = readReturnTrip({ tripType: booking.trip_type, returnDate, returnTime }, date);
+
+            if (trip.error) {
+                return res.status(400).json({ error: trip.error, code: 'invalid_return' });
+            }
+        }
+
+        const currentPassengers = (await getBookingPassengers(bookingId)).map(passenger => ({
+            ticketType: passenger.ticket_type,
+            name: passenger.name
+        }));
+        let passengerList = currentPassengers;
+
+        if (Array.isArray(req.body.passengers)) {
+            const read = readPassengers(req.body.passengers);
+            if (read.error) {
+                return res.status(400).json({ error: read.error, code: 'invalid_passengers' });
+            }
+            passengerList = read.passengers;
+        } else if (req.body.passengers !== undefined) {
+            const price = await dbGet('SELECT concession FROM prices WHERE ticket_type = ?', [booking.ticket_type]);
+            const addedType = price && !price.concession ? booking.ticket_type : 'regular';
+            const read = readPassengers(req.body.passengers, addedType);
+            if (read.error) {
+                return res.status(400).json({ error: read.error, code: 'invalid_passengers' });
+            }
+            passengerList = read.passengers.map((passenger, index) => currentPassengers[index] || passenger);
+        }
+
+        const passengers = passengerList.length;
+        const ticketTypesBefore = currentPassengers.map(passenger => passenger.ticketType);
+        const ticketTypesAfter = passengerList.map(passenger => passenger.ticketType);
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (new Date(`${date}T00:00:00`) < today) {
+            return res.status(400).json({ error: 'Booking date cannot be in the past', code: 'date_in_past' });
+        }
+
+        const changes = {};
+        if (date !== booking.travel_date) changes.date = { from: booking.travel_date, to: date };
+        if (time !== booking.travel_time) changes.time = { from: booking.travel_time, to: time };
+        if (returnDate !== booking.return_date) changes.returnDate = { from: booking.return_date, to: returnDate };
+        if (returnTime !== booking.return_time) changes.returnTime = { from: booking.return_time, to: returnTime };
+        if (passengers !== booking.passengers) changes.passengers = { from: booking.passengers, to: passengers };
+        if (ticketTypesAfter.join() !== ticketTypesBefore.join()) {
+            changes.ticketTypes = { from: ticketTypesBefore, to: ticketTypesAfter };
+        }
+        if (passengerList.some((passenger, index) => passenger.name !== (currentPassengers[index] || {}).name)) {
+            changes.names = {
+                from: currentPassengers.map(passenger => passenger.name),
+                to: passengerList.map(passenger => passenger.name)
+            };
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No changes requested' });
+        }
+
+        if (new Date(`${date}T${time}:00`) < new Date()) {
+            return res.status(400).json({ error: 'This train has already departed', code: 'departed' });
+        }
+
+        const journey = await planJourney(booking.from_station, booking.to_station);
+
+        if (!journey) {
+            return res.status(400).json({ error: 'No route between these stations', code: 'no_route' });
+        }
+
+        const itinerary = await findDeparture(journey, date, time, { excludeBookingId: bookingId });
+
+        if (!itinerary) {
+            return res.status(400).json({ error: 'No train leaves at this time', code: 'no_departure' });
+        }
+
+        if (itinerary.seatsAvailable < passengers) {
+            return res.status(409).json({
+                error: 'This train is full',
+                code: 'service_full',
+                seatsAvailable: itinerary.seatsAvailable
+            });
+        }
+
+        if (isReturn) {
+            const returnJourney = await planJourney(booking.to_station, booking.from_station);
+            const returnItinerary = returnJourney &&
+                await findDeparture(returnJourney, returnDate, returnTime, { excludeBookingId: bookingId });
+
+            if (!returnItinerary) {
+                return res.status(400).json({ error: 'No return train leaves at this time', code: 'no_return_departure' });
+            }
+
+            if (returnDate === date && returnItinerary.departs < itinerary.arrives) {
+                return res.status(400).json({
+                    error: `The return train has to leave after the outbound one arrives at ${itinerary.arrives}`,
+                    code: 'invalid_return'
+                });
+            }
+
+            if (returnItinerary.seatsAvailable < passengers) {
+                return res.status(409).json({
+                    error: 'The return train is full',
+                    code: 'service_full',
+                    seatsAvailable: returnItinerary.seatsAvailable
+                });
+            }
+        }
+
+        // Concessions are checked for the rider the booking belongs to
+        const passengerRefusal = await getPassengerRefusal(
+            booking.user_id ? { id: booking.user_id } : null,
+            passengerList,
+            date,
+            booking.trip_type
+        );
+
+        if (passengerRefusal) {
+            const { status, ...body } = passengerRefusal;
+            return res.status(status).json(body);
+        }
+
+        let fare = await calculateGroupFare({ journey, passengers: passengerList, tripType: booking.trip_type });
+
+        if (!fare) {
+            return res.status(400).json({ error: 'Unknown ticket type', code: 'ticket_type_unavailable' });
+        }
+
+        // The promo code the booking was made with still applies to the new
+        // fare; its limits and dates were checked when it was used
+        const promo = booking.promo_code ? await getPromoCode(booking.promo_code) : null;
+
+        if (promo) {
+            fare = applyPromoDiscount(fare, promo);
+        }
+
+        const fareDifference = roundCurrency(fare.total - booking.total_price);
+        const refund = fareDifference < 0
+            ? await calculateRefund(booking, -fareDifference)
+            : { amount: 0, percent: 0, rule: null };
+
+        const change = {
+            date,
+            time,
+            returnDate,
+            returnTime,
+            passengers,
+            passengerList,
+            passengerFares: fare.passengerFares,
+            total: fare.total,
+            discount: fare.discount ? fare.discount.amount : 0,
+            changes,
+            fareDifference,
+            refundAmount: refund.amount,
+            basedOn: booking.updated_at
+        };
+
+        // A dearer booking is only changed once the difference is paid
+        if (fareDifference > 0) {
+            const payment = await createBookingPayment(bookingId, {
+                purpose: 'booking_change',
+                amount: fareDifference,
+                description: `Change to metro ticket ${bookingId}`,
+                metadata: change
+            });
+
+            return res.status(202).json({
+                success: true,
+                pendingPayment: true,
+                booking: {
+                    id: bookingId,
+                    from: booking.from_station,
+                    to: booking.to_station,
+                    date: booking.travel_date,
+                    time: booking.travel_time,
+                    tripType: booking.trip_type,
+                    returnDate: booking.return_date,
+                    returnTime: booking.return_time,
+                    passengers: booking.passengers,
+                    ticketType: booking.ticket_type,
+                    totalPrice: booking.total_price,
+                    qrCode: booking.qr_code,
+                    returnQrCode: booking.return_qr_code,
+                    status: booking.status
+                },
+                fare,
+                fareDifference,
+                amountDue: fareDifference,
+                refund,
+                payment
+            });
+        }
+
+        // Reissue the QR codes; the old ones no longer match the booking
+        const qrCode = await applyBookingChange(booking, change, req.user);
+
+        if (!qrCode) {
+            return res.status(409).json({
+                error: 'Booking was changed by another request or the train has filled up, please try again'
+            });
+        }
+
+        const { return_qr_code: returnQrCode } = await dbGet('SELECT return_qr_code FROM bookings WHERE id = ?', [bookingId]);
+
+        res.json({
+            success: true,
+            pendingPayment: false,
+            booking: {
+                id: bookingId,
+                from: booking.from_station,
+                to: booking.to_station,
+                date,
+                time,
+                tripType: booking.trip_type,
+                returnDate,
+                returnTime,
+                passengers,
+                ticketType: getBookingTicketType(passengerList),
+                totalPrice: fare.total,
+                qrCode,
+                returnQrCode,
+                status: booking.status,
+                tickets: (await getBookingPassengers(bookingId)).map(serializeBookingPassenger)
+            },
+            fare,
+            fareDifference,
+            amountDue: 0,
+            refund
+        });
+    } catch (error) {
+        console.error('Booking change error:', error);
+        res.status(500).json({ error: 'Failed to change booking' });
+    }
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Received SIGINT. Graceful shutdown...');
-    db.close((err) => {
-        if (err) {
-            console.error('Error closing database:', err.message);
-        } else {
-            console.log('Database connection closed.');
+// Check a request to cancel one journey of a return booking. Returns an
+// error message, or null when the journey can be cancelled.
+function getJourneyCancelRefusal(booking, journey) {
+    if (booking.trip_type !== 'return') {
+        return 'Only return bookings have journeys that can be cancelled separately';
+    }
+    if (journey !== JOURNEY.OUTBOUND && journey !== JOURNEY.RETURN) {
+        return 'Journey must be outbound or return';
+    }
+    if (booking.cancelled_journey === journey) {
+        return `The ${journey} journey has already been cancelled`;
+    }
+    if (booking.status !== BOOKING_STATUS.PAID) {
+        return 'Only a paid booking can have one journey cancelled; cancel the whole booking instead';
+    }
+    return null;
+}
+
+// Quote the refund for cancelling a booking now (owner or staff only), or
+// with ?journey= one journey of a return
+app.get('/api/bookings/:id/refund', requireAuth, async (req, res) => {
+    try {
+        const bookingId = normalizeBookingReference(req.params.id);
+
+        if (!isValidBookingReference(bookingId)) {
+            return res.status(400).json({ error: 'Invalid booking reference' });
+        }
+
+        const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+
+        if (!booking || !canManageBooking(req.user, booking)) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const cancellable = [BOOKING_STATUS.PAID, BOOKING_STATUS.PENDING_PAYMENT, BOOKING_STATUS.WAITLISTED];
+
+        if (!cancellable.includes(booking.status)) {
+            return res.status(400).json({ error: 'Booking is not active' });
+        }
+
+        const journey = req.query.journey || null;
+        const journeyRefusal = journey && getJourneyCancelRefusal(booking, journey);
+
+        if (journeyRefusal) {
+            return res.status(400).json({ error: journeyRefusal });
+        }
+
+        // Nothing has been paid on an unpaid booking, so there is nothing to refund
+        const refund = booking.status === BOOKING_STATUS.PAID
+            ? await calculateCancellationRefund(booking, journey)
+            : { amount: 0, percent: 0, rule: 'unpaid' };
+
+        res.json({
+            refund,
+            policy: REFUND_POLICY
+        });
+    } catch (error) {
+        console.error('Refund quote error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the change history of a booking (owner or staff only)
+app.get('/api/bookings/:id/history', requireAuth, async (req, res) => {
+    try {
+        const bookingId = normalizeBookingReference(req.params.id);
+
+        if (!isValidBookingReference(bookingId)) {
+            return res.status(400).json({ error: 'Invalid booking reference' });
+        }
+
+        const booking = await dbGet('SELECT id, user_id FROM bookings WHERE id = ?', [bookingId]);
+
+        if (!booking || !canManageBooking(req.user, booking)) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const history = await dbAll(
+            'SELECT * FROM booking_history WHERE booking_id = ? ORDER BY id',
+            [bookingId]
+        );
+
+        res.json(history.map(entry => ({
+            ...entry,
+            changes: entry.changes ? JSON.parse(entry.changes) : null
+        })));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cancel booking (owner or staff only), refunding under the refund policy.
+// With `journey` only that journey of a paid return is cancelled and its
+// share of the fare refunded; the booking stays valid for the other one.
+app.put('/api/bookings/:id/cancel', requireAuth, async (req, res) => {
+    try {
+        const bookingId = normalizeBookingReference(req.params.id);
+
+        if (!isValidBookingReference(bookingId)) {
+            return res.status(400).json({ error: 'Invalid booking reference' });
+        }
+
+        const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found or already cancelled' });
+        }
+
+        if (!canManageBooking(req.user, booking)) {
+            return res.status(403).json({ error: 'You can only cancel your own bookings' });
+        }
+
+        const cancellable = [BOOKING_STATUS.PAID, BOOKING_STATUS.PENDING_PAYMENT, BOOKING_STATUS.WAITLISTED];
+
+        if (!cancellable.includes(booking.status)) {
+            return res.status(404).json({ error: 'Booking not found or already cancelled' });
+        }
+
+        const journey = req.body.journey || null;
+
+        if (journey) {
+            const journeyRefusal = getJourneyCancelRefusal(booking, journey);
+
+            if (journeyRefusal) {
+                return res.status(400).json({ error: journeyRefusal });
+            }
+
+            // Cancelling the last journey left cancels the booking below
+            if (!booking.cancelled_journey) {
+                return cancelJourney(req, res, booking, journey);
+            }
+        }
+
+        const refund = booking.status === BOOKING_STATUS.PAID
+            ? await calculateCancellationRefund(booking)
+            : { amount: 0, percent: 0, rule: 'unpaid' };
+
+        const result = await dbRun(`
+            UPDATE bookings 
+            SET status = ?, refund_amount = refund_amount + ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND status = ?
+        `, [BOOKING_STATUS.CANCELLED, refund.amount, bookingId, booking.status]);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Booking not found or already cancelled' });
+        }
+
+        await recordBookingHistory(bookingId, 'cancelled', { refundAmount: refund.amount, actor: req.user });
+        await enqueueBookingEmail('bookingCancelled', bookingId, { refundAmount: refund.amount });
+
+        if (refund.amount > 0) {
+            await refundBookingPayments(bookingId, refund.amount);
+        }
+
+        if (SEAT_HOLDING_STATUSES.includes(booking.status)) {
+            await promoteWaitlistedBookings(await getBookingLegs(bookingId));
+        }
+
+        res.json({ 
+            success: true, 
+            message: 'Booking cancelled successfully',
+            refund
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Failed to cancel booking' });
+    }
+});
+
+// Cancel one journey of a paid return booking, refund its share of the
+// fare and free its seats
+async function cancelJourney(req, res, booking, journey) {
+    const refund = await calculateCancellationRefund(booking, journey);
+
+    const result = await dbRun(`
+        UPDATE bookings
+        SET cancelled_journey = ?, refund_amount = refund_amount + ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = ? AND cancelled_journey IS NULL
+    `, [journey, refund.amount, booking.id, BOOKING_STATUS.PAID]);
+
+    if (result.changes === 0) {
+        return res.status(409).json({ error: 'Booking was changed by another request, please try again' });
+    }
+
+    const freedLegs = (await getBookingLegs(booking.id)).filter(leg => leg.journey === journey);
+    await dbRun('DELETE FROM booking_legs WHERE booking_id = ? AND journey = ?', [booking.id, journey]);
+
+    await recordBookingHistory(booking.id, 'journey_cancelled', {
+        changes: { journey },
+        refundAmount: refund.amount,
+        actor: req.user
+    });
+    await enqueueBookingEmail('bookingCancelled', booking.id, { refundAmount: refund.amount, journey });
+
+    if (refund.amount > 0) {
+        await refundBookingPayments(booking.id, refund.amount);
+    }
+
+    await promoteWaitlistedBookings(freedLegs);
+
+    res.json({
+        success: true,
+        message: `The ${journey} journey has been cancelled`,
+        journey,
+        refund
+    });
+}
+
+// Validate ticket (for QR code scanning).
+// With a direction and station the scan is a gate tap and is recorded in
+// ticket_events; without one it is an inspection and changes nothing.
+// Refusals carry a reason: "forged" when the signature does not check out,
+// "unknown" for a genuine token whose booking no longer exists,
+// "cancelled", "unpaid", "superseded", "not_yet_valid" or "expired" for a ticket that
+// cannot be used, and "wrong_station", "entries_exhausted",
+// "already_inside" or "no_entry" for a tap the usage rules refuse.
+// Season passes are checked by checkPassScan and covered for every day
+// from their first to their last. A passenger's sub-ticket is held to the
+// usage rules for that passenger's ticket type as well as the party's, so
+// it cannot be used for an entry already made on the group ticket. Each
+// journey of a return has its own tickets and usage; the return ones are
+// for the trip the other way, and a cancelled journey's are "cancelled".
+app.post('/api/tickets/validate', requireRole(ROLES.STAFF, ROLES.ADMIN), gateLimiter, async (req, res) => {
+    try {
+        const { token, station, direction } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Ticket token is required' });
+        }
+
+        if (direction !== undefined && direction !== 'entry' && direction !== 'exit') {
+            return res.status(400).json({ error: 'Direction must be entry or exit' });
+        }
+
+        if (direction && !(await getActiveStation(station))) {
+            return res.status(400).json({ error: 'A valid station code is required for gate taps' });
+        }
+
+        const payload = verifyTicketToken(token);
+
+        if (!payload) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'forged',
+                error: 'Ticket signature is invalid'
+            });
+        }
+
+        if (payload.pid) {
+            const result = await checkPassScan(payload, { station, direction, user: req.user });
+            return res.status(result.status).json(result.body);
+        }
+
+        const row = await dbGet('SELECT * FROM bookings WHERE id = ?', [payload.bid]);
+
+        if (!row) {
+            return res.status(404).json({
+                valid: false,
+                reason: 'unknown',
+                error: 'Ticket does not match any booking'
+            });
+        }
+
+        if (row.status === BOOKING_STATUS.CANCELLED) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'cancelled',
+                error: 'Booking has been cancelled'
+            });
+        }
+
+        if (row.status !== BOOKING_STATUS.PAID) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'unpaid',
+                error: 'Booking has not been paid for'
+            });
+        }
+
+        const journey = payload.jny === JOURNEY.RETURN ? JOURNEY.RETURN : JOURNEY.OUTBOUND;
+
+        if (row.cancelled_journey === journey) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'cancelled',
+                error: `The ${journey} journey of this booking has been cancelled`
+            });
+        }
+
+        const passenger = payload.psg
+            ? await dbGet('SELECT * FROM booking_passengers WHERE booking_id = ? AND passenger = ?', [row.id, payload.psg])
+            : null;
+
+        // A ticket reissued after a booking change voids the earlier QR codes
+        const isReturn = journey === JOURNEY.RETURN;
+        const travelDate = isReturn ? row.return_date : row.travel_date;
+        const isCurrent = (payload.psg
+            ? Boolean(passenger) && payload.pax === 1
+            : payload.pax === row.passengers) && (!isReturn || row.trip_type === 'return');
+
+        if (!isCurrent || payload.nbf !== Math.floor(getTravelDayWindow(travelDate).start.getTime() / 1000)) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'superseded',
+                error: 'Ticket has been replaced by a newer one'
+            });
+        }
+
+        const now = Date.now() / 1000;
+
+        if (now < payload.nbf) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'not_yet_valid',
+                error: 'Ticket is not valid yet'
+            });
+        }
+
+        const countTaps = `
+            SELECT
+                COALESCE(SUM(CASE WHEN event_type = 'entry' THEN 1 ELSE 0 END), 0) AS entries,
+                COALESCE(SUM(CASE WHEN event_type = 'exit' THEN 1 ELSE 0 END), 0) AS exits
+            FROM ticket_events
+            WHERE booking_id = ? AND journey = ?
+        `;
+        const partyUsage = await dbGet(countTaps, [row.id, journey]);
+        const usage = passenger
+            ? await dbGet(`${countTaps} AND passenger = ?`, [row.id, journey, passenger.passenger])
+            : partyUsage;
+
+        // Riders still inside when the ticket expires can always tap out
+        const canFinishJourney = direction === 'exit' && usage.entries > usage.exits;
+
+        if (now > payload.exp && !canFinishJourney) {
+            return res.status(400).json({
+                valid: false,
+                reason: 'expired',
+                error: 'Ticket has expired'
+            });
+        }
+
+        // The return journey is the trip the other way
+        const trip = isReturn
+            ? { ...row, from_station: row.to_station, to_station: row.from_station }
+            : row;
+
+        const booking = {
+            id: row.id,
+            journey,
+            from: trip.from_station,
+            to: trip.to_station,
+            date: travelDate,
+            time: isReturn ? row.return_time : row.travel_time,
+            passengers: row.passengers,
+            ticketType: row.ticket_type,
+            ...(passenger ? {
+                passenger: {
+                    passenger: passenger.passenger,
+                    name: passenger.name,
+                    ticketType: passenger.ticket_type
+                }
+            } : {})
+        };
+
+        if (!direction) {
+            return res.json({
+                valid: true,
+                booking,
+                usage,
+                validUntil: new Date(payload.exp * 1000).toISOString()
+            });
+        }
+
+        const refusal = passenger
+            ? getTapRefusal({ ...trip, ticket_type: passenger.ticket_type, passengers: 1 }, { direction, station, ...usage }) ||
+                getTapRefusal({ ...trip, ticket_type: passenger.ticket_type }, { direction, station, ...partyUsage })
+            : getTapRefusal(trip, { direction, station, ...usage });
+
+        if (refusal) {
+            return res.status(400).json({ valid: false, ...refusal, booking, usage });
+        }
+
+        // Only record the tap if no other gate recorded one since usage was read
+        const result = await dbRun(`
+            INSERT INTO ticket_events (booking_id, passenger, journey, event_type, station_code, validated_by)
+            SELECT ?, CAST(? AS INTEGER), ?, ?, ?, CAST(? AS INTEGER)
+            WHERE (SELECT COUNT(*) FROM ticket_events WHERE booking_id = ? AND journey = ?) = ?
+        `, [
+            row.id, passenger ? passenger.passenger : null, journey, direction, station, req.user.id,
+            row.id, journey, partyUsage.entries + partyUsage.exits
+        ]);
+
+        if (result.changes === 0) {
+            return res.status(409).json({
+                valid: false,
+                reason: 'concurrent_tap',
+                error: 'Ticket was tapped at another gate at the same time, please scan again'
+            });
+        }
+
+        res.json({
+            valid: true,
+            booking,
+            tap: { direction, station },
+            usage: {
+                entries: usage.entries + (direction === 'entry' ? 1 : 0),
+                exits: usage.exits + (direction === 'exit' ? 1 : 0)
+            },
+            validUntil: new Date(payload.exp * 1000).toISOString()
+        });
+    } catch (error) {
+        console.error('Ticket validation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Tap a Metro Card at a gate (staff and admins).
+// Tapping in opens a journey, provided the balance covers the lowest fare
+// or the rider has already reached a fare cap; a journey left open by a
+// missed tap-out is charged the highest fare first. Tapping out charges
+// the fare for the journey, less anything above the daily and weekly caps.
+// Refusals have a reason: "unknown" or "inactive" for the card,
+// "insufficient_balance" on entry and "no_entry" on exit.
+app.post('/api/cards/tap', requireRole(ROLES.STAFF, ROLES.ADMIN), gateLimiter, async (req, res) => {
+    try {
+        const { station, direction } = req.body;
+        const cardId = normalizeBookingReference(req.body.card || '');
+
+        if (!isValidCardNumber(cardId)) {
+            return res.status(400).json({ error: 'A valid card number is required' });
+        }
+
+        if (direction !== 'entry' && direction !== 'exit') {
+            return res.status(400).json({ error: 'Direction must be entry or exit' });
+        }
+
+        if (!(await getActiveStation(station))) {
+            return res.status(400).json({ error: 'A valid station code is required for gate taps' });
+        }
+
+        const result = await withCardLock(async () => {
+            const card = await dbGet('SELECT * FROM cards WHERE id = ?', [cardId]);
+
+            if (!card) {
+                return { status: 404, body: { valid: false, reason: 'unknown', error: 'Card is not registered' } };
+            }
+
+            if (card.status !== 'active') {
+                return { status: 400, body: { valid: false, reason: 'inactive', error: 'Card has been deactivated' } };
+            }
+
+            const open = await dbGet(
+                "SELECT * FROM card_journeys WHERE card_id = ? AND status = 'in_progress' ORDER BY id DESC LIMIT 1",
+                [cardId]
+            );
+
+            if (direction === 'exit') {
+                if (!open) {
+                    return { status: 400, body: { valid: false, reason: 'no_entry', error: 'Card has no matching entry tap' } };
+                }
+
+                return { status: 200, body: { valid: true, journey: await chargeCardJourney(open, station) } };
+            }
+
+            const incomplete = open && await chargeCardJourney(open, null);
+            const today = toLocalDate(new Date());
+            const needed = applyFareCaps(await getMinimumCardFare(), await getFareCaps(cardId, today));
+            const { balance } = await dbGet('SELECT balance FROM cards WHERE id = ?', [cardId]);
+
+            if (balance < needed) {
+                return {
+                    status: 400,
+                    body: {
+                        valid: false,
+                        reason: 'insufficient_balance',
+                        error: 'Card balance is too low, please top up',
+                        incomplete: serializeCardJourney(incomplete)
+                    }
+                };
+            }
+
+            const { lastID } = await dbRun(`
+                INSERT INTO card_journeys (card_id, travel_date, entry_station, entered_at)
+                VALUES (?, ?, ?, ?)
+            `, [cardId, today, station, toSqlTimestamp(new Date())]);
+
+            const journey = await dbGet('SELECT * FROM card_journeys WHERE id = ?', [lastID]);
+            return { status: 200, body: { valid: true, journey, incomplete: serializeCardJourney(incomplete) } };
+        });
+
+        if (result.body.valid) {
+            const card = await dbGet('SELECT * FROM cards WHERE id = ?', [cardId]);
+            result.body = {
+                ...result.body,
+                journey: serializeCardJourney(result.body.journey),
+                tap: { direction, station },
+                card: await serializeCard(card)
+            };
+        }
+
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Card tap error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Analytics (admin only). Every report takes an optional dateFrom and
+// dateTo (YYYY-MM-DD, inclusive) and returns { dateFrom, dateTo, rows,
+// totals }, or just the rows as a CSV download with ?format=csv.
+// Revenue is counted on the day the money moved; ridership and
+// cancellations by travel date.
+
+// Quote a value for CSV when it holds a comma, quote or line break
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+// SQL for a date column falling within the requested range
+function dateRangeFilter(column, { dateFrom, dateTo }) {
+    const conditions = [];
+    const params = [];
+
+    if (dateFrom) {
+        conditions.push(`${column} >= ?`);
+        params.push(dateFrom);
+    }
+    if (dateTo) {
+        conditions.push(`${column} <= ?`);
+        params.push(dateTo);
+    }
+
+    return { sql: conditions.length ? conditions.join(' AND ') : '1 = 1', params };
+}
+
+// Build the route handler for a report. query(range) resolves to its rows,
+// with one property per column; summarize(rows) to its totals.
+function analyticsReport(name, columns, query, summarize = () => null) {
+    return async (req, res) => {
+        try {
+            const { dateFrom, dateTo, format } = req.query;
+
+            for (const date of [dateFrom, dateTo]) {
+                if (date !== undefined && !isValidDate(date)) {
+                    return res.status(400).json({ error: 'dateFrom and dateTo must be YYYY-MM-DD' });
+                }
+            }
+
+            if (dateFrom && dateTo && dateFrom > dateTo) {
+                return res.status(400).json({ error: 'dateFrom must not be after dateTo' });
+            }
+
+            const rows = await query({ dateFrom, dateTo });
+
+            if (format === 'csv') {
+                res.set({
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${name}-${dateFrom || 'start'}-to-${dateTo || 'end'}.csv"`,
+                    'Cache-Control': 'private, no-store'
+                });
+                return res.send(toCsv(columns, rows));
+            }
+
+            res.json({
+                dateFrom: dateFrom || null,
+                dateTo: dateTo || null,
+                rows,
+                totals: summarize(rows)
+            });
+        } catch (error) {
+            console.error('Analytics error:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
-        process.exit(0);
+    };
+}
+
+// Successful charges and refunds that have not failed, dated by when the
+// payment was settled
+const SETTLED_PAYMENTS = `
+    ((p.type = 'charge' AND p.status = 'succeeded') OR (p.type = 'refund' AND p.status != 'failed'))
+`;
+
+function withNetRevenue(row) {
+    return {
+        ...row,
+        gross: roundCurrency(row.gross),
+        refunds: roundCurrency(row.refunds),
+        net: roundCurrency(row.gross - row.refunds)
+    };
+}
+
+function sumRevenue(rows) {
+    const totals = rows.reduce((sum, row) => ({
+        bookings: sum.bookings + row.bookings,
+        gross: sum.gross + row.gross,
+        refunds: sum.refunds + row.refunds
+    }), { bookings: 0, gross: 0, refunds: 0 });
+
+    return withNetRevenue(totals);
+}
+
+// Revenue per day. Card top-ups are money held for fares not yet charged,
+// so they are reported in their own column rather than as revenue.
+app.get('/api/analytics/revenue/daily', requireRole(ROLES.ADMIN), analyticsReport(
+    'revenue-daily',
+    ['date', 'bookings', 'gross', 'refunds', 'net', 'topUps'],
+    async range => {
+        const filter = dateRangeFilter('date(p.updated_at)', range);
+        const rows = await dbAll(`
+            SELECT date(p.updated_at) AS date,
+                   COUNT(DISTINCT CASE WHEN p.type = 'charge' AND p.purpose = 'booking' THEN p.booking_id END) AS bookings,
+                   COALESCE(SUM(CASE WHEN p.type = 'charge' AND p.purpose != 'card_top_up' THEN p.amount END), 0) AS gross,
+                   COALESCE(SUM(CASE WHEN p.type = 'refund' AND p.purpose != 'card_top_up' THEN p.amount END), 0) AS refunds,
+                   COALESCE(SUM(CASE WHEN p.type = 'charge' AND p.purpose = 'card_top_up' THEN p.amount END), 0) AS "topUps"
+            FROM payments p
+            WHERE ${SETTLED_PAYMENTS} AND ${filter.sql}
+            GROUP BY date(p.updated_at)
+            ORDER BY date
+        `, filter.params);
+
+        return rows.map(row => ({ ...withNetRevenue(row), topUps: roundCurrency(row.topUps) }));
+    },
+    rows => ({
+        ...sumRevenue(rows),
+        topUps: roundCurrency(rows.reduce((sum, row) => sum + row.topUps, 0))
+    })
+));
+
+// Revenue per ticket type, with season passes as a type of their own, so
+// the totals match the daily revenue
+app.get('/api/analytics/revenue/ticket-types', requireRole(ROLES.ADMIN), analyticsReport(
+    'revenue-ticket-types',
+    ['ticketType', 'bookings', 'gross', 'refunds', 'net'],
+    async range => {
+        const filter = dateRangeFilter('date(p.updated_at)', range);
+        const rows = await dbAll(`
+            SELECT COALESCE(b.ticket_type, 'season-pass') AS "ticketType",
+                   COUNT(DISTINCT CASE WHEN p.type = 'charge' AND p.purpose = 'booking' THEN p.booking_id END) AS bookings,
+                   COALESCE(SUM(CASE WHEN p.type = 'charge' THEN p.amount END), 0) AS gross,
+                   COALESCE(SUM(CASE WHEN p.type = 'refund' THEN p.amount END), 0) AS refunds
+            FROM payments p
+            LEFT JOIN bookings b ON b.id = p.booking_id
+            WHERE ${SETTLED_PAYMENTS} AND p.purpose != 'card_top_up' AND ${filter.sql}
+            GROUP BY COALESCE(b.ticket_type, 'season-pass')
+        `, filter.params);
+
+        return rows.map(withNetRevenue).sort((a, b) => b.net - a.net);
+    },
+    sumRevenue
+));
+
+// Paid trips between each pair of stations
+app.get('/api/analytics/od-matrix', requireRole(ROLES.ADMIN), analyticsReport(
+    'od-matrix',
+    ['from', 'to', 'bookings', 'passengers'],
+    range => {
+        const filter = dateRangeFilter('travel_date', range);
+        return dbAll(`
+            SELECT from_station AS "from", to_station AS "to",
+                   COUNT(*) AS bookings, SUM(passengers) AS passengers
+            FROM bookings
+            WHERE status = ? AND ${filter.sql}
+            GROUP BY from_station, to_station
+            ORDER BY passengers DESC, from_station, to_station
+        `, [BOOKING_STATUS.PAID, ...filter.params]);
+    },
+    rows => ({
+        bookings: rows.reduce((sum, row) => sum + row.bookings, 0),
+        passengers: rows.reduce((sum, row) => sum + row.passengers, 0)
+    })
+));
+
+// Passengers entering and leaving each station per hour of the day, from
+// paid trips: entries at the booked departure, exits when the last leg
+// arrives
+app.get('/api/analytics/stations/hourly', requireRole(ROLES.ADMIN), analyticsReport(
+    'stations-hourly',
+    ['station', 'hour', 'entries', 'exits', 'total'],
+    range => {
+        const filter = dateRangeFilter('b.travel_date', range);
+        return dbAll(`
+            SELECT station, hour, SUM(entries) AS entries, SUM(exits) AS exits,
+                   SUM(entries + exits) AS total
+            FROM (
+                SELECT b.from_station AS station, CAST(substr(b.travel_time, 1, 2) AS INTEGER) AS hour,
+                       b.passengers AS entries, 0 AS exits
+                FROM bookings b
+                WHERE b.status = ? AND ${filter.sql}
+                UNION ALL
+                SELECT b.to_station AS station,
+                       CAST(substr(COALESCE(
+                           (SELECT l.arrives FROM booking_legs l
+                            WHERE l.booking_id = b.id AND l.journey = 'outbound'
+                            ORDER BY l.leg DESC LIMIT 1),
+                           b.travel_time
+                       ), 1, 2) AS INTEGER) AS hour,
+                       0 AS entries, b.passengers AS exits
+                FROM bookings b
+                WHERE b.status = ? AND ${filter.sql}
+            ) AS visits
+            GROUP BY station, hour
+            ORDER BY total DESC, station, hour
+        `, [BOOKING_STATUS.PAID, ...filter.params, BOOKING_STATUS.PAID, ...filter.params]);
+    }
+));
+
+// Share of paid-for bookings that were later cancelled, per travel date
+app.get('/api/analytics/cancellations', requireRole(ROLES.ADMIN), analyticsReport(
+    'cancellations',
+    ['date', 'bookings', 'cancelled', 'rate'],
+    async range => {
+        const filter = dateRangeFilter('b.travel_date', range);
+        const rows = await dbAll(`
+            SELECT b.travel_date AS date, COUNT(*) AS bookings,
+                   SUM(CASE WHEN b.status = ? THEN 1 ELSE 0 END) AS cancelled
+            FROM bookings b
+            WHERE (b.status = ? OR EXISTS (
+                SELECT 1 FROM booking_history h WHERE h.booking_id = b.id AND h.action = 'paid'
+            )) AND ${filter.sql}
+            GROUP BY b.travel_date
+            ORDER BY date
+        `, [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.PAID, ...filter.params]);
+
+        return rows.map(row => ({ ...row, rate: Math.round(row.cancelled / row.bookings * 10000) / 10000 }));
+    },
+    rows => {
+        const bookings = rows.reduce((sum, row) => sum + row.bookings, 0);
+        const cancelled = rows.reduce((sum, row) => sum + row.cancelled, 0);
+
+        return {
+            bookings,
+            cancelled,
+            rate: bookings ? Math.round(cancelled / bookings * 10000) / 10000 : 0
+        };
+    }
+));
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'healthy', 
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Metro Booking Server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Access the application at: http://localhost:${PORT}`);
+// Serve the main HTML file for all non-API routes
+app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error' });
 });
 
+// Bring the schema up to date and put the reference data and the
+// bootstrap admin in place. Tests call this before using the app.
+async function prepareDatabase() {
+    await migrate(db);
+    await seedDatabase();
+    await ensureAdminAccount();
+}
+
+// Start the server when run directly (`npm start`); requiring this file
+// only builds the app
+if (require.main === module) {
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('Received SIGINT. Graceful shutdown...');
+        db.close()
+            .then(() => console.log('Database connection closed.'))
+            .catch(err => console.error('Error closing database:', err.message))
+            .then(() => process.exit(0));
+    });
+
+    prepareDatabase()
+        .then(() => {
+            startJobRunner();
+
+            app.listen(PORT, () => {
+                console.log(`Metro Booking Server running on port ${PORT}`);
+                console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+                console.log(`Access the application at: http://localhost:${PORT}`);
+            });
+        })
+        .catch(error => {
+            console.error('Error preparing database:', error);
+            process.exit(1);
+        });
+}
+
 module.exports = app;
+module.exports.prepareDatabase = prepareDatabase;
+module.exports.closeDatabase = () => db.close();
@@ -42,7 +42,7 @@ if [ ! -f .env ]; then
         cat > .env << EOL
 NODE_ENV=development
 PORT=3000
-DB_PATH=./metro_booking.db
+DB_PATH=./data/metro_booking.db
 JWT_SECRET=your-super-secret-jwt-key-change-in-production
 JWT_EXPIRES_IN=24h
 APP_NAME=Metro Ticket Booking
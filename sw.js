@@ -1,51 +1,289 @@
-const CACHE_NAME = 'metro-booking-v1';
+// Bump CACHE_VERSION with every release. The new worker then installs
+// alongside the old one and the page offers to reload into it.
+const CACHE_VERSION = 'v10';
+const STATIC_CACHE = `metro-static-${CACHE_VERSION}`;
+const API_CACHE = `metro-api-${CACHE_VERSION}`;
+const API_CACHE_MAX_ENTRIES = 50;
+
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles.css',
     '/script.js',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
     'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
 ];
 
+// Fetched on install so the station pickers and route map work offline
+// from the first visit
+const networkDataUrls = ['/api/stations', '/api/lines', '/api/prices'];
+
+// Bookings made offline wait in IndexedDB until Background Sync replays them
+const BOOKING_SYNC_TAG = 'booking-queue';
+const QUEUE_DB = 'metro-sync';
+const QUEUE_STORE = 'bookings';
+const ACCESS_TOKEN_TIMEOUT_MS = 5000;
+
 // Install event
 self.addEventListener('install', event => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('Opened cache');
-                return cache.addAll(urlsToCache);
-            })
-    );
-});
-
-// Fetch event
-self.addEventListener('fetch', event => {
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // Return cached version or fetch from network
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request);
-            }
-        )
+        Promise.all([
+            caches.open(STATIC_CACHE).then(cache => cache.addAll(urlsToCache)),
+            // Best effort, so an API hiccup doesn't stop the worker installing
+            caches.open(API_CACHE).then(cache => cache.addAll(networkDataUrls)).catch(() => {})
+        ])
     );
 });
 
 // Activate event
 self.addEventListener('activate', event => {
     event.waitUntil(
-        caches.keys().then(cacheNames => {
-            return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
+        caches.keys()
+            .then(cacheNames => Promise.all(
+                cacheNames
+                    .filter(cacheName => cacheName !== STATIC_CACHE && cacheName !== API_CACHE)
+                    .map(cacheName => {
                         console.log('Deleting old cache:', cacheName);
                         return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
+                    })
+            ))
+            .then(() => self.clients.claim())
     );
 });
+
+// The page asks a waiting worker to take over once the rider accepts the update
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Fetch event
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    const isApi = url.origin === self.location.origin && url.pathname.startsWith('/api/');
+
+    if (request.method === 'POST' && isApi && url.pathname === '/api/bookings') {
+        event.respondWith(fetch(request.clone()).catch(() => queueBooking(request)));
+        return;
+    }
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (isApi) {
+        // Responses for a signed-in rider are never stored on the device
+        if (request.headers.has('Authorization')) {
+            return;
+        }
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+// API: the freshest answer when online, the last one seen when offline
+async function networkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cache, API_CACHE_MAX_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Static assets: answer from the cache straight away and refresh it in the
+// background. Pages fall back to the cached app shell when offline.
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        return cached;
+    }
+
+    const response = await refresh;
+    if (response) {
+        return response;
+    }
+    if (request.mode === 'navigate') {
+        const shell = await cache.match('/index.html');
+        if (shell) {
+            return shell;
+        }
+    }
+    return Response.error();
+}
+
+// Drop the oldest entries once a cache grows past its limit
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(QUEUE_DB, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(QUEUE_STORE, { keyPath: 'idempotencyKey' });
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+function queueTransaction(mode, action) {
+    return openQueue().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_STORE, mode);
+        const result = action(transaction.objectStore(QUEUE_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(result && result.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+// Keep an offline booking for Background Sync and tell the page it was
+// queued (202 with { queued: true }). Without Background Sync, or without
+// an Idempotency-Key to replay it safely, the request fails as a network
+// error and the page keeps the booking itself.
+async function queueBooking(request) {
+    const idempotencyKey = request.headers.get('Idempotency-Key');
+
+    if (!self.registration.sync || !idempotencyKey) {
+        return Response.error();
+    }
+
+    try {
+        const entry = {
+            idempotencyKey,
+            url: request.url,
+            headers: Array.from(request.headers.entries()),
+            body: await request.text(),
+            queuedAt: new Date().toISOString()
+        };
+
+        await queueTransaction('readwrite', store => store.put(entry));
+        await self.registration.sync.register(BOOKING_SYNC_TAG);
+    } catch (error) {
+        console.error('Failed to queue booking:', error);
+        return Response.error();
+    }
+
+    return new Response(JSON.stringify({ queued: true, idempotencyKey }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === BOOKING_SYNC_TAG) {
+        event.waitUntil(replayBookings());
+    }
+});
+
+// Ask an open page for a fresh access token (see sendAccessToken in
+// script.js). Resolves to null when signed out, or when no page answers.
+async function getAccessToken() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+
+    if (clients.length === 0) {
+        return null;
+    }
+
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), ACCESS_TOKEN_TIMEOUT_MS);
+
+        channel.port1.onmessage = event => {
+            clearTimeout(timer);
+            resolve(event.data.accessToken);
+        };
+        clients[0].postMessage({ type: 'access-token' }, [channel.port2]);
+    });
+}
+
+// Send the queued bookings. Each outcome is posted to open pages as a
+// 'booking-synced' message; bookings that hit a network or server error
+// stay queued and the sync is retried later. The token a booking was
+// queued with may have expired since, so signed-in bookings are sent with
+// a fresh one when a page can give it; a 401 is passed on to the page like
+// any other refusal.
+async function replayBookings() {
+    const queued = await queueTransaction('readonly', store => store.getAll());
+    let retry = false;
+    let accessToken;
+
+    for (const entry of queued) {
+        const headers = new Headers(entry.headers);
+
+        if (headers.has('Authorization')) {
+            if (accessToken === undefined) {
+                accessToken = await getAccessToken();
+            }
+            if (accessToken) {
+                headers.set('Authorization', `Bearer ${accessToken}`);
+            }
+        }
+
+        let response;
+        try {
+            response = await fetch(entry.url, {
+                method: 'POST',
+                headers,
+                body: entry.body
+            });
+        } catch (error) {
+            retry = true;
+            continue;
+        }
+
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status >= 500 || result.code === 'request_in_progress') {
+            retry = true;
+            continue;
+        }
+
+        await queueTransaction('readwrite', store => store.delete(entry.idempotencyKey));
+
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        clients.forEach(client => client.postMessage({
+            type: 'booking-synced',
+            idempotencyKey: entry.idempotencyKey,
+            status: response.status,
+            result
+        }));
+    }
+
+    if (retry) {
+        throw new Error('Some bookings could not be sent yet');
+    }
+}
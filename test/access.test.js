@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, bookTrip } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00' };
+
+let adminToken;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    adminToken = await login(app);
+});
+
+afterAll(() => jest.useRealTimers());
+
+function setRole(userId, role) {
+    return request(app)
+        .put(`/api/admin/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role });
+}
+
+describe('fetching a booking', () => {
+    test('show guest bookings to whoever has the reference', async () => {
+        const booking = await bookTrip(app, trip);
+
+        expect((await request(app).get(`/api/bookings/${booking.id}`)).status).toBe(200);
+    });
+
+    test('show account bookings only to their owner and staff', async () => {
+        const owner = await registerRider(app, 'owner@test.local');
+        const other = await registerRider(app, 'other@test.local');
+        const booking = await bookTrip(app, trip, owner.token);
+        const get = token => {
+            const req = request(app).get(`/api/bookings/${booking.id}`);
+            return token ? req.set('Authorization', `Bearer ${token}`) : req;
+        };
+
+        expect((await get(null)).status).toBe(404);
+        expect((await get(other.token)).status).toBe(404);
+        expect((await get(owner.token)).status).toBe(200);
+        expect((await get(adminToken)).status).toBe(200);
+    });
+});
+
+describe('roles', () => {
+    test('apply a role change to tokens already issued', async () => {
+        const rider = await registerRider(app, 'promoted@test.local');
+        const listConcessions = () => request(app)
+            .get('/api/admin/concessions')
+            .set('Authorization', `Bearer ${rider.token}`);
+
+        expect((await listConcessions()).status).toBe(403);
+
+        await setRole(rider.id, 'staff');
+        expect((await listConcessions()).status).toBe(200);
+
+        await setRole(rider.id, 'rider');
+        expect((await listConcessions()).status).toBe(403);
+    });
+});
+
+describe('admin routes', () => {
+    test('keep riders and guests out', async () => {
+        const rider = await registerRider(app, 'curious@test.local');
+
+        expect((await request(app).get('/api/bookings')).status).toBe(401);
+        expect((await request(app).get('/api/bookings').set('Authorization', `Bearer ${rider.token}`)).status).toBe(403);
+        expect((await request(app).get('/api/bookings').set('Authorization', `Bearer ${adminToken}`)).status).toBe(200);
+    });
+
+    test('let only admins change roles', async () => {
+        const staff = await registerRider(app, 'ambitious@test.local');
+        await setRole(staff.id, 'staff');
+
+        const res = await request(app)
+            .put(`/api/admin/users/${staff.id}/role`)
+            .set('Authorization', `Bearer ${staff.token}`)
+            .send({ role: 'admin' });
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,13 @@
+const request = require('supertest');
+const { ADMIN, createTestApp } = require('./helpers');
+
+// A config copied from an older .env.example, with its placeholder password
+const app = createTestApp({ ADMIN_PASSWORD: 'change-this-admin-password' });
+
+test('do not seed an admin with the example password', async () => {
+    const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: ADMIN.email, password: 'change-this-admin-password' });
+
+    expect(res.status).toBe(401);
+});
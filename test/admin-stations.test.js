@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { createTestApp, login, registerRider } = require('./helpers');
+
+const app = createTestApp();
+
+let adminToken;
+let rider;
+
+beforeAll(async () => {
+    adminToken = await login(app);
+    rider = await registerRider(app, 'stations@test.local');
+});
+
+function admin(method, path) {
+    return request(app)[method](path).set('Authorization', `Bearer ${adminToken}`);
+}
+
+async function stationCodes(path = '/api/admin/stations') {
+    const res = await admin('get', path);
+    return res.body.map(station => station.code);
+}
+
+describe('adding stations', () => {
+    test('add a station at the end of the list', async () => {
+        const res = await admin('post', '/api/admin/stations').send({ code: 'riverside', name: ' Riverside ', zone: 2 });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ code: 'riverside', name: 'Riverside', zone: 2, active: 1 });
+        expect((await stationCodes()).pop()).toBe('riverside');
+    });
+
+    test('refuse a code that is taken or malformed', async () => {
+        expect((await admin('post', '/api/admin/stations').send({ code: 'central', name: 'Central' })).status).toBe(409);
+        expect((await admin('post', '/api/admin/stations').send({ code: 'Bad Code', name: 'Bad' })).status).toBe(400);
+    });
+
+    test('keep a station on no line out of the public list', async () => {
+        await admin('post', '/api/admin/stations').send({ code: 'quarry', name: 'Quarry' });
+
+        const adminRes = await admin('get', '/api/admin/stations');
+        const publicCodes = (await request(app).get('/api/stations')).body.map(station => station.code);
+
+        expect(adminRes.body.find(station => station.code === 'quarry').lines).toEqual([]);
+        expect(publicCodes).toContain('central');
+        expect(publicCodes).not.toContain('quarry');
+    });
+});
+
+describe('ordering stations', () => {
+    test('reorder every station', async () => {
+        const codes = await stationCodes();
+        const reversed = [...codes].reverse();
+
+        const res = await admin('put', '/api/admin/stations/order').send({ order: reversed });
+
+        expect(res.status).toBe(200);
+        expect(res.body.map(station => station.code)).toEqual(reversed);
+        expect(res.body.map(station => station.position)).toEqual(reversed.map((_, index) => index + 1));
+    });
+
+    test('refuse an order that leaves a station out', async () => {
+        const codes = await stationCodes();
+
+        const res = await admin('put', '/api/admin/stations/order').send({ order: codes.slice(1) });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('move a station, shifting the ones after it down', async () => {
+        const before = await stationCodes();
+        const moved = before[before.length - 1];
+
+        const res = await admin('put', `/api/admin/stations/${moved}`).send({ position: 2 });
+
+        expect(res.status).toBe(200);
+        expect(await stationCodes()).toEqual([before[0], moved, ...before.slice(1, -1)]);
+    });
+});
+
+describe('removing stations', () => {
+    test('delete a station nothing uses', async () => {
+        await admin('post', '/api/admin/stations').send({ code: 'sidings', name: 'Sidings' });
+
+        expect((await admin('delete', '/api/admin/stations/sidings')).status).toBe(204);
+        expect(await stationCodes()).not.toContain('sidings');
+    });
+
+    test('keep a station on a line', async () => {
+        const res = await admin('delete', '/api/admin/stations/central');
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('station_in_use');
+    });
+});
+
+test('refuse station changes from riders', async () => {
+    const res = await request(app)
+        .post('/api/admin/stations')
+        .set('Authorization', `Bearer ${rider.token}`)
+        .send({ code: 'backdoor', name: 'Back Door' });
+
+    expect(res.status).toBe(403);
+    expect(await stationCodes()).not.toContain('backdoor');
+});
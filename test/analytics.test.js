@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, completePayment, bookTrip } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00' };
+
+let adminToken;
+let rider;
+
+// Two paid trips at 3.50, one of them cancelled for a full refund, and a
+// 20.00 card top-up
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    adminToken = await login(app);
+    rider = await registerRider(app, 'analytics@test.local');
+
+    await bookTrip(app, trip, rider.token);
+    const cancelled = await bookTrip(app, { ...trip, ticketType: 'child', passengers: 2 }, rider.token);
+    await request(app).put(`/api/bookings/${cancelled.id}/cancel`).set('Authorization', `Bearer ${rider.token}`);
+
+    await request(app).post('/api/me/card').set('Authorization', `Bearer ${rider.token}`);
+    const topUp = await request(app)
+        .post('/api/me/card/top-ups')
+        .set('Authorization', `Bearer ${rider.token}`)
+        .send({ amount: 20 });
+    await completePayment(app, topUp.body.payment);
+});
+
+afterAll(() => jest.useRealTimers());
+
+function report(name, query = '') {
+    return request(app).get(`/api/analytics/${name}${query}`).set('Authorization', `Bearer ${adminToken}`);
+}
+
+describe('revenue', () => {
+    test('report card top-ups apart from fare revenue', async () => {
+        const res = await report('revenue/daily');
+
+        expect(res.status).toBe(200);
+        expect(res.body.totals).toEqual({ bookings: 2, gross: 7, refunds: 3.5, net: 3.5, topUps: 20 });
+    });
+
+    test('match the daily revenue when split by ticket type', async () => {
+        const [daily, types] = await Promise.all([report('revenue/daily'), report('revenue/ticket-types')]);
+
+        expect(types.body.rows.map(row => [row.ticketType, row.net])).toEqual([['regular', 3.5], ['child', 0]]);
+        expect(types.body.totals).toEqual({ bookings: 2, gross: 7, refunds: 3.5, net: 3.5 });
+        expect(types.body.totals.gross).toBe(daily.body.totals.gross);
+    });
+});
+
+describe('travel', () => {
+    test('count paid trips between stations by travel date', async () => {
+        const res = await report('od-matrix', '?dateFrom=2030-06-03&dateTo=2030-06-03');
+
+        expect(res.body.rows).toEqual([{ from: 'central', to: 'airport', bookings: 1, passengers: 1 }]);
+        expect((await report('od-matrix', '?dateFrom=2030-06-04')).body.rows).toEqual([]);
+    });
+
+    test('download a report as CSV', async () => {
+        const res = await report('od-matrix', '?format=csv');
+
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.text).toBe('from,to,bookings,passengers\r\ncentral,airport,1,1\r\n');
+    });
+});
+
+describe('date range', () => {
+    test('refuse dates that do not exist', async () => {
+        const res = await report('revenue/daily', '?dateFrom=2030-02-31');
+
+        expect(res.status).toBe(400);
+    });
+
+    test('refuse a range that ends before it starts', async () => {
+        const res = await report('revenue/daily', '?dateFrom=2030-06-04&dateTo=2030-06-03');
+
+        expect(res.status).toBe(400);
+    });
+});
+
+test('keep the reports to admins', async () => {
+    const res = await request(app).get('/api/analytics/revenue/daily').set('Authorization', `Bearer ${rider.token}`);
+
+    expect(res.status).toBe(403);
+});
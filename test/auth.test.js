@@ -0,0 +1,107 @@
+const request = require('supertest');
+const { createTestApp, setClock, registerRider, bookTrip } = require('./helpers');
+
+const app = createTestApp();
+
+beforeAll(() => setClock('2030-06-03T08:00'));
+afterAll(() => jest.useRealTimers());
+
+describe('registering and logging in', () => {
+    test('register a rider and log them in', async () => {
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'Ada@Test.local', password: 'rider-password', name: 'Ada' });
+
+        expect(registered.status).toBe(201);
+        expect(registered.body.user).toMatchObject({ email: 'ada@test.local', role: 'rider' });
+
+        const loggedIn = await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'ada@test.local', password: 'rider-password' });
+
+        expect(loggedIn.status).toBe(200);
+        expect(loggedIn.body.accessToken).toEqual(expect.any(String));
+    });
+
+    test('refuse a second account for the same email', async () => {
+        await registerRider(app, 'twice@test.local');
+
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'twice@test.local', password: 'rider-password', name: 'Twice' });
+
+        expect(res.status).toBe(409);
+    });
+
+    test('refuse a wrong password', async () => {
+        await registerRider(app, 'wrong@test.local');
+
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'wrong@test.local', password: 'not-the-password' });
+
+        expect(res.status).toBe(401);
+    });
+
+    test('reject logins that are not text', async () => {
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: { $ne: '' }, password: 'admin-password' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('reject registrations that are not text', async () => {
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'typed@test.local', password: 12345678, name: 'Typed' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('tokens', () => {
+    test('reject a malformed bearer token', async () => {
+        const res = await request(app).get('/api/me').set('Authorization', 'Bearer not-a-token');
+
+        expect(res.status).toBe(401);
+    });
+
+    test('use each refresh token once', async () => {
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'refresh@test.local', password: 'rider-password', name: 'Refresh' });
+        const { refreshToken } = registered.body;
+
+        const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+        const again = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+        expect(first.status).toBe(200);
+        expect(first.body.refreshToken).not.toBe(refreshToken);
+        expect(again.status).toBe(401);
+    });
+
+    test('revoke the refresh token on logout', async () => {
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'logout@test.local', password: 'rider-password', name: 'Logout' });
+        const { refreshToken } = registered.body;
+
+        await request(app).post('/api/auth/logout').send({ refreshToken });
+        const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+        expect(res.status).toBe(401);
+    });
+});
+
+test('list only the signed-in rider\'s own bookings', async () => {
+    const rider = await registerRider(app, 'mine@test.local');
+    const other = await registerRider(app, 'theirs@test.local');
+    const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00' };
+    const booking = await bookTrip(app, trip, rider.token);
+    await bookTrip(app, trip, other.token);
+
+    const res = await request(app).get('/api/me/bookings').set('Authorization', `Bearer ${rider.token}`);
+
+    expect(res.body.map(row => row.id)).toEqual([booking.id]);
+});
@@ -0,0 +1,45 @@
+const request = require('supertest');
+const { createTestApp, setClock } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00', passengers: 1, ticketType: 'regular' };
+
+beforeAll(() => setClock('2030-06-03T08:00'));
+afterAll(() => jest.useRealTimers());
+
+test('issue a distinct checksummed reference for every booking', async () => {
+    const ids = [];
+
+    for (let booking = 0; booking < 5; booking++) {
+        ids.push((await request(app).post('/api/bookings').send(trip)).body.booking.id);
+    }
+
+    expect(new Set(ids).size).toBe(5);
+    ids.forEach(id => expect(id).toMatch(/^MB[0-9A-Z]{9}$/));
+});
+
+test('find a booking from a reference typed loosely', async () => {
+    const { id } = (await request(app).post('/api/bookings').send(trip)).body.booking;
+    const typed = `${id.slice(0, 5)} ${id.slice(5)}`.toLowerCase();
+
+    const res = await request(app).get(`/api/bookings/${encodeURIComponent(typed)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(id);
+});
+
+test('reject a reference whose check character is wrong', async () => {
+    const { id } = (await request(app).post('/api/bookings').send(trip)).body.booking;
+    const last = id.slice(-1) === 'A' ? 'B' : 'A';
+
+    const res = await request(app).get(`/api/bookings/${id.slice(0, -1)}${last}`);
+
+    expect(res.status).toBe(400);
+});
+
+test('ignore a booking id sent by the client', async () => {
+    const res = await request(app).post('/api/bookings').send({ ...trip, id: 'MB000000000' });
+
+    expect(res.body.booking.id).not.toBe('MB000000000');
+});
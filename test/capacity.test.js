@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { toSqlTimestamp } = require('../db');
+const { createTestApp, setClock, registerRider, completePayment, bookTrip } = require('./helpers');
+
+// Trains of four seats, and unpaid bookings that hold theirs for 15 minutes
+const app = createTestApp({ TRAIN_CAPACITY: '4', PAYMENT_HOLD_MINUTES: '15' });
+
+let rider;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    rider = await registerRider(app, 'capacity@test.local');
+});
+
+beforeEach(() => setClock('2030-06-03T08:00'));
+afterAll(() => jest.useRealTimers());
+
+function book(trip, extra = {}) {
+    return request(app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${rider.token}`)
+        .send({ from: 'central', to: 'airport', date: '2030-06-03', ticketType: 'regular', ...trip, ...extra });
+}
+
+async function seatsAvailable(time) {
+    const res = await request(app).get(`/api/availability?from=central&to=airport&date=2030-06-03&after=${time}`);
+    return res.body.departures[0].seatsAvailable;
+}
+
+function getBooking(bookingId) {
+    return request(app).get(`/api/bookings/${bookingId}`).set('Authorization', `Bearer ${rider.token}`);
+}
+
+describe('departures', () => {
+    test('offer the trains leaving after a time with their free seats', async () => {
+        const res = await request(app).get('/api/availability?from=central&to=airport&date=2030-06-03&after=10:00');
+
+        expect(res.status).toBe(200);
+        expect(res.body.departures[0]).toMatchObject({ departs: '10:00', seatsAvailable: 4, full: false });
+    });
+
+    test('refuse a time no train leaves at', async () => {
+        const res = await book({ time: '10:01', passengers: 1 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('no_departure');
+    });
+
+    test('reject dates that do not exist', async () => {
+        const res = await book({ date: '2030-02-31', time: '10:00', passengers: 1 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('invalid_date');
+    });
+});
+
+describe('capacity', () => {
+    test('refuse a booking once the train is full', async () => {
+        await bookTrip(app, { from: 'central', to: 'airport', date: '2030-06-03', time: '11:00', passengers: 3 }, rider.token);
+
+        const res = await book({ time: '11:00', passengers: 2 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('service_full');
+        expect(res.body.seatsAvailable).toBe(1);
+    });
+
+    test('hold the seats of an unpaid booking', async () => {
+        const res = await book({ time: '11:30', passengers: 3 });
+
+        expect(res.body.booking.status).toBe('pending_payment');
+        expect(res.body.booking.holdExpiresAt).toBe(toSqlTimestamp(new Date('2030-06-03T08:15:00')));
+        expect(await seatsAvailable('11:30')).toBe(1);
+    });
+});
+
+describe('waitlist', () => {
+    test('waitlist a booking for a full train and offer it a freed seat', async () => {
+        const first = await bookTrip(app, { from: 'central', to: 'airport', date: '2030-06-03', time: '12:00', passengers: 4 }, rider.token);
+        const waiting = await book({ time: '12:00', passengers: 2 }, { waitlist: true });
+
+        expect(waiting.status).toBe(201);
+        expect(waiting.body.booking.status).toBe('waitlisted');
+        expect(waiting.body.payment).toBeNull();
+
+        await request(app).put(`/api/bookings/${first.id}/cancel`).set('Authorization', `Bearer ${rider.token}`);
+
+        const promoted = await getBooking(waiting.body.booking.id);
+        expect(promoted.body.status).toBe('pending_payment');
+    });
+});
+
+describe('payment holds', () => {
+    test('fail an unpaid booking once its hold runs out and promote the waitlist', async () => {
+        const unpaid = await book({ time: '13:00', passengers: 4 });
+        const waiting = await book({ time: '13:00', passengers: 2 }, { waitlist: true });
+
+        expect(waiting.body.booking.status).toBe('waitlisted');
+
+        setClock('2030-06-03T08:16');
+        expect(await seatsAvailable('13:00')).toBe(4);
+
+        // The next booking expires the hold before taking seats
+        const next = await book({ time: '13:00', passengers: 1 });
+
+        expect(next.status).toBe(201);
+        expect((await getBooking(unpaid.body.booking.id)).body.status).toBe('failed');
+        expect((await getBooking(waiting.body.booking.id)).body.status).toBe('pending_payment');
+        expect(await seatsAvailable('13:00')).toBe(1);
+    });
+
+    test('turn away a payment made after the hold ran out and the seats were sold', async () => {
+        const unpaid = await book({ time: '14:00', passengers: 4 });
+
+        setClock('2030-06-03T08:16');
+        await bookTrip(app, { from: 'central', to: 'airport', date: '2030-06-03', time: '14:00', passengers: 1 }, rider.token);
+        await completePayment(app, unpaid.body.payment);
+
+        const res = await getBooking(unpaid.body.booking.id);
+        expect(res.body.status).toBe('failed');
+
+        const history = await request(app)
+            .get(`/api/bookings/${unpaid.body.booking.id}/history`)
+            .set('Authorization', `Bearer ${rider.token}`);
+        expect(history.body.map(entry => entry.action)).toEqual(['created', 'hold_expired']);
+    });
+
+    test('keep a payment made after the hold ran out while the seats are free', async () => {
+        const unpaid = await book({ time: '15:00', passengers: 2 });
+
+        setClock('2030-06-03T08:16');
+        await completePayment(app, unpaid.body.payment);
+
+        const res = await getBooking(unpaid.body.booking.id);
+        expect(res.body.status).toBe('paid');
+    });
+});
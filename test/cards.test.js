@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, completePayment } = require('./helpers');
+
+const app = createTestApp();
+
+let staffToken;
+let rider;
+let cardId;
+
+afterAll(() => jest.useRealTimers());
+
+function tap(card, station, direction) {
+    return request(app)
+        .post('/api/cards/tap')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ card, station, direction });
+}
+
+function getCard() {
+    return request(app).get('/api/me/card').set('Authorization', `Bearer ${rider.token}`);
+}
+
+// A new card topped up with `amount` through the mock provider
+async function issueCard(amount) {
+    const card = await request(app).post('/api/me/card').set('Authorization', `Bearer ${rider.token}`);
+    const topUp = await request(app)
+        .post('/api/me/card/top-ups')
+        .set('Authorization', `Bearer ${rider.token}`)
+        .send({ amount });
+
+    await completePayment(app, topUp.body.payment);
+    return card.body.id;
+}
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    staffToken = await login(app);
+    rider = await registerRider(app, 'cards@test.local');
+    cardId = await issueCard(20);
+});
+
+test('credit a top-up once it is paid for', async () => {
+    expect((await getCard()).body.balance).toBe(20);
+});
+
+// Central to Airport is 3.50 and the day pass 8.00, so the third trip is
+// charged what is left under the cap and the fourth is free
+test('charge fares up to the daily cap', async () => {
+    const fares = [];
+
+    for (let trip = 0; trip < 4; trip++) {
+        expect((await tap(cardId, 'central', 'entry')).body.valid).toBe(true);
+        fares.push((await tap(cardId, 'airport', 'exit')).body.journey.fare);
+    }
+
+    expect(fares).toEqual([3.5, 3.5, 1, 0]);
+
+    const card = (await getCard()).body;
+    expect(card.balance).toBe(12);
+    expect(card.caps.daily).toEqual({ cap: 8, spent: 8, remaining: 0 });
+});
+
+test('refuse an exit without an entry', async () => {
+    const res = await tap(cardId, 'airport', 'exit');
+
+    expect(res.status).toBe(400);
+    expect(res.body.reason).toBe('no_entry');
+});
+
+test('keep tapping cards past the per-address limit for riders', async () => {
+    const statuses = new Set();
+
+    for (let tapped = 0; tapped < 110; tapped++) {
+        statuses.add((await tap('not-a-card', 'central', 'entry')).status);
+    }
+
+    expect([...statuses]).toEqual([400]);
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00', passengers: 1 };
+
+let adminToken;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    adminToken = await login(app);
+});
+
+afterAll(() => jest.useRealTimers());
+
+function setRole(userId, role) {
+    return request(app)
+        .put(`/api/admin/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role });
+}
+
+function book(ticketType, token = null) {
+    const req = request(app).post('/api/bookings');
+
+    if (token) {
+        req.set('Authorization', `Bearer ${token}`);
+    }
+
+    return req.send({ ...trip, ticketType });
+}
+
+function submitDocument(token, fields) {
+    return request(app)
+        .post('/api/me/concessions')
+        .set('Authorization', `Bearer ${token}`)
+        .send(fields);
+}
+
+function reviewDocument(documentId, token, status = 'approved') {
+    return request(app)
+        .put(`/api/admin/concessions/${documentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status });
+}
+
+function verifyDateOfBirth(userId, token, dateOfBirth) {
+    return request(app)
+        .put(`/api/admin/users/${userId}/date-of-birth`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dateOfBirth });
+}
+
+describe('concession fares', () => {
+    test('ask guests to sign in for a concession fare', async () => {
+        const res = await book('student');
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('concession_not_verified');
+    });
+
+    test('sell a student fare once a document is approved', async () => {
+        const rider = await registerRider(app, 'student@test.local');
+
+        expect((await book('student', rider.token)).status).toBe(403);
+
+        const document = await submitDocument(rider.token, {
+            category: 'student',
+            documentType: 'student_id',
+            documentReference: 'S-1000'
+        });
+        expect((await reviewDocument(document.body.id, adminToken)).status).toBe(200);
+
+        expect((await book('student', rider.token)).status).toBe(201);
+    });
+
+    test('sell a senior fare on a verified date of birth', async () => {
+        const rider = await registerRider(app, 'senior@test.local');
+
+        await verifyDateOfBirth(rider.id, adminToken, '1990-01-01');
+        expect((await book('senior', rider.token)).status).toBe(403);
+
+        await verifyDateOfBirth(rider.id, adminToken, '1950-01-01');
+        expect((await book('senior', rider.token)).status).toBe(201);
+    });
+});
+
+describe('reviewing concessions', () => {
+    let staff;
+
+    beforeAll(async () => {
+        staff = await registerRider(app, 'staff@test.local');
+        await setRole(staff.id, 'staff');
+    });
+
+    test('stop staff approving their own concession documents', async () => {
+        const document = await submitDocument(staff.token, {
+            category: 'student',
+            documentType: 'student_id',
+            documentReference: 'S-1234'
+        });
+
+        expect((await reviewDocument(document.body.id, staff.token)).status).toBe(403);
+        expect((await reviewDocument(document.body.id, adminToken)).status).toBe(200);
+    });
+
+    test('stop staff verifying their own date of birth', async () => {
+        expect((await verifyDateOfBirth(staff.id, staff.token, '1950-01-01')).status).toBe(403);
+        expect((await verifyDateOfBirth(staff.id, adminToken, '1950-01-01')).status).toBe(200);
+    });
+});
@@ -0,0 +1,61 @@
+const request = require('supertest');
+const { createTestApp, setClock } = require('./helpers');
+
+const app = createTestApp();
+
+// Central to Airport is five stops on the Red Line: the 3.50 regular fare band
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00' };
+
+beforeEach(() => setClock('2030-06-03T08:00'));
+afterAll(() => jest.useRealTimers());
+
+describe('fare quotes', () => {
+    test('price each passenger from the fare band and their ticket type', async () => {
+        const res = await request(app).get('/api/fares/quote?from=central&to=airport&types=regular,child');
+
+        expect(res.status).toBe(200);
+        expect(res.body.fare.stops).toBe(5);
+        expect(res.body.fare.passengerFares).toEqual([3.5, 1.75]);
+        expect(res.body.fare.total).toBe(5.25);
+    });
+
+    test('quote a return at the return multiplier', async () => {
+        const res = await request(app).get('/api/fares/quote?from=central&to=airport&type=regular&tripType=return');
+
+        expect(res.status).toBe(200);
+        expect(res.body.fare.total).toBe(6.3);
+    });
+
+    test('refuse a return on a ticket type not sold as one', async () => {
+        const res = await request(app).get('/api/fares/quote?from=central&to=airport&type=day-pass&tripType=return');
+
+        expect(res.status).toBe(400);
+    });
+
+    test('take the group discount off large parties', async () => {
+        const res = await request(app).get('/api/fares/quote?from=central&to=airport&type=regular&passengers=5');
+
+        expect(res.body.fare.subtotal).toBe(17.5);
+        expect(res.body.fare.total).toBe(15.75);
+    });
+});
+
+describe('booking fares', () => {
+    test('charge the fare the server works out', async () => {
+        const res = await request(app).post('/api/bookings').send({ ...trip, passengers: 2, ticketType: 'regular' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.booking.totalPrice).toBe(7);
+        expect(res.body.payment.amount).toBe(7);
+    });
+
+    test('reject a client total that does not match the fare', async () => {
+        const res = await request(app)
+            .post('/api/bookings')
+            .send({ ...trip, passengers: 1, ticketType: 'regular', totalPrice: 0.5 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('price_changed');
+        expect(res.body.fare.total).toBe(3.5);
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const ADMIN = { email: 'admin@test.local', password: 'admin-password' };
+
+// Load the app against a fresh SQLite database of its own, with `env`
+// overriding the test settings. Call it at the top of a test file: it
+// registers the hooks that prepare the database before the tests and
+// remove it afterwards.
+function createTestApp(env = {}) {
+    const dbPath = path.join(os.tmpdir(), `metro-booking-test-${process.pid}-${Date.now()}.db`);
+
+    Object.assign(process.env, {
+        DB_CLIENT: 'sqlite',
+        DB_PATH: dbPath,
+        JWT_SECRET: 'test-jwt-secret',
+        TICKET_SIGNING_KEYS: 'test:test-ticket-secret',
+        TICKET_SIGNING_KEY_ID: 'test',
+        PAYMENT_PROVIDER: 'mock',
+        MOCK_PAYMENT_WEBHOOK_SECRET: 'test-webhook-secret',
+        EMAIL_HOST: '',
+        ADMIN_EMAIL: ADMIN.email,
+        ADMIN_PASSWORD: ADMIN.password,
+        ...env
+    });
+
+    // Keep the startup messages (migrations, missing email settings) out of the test output
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const app = require('../server');
+
+    beforeAll(() => app.prepareDatabase());
+
+    afterAll(async () => {
+        await app.closeDatabase();
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    return app;
+}
+
+// Fix the clock at a local date and time (YYYY-MM-DDTHH:MM), leaving the
+// timers real so requests still run
+function setClock(dateTime) {
+    jest.useFakeTimers({
+        now: new Date(`${dateTime}:00`),
+        doNotFake: [
+            'hrtime', 'nextTick', 'performance', 'queueMicrotask',
+            'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+        ]
+    });
+}
+
+async function login(app, { email, password } = ADMIN) {
+    const res = await request(app).post('/api/auth/login').send({ email, password });
+    return res.body.accessToken;
+}
+
+// Register a rider and resolve to { id, token }
+async function registerRider(app, email) {
+    const res = await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'rider-password', name: email.split('@')[0] });
+
+    return { id: res.body.user.id, token: res.body.accessToken };
+}
+
+// Pay for a booking or pass through the mock provider
+function completePayment(app, payment) {
+    return request(app).post(`/api/payments/mock/${payment.id}/complete`).send({ outcome: 'success' });
+}
+
+// Book a trip and pay for it, resolving to the booking as stored
+async function bookTrip(app, trip, token = null) {
+    const req = request(app).post('/api/bookings');
+
+    if (token) {
+        req.set('Authorization', `Bearer ${token}`);
+    }
+
+    const res = await req.send({ passengers: 1, ticketType: 'regular', ...trip });
+
+    if (res.status !== 201) {
+        throw new Error(`Booking failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    await completePayment(app, res.body.payment);
+    return res.body.booking;
+}
+
+// The signed token a booking's QR code carries, read from its wallet pass
+async function getTicketToken(app, bookingId, token = null) {
+    const req = request(app).get(`/api/bookings/${bookingId}/pass.json`);
+
+    if (token) {
+        req.set('Authorization', `Bearer ${token}`);
+    }
+
+    const res = await req;
+    return res.body.barcodes[0].message;
+}
+
+module.exports = {
+    ADMIN,
+    createTestApp,
+    setClock,
+    login,
+    registerRider,
+    completePayment,
+    bookTrip,
+    getTicketToken
+};
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { createTestApp, registerRider } = require('./helpers');
+
+const app = createTestApp();
+
+// Stored keys are compared with the database clock, so these tests run on
+// the real one: the trip is tomorrow morning
+function tomorrow() {
+    const date = new Date();
+    const pad = value => String(value).padStart(2, '0');
+
+    date.setDate(date.getDate() + 1);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function book(key, token = null, fields = {}) {
+    const req = request(app).post('/api/bookings').set('Idempotency-Key', key);
+
+    if (token) {
+        req.set('Authorization', `Bearer ${token}`);
+    }
+
+    return req.send({
+        from: 'central',
+        to: 'airport',
+        date: tomorrow(),
+        time: '10:00',
+        passengers: 1,
+        ticketType: 'regular',
+        ...fields
+    });
+}
+
+test('replay the response to a repeated request', async () => {
+    const rider = await registerRider(app, 'retry@test.local');
+
+    const first = await book('retry-key', rider.token);
+    const second = await book('retry-key', rider.token);
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body.booking.id).toBe(first.body.booking.id);
+});
+
+test('refuse a key reused for a different request', async () => {
+    const rider = await registerRider(app, 'reuse@test.local');
+
+    await book('reuse-key', rider.token);
+    const res = await book('reuse-key', rider.token, { passengers: 2 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('idempotency_key_reused');
+});
+
+test('keep each caller\'s keys to themselves', async () => {
+    const first = await registerRider(app, 'first@test.local');
+    const second = await registerRider(app, 'second@test.local');
+
+    const mine = await book('shared-key', first.token);
+    const theirs = await book('shared-key', second.token);
+    const guest = await book('shared-key');
+
+    expect(theirs.status).toBe(201);
+    expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+    expect(theirs.body.booking.id).not.toBe(mine.body.booking.id);
+    expect(guest.status).toBe(201);
+    expect(guest.body.booking.id).not.toBe(mine.body.booking.id);
+});
+
+test('release the key when the request fails', async () => {
+    const rider = await registerRider(app, 'release@test.local');
+
+    const failed = await book('release-key', rider.token, { from: 'nowhere' });
+    const retried = await book('release-key', rider.token);
+
+    expect(failed.status).toBe(400);
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('../db');
+const { migrate, getMigrationStatus } = require('../db/migrate');
+
+const dbPath = path.join(os.tmpdir(), `metro-migrations-test-${process.pid}-${Date.now()}.db`);
+let db;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = createDatabase({ client: 'sqlite', filename: dbPath });
+});
+
+afterAll(async () => {
+    await db.close();
+    fs.rmSync(dbPath, { force: true });
+});
+
+async function appliedVersions() {
+    return (await getMigrationStatus(db)).filter(migration => migration.applied).map(migration => migration.version);
+}
+
+test('apply every migration, revert them down to version 1 and apply them again', async () => {
+    await migrate(db);
+    const all = await appliedVersions();
+
+    await migrate(db, { to: 1 });
+    expect(await appliedVersions()).toEqual([1]);
+
+    await migrate(db);
+    expect(await appliedVersions()).toEqual(all);
+});
+
+test('refuse to revert the initial schema, keeping its tables', async () => {
+    await migrate(db, { to: 1 });
+    await db.run("INSERT INTO stations (code, name, position) VALUES ('central', 'Central Station', 1)");
+
+    await expect(migrate(db, { to: 0 })).rejects.toThrow('cannot be reverted');
+
+    expect(await appliedVersions()).toEqual([1]);
+    expect(await db.all('SELECT code FROM stations')).toEqual([{ code: 'central' }]);
+});
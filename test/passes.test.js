@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, completePayment } = require('./helpers');
+
+const app = createTestApp();
+
+let staffToken;
+let rider;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    staffToken = await login(app);
+    rider = await registerRider(app, 'passes@test.local');
+});
+
+beforeEach(() => setClock('2030-06-03T08:00'));
+afterAll(() => jest.useRealTimers());
+
+function quote(query) {
+    return request(app).get(`/api/passes/quote?${new URLSearchParams(query)}`);
+}
+
+function asRider(method, path) {
+    return request(app)[method](path).set('Authorization', `Bearer ${rider.token}`);
+}
+
+// Buy a pass and pay for it, resolving to the pass as stored
+async function buyPass(details) {
+    const res = await asRider('post', '/api/passes').send(details);
+    await completePayment(app, res.body.payment);
+    return (await asRider('get', `/api/passes/${res.body.pass.id}`)).body;
+}
+
+// The token a pass's QR code carries, signed with the test key (see
+// createPassToken in server.js)
+function passToken(pass) {
+    const payload = Buffer.from(JSON.stringify({
+        v: 1,
+        kid: 'test',
+        pid: pass.id,
+        pax: 1,
+        nbf: Math.floor(new Date(`${pass.validFrom}T00:00:00`).getTime() / 1000),
+        exp: Math.floor(new Date(`${pass.validUntil}T23:59:59.999`).getTime() / 1000)
+    })).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'test-ticket-secret').update(payload).digest('base64url');
+
+    return `${payload}.${signature}`;
+}
+
+function scan(token, station, direction, as = staffToken) {
+    return request(app)
+        .post('/api/tickets/validate')
+        .set('Authorization', `Bearer ${as}`)
+        .send({ token, station, direction });
+}
+
+describe('quotes', () => {
+    test('price a pass for its zones and work out its last day', async () => {
+        const res = await quote({ type: 'weekly', zoneFrom: 1, zoneTo: 2, startDate: '2030-06-03' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ validFrom: '2030-06-03', validUntil: '2030-06-09', price: 32.5 });
+    });
+
+    test('end a monthly pass on the last day of a short month', async () => {
+        const res = await quote({ type: 'monthly', zoneFrom: 1, startDate: '2031-01-31' });
+
+        expect(res.body.validUntil).toBe('2031-02-28');
+    });
+
+    test('refuse start dates that do not exist or have passed', async () => {
+        expect((await quote({ type: 'weekly', zoneFrom: 1, startDate: '2031-02-31' })).status).toBe(400);
+        expect((await quote({ type: 'weekly', zoneFrom: 1, startDate: '2030-06-02' })).status).toBe(400);
+    });
+
+    test('refuse zones outside the network', async () => {
+        const res = await quote({ type: 'weekly', zoneFrom: 2, zoneTo: 9 });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('buying and using a pass', () => {
+    let pass;
+
+    beforeAll(async () => {
+        setClock('2030-06-03T08:00');
+        pass = await buyPass({ type: 'weekly', zoneFrom: 1, zoneTo: 2 });
+    });
+
+    test('issue the pass once it is paid for', () => {
+        expect(pass).toMatchObject({ status: 'paid', validFrom: '2030-06-03', validUntil: '2030-06-09', price: 32.5 });
+        expect(pass.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    test('let the holder through at stations in its zones only', async () => {
+        const token = passToken(pass);
+
+        expect((await scan(token, 'airport', 'entry')).body.reason).toBe('outside_zones');
+        expect((await scan(token, 'central', 'entry')).body.valid).toBe(true);
+    });
+
+    test('show the pass and its holder on inspection', async () => {
+        const res = await scan(passToken(pass));
+
+        expect(res.body.valid).toBe(true);
+        expect(res.body.pass).toMatchObject({ id: pass.id, holderName: 'passes', zones: { from: 1, to: 2 } });
+    });
+
+    test('refuse the pass after its last day', async () => {
+        // Staff sign-ins do not last the week, so sign in again
+        setClock('2030-06-10T08:00');
+        const res = await scan(passToken(pass), 'downtown', 'entry', await login(app));
+
+        expect(res.body.reason).toBe('expired');
+    });
+
+    test('renew the pass from the day after it ends, once', async () => {
+        const renewal = await asRider('post', `/api/passes/${pass.id}/renew`);
+
+        expect(renewal.status).toBe(201);
+        expect(renewal.body.pass).toMatchObject({
+            validFrom: '2030-06-10',
+            validUntil: '2030-06-16',
+            renewedFrom: pass.id,
+            status: 'pending_payment'
+        });
+        expect((await asRider('post', `/api/passes/${pass.id}/renew`)).status).toBe(409);
+    });
+
+    test('keep the pass from other riders', async () => {
+        const other = await registerRider(app, 'other-passes@test.local');
+        const res = await request(app).get(`/api/passes/${pass.id}`).set('Authorization', `Bearer ${other.token}`);
+
+        expect(res.status).toBe(404);
+    });
+});
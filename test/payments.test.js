@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, completePayment } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00', passengers: 1, ticketType: 'regular' };
+
+beforeAll(() => setClock('2030-06-03T08:00'));
+afterAll(() => jest.useRealTimers());
+
+// A webhook from the mock gateway, signed with the test secret unless
+// another one is given
+function sendWebhook(event, secret = 'test-webhook-secret') {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    return request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('x-mock-signature', `t=${timestamp},v1=${signature}`)
+        .send(body);
+}
+
+function paymentEvent(payment, amount = payment.amount) {
+    return {
+        id: `mock_evt_${crypto.randomUUID()}`,
+        type: 'payment.succeeded',
+        data: { reference: `mock_pay_${payment.id}`, amount }
+    };
+}
+
+async function createBooking(token = null) {
+    const req = request(app).post('/api/bookings');
+    const res = await (token ? req.set('Authorization', `Bearer ${token}`) : req).send(trip);
+    return res.body;
+}
+
+async function getBookingStatus(bookingId) {
+    return (await request(app).get(`/api/bookings/${bookingId}`)).body.status;
+}
+
+describe('webhooks', () => {
+    test('mark the booking paid when the payment succeeds', async () => {
+        const { booking, payment } = await createBooking();
+
+        const res = await sendWebhook(paymentEvent(payment));
+
+        expect(res.status).toBe(200);
+        expect(await getBookingStatus(booking.id)).toBe('paid');
+        expect((await request(app).get(`/api/payments/${payment.id}`)).body.status).toBe('succeeded');
+    });
+
+    test('handle a redelivered event once', async () => {
+        const { booking, payment } = await createBooking();
+        const event = paymentEvent(payment);
+
+        await sendWebhook(event);
+        const first = (await request(app).get(`/api/bookings/${booking.id}`)).body.qr_code;
+        const again = await sendWebhook(event);
+
+        expect(again.status).toBe(200);
+        expect((await request(app).get(`/api/bookings/${booking.id}`)).body.qr_code).toBe(first);
+    });
+
+    test('refuse events with a bad signature', async () => {
+        const { booking, payment } = await createBooking();
+
+        const res = await sendWebhook(paymentEvent(payment), 'someone-elses-secret');
+
+        expect(res.status).toBe(400);
+        expect(await getBookingStatus(booking.id)).toBe('pending_payment');
+    });
+
+    test('refuse a success for another amount than the payment', async () => {
+        const { booking, payment } = await createBooking();
+
+        const res = await sendWebhook(paymentEvent(payment, 0.01));
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('amount_mismatch');
+        expect(await getBookingStatus(booking.id)).toBe('pending_payment');
+    });
+
+    test('fail the booking when the payment is declined, and let it be paid again', async () => {
+        const { booking, payment } = await createBooking();
+
+        await request(app).post(`/api/payments/mock/${payment.id}/complete`).send({ outcome: 'failed' });
+        expect(await getBookingStatus(booking.id)).toBe('failed');
+
+        const retry = await request(app).post(`/api/bookings/${booking.id}/pay`);
+        await completePayment(app, retry.body.payment);
+
+        expect(await getBookingStatus(booking.id)).toBe('paid');
+    });
+});
+
+describe('reading a payment', () => {
+    test('show an account booking\'s payment only to its owner and staff', async () => {
+        const owner = await registerRider(app, 'payer@test.local');
+        const other = await registerRider(app, 'snoop@test.local');
+        const { payment } = await createBooking(owner.token);
+        const get = token => {
+            const req = request(app).get(`/api/payments/${payment.id}`);
+            return token ? req.set('Authorization', `Bearer ${token}`) : req;
+        };
+
+        expect((await get(null)).status).toBe(404);
+        expect((await get(other.token)).status).toBe(404);
+        expect((await get(owner.token)).body.amount).toBe(3.5);
+        expect((await get(await login(app))).status).toBe(200);
+    });
+
+    test('show a card top-up only to the card holder', async () => {
+        const holder = await registerRider(app, 'holder@test.local');
+        const other = await registerRider(app, 'nosy@test.local');
+        await request(app).post('/api/me/card').set('Authorization', `Bearer ${holder.token}`);
+        const topUp = await request(app)
+            .post('/api/me/card/top-ups')
+            .set('Authorization', `Bearer ${holder.token}`)
+            .send({ amount: 10 });
+        const get = token => request(app).get(`/api/payments/${topUp.body.payment.id}`).set('Authorization', `Bearer ${token}`);
+
+        expect((await get(other.token)).status).toBe(404);
+        expect((await get(holder.token)).status).toBe(200);
+    });
+});
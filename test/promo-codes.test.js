@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, completePayment } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00', passengers: 1, ticketType: 'regular' };
+
+let adminToken;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    adminToken = await login(app);
+});
+
+beforeEach(() => setClock('2030-06-03T08:00'));
+
+afterAll(() => jest.useRealTimers());
+
+function createPromoCode(fields) {
+    return request(app)
+        .post('/api/admin/promo-codes')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ discountType: 'percent', discountValue: 10, ...fields });
+}
+
+function book(fields, token = null) {
+    const req = request(app).post('/api/bookings');
+
+    if (token) {
+        req.set('Authorization', `Bearer ${token}`);
+    }
+
+    return req.send({ ...trip, ...fields });
+}
+
+test('take the discount off the fare', async () => {
+    await createPromoCode({ code: 'TENOFF' });
+
+    const res = await book({ promoCode: 'tenoff' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking.totalPrice).toBe(3.15);
+    expect(res.body.booking.discount).toBe(0.35);
+});
+
+test('stop a code once it has been used up', async () => {
+    await createPromoCode({ code: 'TWICE', maxUses: 2 });
+
+    expect((await book({ promoCode: 'TWICE' })).status).toBe(201);
+    expect((await book({ promoCode: 'TWICE' })).status).toBe(201);
+
+    const res = await book({ promoCode: 'TWICE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'This promo code has been used up', code: 'promo_code_invalid' });
+});
+
+test('hold each rider to the per-rider limit', async () => {
+    await createPromoCode({ code: 'WELCOME', maxUsesPerUser: 1 });
+    const first = await registerRider(app, 'first@test.local');
+    const second = await registerRider(app, 'second@test.local');
+
+    expect((await book({ promoCode: 'WELCOME' })).body.error).toBe('Sign in to use this promo code');
+
+    expect((await book({ promoCode: 'WELCOME' }, first.token)).status).toBe(201);
+    expect((await book({ promoCode: 'WELCOME' }, first.token)).body.error).toBe('You have already used this promo code');
+    expect((await book({ promoCode: 'WELCOME' }, second.token)).status).toBe(201);
+});
+
+test('give back a use when the booking is not paid for in time', async () => {
+    await createPromoCode({ code: 'ONCE', maxUses: 1 });
+
+    expect((await book({ promoCode: 'ONCE' })).status).toBe(201);
+    expect((await book({ promoCode: 'ONCE' })).status).toBe(400);
+
+    // The unpaid booking's hold runs out after 15 minutes, which frees the
+    // use even before the booking is marked failed
+    setClock('2030-06-03T08:16');
+    const quote = await request(app).get('/api/fares/quote?from=central&to=airport&type=regular&promoCode=ONCE');
+    expect(quote.body.promoError).toBeUndefined();
+    expect((await book({ promoCode: 'ONCE' })).status).toBe(201);
+});
+
+test('give back a use when the payment is declined', async () => {
+    await createPromoCode({ code: 'DECLINED', maxUses: 1 });
+
+    const declined = await book({ promoCode: 'DECLINED' });
+    await request(app).post(`/api/payments/mock/${declined.body.payment.id}/complete`).send({ outcome: 'failed' });
+
+    const res = await book({ promoCode: 'DECLINED' });
+    expect(res.status).toBe(201);
+
+    await completePayment(app, res.body.payment);
+    expect((await book({ promoCode: 'DECLINED' })).status).toBe(400);
+});
+
+test('only accept codes inside their travel dates', async () => {
+    await createPromoCode({ code: 'JULY', travelDateFrom: '2030-07-01', travelDateTo: '2030-07-31' });
+
+    const res = await book({ promoCode: 'JULY' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('This promo code is not valid for this travel date');
+});
+
+test('cap a fixed discount at the fare', async () => {
+    await createPromoCode({ code: 'FREE', discountType: 'fixed', discountValue: 50 });
+
+    const res = await request(app).get('/api/fares/quote?from=central&to=airport&type=regular&promoCode=FREE');
+
+    expect(res.body.fare.discount.amount).toBe(3.5);
+    expect(res.body.fare.total).toBe(0);
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, registerRider, bookTrip, getTicketToken, completePayment } = require('./helpers');
+
+const app = createTestApp();
+
+// The default policy: a full refund until 60 minutes before departure,
+// 50% after that and nothing once the ticket has been used
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00' };
+
+let rider;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    rider = await registerRider(app, 'refunds@test.local');
+});
+
+afterAll(() => jest.useRealTimers());
+
+function getRefund(bookingId) {
+    return request(app).get(`/api/bookings/${bookingId}/refund`).set('Authorization', `Bearer ${rider.token}`);
+}
+
+test('refund in full before the cutoff', async () => {
+    setClock('2030-06-03T08:00');
+    const booking = await bookTrip(app, trip, rider.token);
+
+    const res = await getRefund(booking.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toEqual({ amount: 3.5, percent: 100, rule: 'full' });
+});
+
+test('refund part of the fare after the cutoff', async () => {
+    setClock('2030-06-03T08:00');
+    const booking = await bookTrip(app, trip, rider.token);
+    setClock('2030-06-03T09:30');
+
+    const res = await getRefund(booking.id);
+
+    expect(res.body.refund).toEqual({ amount: 1.75, percent: 50, rule: 'late' });
+});
+
+test('refund nothing once the ticket has been used', async () => {
+    setClock('2030-06-03T08:00');
+    const booking = await bookTrip(app, trip, rider.token);
+    const adminToken = await login(app);
+
+    await request(app)
+        .post('/api/tickets/validate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: await getTicketToken(app, booking.id, rider.token), station: 'central', direction: 'entry' });
+
+    const res = await getRefund(booking.id);
+
+    expect(res.body.refund).toEqual({ amount: 0, percent: 0, rule: 'used' });
+});
+
+test('refund the cancelled journey of a return on its own', async () => {
+    setClock('2030-06-03T08:00');
+    const availability = await request(app).get('/api/availability?from=airport&to=central&date=2030-06-04&after=18:00');
+    const returnTime = availability.body.departures[0].departs;
+    const booking = await bookTrip(app, { ...trip, tripType: 'return', returnDate: '2030-06-04', returnTime }, rider.token);
+
+    const res = await request(app)
+        .put(`/api/bookings/${booking.id}/cancel`)
+        .set('Authorization', `Bearer ${rider.token}`)
+        .send({ journey: 'return' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund.amount).toBe(3.15);
+});
+
+test('refund the fare when cancelling a paid booking', async () => {
+    setClock('2030-06-03T08:00');
+    const booking = await bookTrip(app, trip, rider.token);
+
+    const res = await request(app)
+        .put(`/api/bookings/${booking.id}/cancel`)
+        .set('Authorization', `Bearer ${rider.token}`)
+        .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund.amount).toBe(3.5);
+
+    const quote = await getRefund(booking.id);
+    expect(quote.status).toBe(400);
+});
+
+describe('changing a booking', () => {
+    function change(bookingId, fields) {
+        return request(app)
+            .patch(`/api/bookings/${bookingId}`)
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send(fields);
+    }
+
+    test('take payment for a dearer change before making it', async () => {
+        setClock('2030-06-03T08:00');
+        const booking = await bookTrip(app, trip, rider.token);
+
+        const res = await change(booking.id, { passengers: 2 });
+
+        expect(res.status).toBe(202);
+        expect(res.body.amountDue).toBe(3.5);
+        expect((await request(app).get(`/api/bookings/${booking.id}`).set('Authorization', `Bearer ${rider.token}`)).body.passengers).toBe(1);
+
+        await completePayment(app, res.body.payment);
+
+        const changed = await request(app).get(`/api/bookings/${booking.id}`).set('Authorization', `Bearer ${rider.token}`);
+        expect(changed.body.passengers).toBe(2);
+        expect(changed.body.total_price).toBe(7);
+    });
+
+    test('refund the difference on a cheaper change under the policy', async () => {
+        setClock('2030-06-03T08:00');
+        const booking = await bookTrip(app, { ...trip, passengers: 2 }, rider.token);
+        setClock('2030-06-03T09:30');
+
+        const res = await change(booking.id, { passengers: 1 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.fareDifference).toBe(-3.5);
+        expect(res.body.refund.amount).toBe(1.75);
+    });
+
+    test('only let the owner change a booking', async () => {
+        setClock('2030-06-03T08:00');
+        const booking = await bookTrip(app, trip, rider.token);
+        const other = await registerRider(app, 'not-the-owner@test.local');
+
+        const res = await request(app)
+            .patch(`/api/bookings/${booking.id}`)
+            .set('Authorization', `Bearer ${other.token}`)
+            .send({ passengers: 2 });
+
+        expect(res.status).toBe(403);
+    });
+});
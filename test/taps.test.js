@@ -0,0 +1,94 @@
+const request = require('supertest');
+const { createTestApp, setClock, login, bookTrip, getTicketToken } = require('./helpers');
+
+const app = createTestApp();
+
+const trip = { from: 'central', to: 'airport', date: '2030-06-03', time: '10:00' };
+
+let staffToken;
+
+beforeAll(async () => {
+    setClock('2030-06-03T08:00');
+    staffToken = await login(app);
+});
+
+afterAll(() => jest.useRealTimers());
+
+function tap(token, station, direction) {
+    return request(app)
+        .post('/api/tickets/validate')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ token, station, direction });
+}
+
+test('let a single ticket in at its origin once per passenger and out at its destination', async () => {
+    const booking = await bookTrip(app, { ...trip, passengers: 2 });
+    const token = await getTicketToken(app, booking.id);
+
+    expect((await tap(token, 'downtown', 'entry')).body.reason).toBe('wrong_station');
+    expect((await tap(token, 'central', 'exit')).body.reason).toBe('no_entry');
+
+    expect((await tap(token, 'central', 'entry')).status).toBe(200);
+    expect((await tap(token, 'central', 'entry')).status).toBe(200);
+
+    const third = await tap(token, 'central', 'entry');
+    expect(third.status).toBe(400);
+    expect(third.body.reason).toBe('entries_exhausted');
+
+    expect((await tap(token, 'mall', 'exit')).body.reason).toBe('wrong_station');
+
+    const exit = await tap(token, 'airport', 'exit');
+    expect(exit.status).toBe(200);
+    expect(exit.body.usage).toEqual({ entries: 2, exits: 1 });
+});
+
+test('let a day pass in anywhere, but not twice before tapping out', async () => {
+    const booking = await bookTrip(app, { ...trip, ticketType: 'day-pass' });
+    const token = await getTicketToken(app, booking.id);
+
+    expect((await tap(token, 'museum', 'entry')).status).toBe(200);
+    expect((await tap(token, 'park', 'entry')).body.reason).toBe('already_inside');
+    expect((await tap(token, 'park', 'exit')).status).toBe(200);
+    expect((await tap(token, 'stadium', 'entry')).status).toBe(200);
+});
+
+test('refuse tickets before their travel day', async () => {
+    const booking = await bookTrip(app, { ...trip, date: '2030-06-04' });
+    const token = await getTicketToken(app, booking.id);
+
+    const res = await tap(token, 'central', 'entry');
+
+    expect(res.status).toBe(400);
+    expect(res.body.reason).toBe('not_yet_valid');
+});
+
+test('refuse tokens that have been tampered with', async () => {
+    const booking = await bookTrip(app, trip);
+    const [payload, signature] = (await getTicketToken(app, booking.id)).split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, pax: 5 })).toString('base64url');
+
+    const res = await tap(`${forged}.${signature}`, 'central', 'entry');
+
+    expect(res.status).toBe(400);
+    expect(res.body.reason).toBe('forged');
+});
+
+test('only let staff scan tickets', async () => {
+    const res = await request(app).post('/api/tickets/validate').send({ token: 'anything' });
+
+    expect(res.status).toBe(401);
+});
+
+test('keep scanning past the per-address limit for riders', async () => {
+    const statuses = new Set();
+
+    for (let scan = 0; scan < 120; scan++) {
+        statuses.add((await request(app)
+            .post('/api/tickets/validate')
+            .set('Authorization', `Bearer ${staffToken}`)
+            .send({ token: 'not-a-ticket' })).status);
+    }
+
+    expect([...statuses]).toEqual([400]);
+});
@@ -0,0 +1,199 @@
+const PDFDocument = require('pdfkit');
+
+// Printable A4 ticket. Takes the ticket built by the server:
+//   { id, from, to, date, time, passengers, ticketType, totalPrice,
+//     refundAmount, currency, legs, qrCode, tickets, validFrom, validUntil,
+//     cancelledJourney, returnJourney }
+// where from/to are station names, legs are { line, from, to, departs,
+// arrives }, qrCode is the booking's PNG data URL and tickets are the
+// passengers' { passenger, name, ticketType, qrCode } sub-tickets. A
+// return's returnJourney holds the same details for the way back and gets a
+// page of its own. A party of several gets a page per sub-ticket and
+// journey after those. Resolves to a Buffer.
+const COLORS = {
+    brand: '#667eea',
+    text: '#2d3748',
+    muted: '#718096',
+    rule: '#e2e8f0'
+};
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function renderTicketPdf(ticket) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: {
+                Title: `Metro ticket ${ticket.id}`,
+                Author: 'Metro Ticket Booking'
+            }
+        });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = 70;
+        const width = 455;
+        const outboundCancelled = ticket.cancelledJourney === 'outbound';
+
+        // Header band with the booking reference
+        const header = title => {
+            doc.rect(50, 50, 495, 64).fill(COLORS.brand);
+            doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text(title, left, 70);
+            doc.font('Helvetica').fontSize(13).text(ticket.id, left, 76, { width, align: 'right' });
+        };
+
+        // A journey's QR code, or a notice in its place once it is cancelled
+        const qrCode = (image, caption) => {
+            if (image) {
+                doc.image(Buffer.from(image.split(',')[1], 'base64'), 355, 140, { width: 170 });
+            } else {
+                doc.rect(355, 140, 170, 170).strokeColor(COLORS.rule).stroke();
+                doc.fillColor(COLORS.muted).font('Helvetica-Bold').fontSize(12)
+                    .text('Journey cancelled', 355, 218, { width: 170, align: 'center' });
+            }
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+                .text(caption, 355, 316, { width: 170, align: 'center' });
+        };
+
+        // Route, one line per leg
+        const route = legs => {
+            doc.moveTo(left, y).lineTo(left + width, y).strokeColor(COLORS.rule).stroke();
+            y += 16;
+            doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(14).text('Route', left, y);
+            y += 24;
+
+            legs.forEach(leg => {
+                const times = leg.departs ? ` (${leg.departs} - ${leg.arrives})` : '';
+                doc.circle(left + 5, y + 6, 5).fill(leg.line.color);
+                doc.fillColor(COLORS.text).font('Helvetica').fontSize(11)
+                    .text(`${leg.line.name}: ${leg.from} to ${leg.to}${times}`, left + 18, y, { width: width - 18 });
+                y += 20;
+            });
+        };
+
+        header(ticket.returnJourney || ticket.cancelledJourney ? 'Metro Ticket: Outbound' : 'Metro Ticket');
+
+        // Trip details beside the QR code
+        let y = 140;
+        const detail = (label, value) => {
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(10).text(label.toUpperCase(), left, y);
+            doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(13).text(String(value), left, y + 13, { width: 260 });
+            y += 40;
+        };
+
+        detail('From', ticket.from);
+        detail('To', ticket.to);
+        detail('Date', formatDate(ticket.date));
+        detail('Departure', ticket.time);
+        detail('Passengers', ticket.passengers);
+
+        qrCode(
+            outboundCancelled ? null : ticket.qrCode,
+            outboundCancelled ? 'This journey can no longer be used' : 'Scan at the gate on entry and exit'
+        );
+
+        y = Math.max(y, 350) + 10;
+        route(ticket.legs);
+
+        // Fare
+        y += 12;
+        doc.moveTo(left, y).lineTo(left + width, y).strokeColor(COLORS.rule).stroke();
+        y += 16;
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(14).text('Fare', left, y);
+        y += 24;
+
+        const fareRow = (label, value) => {
+            doc.fillColor(COLORS.text).font('Helvetica').fontSize(11).text(label, left, y);
+            doc.text(value, left, y, { width, align: 'right' });
+            y += 18;
+        };
+
+        fareRow(ticket.ticketType, formatMoney(ticket.totalPrice, ticket.currency));
+        if (ticket.refundAmount > 0) {
+            fareRow('Refunded', `-${formatMoney(ticket.refundAmount, ticket.currency)}`);
+        }
+
+        // Conditions
+        y += 20;
+        doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(
+            `Valid on ${formatDate(ticket.date)} only, for the passengers shown. ` +
+            'Keep this ticket until you have left the station at your destination. ' +
+            'A ticket that has been changed or cancelled is no longer valid.',
+            left, y, { width }
+        );
+
+        // The way back of a return, valid on its own date
+        const returnJourney = ticket.returnJourney;
+
+        if (returnJourney) {
+            doc.addPage();
+            header('Metro Ticket: Return');
+
+            y = 140;
+            detail('From', returnJourney.from);
+            detail('To', returnJourney.to);
+            detail('Date', formatDate(returnJourney.date));
+            detail('Departure', returnJourney.time);
+            detail('Passengers', ticket.passengers);
+
+            qrCode(returnJourney.qrCode, 'Scan at the gate on entry and exit');
+
+            y = Math.max(y, 350) + 10;
+            route(returnJourney.legs);
+
+            y += 20;
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(
+                `Valid on ${formatDate(returnJourney.date)} only, for the passengers shown.`,
+                left, y, { width }
+            );
+        }
+
+        // One page per passenger and journey, so the party can go through the
+        // gates separately
+        const journeys = [
+            ...(outboundCancelled ? [] : [{ label: null, ...ticket }]),
+            ...(returnJourney ? [{ label: 'Return', ...returnJourney }] : [])
+        ];
+
+        if (ticket.passengers > 1) {
+            journeys.forEach(journey => {
+                journey.tickets.filter(passenger => passenger.qrCode).forEach(passenger => {
+                    doc.addPage();
+                    header(`${journey.label ? `${journey.label}: p` : 'P'}assenger ${passenger.passenger} of ${ticket.passengers}`);
+
+                    y = 140;
+                    if (passenger.name) {
+                        detail('Name', passenger.name);
+                    }
+                    detail('Fare', passenger.ticketType);
+                    detail('Journey', `${journey.from} to ${journey.to}`);
+                    detail('Date', formatDate(journey.date));
+                    detail('Departure', journey.time);
+
+                    qrCode(passenger.qrCode, 'Valid for this passenger only');
+                });
+            });
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderTicketPdf
+};
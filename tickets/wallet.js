@@ -0,0 +1,81 @@
+// Wallet pass export. Builds the pass.json of an Apple Wallet boarding pass
+// (the PKTransitTypeTrain style) for a ticket, taking the same ticket as
+// pdf.js plus its signed QR token. To turn it into a .pkpass, bundle it with
+// the pass images and a manifest and sign it with a Pass Type ID
+// certificate; wallet apps that import pass.json directly can use it as is.
+// Each journey of a return is a pass of its own: the server passes the
+// return journey's details with journey set to 'return'.
+const PASS_TYPE_IDENTIFIER = process.env.WALLET_PASS_TYPE_ID || 'pass.com.metrobook.ticket';
+const TEAM_IDENTIFIER = process.env.WALLET_TEAM_ID || '';
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function buildWalletPass(ticket, token) {
+    const departure = new Date(`${ticket.date}T${ticket.time}:00`);
+    const lines = [...new Set(ticket.legs.map(leg => leg.line.name))];
+    const isReturn = ticket.journey === 'return';
+
+    return {
+        formatVersion: 1,
+        passTypeIdentifier: PASS_TYPE_IDENTIFIER,
+        teamIdentifier: TEAM_IDENTIFIER,
+        serialNumber: isReturn ? `${ticket.id}-return` : ticket.id,
+        organizationName: 'Metro Ticket Booking',
+        description: `Metro ${isReturn ? 'return ' : ''}ticket from ${ticket.from} to ${ticket.to}`,
+        logoText: 'Metro',
+        foregroundColor: 'rgb(255, 255, 255)',
+        backgroundColor: 'rgb(102, 126, 234)',
+        labelColor: 'rgb(226, 232, 240)',
+        relevantDate: departure.toISOString(),
+        expirationDate: ticket.validUntil,
+        barcodes: [
+            {
+                format: 'PKBarcodeFormatQR',
+                message: token,
+                messageEncoding: 'iso-8859-1',
+                altText: ticket.id
+            }
+        ],
+        boardingPass: {
+            transitType: 'PKTransitTypeTrain',
+            headerFields: [
+                { key: 'date', label: isReturn ? 'RETURN' : 'DATE', value: departure.toISOString(), dateStyle: 'PKDateStyleMedium' }
+            ],
+            primaryFields: [
+                { key: 'origin', label: 'FROM', value: ticket.from },
+                { key: 'destination', label: 'TO', value: ticket.to }
+            ],
+            secondaryFields: [
+                { key: 'departs', label: 'DEPARTS', value: ticket.time },
+                { key: 'passengers', label: 'PASSENGERS', value: ticket.passengers },
+                { key: 'ticketType', label: 'TICKET', value: ticket.ticketType }
+            ],
+            auxiliaryFields: [
+                { key: 'booking', label: 'BOOKING', value: ticket.id },
+                { key: 'lines', label: 'LINES', value: lines.join(', ') }
+            ],
+            backFields: [
+                {
+                    key: 'journey',
+                    label: 'Journey',
+                    value: ticket.legs.map(leg => {
+                        const times = leg.departs ? ` (${leg.departs} - ${leg.arrives})` : '';
+                        return `${leg.line.name}: ${leg.from} to ${leg.to}${times}`;
+                    }).join('\n')
+                },
+                { key: 'fare', label: 'Fare', value: formatMoney(ticket.totalPrice, ticket.currency) },
+                {
+                    key: 'conditions',
+                    label: 'Conditions',
+                    value: 'Valid on the travel date only. Scan at the gate on entry and exit.'
+                }
+            ]
+        }
+    };
+}
+
+module.exports = {
+    buildWalletPass
+};